@@ -0,0 +1,10 @@
+// jest.config.js
+// El código es ESM nativo: se ejecuta sin transformar (los scripts activan los módulos de VM).
+// `npm test` ejecuta las pruebas unitarias; las de integración necesitan MySQL con el
+// usuario de prueba (test@example.com) y se ejecutan con `npm run test:integration`.
+export default {
+  testEnvironment: 'node',
+  transform: {},
+  roots: ['<rootDir>/tests'],
+  testMatch: ['**/tests/unit/**/*.test.js']
+};
@@ -0,0 +1,64 @@
+// scripts/migrate.js
+// Uso: node scripts/migrate.js <up|down|status> [pasos]
+import { mysqlPool } from '../src/config/database.js';
+import { MigrationService } from '../src/services/migration.service.js';
+
+const [command = 'status', stepsArg] = process.argv.slice(2);
+const steps = stepsArg ? parseInt(stepsArg) : undefined;
+
+const printStatus = async () => {
+  const status = await MigrationService.getStatus();
+
+  if (status.length === 0) {
+    console.log('No hay migraciones');
+    return;
+  }
+
+  status.forEach(migration => {
+    let state = 'pendiente';
+    if (migration.missing) {
+      state = `aplicada (lote ${migration.batch}) - archivo no encontrado`;
+    } else if (migration.applied) {
+      state = `aplicada (lote ${migration.batch})`;
+    }
+    console.log(`${migration.name.padEnd(45)} ${state}`);
+  });
+};
+
+const run = async () => {
+  if (stepsArg && (isNaN(steps) || steps < 1)) {
+    throw new Error(`Número de pasos inválido: ${stepsArg}`);
+  }
+
+  switch (command) {
+    case 'up': {
+      const applied = await MigrationService.up({ steps });
+      console.log(applied.length > 0
+        ? `Se aplicaron ${applied.length} migraciones`
+        : 'La base de datos ya está actualizada');
+      break;
+    }
+    case 'down': {
+      const reverted = await MigrationService.down({ steps: steps || 1 });
+      console.log(reverted.length > 0
+        ? `Se revirtieron ${reverted.length} migraciones`
+        : 'No hay migraciones para revertir');
+      break;
+    }
+    case 'status':
+      await printStatus();
+      break;
+    default:
+      throw new Error(`Comando desconocido: ${command}. Use up, down o status`);
+  }
+};
+
+run()
+  .then(() => {
+    process.exitCode = 0;
+  })
+  .catch(error => {
+    console.error('Error ejecutando migraciones:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mysqlPool.end());
@@ -1,26 +1,109 @@
+// src/app.js
+// Aplicación Express: middleware, rutas y manejo de errores. No abre conexiones
+// ni escucha en un puerto, así que los tests la importan sin arrancar el servidor.
 import express from 'express';
+import { errorMiddleware } from './middleware/error.middleware.js';
+import { authenticate } from './middleware/auth.middleware.js';
+import dotenv from 'dotenv';
 import cors from 'cors';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { mysqlPool } from './config/database.js';
 
+// Obtener el directorio actual
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Importar rutas
+import userRoutes from './routes/user.routes.js';
+import propertyRoutes from './routes/property.routes.js';
+import bookingRoutes from './routes/booking.routes.js';
+import reviewRoutes from './routes/review.routes.js';
+import paymentRoutes from './routes/payment.routes.js';
+import messageRoutes from './routes/message.routes.js';
+import authRoutes from './routes/auth.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import notificationRoutes from './routes/notification.routes.js';
+import testRoutes from './routes/test.routes.js';
+
 const app = express();
+dotenv.config();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Los webhooks de pago se verifican con la firma del cuerpo original
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
+app.use(express.urlencoded({ extended: true }));
+
+// Configurar directorio estático para servir archivos de uploads
+app.use('/uploads', express.static(path.join(__dirname, '..', 'public', 'uploads')));
+app.use(express.static(path.join(__dirname, '..', 'public')));
 
 // Test route
-app.get('/test', (req, res) => {
-  res.json({ message: 'API is working!' });
+app.get('/api/test', (req, res) => {
+  res.json({ 
+    success: true,
+    message: 'API is working!' 
+  });
 });
 
-// Test database connection
-mysqlPool.getConnection()
-  .then(connection => {
-    console.log('Database connected successfully');
+// Rutas públicas (no requieren autenticación)
+app.use('/api/auth', authRoutes);
+app.use('/api/properties', propertyRoutes); 
+
+// Rutas protegidas (requieren autenticación)
+app.use('/api/users', userRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
+
+// Rutas de prueba de emails (solo para desarrollo)
+if (process.env.NODE_ENV === 'development') {
+  app.use('/api/test', testRoutes);
+}
+
+// Ruta para probar un usuario específico (solo para desarrollo)
+app.get('/api/dev/user/:id', async (req, res) => {
+  try {
+    const connection = await mysqlPool.getConnection();
+    const [users] = await connection.query('SELECT * FROM users WHERE id = ?', [req.params.id]);
     connection.release();
-  })
-  .catch(error => {
-    console.error('Error connecting to database:', error);
+    
+    if (users.length === 0) {
+      return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+    }
+    
+    res.json({ success: true, data: users[0] });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
+// 404 error handler para API
+app.use('/api/*', (req, res) => {
+  res.status(404).json({ 
+    successsuccess: false,
+    message: `Page not found: ${req.originalUrl}`
   });
+});
+
+// Para una aplicación Vue.js con Vue Router en modo history,
+// todas las demás rutas deben redirigirse al index.html
+app.get('*', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
+});
+
+// Middleware de manejo de errores
+app.use(errorMiddleware);
 
-export default app;
\ No newline at end of file
+export default app;
@@ -13,5 +13,17 @@ export default {
     refreshTokenSecret: process.env.JWT_REFRESH_SECRET || '1234',
     refreshTokenExpiry: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
     saltRounds: 10
+  },
+  passwordReset: {
+    // Vigencia del enlace de restablecimiento (minutos)
+    tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+    // Solicitudes permitidas por ventana, por email y por IP
+    windowMinutes: parseInt(process.env.PASSWORD_RESET_WINDOW_MINUTES) || 60,
+    maxPerEmail: parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL) || 3,
+    maxPerIp: parseInt(process.env.PASSWORD_RESET_MAX_PER_IP) || 10
+  },
+  bookingAccess: {
+    // Vigencia del enlace de acceso a la reserva que se envía al huésped
+    tokenExpiry: process.env.BOOKING_ACCESS_EXPIRES_IN || '180d'
   }
-};
\ No newline at end of file
+};
@@ -18,15 +18,55 @@ export const USER_STATUS = {
   export const BOOKING_STATUS = {
     PENDING: 'pending',
     CONFIRMED: 'confirmed',
-    CANCELED: 'canceled',
-    COMPLETED: 'completed'
+    CANCELLED: 'cancelled',
+    COMPLETED: 'completed',
+    EXPIRED: 'expired'
+  };
+  
+  // Quién provoca un cambio de estado de una reserva (tabla booking_status_history)
+  export const BOOKING_ACTORS = {
+    GUEST: 'guest',
+    HOST: 'host',
+    ADMIN: 'admin',
+    SYSTEM: 'system'
   };
   
   export const PAYMENT_STATUS = {
     PENDING: 'pending',
+    AUTHORIZED: 'authorized',
     COMPLETED: 'completed',
     FAILED: 'failed',
-    REFUNDED: 'refunded'
+    CANCELLED: 'cancelled',
+    REFUNDED: 'refunded',
+    PARTIALLY_REFUNDED: 'partially_refunded'
+  };
+  
+  // Eventos del libro de pagos (tabla payment_events)
+  export const PAYMENT_EVENT_TYPES = {
+    AUTHORIZE: 'authorize',
+    CAPTURE: 'capture',
+    REFUND: 'refund',
+    FAIL: 'fail',
+    VOID: 'void',
+    // Contracargo abierto por el titular; no cambia el estado del pago
+    DISPUTE: 'dispute'
+  };
+  
+  // Eventos que generan notificaciones (tabla notifications)
+  export const NOTIFICATION_TYPES = {
+    BOOKING_CREATED: 'booking.created',
+    BOOKING_CONFIRMED: 'booking.confirmed',
+    BOOKING_CANCELLED: 'booking.cancelled',
+    PAYMENT_RECEIVED: 'payment.received',
+    PAYMENT_REFUNDED: 'payment.refunded',
+    REFUND_REQUESTED: 'refund.requested',
+    REFUND_REJECTED: 'refund.rejected',
+    BOOKING_REMINDER: 'booking.reminder',
+    BOOKING_MODIFICATION_REQUESTED: 'booking.modification_requested',
+    BOOKING_MODIFICATION_RESPONDED: 'booking.modification_responded',
+    REVIEW_CREATED: 'review.created',
+    REVIEW_REQUESTED: 'review.requested',
+    MESSAGE_RECEIVED: 'message.received'
   };
   
   export const PAYMENT_METHODS = {
@@ -36,12 +76,128 @@ export const USER_STATUS = {
     BANK_TRANSFER: 'bank_transfer'
   };
   
+  // Resultado de una operación en el procesador de pagos (ver PaymentGateway)
+  export const GATEWAY_RESULTS = {
+    AUTHORIZED: 'authorized',
+    DECLINED: 'declined',
+    REQUIRES_ACTION: 'requires_action',
+    CAPTURED: 'captured',
+    VOIDED: 'voided',
+    REFUNDED: 'refunded'
+  };
+  
+  // Eventos de webhook normalizados por cada procesador (tabla payment_webhook_events)
+  export const WEBHOOK_EVENT_TYPES = {
+    PAYMENT_AUTHORIZED: 'payment.authorized',
+    PAYMENT_CAPTURED: 'payment.captured',
+    PAYMENT_FAILED: 'payment.failed',
+    PAYMENT_REFUNDED: 'payment.refunded',
+    PAYMENT_DISPUTED: 'payment.disputed'
+  };
+  
+  export const WEBHOOK_EVENT_STATUS = {
+    RECEIVED: 'received',
+    // Reclamado por un proceso que lo está aplicando
+    PROCESSING: 'processing',
+    PROCESSED: 'processed',
+    IGNORED: 'ignored',
+    FAILED: 'failed'
+  };
+  
+  // Solicitudes de reembolso (tabla refunds)
+  export const REFUND_STATUS = {
+    REQUESTED: 'requested',
+    APPROVED: 'approved',
+    // Registrado y pendiente de completar en el procesador
+    PROCESSING: 'processing',
+    PROCESSED: 'processed',
+    REJECTED: 'rejected'
+  };
+  
+  export const REFUND_REASONS = {
+    REQUESTED_BY_GUEST: 'requested_by_guest',
+    SERVICE_ISSUE: 'service_issue',
+    DUPLICATE: 'duplicate',
+    GOODWILL: 'goodwill',
+    OTHER: 'other',
+    // Los asigna el sistema: no se pueden elegir al solicitar un reembolso
+    BOOKING_CANCELLED: 'booking_cancelled',
+    BOOKING_MODIFIED: 'booking_modified',
+    GATEWAY: 'gateway'
+  };
+  
+  export const IDEMPOTENCY_KEY_STATUS = {
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    // La petición falló en el procesador de pagos y no se sabe si el cobro se hizo
+    FAILED: 'failed'
+  };
+  
   export const PROPERTY_STATUS = {
     AVAILABLE: 'available',
     RENTED: 'rented',
     MAINTENANCE: 'maintenance'
   };
   
+  // Motivos de bloqueo de fechas del calendario (tabla property_blocked_dates)
+  export const BLOCK_REASONS = {
+    MAINTENANCE: PROPERTY_STATUS.MAINTENANCE,
+    OWNER_USE: 'owner_use',
+    OTHER: 'other',
+    // Eventos de calendarios externos importados (solo los crea la sincronización)
+    EXTERNAL: 'external'
+  };
+  
+  // Estado de cada día en el calendario de una propiedad
+  export const CALENDAR_DAY_STATUS = {
+    AVAILABLE: 'available',
+    BOOKED: 'booked',
+    PENDING: 'pending',
+    BLOCKED: 'blocked'
+  };
+  
+  // Políticas de cancelación de una propiedad
+  export const CANCELLATION_POLICIES = {
+    FLEXIBLE: 'flexible',
+    MODERATE: 'moderate',
+    STRICT: 'strict',
+    CUSTOM: 'custom'
+  };
+  
+  // Reglas de precios de una propiedad (tabla property_pricing_rules)
+  export const PRICING_RULE_TYPES = {
+    SEASON: 'season',
+    LENGTH_OF_STAY: 'length_of_stay'
+  };
+  
+  // Tipos de línea de una cotización
+  export const QUOTE_LINE_TYPES = {
+    ACCOMMODATION: 'accommodation',
+    DISCOUNT: 'discount',
+    FEE: 'fee',
+    TAX: 'tax'
+  };
+  
+  // Solicitudes de cambio de una reserva (tabla booking_modifications)
+  export const MODIFICATION_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    DECLINED: 'declined',
+    WITHDRAWN: 'withdrawn'
+  };
+  
+  // Tareas programadas (tabla job_runs)
+  export const JOB_RUN_STATUS = {
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+  };
+  
+  export const JOB_TRIGGERS = {
+    SCHEDULE: 'schedule',
+    MANUAL: 'manual'
+  };
+  
   export const PROPERTY_TYPES = {
     HOUSE: 'house',
     APARTMENT: 'apartment',
@@ -81,9 +237,26 @@ export const USER_STATUS = {
     USER_STATUS,
     USER_ROLES,
     BOOKING_STATUS,
+    BOOKING_ACTORS,
+    MODIFICATION_STATUS,
     PAYMENT_STATUS,
+    PAYMENT_EVENT_TYPES,
+    NOTIFICATION_TYPES,
     PAYMENT_METHODS,
+    GATEWAY_RESULTS,
+    WEBHOOK_EVENT_TYPES,
+    WEBHOOK_EVENT_STATUS,
+    REFUND_STATUS,
+    REFUND_REASONS,
+    IDEMPOTENCY_KEY_STATUS,
     PROPERTY_STATUS,
+    BLOCK_REASONS,
+    CALENDAR_DAY_STATUS,
+    CANCELLATION_POLICIES,
+    PRICING_RULE_TYPES,
+    QUOTE_LINE_TYPES,
+    JOB_RUN_STATUS,
+    JOB_TRIGGERS,
     PROPERTY_TYPES,
     PAGINATION,
     MESSAGES
@@ -0,0 +1,34 @@
+/**
+ * Email configuration
+ * Transporte de envío y remitente por defecto
+ */
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const env = process.env.NODE_ENV || 'development';
+
+export default {
+  email: {
+    // smtp | outbox | file | memory | console (en desarrollo no se envían emails reales por defecto)
+    transport: process.env.EMAIL_TRANSPORT || (env === 'production' ? 'smtp' : 'console'),
+    from: process.env.EMAIL_FROM || 'OASIS <no-reply@oasis.hn>',
+    // Idioma de las plantillas cuando el destinatario no indica uno (es | en)
+    defaultLanguage: process.env.EMAIL_DEFAULT_LANGUAGE || 'es',
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    },
+    // Directorio donde los transportes `outbox` (JSON) y `file` (.eml) guardan los mensajes
+    outboxDir: process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'emails')
+  },
+  verification: {
+    tokenExpiry: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h'
+  },
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:8080'
+};
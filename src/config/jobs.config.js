@@ -0,0 +1,28 @@
+/**
+ * Background jobs configuration
+ * Intervals and thresholds for the in-process scheduler
+ */
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export default {
+  jobs: {
+    // JOBS_ENABLED=false deja la instancia solo sirviendo peticiones
+    enabled: process.env.JOBS_ENABLED !== 'false' && process.env.NODE_ENV !== 'test',
+    // Espera antes de la primera ejecución de cada tarea al arrancar (segundos)
+    startupDelaySeconds: parseInt(process.env.JOBS_STARTUP_DELAY_SECONDS) || 30,
+    // Vigencia del bloqueo de una tarea (segundos); se renueva cada tercio mientras
+    // la tarea se ejecuta, así que solo vence si la instancia deja de responder
+    lockTtlSeconds: parseInt(process.env.JOBS_LOCK_TTL_SECONDS) || 15 * 60,
+    // Minutos que una reserva pendiente espera el pago antes de expirar
+    pendingTimeoutMinutes: parseInt(process.env.BOOKING_PENDING_TIMEOUT_MINUTES) || 30,
+    // Minutos sin resultado tras los que se consulta al procesador un intento de cobro
+    // o se reintenta una anulación o un reembolso pendiente
+    paymentAttemptTimeoutMinutes: parseInt(process.env.PAYMENT_ATTEMPT_TIMEOUT_MINUTES) || 5,
+    // Días de antelación del recordatorio de llegada
+    reminderDaysBefore: parseInt(process.env.BOOKING_REMINDER_DAYS_BEFORE) || 1,
+    // Días después de la salida durante los que se pide la reseña
+    reviewRequestWindowDays: parseInt(process.env.REVIEW_REQUEST_WINDOW_DAYS) || 14
+  }
+};
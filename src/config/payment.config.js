@@ -0,0 +1,35 @@
+/**
+ * Payment gateway configuration
+ * Procesador activo y sus credenciales
+ */
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const env = process.env.NODE_ENV || 'development';
+
+// Porcentaje de una variable de entorno (0 es un valor válido)
+const percentFromEnv = (value, fallback) => (value === undefined || value === '' ? fallback : parseFloat(value));
+
+export default {
+  payments: {
+    // simulator (local, tarjetas de prueba; no se admite en producción) u otro proveedor
+    // registrado con PaymentGateway.register
+    gateway: process.env.PAYMENT_GATEWAY || 'simulator',
+    // Tiempo máximo de espera de cada llamada al procesador (milisegundos)
+    timeoutMs: parseInt(process.env.PAYMENT_GATEWAY_TIMEOUT_MS) || (env === 'test' ? 500 : 15000),
+    simulator: {
+      // Clave con la que el simulador firma sus webhooks (la de por defecto es pública:
+      // solo fuera de producción, donde el simulador tampoco está disponible)
+      webhookSecret: process.env.PAYMENT_SIMULATOR_WEBHOOK_SECRET || (env === 'production' ? null : 'simulator-webhook-secret')
+    }
+  },
+  // Umbrales de aprobación de reembolsos, en porcentaje del pago reembolsado en total
+  refunds: {
+    // Hasta aquí el reembolso que pide el huésped se procesa sin revisión (0 = siempre se revisa)
+    autoApprovePercent: percentFromEnv(process.env.REFUND_AUTO_APPROVE_PERCENT, 0),
+    // Hasta aquí basta con el anfitrión; por encima, el reembolso lo aprueba un administrador
+    hostApprovalPercent: percentFromEnv(process.env.REFUND_HOST_APPROVAL_PERCENT, 100)
+  },
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:8080'
+};
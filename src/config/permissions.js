@@ -0,0 +1,64 @@
+/**
+ * Permisos por rol
+ * Cada ruta protegida declara el permiso que necesita con requirePermission()
+ */
+import { USER_ROLES } from './constants.js';
+
+export const PERMISSIONS = {
+  // Usuarios
+  USER_MANAGE: 'user:manage',
+
+  // Propiedades
+  PROPERTY_CREATE: 'property:create',
+  PROPERTY_UPDATE: 'property:update',
+  PROPERTY_DELETE: 'property:delete',
+
+  // Reservas
+  BOOKING_CREATE: 'booking:create',
+  BOOKING_CANCEL: 'booking:cancel',
+  BOOKING_MANAGE: 'booking:manage',
+  BOOKING_REFUND: 'booking:refund',
+
+  // Pagos
+  PAYMENT_LIST: 'payment:list',
+
+  // Reseñas
+  REVIEW_UPDATE: 'review:update',
+  REVIEW_DELETE: 'review:delete',
+  REVIEW_MODERATE: 'review:moderate'
+};
+
+const GUEST_PERMISSIONS = [
+  PERMISSIONS.BOOKING_CREATE,
+  PERMISSIONS.BOOKING_CANCEL,
+  PERMISSIONS.REVIEW_UPDATE,
+  PERMISSIONS.REVIEW_DELETE
+];
+
+const HOST_PERMISSIONS = [
+  ...GUEST_PERMISSIONS,
+  PERMISSIONS.PROPERTY_CREATE,
+  PERMISSIONS.PROPERTY_UPDATE,
+  PERMISSIONS.PROPERTY_DELETE,
+  PERMISSIONS.BOOKING_MANAGE,
+  PERMISSIONS.BOOKING_REFUND
+];
+
+export const ROLE_PERMISSIONS = {
+  [USER_ROLES.GUEST]: GUEST_PERMISSIONS,
+  [USER_ROLES.HOST]: HOST_PERMISSIONS,
+  // El administrador tiene todos los permisos
+  [USER_ROLES.ADMIN]: Object.values(PERMISSIONS)
+};
+
+// Verificar si un rol tiene un permiso
+export const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes(permission);
+};
+
+export default {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission
+};
@@ -0,0 +1,187 @@
+// src/controllers/admin.controller.js
+import { AdminService, ADMIN_ACTIONS } from '../services/admin.service.js';
+import { SchedulerService } from '../services/scheduler.service.js';
+import { PaymentWebhookService } from '../services/payment-webhook.service.js';
+import { JOB_TRIGGERS, JOB_RUN_STATUS } from '../config/constants.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+// Datos de la petición que se guardan en la bitácora
+const getRequestContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+export class AdminController {
+  static getUser = asyncErrorHandler(async (req, res) => {
+    const user = await AdminService.getUser(req.params.id);
+
+    res.json({
+      success: true,
+      data: user
+    });
+  });
+
+  static banUser = asyncErrorHandler(async (req, res) => {
+    const user = await AdminService.banUser(
+      req.params.id,
+      req.body.reason,
+      req.userId,
+      getRequestContext(req)
+    );
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'Usuario suspendido exitosamente'
+    });
+  });
+
+  static unbanUser = asyncErrorHandler(async (req, res) => {
+    const user = await AdminService.unbanUser(
+      req.params.id,
+      req.body.reason,
+      req.userId,
+      getRequestContext(req)
+    );
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'Usuario reactivado exitosamente'
+    });
+  });
+
+  static impersonateUser = asyncErrorHandler(async (req, res) => {
+    const result = await AdminService.impersonateUser(
+      req.params.id,
+      req.body.reason,
+      req.userId,
+      getRequestContext(req)
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  static getAuditLog = asyncErrorHandler(async (req, res) => {
+    const filters = {
+      adminId: req.query.admin_id,
+      action: req.query.action,
+      targetType: req.query.target_type,
+      targetId: req.query.target_id
+    };
+
+    const pagination = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 50
+    };
+
+    const result = await AdminService.getAuditLog(filters, pagination);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  static getJobs = asyncErrorHandler(async (req, res) => {
+    const jobs = await SchedulerService.listJobs();
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  });
+
+  static getJobRuns = asyncErrorHandler(async (req, res) => {
+    const filters = {
+      jobName: req.query.job,
+      status: req.query.status,
+      trigger: req.query.trigger
+    };
+
+    const pagination = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 50
+    };
+
+    const result = await SchedulerService.listRuns(filters, pagination);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  // Ejecutar una tarea ahora; responde cuando termina (409 si ya se está ejecutando)
+  static runJob = asyncErrorHandler(async (req, res) => {
+    const run = await SchedulerService.runJob(req.params.name, {
+      trigger: JOB_TRIGGERS.MANUAL,
+      triggeredBy: req.userId
+    });
+
+    await AdminService.logAction(
+      req.userId,
+      ADMIN_ACTIONS.JOB_RUN,
+      { type: 'job', id: null },
+      { job: run.job_name, run_id: run.id, status: run.status },
+      getRequestContext(req)
+    );
+
+    res.json({
+      success: true,
+      data: run,
+      message: run.status === JOB_RUN_STATUS.FAILED ? 'La tarea terminó con errores' : 'Tarea ejecutada exitosamente'
+    });
+  });
+
+  static getPaymentWebhooks = asyncErrorHandler(async (req, res) => {
+    const filters = {
+      provider: req.query.provider,
+      status: req.query.status,
+      type: req.query.type,
+      paymentId: req.query.payment_id
+    };
+
+    const pagination = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 50
+    };
+
+    const result = await PaymentWebhookService.listEvents(filters, pagination);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  // Volver a aplicar un evento (los fallidos, o uno procesado tras corregir datos)
+  static replayPaymentWebhook = asyncErrorHandler(async (req, res) => {
+    let event;
+    let replayError = null;
+    try {
+      event = await PaymentWebhookService.replay(req.params.id);
+    } catch (error) {
+      replayError = error;
+    }
+
+    await AdminService.logAction(
+      req.userId,
+      ADMIN_ACTIONS.PAYMENT_WEBHOOK_REPLAY,
+      { type: 'payment_webhook_event', id: Number(req.params.id) },
+      { status: event ? event.status : 'failed', error: replayError ? replayError.message : null },
+      getRequestContext(req)
+    );
+
+    if (replayError) throw replayError;
+
+    res.json({
+      success: true,
+      data: event,
+      message: 'Evento procesado nuevamente'
+    });
+  });
+}
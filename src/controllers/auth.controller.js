@@ -1,7 +1,15 @@
 // src/controllers/auth.controller.js
 import authService from '../services/auth.service.js';
+import { SessionService, SESSION_REVOKE_REASONS } from '../services/session.service.js';
 import { asyncErrorHandler } from '../utils/errors/error-handler.js';
 
+// Datos del dispositivo que se guardan con cada sesión
+const getSessionContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip,
+  deviceName: req.body && req.body.device_name
+});
+
 export class AuthController {
   static register = asyncErrorHandler(async (req, res) => {
     const user = await authService.register(req.body);
@@ -9,14 +17,14 @@ export class AuthController {
       success: true,
       data: {
         user,
-        message: 'Usuario registrado exitosamente'
+        message: 'Usuario registrado exitosamente. Revisa tu email para verificar la cuenta'
       }
     });
   });
 
   static login = asyncErrorHandler(async (req, res) => {
     const { email, password } = req.body;
-    const result = await authService.login(email, password);
+    const result = await authService.login(email, password, getSessionContext(req));
     res.json({
       success: true,
       data: result
@@ -24,13 +32,68 @@ export class AuthController {
   });
   
   static logout = asyncErrorHandler(async (req, res) => {
-    // Implement logout logic if needed
+    await authService.logout(req.body.refreshToken, req.token);
+    res.json({
+      success: true,
+      message: 'Sesión cerrada exitosamente'
+    });
+  });
+
+  static refreshToken = asyncErrorHandler(async (req, res) => {
+    const result = await authService.refreshToken(req.body.refreshToken, getSessionContext(req));
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  static getSessions = asyncErrorHandler(async (req, res) => {
+    const sessions = await SessionService.listForUser(req.userId, req.sessionId);
+    res.json({
+      success: true,
+      data: sessions
+    });
+  });
+
+  static revokeSession = asyncErrorHandler(async (req, res) => {
+    await SessionService.revokeForUser(req.userId, req.params.id);
     res.json({
       success: true,
       message: 'Sesión cerrada exitosamente'
     });
   });
 
+  // Cerrar todas las sesiones excepto la actual
+  static revokeOtherSessions = asyncErrorHandler(async (req, res) => {
+    const revoked = await SessionService.revokeAllForUser(
+      req.userId,
+      SESSION_REVOKE_REASONS.USER_REVOKED,
+      { exceptSessionId: req.sessionId }
+    );
+    res.json({
+      success: true,
+      data: { revoked },
+      message: 'Sesiones cerradas exitosamente'
+    });
+  });
+
+  static verifyEmail = asyncErrorHandler(async (req, res) => {
+    const user = await authService.verifyEmail(req.body.token);
+    res.json({
+      success: true,
+      data: user,
+      message: 'Email verificado exitosamente'
+    });
+  });
+
+  static resendVerification = asyncErrorHandler(async (req, res) => {
+    await authService.resendVerification(req.body.email);
+    res.json({
+      success: true,
+      message: 'Si la cuenta existe y no está verificada, se envió un nuevo enlace de verificación'
+    });
+  });
+
   static getCurrentUser = asyncErrorHandler(async (req, res) => {
     const userId = req.userId;
     const user = await authService.getUserById(userId);
@@ -51,13 +114,11 @@ export class AuthController {
   });
 
   static requestPasswordReset = asyncErrorHandler(async (req, res) => {
-    const { email } = req.body;
-    const resetToken = await authService.requestPasswordReset(email);
-    
+    await authService.requestPasswordReset(req.body.email, { ipAddress: req.ip });
+
     res.json({
       success: true,
-      message: 'Instrucciones de reseteo enviadas al email (simulación)',
-      resetToken // Solo para pruebas, en producción no se devolvería
+      message: 'Si la cuenta existe, enviamos un enlace para restablecer la contraseña'
     });
   });
 
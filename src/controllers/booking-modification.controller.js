@@ -0,0 +1,81 @@
+// src/controllers/booking-modification.controller.js
+import { BookingModificationService } from '../services/booking-modification.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class BookingModificationController {
+  static getModifications = asyncErrorHandler(async (req, res) => {
+    const modifications = await BookingModificationService.list(req.params.id, req.userId, req.userRole);
+
+    res.json({
+      success: true,
+      data: modifications
+    });
+  });
+
+  static requestModification = asyncErrorHandler(async (req, res) => {
+    const modification = await BookingModificationService.request(
+      req.params.id,
+      {
+        checkIn: req.body.check_in_date,
+        checkOut: req.body.check_out_date,
+        guests: req.body.guests,
+        reason: req.body.reason
+      },
+      req.userId,
+      req.userRole
+    );
+
+    res.status(201).json({
+      success: true,
+      data: modification,
+      message: 'Solicitud de cambio enviada al anfitrión'
+    });
+  });
+
+  static approveModification = asyncErrorHandler(async (req, res) => {
+    const modification = await BookingModificationService.approve(
+      req.params.id,
+      req.params.modificationId,
+      req.userId,
+      req.userRole,
+      { note: req.body.note }
+    );
+
+    res.json({
+      success: true,
+      data: modification,
+      message: 'Cambio aprobado. La reserva se ha actualizado'
+    });
+  });
+
+  static declineModification = asyncErrorHandler(async (req, res) => {
+    const modification = await BookingModificationService.decline(
+      req.params.id,
+      req.params.modificationId,
+      req.userId,
+      req.userRole,
+      { note: req.body.note }
+    );
+
+    res.json({
+      success: true,
+      data: modification,
+      message: 'Cambio rechazado'
+    });
+  });
+
+  static withdrawModification = asyncErrorHandler(async (req, res) => {
+    const modification = await BookingModificationService.withdraw(
+      req.params.id,
+      req.params.modificationId,
+      req.userId,
+      req.userRole
+    );
+
+    res.json({
+      success: true,
+      data: modification,
+      message: 'Solicitud de cambio retirada'
+    });
+  });
+}
@@ -1,6 +1,9 @@
 // src/controllers/booking.controller.js
 import bookingService from '../services/booking.service.js';
 import { asyncErrorHandler } from '../utils/errors/index.js';
+import { USER_ROLES } from '../config/constants.js';
+import { BookingAccessService } from '../services/booking-access.service.js';
+import { formatReferenceCode } from '../utils/reference-code.js';
 
 export class BookingController {
   /**
@@ -29,7 +32,6 @@ export class BookingController {
         startDate: req.body.check_in_date,
         endDate: req.body.check_out_date,
         guests: req.body.guests || 1,
-        totalPrice: req.body.total_price,
         specialRequests: req.body.special_requests,
         // Guest information
         guestName: req.body.guest_name,
@@ -63,6 +65,10 @@ export class BookingController {
         success: true,
         data: {
           bookingId: booking.id,
+          referenceCode: formatReferenceCode(booking.referenceCode),
+          totalPrice: booking.totalPrice,
+          currency: booking.currency,
+          priceQuote: booking.priceQuote,
           message: 'Reserva creada exitosamente'
         }
       });
@@ -160,74 +166,73 @@ export class BookingController {
   });
 
   /**
-   * Obtener una reserva por ID con detalles
+   * Panel de reservas del anfitrión (el administrador puede indicar ?host_id=)
+   */
+  static getHostBookings = asyncErrorHandler(async (req, res) => {
+    const hostId = req.userRole === USER_ROLES.ADMIN && req.query.host_id
+      ? parseInt(req.query.host_id)
+      : req.userId;
+    const { filters, options } = req.hostBookingQuery;
+
+    const result = await bookingService.getHostBookings(hostId, filters, options);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  /**
+   * Consultar una reserva sin cuenta: { reference_code, email } o { token } del enlace
+   */
+  static lookupBooking = asyncErrorHandler(async (req, res) => {
+    const { reference_code, email, token } = req.body;
+
+    const booking = token
+      ? await BookingAccessService.lookupByToken(token)
+      : await BookingAccessService.lookupByCode(reference_code, email);
+
+    res.json({
+      success: true,
+      data: booking
+    });
+  });
+
+  /**
+   * Añadir a la cuenta una reserva hecha sin cuenta: { reference_code } o { token }
+   */
+  static claimBooking = asyncErrorHandler(async (req, res) => {
+    const booking = await BookingAccessService.claim(req.userId, {
+      referenceCode: req.body.reference_code,
+      token: req.body.token
+    });
+
+    res.json({
+      success: true,
+      data: booking,
+      message: 'Reserva añadida a tu cuenta'
+    });
+  });
+
+  /**
+   * Obtener una reserva por ID con detalles (huésped, anfitrión o administrador)
    */
   static getBooking = asyncErrorHandler(async (req, res) => {
-    try {
-      const { id } = req.params;
-      console.log(`Solicitando datos de la reserva #${id}`);
-      
-      // Validar que el ID tenga formato correcto
-      if (!id || (isNaN(parseInt(id)) && !id.startsWith('temp-'))) {
-        return res.status(400).json({
-          success: false,
-          message: 'ID de reserva inválido'
-        });
-      }
-      
-      // Si es un ID temporal, devolver una estructura básica
-      if (id.startsWith('temp-')) {
-        console.log(`ID temporal ${id}, devolviendo estructura básica`);
-        
-        const tempBooking = {
-          id: id,
-          property_id: req.query.propertyId || null,
-          guest_name: 'Cliente temporal',
-          guest_email: '',
-          check_in_date: req.query.checkIn || new Date().toISOString().split('T')[0],
-          check_out_date: req.query.checkOut || new Date().toISOString().split('T')[0],
-          guests: req.query.guests || 1,
-          total_price: req.query.amount || 0,
-          status: 'pending'
-        };
-        
-        return res.json({
-          success: true,
-          data: tempBooking
-        });
-      }
-      
-      // Intentar buscar la reserva en la base de datos
-      try {
-        const booking = await bookingService.findById(parseInt(id));
-        
-        if (!booking) {
-          return res.status(404).json({
-            success: false,
-            message: 'Reserva no encontrada'
-          });
-        }
-        
-        return res.json({
-          success: true,
-          data: booking
-        });
-      } catch (dbError) {
-        console.error(`Error al consultar la reserva #${id} en la base de datos:`, dbError);
-        return res.status(500).json({
-          success: false,
-          message: 'Error al consultar la base de datos',
-          error: process.env.NODE_ENV === 'production' ? null : dbError.message
-        });
-      }
-    } catch (error) {
-      console.error(`Error general al obtener la reserva #${req.params.id}:`, error);
-      return res.status(500).json({
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
         success: false,
-        message: 'Error interno del servidor',
-        error: process.env.NODE_ENV === 'production' ? null : error.message
+        message: 'ID de reserva inválido'
       });
     }
+
+    const booking = await bookingService.findForUser(parseInt(id), req.userId, req.userRole);
+
+    res.json({
+      success: true,
+      data: booking
+    });
   });
 
   /**
@@ -236,7 +241,7 @@ export class BookingController {
   static updateBookingStatus = asyncErrorHandler(async (req, res) => {
     try {
       const { id } = req.params;
-      const { status } = req.body;
+      const { status, reason } = req.body;
       
       if (!id || !status) {
         return res.status(400).json({
@@ -249,7 +254,7 @@ export class BookingController {
       const userId = req.userId;
       
       // Actualizar estado de la reserva
-      const updatedBooking = await bookingService.updateStatus(parseInt(id), status, userId);
+      const updatedBooking = await bookingService.updateStatus(parseInt(id), status, userId, req.userRole, reason);
       
       res.json({
         success: true,
@@ -267,6 +272,8 @@ export class BookingController {
         statusCode = 404;
       } else if (error.name === 'AuthorizationError') {
         statusCode = 403;
+      } else if (error.name === 'ConflictError') {
+        statusCode = 409;
       }
       
       res.status(statusCode).json({
@@ -277,6 +284,30 @@ export class BookingController {
     }
   });
   
+  /**
+   * Historial de estados de una reserva
+   */
+  static getBookingHistory = asyncErrorHandler(async (req, res) => {
+    const history = await bookingService.getStatusHistory(parseInt(req.params.id), req.userId, req.userRole);
+
+    res.json({
+      success: true,
+      data: history
+    });
+  });
+
+  /**
+   * Vista previa del reembolso antes de cancelar
+   */
+  static getCancellationPreview = asyncErrorHandler(async (req, res) => {
+    const preview = await bookingService.previewCancellation(parseInt(req.params.id), req.userId, req.userRole);
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  });
+
   /**
    * Cancelar una reserva
    */
@@ -285,31 +316,24 @@ export class BookingController {
       const { id } = req.params;
       
       // Validar ID
-      if (!id || (isNaN(parseInt(id)) && !id.startsWith('temp-'))) {
+      if (!id || isNaN(parseInt(id))) {
         return res.status(400).json({
           success: false,
           message: 'ID de reserva inválido'
         });
       }
       
-      // Si es un ID temporal, simplemente devolver éxito
-      if (id.startsWith('temp-')) {
-        return res.json({
-          success: true,
-          message: 'No se requiere cancelación'
-        });
-      }
-      
       console.log(`Cancelando reserva #${id}`);
       
       // Obtener ID de usuario del middleware de autenticación
       const userId = req.userId;
       
       // Cancelar la reserva
-      await bookingService.cancelBooking(parseInt(id), userId);
+      const refund = await bookingService.cancelBooking(parseInt(id), userId, req.userRole, { reason: req.body && req.body.reason });
       
       res.json({
         success: true,
+        data: { refund },
         message: 'Reserva cancelada exitosamente'
       });
     } catch (error) {
@@ -328,6 +352,9 @@ export class BookingController {
       } else if (error.name === 'AuthorizationError') {
         statusCode = 403;
         message = 'No tienes permiso para cancelar esta reserva';
+      } else if (error.name === 'ConflictError') {
+        statusCode = 409;
+        message = error.message;
       }
       
       res.status(statusCode).json({
@@ -338,35 +365,6 @@ export class BookingController {
     }
   });
 
-  /**
-   * Cancelar reservas pendientes expiradas (utilizada por cron jobs)
-   */
-  static cancelExpiredBookings = asyncErrorHandler(async (req, res) => {
-    try {
-      // Tiempo en minutos después del cual se considera que una reserva ha expirado
-      const timeoutMinutes = req.query.timeout ? parseInt(req.query.timeout) : 30;
-      
-      // Llamar al servicio para cancelar reservas pendientes expiradas
-      const cancelledCount = await bookingService.cancelExpiredBookings(timeoutMinutes);
-      
-      res.json({
-        success: true,
-        data: {
-          cancelledCount,
-          message: `Se cancelaron ${cancelledCount} reservas pendientes expiradas`
-        }
-      });
-    } catch (error) {
-      console.error('Error al cancelar reservas pendientes expiradas:', error);
-      
-      res.status(500).json({
-        success: false,
-        message: 'Error al cancelar reservas pendientes expiradas',
-        error: process.env.NODE_ENV === 'production' ? null : error.message
-      });
-    }
-  });
-  
   /**
    * Cancelar múltiples reservas (batch cancellation)
    */
@@ -399,7 +397,7 @@ export class BookingController {
       
       // Cancelar las reservas
       const results = await Promise.allSettled(
-        parsedIds.map(id => bookingService.cancelBooking(id, userId))
+        parsedIds.map(id => bookingService.cancelBooking(id, userId, req.userRole))
       );
       
       // Contar éxitos y fallos
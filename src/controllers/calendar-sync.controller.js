@@ -0,0 +1,89 @@
+// src/controllers/calendar-sync.controller.js
+import { CalendarSyncService } from '../services/calendar-sync.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+// URL pública del feed .ics de una propiedad
+const buildFeedUrl = (req, propertyId, token) =>
+  `${req.protocol}://${req.get('host')}/api/properties/${propertyId}/calendar.ics?token=${token}`;
+
+export class CalendarSyncController {
+  // Feed público; el token actúa como contraseña
+  static getFeed = asyncErrorHandler(async (req, res) => {
+    const ics = await CalendarSyncService.getExportFeed(req.params.id, req.query.token);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="property-${req.params.id}.ics"`,
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(ics);
+  });
+
+  static getExport = asyncErrorHandler(async (req, res) => {
+    const token = await CalendarSyncService.getExportToken(req.params.id, req.userId, req.userRole);
+
+    res.json({
+      success: true,
+      data: { url: buildFeedUrl(req, req.params.id, token) }
+    });
+  });
+
+  static rotateExport = asyncErrorHandler(async (req, res) => {
+    const token = await CalendarSyncService.rotateExportToken(req.params.id, req.userId, req.userRole);
+
+    res.json({
+      success: true,
+      data: { url: buildFeedUrl(req, req.params.id, token) },
+      message: 'Enlace del calendario regenerado. El enlace anterior ya no funciona'
+    });
+  });
+
+  static getImports = asyncErrorHandler(async (req, res) => {
+    const imports = await CalendarSyncService.listImports(req.params.id, req.userId, req.userRole);
+
+    res.json({
+      success: true,
+      data: imports
+    });
+  });
+
+  static createImport = asyncErrorHandler(async (req, res) => {
+    const result = await CalendarSyncService.createImport(
+      req.params.id,
+      { name: req.body.name, url: req.body.url, file: req.file },
+      req.userId,
+      req.userRole
+    );
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Calendario externo importado'
+    });
+  });
+
+  static syncImport = asyncErrorHandler(async (req, res) => {
+    const result = await CalendarSyncService.syncImport(
+      req.params.id,
+      req.params.importId,
+      { file: req.file },
+      req.userId,
+      req.userRole
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Calendario externo sincronizado'
+    });
+  });
+
+  static deleteImport = asyncErrorHandler(async (req, res) => {
+    await CalendarSyncService.deleteImport(req.params.id, req.params.importId, req.userId, req.userRole);
+
+    res.json({
+      success: true,
+      message: 'Importación eliminada junto con sus fechas bloqueadas'
+    });
+  });
+}
@@ -0,0 +1,62 @@
+// src/controllers/calendar.controller.js
+import { CalendarService } from '../services/calendar.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class CalendarController {
+  static getCalendar = asyncErrorHandler(async (req, res) => {
+    const calendar = await CalendarService.getCalendar(
+      req.params.id,
+      { from: req.query.from, to: req.query.to },
+      { userId: req.userId, userRole: req.userRole }
+    );
+
+    res.json({
+      success: true,
+      data: calendar
+    });
+  });
+
+  static blockDates = asyncErrorHandler(async (req, res) => {
+    const block = await CalendarService.blockDates(
+      req.params.id,
+      {
+        startDate: req.body.start_date,
+        endDate: req.body.end_date,
+        reason: req.body.reason,
+        notes: req.body.notes
+      },
+      req.userId,
+      req.userRole
+    );
+
+    res.status(201).json({
+      success: true,
+      data: block,
+      message: 'Fechas bloqueadas exitosamente'
+    });
+  });
+
+  static unblockDates = asyncErrorHandler(async (req, res) => {
+    const updated = await CalendarService.unblockDates(
+      req.params.id,
+      { startDate: req.query.start_date, endDate: req.query.end_date },
+      req.userId,
+      req.userRole
+    );
+
+    res.json({
+      success: true,
+      data: { updated },
+      message: 'Fechas desbloqueadas exitosamente'
+    });
+  });
+
+  static removeBlock = asyncErrorHandler(async (req, res) => {
+    await CalendarService.removeBlock(req.params.id, req.params.blockId, req.userId, req.userRole);
+
+    res.json({
+      success: true,
+      message: 'Bloqueo eliminado exitosamente'
+    });
+  });
+}
@@ -0,0 +1,29 @@
+// src/controllers/cancellation.controller.js
+import { CancellationService } from '../services/cancellation.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class CancellationController {
+  static getPolicy = asyncErrorHandler(async (req, res) => {
+    const policy = await CancellationService.getPropertyPolicy(req.params.id);
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  });
+
+  static updatePolicy = asyncErrorHandler(async (req, res) => {
+    const policy = await CancellationService.updatePropertyPolicy(
+      req.params.id,
+      { policy: req.body.policy, tiers: req.body.tiers },
+      req.userId,
+      req.userRole
+    );
+
+    res.json({
+      success: true,
+      data: policy,
+      message: 'Política de cancelación actualizada. Se aplicará a las reservas nuevas'
+    });
+  });
+}
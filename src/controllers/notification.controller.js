@@ -0,0 +1,70 @@
+// src/controllers/notification.controller.js
+import { NotificationService } from '../services/notification.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class NotificationController {
+  static getNotifications = asyncErrorHandler(async (req, res) => {
+    const filters = {
+      unreadOnly: req.query.unread === 'true'
+    };
+
+    const pagination = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    };
+
+    const result = await NotificationService.getNotifications(req.userId, filters, pagination);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  static getUnreadCount = asyncErrorHandler(async (req, res) => {
+    const unread = await NotificationService.getUnreadCount(req.userId);
+
+    res.json({
+      success: true,
+      data: { unread }
+    });
+  });
+
+  static markAsRead = asyncErrorHandler(async (req, res) => {
+    await NotificationService.markAsRead(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Notificación marcada como leída'
+    });
+  });
+
+  static markAllAsRead = asyncErrorHandler(async (req, res) => {
+    const updated = await NotificationService.markAllAsRead(req.userId);
+
+    res.json({
+      success: true,
+      data: { updated },
+      message: 'Notificaciones marcadas como leídas'
+    });
+  });
+
+  static getPreferences = asyncErrorHandler(async (req, res) => {
+    const preferences = await NotificationService.getPreferences(req.userId);
+
+    res.json({
+      success: true,
+      data: preferences
+    });
+  });
+
+  static updatePreferences = asyncErrorHandler(async (req, res) => {
+    const preferences = await NotificationService.updatePreferences(req.userId, req.body.preferences);
+
+    res.json({
+      success: true,
+      data: preferences,
+      message: 'Preferencias actualizadas exitosamente'
+    });
+  });
+}
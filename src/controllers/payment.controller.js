@@ -1,17 +1,20 @@
 // src/controllers/payment.controller.js
 import { PaymentService } from '../services/payment.service.js';
+import { PaymentWebhookService } from '../services/payment-webhook.service.js';
+import { RefundService } from '../services/refund.service.js';
 import { asyncErrorHandler } from '../utils/errors/index.js';
+import { PAYMENT_STATUS, REFUND_STATUS, REFUND_REASONS } from '../config/constants.js';
 
 export class PaymentController {
   static createPayment = asyncErrorHandler(async (req, res) => {
-    const result = await PaymentService.createPayment(req.body);
+    const result = await PaymentService.createPayment(req.body, { userId: req.userId || null });
+
+    // 202: pendiente de 3-D Secure; 402: rechazado por el procesador
+    const statusCode = { [PAYMENT_STATUS.PENDING]: 202, [PAYMENT_STATUS.FAILED]: 402 }[result.status] || 201;
     
-    res.status(201).json({
-      status: 'success',
-      data: {
-        ...result,
-        message: 'Pago procesado exitosamente'
-      }
+    res.status(statusCode).json({
+      status: statusCode === 402 ? 'fail' : 'success',
+      data: result
     });
   });
 
@@ -34,7 +37,7 @@ export class PaymentController {
   });
 
   static getPayment = asyncErrorHandler(async (req, res) => {
-    const payment = await PaymentService.getPaymentById(req.params.id);
+    const payment = await RefundService.getPayment(req.params.id, req.userId, req.userRole);
     
     res.json({
       status: 'success',
@@ -42,12 +45,76 @@ export class PaymentController {
     });
   });
 
+  // Reembolsar todo lo que queda del pago; la razón queda como nota de la solicitud
   static refundPayment = asyncErrorHandler(async (req, res) => {
-    await PaymentService.refundPayment(req.params.id, req.userId); // Asumiendo que req.userId viene del middleware de auth
+    const refund = await RefundService.request(req.params.id, {
+      reason: REFUND_REASONS.OTHER,
+      notes: req.body.reason
+    }, req.userId, req.userRole);
     
+    res.status(201).json({
+      status: 'success',
+      data: refund,
+      message: refund.status === REFUND_STATUS.PROCESSED
+        ? 'Pago reembolsado exitosamente'
+        : 'Reembolso pendiente de aprobación'
+    });
+  });
+
+  static getRefunds = asyncErrorHandler(async (req, res) => {
+    const result = await RefundService.list(req.params.id, req.userId, req.userRole);
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  });
+
+  // 201 con el reembolso procesado, o pendiente si requiere aprobación
+  static requestRefund = asyncErrorHandler(async (req, res) => {
+    const { amount, reason, notes } = req.body;
+    const refund = await RefundService.request(req.params.id, {
+      amount: amount === undefined ? undefined : Number(amount),
+      reason,
+      notes
+    }, req.userId, req.userRole);
+
+    res.status(201).json({
+      status: 'success',
+      data: refund
+    });
+  });
+
+  static approveRefund = asyncErrorHandler(async (req, res) => {
+    const refund = await RefundService.approve(req.params.id, Number(req.params.refundId), req.userId, req.userRole, {
+      note: req.body.note
+    });
+
+    res.json({
+      status: 'success',
+      data: refund
+    });
+  });
+
+  static rejectRefund = asyncErrorHandler(async (req, res) => {
+    const refund = await RefundService.reject(req.params.id, Number(req.params.refundId), req.userId, req.userRole, {
+      note: req.body.note
+    });
+
     res.json({
       status: 'success',
-      message: 'Pago reembolsado exitosamente'
+      data: refund
+    });
+  });
+
+  // Responde 2xx solo cuando el evento quedó aplicado; si no, el procesador lo reenvía
+  static receiveWebhook = asyncErrorHandler(async (req, res) => {
+    const event = await PaymentWebhookService.receive(req.params.provider, req.rawBody, req.headers);
+
+    res.json({
+      received: true,
+      status: event.status,
+      duplicate: Boolean(event.duplicate)
     });
   });
-}
\ No newline at end of file
+}
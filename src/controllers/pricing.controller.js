@@ -0,0 +1,64 @@
+// src/controllers/pricing.controller.js
+import { PricingService } from '../services/pricing.service.js';
+import { CancellationService } from '../services/cancellation.service.js';
+import bookingService from '../services/booking.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class PricingController {
+  // Cotización desglosada de una estancia; indica también si las fechas están libres y la política de cancelación
+  static getQuote = asyncErrorHandler(async (req, res) => {
+    const { check_in_date, check_out_date, guests } = req.body;
+
+    const quote = await PricingService.quote(req.params.id, {
+      checkIn: check_in_date,
+      checkOut: check_out_date,
+      guests
+    });
+
+    const available = await bookingService.checkAvailability(req.params.id, check_in_date, check_out_date);
+    const { policy, tiers } = await CancellationService.getPropertyPolicy(req.params.id);
+
+    res.json({
+      success: true,
+      data: { ...quote, available, cancellation_policy: { policy, tiers } }
+    });
+  });
+
+  static getPricing = asyncErrorHandler(async (req, res) => {
+    const pricing = await PricingService.getPricing(req.params.id, req.userId, req.userRole);
+
+    res.json({
+      success: true,
+      data: pricing
+    });
+  });
+
+  static updatePricing = asyncErrorHandler(async (req, res) => {
+    const pricing = await PricingService.updatePricing(req.params.id, req.body, req.userId, req.userRole);
+
+    res.json({
+      success: true,
+      data: pricing,
+      message: 'Tarifas actualizadas exitosamente'
+    });
+  });
+
+  static addRule = asyncErrorHandler(async (req, res) => {
+    const rule = await PricingService.addRule(req.params.id, req.body, req.userId, req.userRole);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Regla de precio creada exitosamente'
+    });
+  });
+
+  static removeRule = asyncErrorHandler(async (req, res) => {
+    await PricingService.removeRule(req.params.id, req.params.ruleId, req.userId, req.userRole);
+
+    res.json({
+      success: true,
+      message: 'Regla de precio eliminada exitosamente'
+    });
+  });
+}
@@ -88,7 +88,8 @@ export class PropertyController {
       req.params.id,
       req.body,
       imageFile,
-      req.userId
+      req.userId,
+      req.userRole
     );
     
     res.json({
@@ -100,7 +101,8 @@ export class PropertyController {
   static deleteProperty = asyncErrorHandler(async (req, res) => {
     await PropertyService.deleteProperty(
       req.params.id,
-      req.userId
+      req.userId,
+      req.userRole
     );
     
     res.json({
@@ -138,7 +140,8 @@ export class PropertyController {
       id,
       imageFile,
       isPrimary === 'true',
-      req.userId
+      req.userId,
+      req.userRole
     );
     
     res.json({
@@ -197,7 +200,8 @@ static archiveProperty = asyncErrorHandler(async (req, res) => {
   await PropertyService.archiveProperty(
     id,
     { reason },
-    req.userId
+    req.userId,
+    req.userRole
   );
   
   res.json({
@@ -216,7 +220,8 @@ static restoreProperty = asyncErrorHandler(async (req, res) => {
   await PropertyService.restoreProperty(
     id,
     status || 'for-rent',
-    req.userId
+    req.userId,
+    req.userRole
   );
   
   res.json({
@@ -111,7 +111,8 @@ static createReview = asyncErrorHandler(async (req, res) => {
     
     await ReviewService.deleteReview(
       req.params.id,
-      userId
+      userId,
+      req.userRole
     );
     
     res.json({
@@ -21,17 +21,22 @@ export class UserController {
   static getUsers = asyncErrorHandler(async (req, res) => {
     const filters = {
       status: req.query.status,
-      search: req.query.search
+      role: req.query.role,
+      search: req.query.search,
+      createdFrom: req.query.created_from,
+      createdTo: req.query.created_to
     };
 
-    const users = await UserService.getUsers(filters);
+    const pagination = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    };
+
+    const result = await UserService.getUsers(filters, pagination);
     
     res.json({
       success: true,
-      data: {
-        users,
-        count: users.length
-      }
+      data: result
     });
   });
 
@@ -111,7 +116,8 @@ export class UserController {
     await UserService.updateUser(
       req.params.id,
       req.body,
-      req.userId
+      req.userId,
+      req.userRole
     );
     
     res.json({
@@ -123,7 +129,8 @@ export class UserController {
   static deleteUser = asyncErrorHandler(async (req, res) => {
     await UserService.deleteUser(
       req.params.id,
-      req.userId
+      req.userId,
+      req.userRole
     );
     
     res.json({
@@ -131,6 +138,19 @@ export class UserController {
       message: 'Usuario eliminado exitosamente'
     });
   });
+
+  static updateUserRole = asyncErrorHandler(async (req, res) => {
+    await UserService.updateRole(
+      req.params.id,
+      req.body.role,
+      req.userId
+    );
+    
+    res.json({
+      success: true,
+      message: 'Rol del usuario actualizado exitosamente'
+    });
+  });
   
   // Métodos para perfil de usuario
   static getProfile = asyncErrorHandler(async (req, res) => {
@@ -147,7 +167,7 @@ export class UserController {
   });
   
   static updateProfile = asyncErrorHandler(async (req, res) => {
-    await UserService.updateUser(req.userId, req.body, req.userId);
+    await UserService.updateUser(req.userId, req.body, req.userId, req.userRole);
     const completeness = await UserService.calculateProfileCompleteness(req.userId);
     
     res.json({
@@ -0,0 +1,89 @@
+// src/jobs/index.js
+// Tareas que ejecuta el planificador (SchedulerService). Cada `run()` devuelve
+// el resumen que queda guardado en job_runs.result
+import bookingService from '../services/booking.service.js';
+import authService from '../services/auth.service.js';
+import { SessionService } from '../services/session.service.js';
+import { CalendarSyncService } from '../services/calendar-sync.service.js';
+import { PaymentService } from '../services/payment.service.js';
+import { PaymentWebhookService } from '../services/payment-webhook.service.js';
+import { IdempotencyService } from '../services/idempotency.service.js';
+import jobsConfig from '../config/jobs.config.js';
+
+const {
+  pendingTimeoutMinutes,
+  paymentAttemptTimeoutMinutes,
+  reminderDaysBefore,
+  reviewRequestWindowDays
+} = jobsConfig.jobs;
+
+export const JOBS = [
+  {
+    name: 'expire-pending-bookings',
+    description: `Expira las reservas pendientes sin pago después de ${pendingTimeoutMinutes} minutos y libera sus noches`,
+    intervalMinutes: 5,
+    run: async () => ({ expired: await bookingService.cancelExpiredBookings(pendingTimeoutMinutes) })
+  },
+  {
+    name: 'complete-finished-bookings',
+    description: 'Marca como completadas las reservas confirmadas cuya fecha de salida ya pasó',
+    intervalMinutes: 60,
+    run: async () => ({ completed: await bookingService.completeFinishedBookings() })
+  },
+  {
+    name: 'send-check-in-reminders',
+    description: `Recuerda la llegada a los huéspedes ${reminderDaysBefore} día(s) antes`,
+    intervalMinutes: 60,
+    run: async () => ({ sent: await bookingService.sendCheckInReminders(reminderDaysBefore) })
+  },
+  {
+    name: 'request-reviews',
+    description: 'Pide una reseña a los huéspedes después de la salida',
+    intervalMinutes: 60,
+    run: async () => ({ sent: await bookingService.requestReviews(reviewRequestWindowDays) })
+  },
+  {
+    name: 'sync-ical-imports',
+    description: 'Sincroniza los calendarios externos importados por URL',
+    intervalMinutes: 30,
+    run: () => CalendarSyncService.syncAllUrlImports()
+  },
+  {
+    name: 'retry-gateway-operations',
+    description: 'Reintenta en el procesador las anulaciones y los reembolsos que quedaron pendientes',
+    intervalMinutes: 5,
+    run: () => PaymentService.retryGatewayOperations(paymentAttemptTimeoutMinutes)
+  },
+  {
+    name: 'retry-payment-webhooks',
+    description: 'Reintenta los webhooks de pago que fallaron',
+    intervalMinutes: 15,
+    run: () => PaymentWebhookService.retryFailed()
+  },
+  {
+    name: 'reconcile-payment-attempts',
+    description: `Consulta al procesador los cobros sin resultado después de ${paymentAttemptTimeoutMinutes} minutos`,
+    intervalMinutes: 5,
+    run: () => PaymentService.reconcileAttempts(paymentAttemptTimeoutMinutes)
+  },
+  {
+    name: 'purge-password-reset-data',
+    description: 'Elimina los tokens de restablecimiento vencidos y las solicitudes antiguas',
+    intervalMinutes: 24 * 60,
+    run: () => authService.purgePasswordResetData()
+  },
+  {
+    name: 'purge-revoked-tokens',
+    description: 'Elimina de la lista de revocados los tokens de acceso que ya expiraron',
+    intervalMinutes: 60,
+    run: async () => ({ deleted: await SessionService.purgeExpiredRevocations() })
+  },
+  {
+    name: 'purge-idempotency-keys',
+    description: 'Elimina las respuestas guardadas por Idempotency-Key ya vencidas',
+    intervalMinutes: 60,
+    run: () => IdempotencyService.purgeExpired()
+  }
+];
+
+export default JOBS;
@@ -0,0 +1,17 @@
+// src/middleware/admin.middleware.js
+import { ValidationError } from '../utils/errors/index.js';
+
+// Validar que las acciones de moderación indiquen un motivo
+export const validateModerationReason = (req, res, next) => {
+  const { reason } = req.body;
+
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    throw new ValidationError('El motivo es requerido', ['reason']);
+  }
+
+  if (reason.length > 255) {
+    throw new ValidationError('El motivo no puede superar los 255 caracteres');
+  }
+
+  next();
+};
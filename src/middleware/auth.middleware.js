@@ -1,8 +1,51 @@
 // src/middleware/auth.middleware.js
 import jwt from 'jsonwebtoken';
-import { ValidationError, AuthenticationError } from '../utils/errors/index.js';
+import { mysqlPool } from '../config/database.js';
+import { ValidationError, AuthenticationError, AuthorizationError, asyncErrorHandler } from '../utils/errors/index.js';
+import { USER_ROLES, USER_STATUS } from '../config/constants.js';
+import { hasPermission } from '../config/permissions.js';
+import logger from '../utils/logger.js';
 
-export const authenticate = (req, res, next) => {
+// Cargar el estado y el rol actuales del usuario del token
+// (el rol del token puede estar desactualizado y la cuenta pudo ser suspendida)
+// junto con el estado de revocación del token
+const loadTokenUser = async (decoded) => {
+  const [users] = await mysqlPool.query(
+    `SELECT id, role, status, email_verified_at, tokens_valid_after,
+            EXISTS(SELECT 1 FROM revoked_tokens WHERE jti = ?) AS token_revoked
+     FROM users WHERE id = ?`,
+    [decoded.jti || '', decoded.id]
+  );
+
+  return users.length > 0 ? users[0] : null;
+};
+
+// Un token deja de ser válido si se revocó su jti (logout) o si se emitió antes
+// del corte del usuario (cambio o reseteo de contraseña, suspensión)
+const isTokenRevoked = (decoded, user) => {
+  if (!decoded.jti || user.token_revoked) {
+    return true;
+  }
+
+  if (user.tokens_valid_after) {
+    // iat y el corte tienen precisión de segundos: un token del mismo segundo
+    // que el corte pudo emitirse antes, así que también deja de valer
+    const validAfter = new Date(user.tokens_valid_after).getTime();
+    return decoded.iat * 1000 <= validAfter;
+  }
+
+  return false;
+};
+
+const verifyAccessToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET || '1234');
+  } catch (error) {
+    throw new AuthenticationError('Token inválido o expirado');
+  }
+};
+
+export const authenticate = asyncErrorHandler(async (req, res, next) => {
   // Permitir rutas de prueba sin autenticación en entorno de desarrollo
   if (process.env.NODE_ENV === 'development' && req.path.startsWith('/api/test/')) {
     return next();
@@ -15,18 +58,43 @@ export const authenticate = (req, res, next) => {
   }
 
   const token = authHeader.split(' ')[1];
+  const decoded = verifyAccessToken(token);
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || '1234');
-    req.userId = decoded.id;
-    next();
-  } catch (error) {
+  const user = await loadTokenUser(decoded);
+  if (!user || isTokenRevoked(decoded, user)) {
     throw new AuthenticationError('Token inválido o expirado');
   }
-};
+
+  if (user.status === USER_STATUS.BANNED) {
+    throw new AuthorizationError('Esta cuenta ha sido suspendida');
+  }
+
+  if (user.status === USER_STATUS.INACTIVE) {
+    throw new AuthorizationError('Esta cuenta está desactivada');
+  }
+
+  req.userId = user.id;
+  req.userRole = user.role || USER_ROLES.GUEST;
+  req.sessionId = decoded.sid || null;
+  req.token = decoded;
+  req.emailVerified = Boolean(user.email_verified_at);
+
+  // Token de suplantación emitido por un administrador
+  if (decoded.impersonatedBy) {
+    req.impersonatedBy = decoded.impersonatedBy;
+    logger.info('Impersonated request', {
+      userId: user.id,
+      adminId: decoded.impersonatedBy,
+      method: req.method,
+      path: req.originalUrl
+    });
+  }
+
+  next();
+});
 
 // Middleware de autenticación opcional para reseñas y funcionalidades públicas
-export const optionalAuth = (req, res, next) => {
+export const optionalAuth = asyncErrorHandler(async (req, res, next) => {
   // Permitir rutas de prueba sin autenticación en entorno de desarrollo
   if (process.env.NODE_ENV === 'development' && req.path.startsWith('/api/test/')) {
     return next();
@@ -41,15 +109,83 @@ export const optionalAuth = (req, res, next) => {
 
   const token = authHeader.split(' ')[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || '1234');
-    req.userId = decoded.id;
-    next();
+    decoded = verifyAccessToken(token);
   } catch (error) {
     // Error de token - continuar como usuario no autenticado sin lanzar error
     console.warn('Token inválido en optionalAuth:', error.message);
-    next();
+    return next();
+  }
+
+  // Los tokens revocados y las cuentas suspendidas o desactivadas continúan como no autenticados
+  const user = await loadTokenUser(decoded);
+  if (user && user.status === USER_STATUS.ACTIVE && !isTokenRevoked(decoded, user)) {
+    req.userId = user.id;
+    req.userRole = user.role || USER_ROLES.GUEST;
+    req.sessionId = decoded.sid || null;
+    req.token = decoded;
+    req.emailVerified = Boolean(user.email_verified_at);
+    if (decoded.impersonatedBy) {
+      req.impersonatedBy = decoded.impersonatedBy;
+    }
+  }
+
+  next();
+});
+
+// Requerir que el usuario haya verificado su email (usar después de authenticate)
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.userId) {
+    throw new AuthenticationError('No autenticado');
+  }
+
+  if (!req.emailVerified) {
+    throw new AuthorizationError('Debes verificar tu email antes de realizar esta acción');
+  }
+
+  next();
+};
+
+// Restringir la ruta a ciertos roles (usar después de authenticate)
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.userId) {
+    throw new AuthenticationError('No autenticado');
+  }
+
+  if (!roles.includes(req.userRole)) {
+    throw new AuthorizationError('No tienes permiso para realizar esta acción');
+  }
+
+  next();
+};
+
+// Requerir todos los permisos indicados (ver config/permissions.js)
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.userId) {
+    throw new AuthenticationError('No autenticado');
+  }
+
+  const allowed = permissions.every(permission => hasPermission(req.userRole, permission));
+  if (!allowed) {
+    throw new AuthorizationError('No tienes permiso para realizar esta acción');
+  }
+
+  next();
+};
+
+// Permitir el acceso al propio recurso o a quien tenga el permiso indicado
+export const requireSelfOrPermission = (permission, param = 'id') => (req, res, next) => {
+  if (!req.userId) {
+    throw new AuthenticationError('No autenticado');
   }
+
+  const isSelf = String(req.params[param]) === String(req.userId);
+  if (!isSelf && !hasPermission(req.userRole, permission)) {
+    throw new AuthorizationError('No tienes permiso para acceder a este recurso');
+  }
+
+  next();
 };
 
 export const validateRegistrationData = (req, res, next) => {
@@ -88,6 +224,41 @@ export const validateLoginData = (req, res, next) => {
   next();
 };
 
+export const validateRefreshToken = (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new ValidationError('El token de refresco es requerido');
+  }
+
+  next();
+};
+
+export const validateVerifyEmail = (req, res, next) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    throw new ValidationError('El token de verificación es requerido');
+  }
+
+  next();
+};
+
+export const validateResendVerification = (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    throw new ValidationError('El email es requerido');
+  }
+
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    throw new ValidationError('Formato de email inválido');
+  }
+
+  next();
+};
+
 export const validatePasswordChange = (req, res, next) => {
   const { currentPassword, newPassword } = req.body;
 
@@ -100,4 +271,33 @@ export const validatePasswordChange = (req, res, next) => {
   }
 
   next();
-};
\ No newline at end of file
+};
+
+export const validatePasswordResetRequest = (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string') {
+    throw new ValidationError('El email es requerido');
+  }
+
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    throw new ValidationError('Formato de email inválido');
+  }
+
+  next();
+};
+
+export const validatePasswordReset = (req, res, next) => {
+  const { token, newPassword } = req.body;
+
+  if (!token || typeof token !== 'string' || !newPassword) {
+    throw new ValidationError('El token y la nueva contraseña son requeridos');
+  }
+
+  if (newPassword.length < 6) {
+    throw new ValidationError('La nueva contraseña debe tener al menos 6 caracteres');
+  }
+
+  next();
+};
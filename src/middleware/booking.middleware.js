@@ -1,5 +1,7 @@
 // src/middleware/booking.middleware.js
 import { ValidationError } from '../utils/errors/index.js';
+import { BOOKING_STATUS, PAYMENT_STATUS } from '../config/constants.js';
+import { isReferenceCode } from '../utils/reference-code.js';
 
 // Función auxiliar para validar formato de fecha
 const isValidDate = (dateString) => {
@@ -20,7 +22,6 @@ export const validateBookingData = (req, res, next) => {
       check_in_date,
       check_out_date,
       guests,
-      total_price,
       special_requests
     } = req.body;
 
@@ -74,10 +75,6 @@ export const validateBookingData = (req, res, next) => {
     if (!guests || isNaN(parseInt(guests)) || parseInt(guests) < 1) 
       errors.push('Número de huéspedes inválido');
     
-    // Validación de precio total
-    if (!total_price || isNaN(parseFloat(total_price)) || parseFloat(total_price) <= 0) 
-      errors.push('Precio total inválido');
-    
     // Validación de solicitudes especiales (opcional pero con límite de longitud)
     if (special_requests && special_requests.length > 500) 
       errors.push('Las solicitudes especiales no pueden exceder los 500 caracteres');
@@ -109,13 +106,17 @@ export const validateBookingData = (req, res, next) => {
 
 export const validateBookingStatus = (req, res, next) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed'];
+    const { status, reason } = req.body;
+    const validStatuses = Object.values(BOOKING_STATUS);
 
     if (!status || !validStatuses.includes(status)) {
       throw new ValidationError(`Estado de reserva inválido. Debe ser uno de: ${validStatuses.join(', ')}`);
     }
 
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 255)) {
+      throw new ValidationError('El motivo no puede exceder los 255 caracteres');
+    }
+
     next();
   } catch (error) {
     if (error instanceof ValidationError) {
@@ -136,13 +137,18 @@ export const validateCancelBooking = (req, res, next) => {
   try {
     const bookingId = req.params.id;
     
-    // Validar que el ID sea un número válido o un ID temporal
-    if (!bookingId || (isNaN(parseInt(bookingId)) && !bookingId.startsWith('temp-'))) {
+    // Validar que el ID sea un número válido
+    if (!bookingId || isNaN(parseInt(bookingId))) {
       throw new ValidationError('ID de reserva inválido');
     }
+
+    const reason = req.body && req.body.reason;
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 255)) {
+      throw new ValidationError('El motivo no puede exceder los 255 caracteres');
+    }
     
     // Pasar el ID validado
-    req.validatedBookingId = bookingId.startsWith('temp-') ? bookingId : parseInt(bookingId);
+    req.validatedBookingId = parseInt(bookingId);
     
     next();
   } catch (error) {
@@ -158,4 +164,137 @@ export const validateCancelBooking = (req, res, next) => {
       message: 'Error al validar la solicitud de cancelación'
     });
   }
-};
\ No newline at end of file
+};
+// Estados de pago que se pueden filtrar en el panel del anfitrión
+const HOST_PAYMENT_FILTERS = [
+  PAYMENT_STATUS.PENDING,
+  PAYMENT_STATUS.COMPLETED,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REFUNDED,
+  PAYMENT_STATUS.FAILED,
+  PAYMENT_STATUS.CANCELLED
+];
+
+// Listas en la query: ?status=a,b o ?status=a&status=b
+const toList = (value) => (value === undefined ? [] : [].concat(value).flatMap(item => String(item).split(',')).filter(Boolean));
+
+/**
+ * Validar la query de GET /bookings/host y dejar los filtros en `req.hostBookingQuery`
+ * ?property_id=&status=&payment_status=&from=&to=&search=&sort=check_in|created|amount&order=asc|desc&cursor=&limit=
+ */
+export const validateHostBookingsQuery = (req, res, next) => {
+  const { from, to, search, sort = 'created', order = 'desc', cursor, limit } = req.query;
+  const propertyIds = toList(req.query.property_id);
+  const status = toList(req.query.status);
+  const paymentStatus = toList(req.query.payment_status);
+  const errors = [];
+
+  if (!propertyIds.every(id => /^\d+$/.test(id))) errors.push('property_id');
+  if (!status.every(item => Object.values(BOOKING_STATUS).includes(item))) errors.push('status');
+  if (!paymentStatus.every(item => HOST_PAYMENT_FILTERS.includes(item))) errors.push('payment_status');
+  if (from !== undefined && !isValidDate(from)) errors.push('from');
+  if (to !== undefined && !isValidDate(to)) errors.push('to');
+  if (search !== undefined && (typeof search !== 'string' || search.length > 100)) errors.push('search');
+  if (!['check_in', 'created', 'amount'].includes(sort)) errors.push('sort');
+  if (!['asc', 'desc'].includes(order)) errors.push('order');
+  if (limit !== undefined && !(/^\d+$/.test(limit) && Number(limit) >= 1 && Number(limit) <= 100)) errors.push('limit');
+
+  if (errors.length > 0) {
+    throw new ValidationError('Filtros de reservas inválidos', errors);
+  }
+
+  if (from && to && to <= from) {
+    throw new ValidationError('La fecha final debe ser posterior a la inicial', ['to']);
+  }
+
+  req.hostBookingQuery = {
+    filters: {
+      propertyIds: propertyIds.map(Number),
+      status,
+      paymentStatus,
+      from,
+      to,
+      search: search ? search.trim() : undefined
+    },
+    options: {
+      sort,
+      order,
+      cursor: cursor || null,
+      limit: limit ? Number(limit) : 20
+    }
+  };
+
+  next();
+};
+
+// Validar { reference_code, email } o { token } para consultar una reserva sin cuenta
+export const validateBookingLookup = (req, res, next) => {
+  const { reference_code, email, token } = req.body;
+
+  if (token !== undefined) {
+    if (typeof token !== 'string' || token.length === 0 || token.length > 2048) {
+      throw new ValidationError('Enlace de reserva inválido', ['token']);
+    }
+    return next();
+  }
+
+  const errors = [];
+  if (!isReferenceCode(reference_code)) errors.push('reference_code');
+  if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) errors.push('email');
+
+  if (errors.length > 0) {
+    throw new ValidationError('Indica el código de referencia y el email de la reserva', errors);
+  }
+
+  next();
+};
+
+// Validar { reference_code } o { token } para añadir una reserva a la cuenta
+export const validateBookingClaim = (req, res, next) => {
+  const { reference_code, token } = req.body;
+
+  if (token !== undefined) {
+    if (typeof token !== 'string' || token.length === 0 || token.length > 2048) {
+      throw new ValidationError('Enlace de reserva inválido', ['token']);
+    }
+    return next();
+  }
+
+  if (!isReferenceCode(reference_code)) {
+    throw new ValidationError('Código de referencia inválido', ['reference_code']);
+  }
+
+  next();
+};
+
+// Validar POST /:id/modifications: { check_in_date, check_out_date, guests, reason } (al menos un cambio)
+export const validateModificationRequest = (req, res, next) => {
+  const { check_in_date, check_out_date, guests, reason } = req.body;
+  const errors = [];
+
+  if (check_in_date === undefined && check_out_date === undefined && guests === undefined) {
+    throw new ValidationError('Indica las nuevas fechas o el número de huéspedes', ['check_in_date', 'check_out_date', 'guests']);
+  }
+
+  if (check_in_date !== undefined && !isValidDate(check_in_date)) errors.push('check_in_date');
+  if (check_out_date !== undefined && !isValidDate(check_out_date)) errors.push('check_out_date');
+  if (guests !== undefined && !(Number.isInteger(Number(guests)) && Number(guests) >= 1)) errors.push('guests');
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 255)) errors.push('reason');
+
+  if (errors.length > 0) {
+    throw new ValidationError('Datos de la solicitud de cambio inválidos', errors);
+  }
+
+  next();
+};
+
+// Validar { note } al aprobar o rechazar una solicitud de cambio
+export const validateModificationResponse = (req, res, next) => {
+  const note = req.body && req.body.note;
+
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 255)) {
+    throw new ValidationError('La nota no puede exceder los 255 caracteres', ['note']);
+  }
+
+  next();
+};
@@ -0,0 +1,62 @@
+// src/middleware/calendar.middleware.js
+import { ValidationError } from '../utils/errors/index.js';
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (value) => typeof value === 'string' &&
+  DATE_REGEX.test(value) &&
+  !isNaN(new Date(`${value}T00:00:00Z`));
+
+// Validar un rango de fechas inclusivo { start_date, end_date } en el body o en la query
+const validateRange = ({ start_date, end_date }) => {
+  const errors = [];
+
+  if (!isValidDate(start_date)) errors.push('start_date');
+  if (!isValidDate(end_date)) errors.push('end_date');
+
+  if (errors.length > 0) {
+    throw new ValidationError('Las fechas deben tener el formato YYYY-MM-DD', errors);
+  }
+
+  if (end_date < start_date) {
+    throw new ValidationError('La fecha final debe ser igual o posterior a la inicial');
+  }
+};
+
+export const validateBlockDates = (req, res, next) => {
+  validateRange(req.body);
+
+  if (req.body.notes && req.body.notes.length > 255) {
+    throw new ValidationError('Las notas no pueden superar los 255 caracteres');
+  }
+
+  next();
+};
+
+export const validateUnblockDates = (req, res, next) => {
+  validateRange(req.query);
+  next();
+};
+
+// Importación de calendario externo: una URL o un archivo .ics (campo `file`)
+export const validateIcalImport = (req, res, next) => {
+  const { name, url } = req.body;
+
+  if (!req.file && !url) {
+    throw new ValidationError('Debe indicar la URL del calendario o subir un archivo .ics', ['url', 'file']);
+  }
+
+  if (req.file && url) {
+    throw new ValidationError('Indique una URL o un archivo, no ambos', ['url', 'file']);
+  }
+
+  if (name && name.length > 100) {
+    throw new ValidationError('El nombre no puede superar los 100 caracteres', ['name']);
+  }
+
+  if (url && url.length > 2048) {
+    throw new ValidationError('La URL no puede superar los 2048 caracteres', ['url']);
+  }
+
+  next();
+};
@@ -0,0 +1,43 @@
+// src/middleware/cancellation.middleware.js
+import { ValidationError } from '../utils/errors/index.js';
+import { CANCELLATION_POLICIES } from '../config/constants.js';
+
+const MAX_TIERS = 5;
+
+// Validar PUT /:id/cancellation-policy: { policy, tiers: [{ hours_before, refund_percent }] }
+export const validateCancellationPolicy = (req, res, next) => {
+  const { policy, tiers } = req.body;
+  const policies = Object.values(CANCELLATION_POLICIES);
+
+  if (!policies.includes(policy)) {
+    throw new ValidationError(`Política inválida. Valores permitidos: ${policies.join(', ')}`, ['policy']);
+  }
+
+  if (policy !== CANCELLATION_POLICIES.CUSTOM) {
+    return next();
+  }
+
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > MAX_TIERS) {
+    throw new ValidationError(`La política personalizada requiere entre 1 y ${MAX_TIERS} tramos`, ['tiers']);
+  }
+
+  const errors = [];
+  tiers.forEach((tier, index) => {
+    const hours = Number(tier && tier.hours_before);
+    const percent = Number(tier && tier.refund_percent);
+
+    if (!Number.isInteger(hours) || hours < 0) errors.push(`tiers[${index}].hours_before`);
+    if (isNaN(percent) || percent < 0 || percent > 100) errors.push(`tiers[${index}].refund_percent`);
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Tramos de cancelación inválidos', errors);
+  }
+
+  const hours = tiers.map(tier => Number(tier.hours_before));
+  if (new Set(hours).size !== hours.length) {
+    throw new ValidationError('Cada tramo debe tener una antelación distinta', ['tiers']);
+  }
+
+  next();
+};
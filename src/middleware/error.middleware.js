@@ -16,6 +16,10 @@ export const errorMiddleware = (err, req, res, next) => {
 
   // Si es un error operacional conocido
   if (err instanceof BaseError) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+
     return res.status(err.statusCode).json({
       success: false,
       message: err.message,
@@ -0,0 +1,104 @@
+// src/middleware/idempotency.middleware.js
+import crypto from 'crypto';
+import { ValidationError, asyncErrorHandler } from '../utils/errors/index.js';
+import { IdempotencyService } from '../services/idempotency.service.js';
+import { normalizeReferenceCode } from '../utils/reference-code.js';
+import logger from '../utils/logger.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// Respuestas de PaymentGatewayError: el procesador falló o no respondió y el cobro
+// pudo hacerse, así que la clave no se libera
+const GATEWAY_ERROR_STATUSES = [502, 504];
+
+/**
+ * Ámbito de la clave: el usuario autenticado o, sin sesión, la reserva y la prueba
+ * de acceso a ella (código y email, o el enlace). Así una clave de un huésped no
+ * devuelve nunca la respuesta guardada de otro.
+ * @returns {string|null} - null si la petición no prueba acceso a ninguna reserva
+ */
+const getScope = (req) => {
+  if (req.userId) {
+    return `user:${req.userId}`;
+  }
+
+  const { booking_id: bookingId, reference_code: referenceCode, email, token } = req.body || {};
+  const proof = token
+    ? `token:${token}`
+    : referenceCode && email && `code:${normalizeReferenceCode(referenceCode)}:${String(email).trim().toLowerCase()}`;
+
+  if (!proof || !Number.isInteger(Number(bookingId))) {
+    return null;
+  }
+
+  return `booking:${Number(bookingId)}:${crypto.createHash('sha256').update(proof).digest('hex')}`;
+};
+
+/**
+ * Soporte de la cabecera Idempotency-Key en los POST que cobran o reservan
+ * Va después de la autenticación (ver getScope). Los errores 5xx no se guardan y el
+ * reintento vuelve a procesar la petición, salvo los del procesador de pagos: esos
+ * dejan la clave como fallida hasta que venza.
+ */
+export const idempotent = asyncErrorHandler(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    throw new ValidationError('Idempotency-Key inválida', ['Idempotency-Key']);
+  }
+
+  // Sin sesión ni acceso a una reserva la petición se rechaza igualmente: no hay nada que guardar
+  const scope = getScope(req);
+  if (!scope) {
+    return next();
+  }
+
+  const path = `${req.baseUrl}${req.path}`;
+  const entry = await IdempotencyService.begin({
+    scope,
+    key,
+    method: req.method,
+    path,
+    requestHash: IdempotencyService.fingerprint(req.method, path, req.body)
+  });
+
+  if (entry.replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(entry.replay.status).json(entry.replay.body);
+  }
+
+  // Guardar la respuesta antes de enviarla: un reintento inmediato ya la encuentra
+  let settled = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    let save;
+    if (GATEWAY_ERROR_STATUSES.includes(res.statusCode)) {
+      save = IdempotencyService.fail(entry.id, res.statusCode, body);
+    } else if (res.statusCode >= 500) {
+      save = IdempotencyService.release(entry.id);
+    } else {
+      save = IdempotencyService.complete(entry.id, res.statusCode, body);
+    }
+
+    save
+      .catch(error => logger.error('Idempotency key update failed', { id: entry.id, error: error.message }))
+      .finally(() => json(body));
+    return res;
+  };
+
+  // Las respuestas que no son JSON no se guardan: la clave queda libre
+  res.on('finish', () => {
+    if (!settled) {
+      IdempotencyService.release(entry.id).catch(error => {
+        logger.error('Idempotency key release failed', { id: entry.id, error: error.message });
+      });
+    }
+  });
+
+  next();
+});
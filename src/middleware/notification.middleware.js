@@ -0,0 +1,31 @@
+// src/middleware/notification.middleware.js
+import { ValidationError } from '../utils/errors/index.js';
+
+// Validar el cuerpo de PUT /preferences: { preferences: [{ event, in_app, email }] }
+export const validatePreferences = (req, res, next) => {
+  const { preferences } = req.body;
+
+  if (!Array.isArray(preferences) || preferences.length === 0) {
+    throw new ValidationError('Se requiere un array de preferencias', ['preferences']);
+  }
+
+  const errors = [];
+  preferences.forEach((preference, index) => {
+    if (!preference || typeof preference.event !== 'string') {
+      errors.push(`preferences[${index}].event`);
+      return;
+    }
+
+    ['in_app', 'email'].forEach(channel => {
+      if (preference[channel] !== undefined && typeof preference[channel] !== 'boolean') {
+        errors.push(`preferences[${index}].${channel}`);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Preferencias de notificación inválidas', errors);
+  }
+
+  next();
+};
@@ -1,15 +1,27 @@
 // src/middleware/payment.middleware.js
 
 import { ValidationError } from '../utils/errors/index.js';
+import { isReferenceCode } from '../utils/reference-code.js';
+import { REFUND_REASONS } from '../config/constants.js';
+
+// Motivos que se pueden elegir al pedir un reembolso (el resto los asigna el sistema)
+const REQUESTABLE_REFUND_REASONS = [
+  REFUND_REASONS.REQUESTED_BY_GUEST,
+  REFUND_REASONS.SERVICE_ISSUE,
+  REFUND_REASONS.DUPLICATE,
+  REFUND_REASONS.GOODWILL,
+  REFUND_REASONS.OTHER
+];
 
 export const validatePaymentData = (req, res, next) => {
   try {
-    const { booking_id, amount, payment_method, currency, details } = req.body;
+    const { booking_id, amount, payment_method, currency, details, reference_code, email, token } = req.body;
     
     const errors = [];
     
     // Validaciones básicas
     if (!booking_id) errors.push('ID de reserva es requerido');
+    else if (!/^[1-9]\d*$/.test(String(booking_id))) errors.push('ID de reserva inválido');
     if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) 
       errors.push('Monto debe ser un número positivo');
     
@@ -25,6 +37,15 @@ export const validatePaymentData = (req, res, next) => {
     if (currency && !validCurrencies.includes(currency)) 
       errors.push(`Moneda inválida. Debe ser una de: ${validCurrencies.join(', ')}`);
     
+    // Acceso sin sesión: código de referencia + email, o el token del enlace de la reserva
+    if (token !== undefined && (typeof token !== 'string' || token.length === 0 || token.length > 2048))
+      errors.push('Enlace de reserva inválido');
+    if (token === undefined && reference_code !== undefined) {
+      if (!isReferenceCode(reference_code)) errors.push('Código de referencia inválido');
+      if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()))
+        errors.push('Email de la reserva inválido');
+    }
+    
     // Validaciones específicas por método de pago
     if ((payment_method === 'credit_card' || payment_method === 'debit_card') && details) {
       let parsedDetails;
@@ -39,7 +60,11 @@ export const validatePaymentData = (req, res, next) => {
       if (parsedDetails) {
         if (!parsedDetails.card_holder) 
           errors.push('Nombre del titular de la tarjeta es requerido');
-        if (!parsedDetails.card_last_four || !/^\d{4}$/.test(parsedDetails.card_last_four)) 
+        // El número completo se envía al procesador; sin él basta con los últimos 4 dígitos
+        if (parsedDetails.card_number !== undefined) {
+          if (!/^\d{12,19}$/.test(String(parsedDetails.card_number).replace(/[\s-]/g, '')))
+            errors.push('Número de tarjeta inválido');
+        } else if (!parsedDetails.card_last_four || !/^\d{4}$/.test(parsedDetails.card_last_four)) 
           errors.push('Últimos 4 dígitos de la tarjeta inválidos');
         if (!parsedDetails.card_expiry || !/^(0[1-9]|1[0-2])\/(\d{2}|\d{4})$/.test(parsedDetails.card_expiry)) 
           errors.push('Fecha de expiración de tarjeta inválida');
@@ -76,7 +101,7 @@ export const validateRefundRequest = (req, res, next) => {
     const { reason } = req.body;
     
     // Validar que se proporcione una razón para el reembolso
-    if (!reason || reason.trim().length < 5) {
+    if (!reason || reason.trim().length < 5 || reason.length > 500) {
       throw new ValidationError('Se requiere una razón válida para el reembolso');
     }
     
@@ -100,4 +125,37 @@ export const validateRefundRequest = (req, res, next) => {
       message: 'Error al procesar la solicitud de reembolso'
     });
   }
-};
\ No newline at end of file
+};
+
+// Validar POST /:id/refunds: { amount, reason, notes } (sin amount se reembolsa todo lo que queda)
+export const validateRefundCreate = (req, res, next) => {
+  const { amount, reason, notes } = req.body;
+  const errors = [];
+
+  if (!/^[1-9]\d*$/.test(req.params.id)) errors.push('id');
+  if (amount !== undefined && (!/^\d+(\.\d{1,2})?$/.test(String(amount)) || parseFloat(amount) <= 0)) errors.push('amount');
+  if (!REQUESTABLE_REFUND_REASONS.includes(reason)) errors.push('reason');
+  if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > 500)) errors.push('notes');
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Datos del reembolso inválidos. Motivos válidos: ${REQUESTABLE_REFUND_REASONS.join(', ')}`, errors);
+  }
+
+  next();
+};
+
+// Validar la aprobación o el rechazo de un reembolso: { note } opcional
+export const validateRefundDecision = (req, res, next) => {
+  const { note } = req.body;
+  const errors = [];
+
+  if (!/^[1-9]\d*$/.test(req.params.id)) errors.push('id');
+  if (!/^[1-9]\d*$/.test(req.params.refundId)) errors.push('refundId');
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 500)) errors.push('note');
+
+  if (errors.length > 0) {
+    throw new ValidationError('Datos de la decisión inválidos', errors);
+  }
+
+  next();
+};
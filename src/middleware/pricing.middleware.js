@@ -0,0 +1,113 @@
+// src/middleware/pricing.middleware.js
+import { ValidationError } from '../utils/errors/index.js';
+import { PRICING_RULE_TYPES } from '../config/constants.js';
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (value) => typeof value === 'string' &&
+  DATE_REGEX.test(value) &&
+  !isNaN(new Date(`${value}T00:00:00Z`));
+
+const isNumber = (value) => value !== null && value !== '' && !isNaN(Number(value));
+const isAmount = (value) => isNumber(value) && Number(value) >= 0;
+const isPercent = (value, min = 0) => isNumber(value) && Number(value) >= min && Number(value) <= 100;
+const isPositiveInt = (value) => Number.isInteger(Number(value)) && Number(value) >= 1;
+
+// Validar { check_in_date, check_out_date, guests } para POST /:id/quote
+export const validateQuote = (req, res, next) => {
+  const { check_in_date, check_out_date, guests } = req.body;
+  const errors = [];
+
+  if (!isValidDate(check_in_date)) errors.push('check_in_date');
+  if (!isValidDate(check_out_date)) errors.push('check_out_date');
+  if (guests !== undefined && !isPositiveInt(guests)) errors.push('guests');
+
+  if (errors.length > 0) {
+    throw new ValidationError('Datos de cotización inválidos', errors);
+  }
+
+  if (check_out_date <= check_in_date) {
+    throw new ValidationError('La fecha de salida debe ser posterior a la de entrada', ['check_out_date']);
+  }
+
+  next();
+};
+
+// Validar los campos presentes de PUT /:id/pricing
+export const validatePricing = (req, res, next) => {
+  const data = req.body;
+  const errors = [];
+
+  if (data.currency !== undefined && !/^[A-Z]{3}$/.test(data.currency)) errors.push('currency');
+
+  ['nightly_rate', 'cleaning_fee'].forEach(field => {
+    if (data[field] !== undefined && !isAmount(data[field])) errors.push(field);
+  });
+
+  ['weekly_rate', 'monthly_rate'].forEach(field => {
+    if (data[field] !== undefined && data[field] !== null && !isAmount(data[field])) errors.push(field);
+  });
+
+  ['weekend_uplift_percent', 'service_fee_percent', 'isv_percent', 'tourism_tax_percent'].forEach(field => {
+    if (data[field] !== undefined && !isPercent(data[field])) errors.push(field);
+  });
+
+  if (data.weekend_days !== undefined) {
+    const days = Array.isArray(data.weekend_days) ? data.weekend_days : String(data.weekend_days).split(',');
+    if (!days.every(day => Number.isInteger(Number(day)) && Number(day) >= 0 && Number(day) <= 6)) {
+      errors.push('weekend_days');
+    }
+  }
+
+  if (data.min_nights !== undefined && !isPositiveInt(data.min_nights)) errors.push('min_nights');
+  if (data.max_nights !== undefined && data.max_nights !== null && !isPositiveInt(data.max_nights)) errors.push('max_nights');
+
+  if (errors.length > 0) {
+    throw new ValidationError('Configuración de precios inválida', errors);
+  }
+
+  if (data.min_nights && data.max_nights && Number(data.max_nights) < Number(data.min_nights)) {
+    throw new ValidationError('La estancia máxima no puede ser menor que la mínima', ['max_nights']);
+  }
+
+  next();
+};
+
+/**
+ * Validar una regla de precio
+ * - season: start_date, end_date (inclusivas) y nightly_rate y/o adjustment_percent (-100 a 100)
+ * - length_of_stay: min_nights y adjustment_percent negativo (descuento)
+ */
+export const validatePricingRule = (req, res, next) => {
+  const { rule_type, name, start_date, end_date, nightly_rate, adjustment_percent, min_nights, priority } = req.body;
+  const errors = [];
+
+  if (!Object.values(PRICING_RULE_TYPES).includes(rule_type)) errors.push('rule_type');
+  if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) errors.push('name');
+  if (priority !== undefined && !Number.isInteger(Number(priority))) errors.push('priority');
+
+  if (rule_type === PRICING_RULE_TYPES.SEASON) {
+    if (!isValidDate(start_date)) errors.push('start_date');
+    if (!isValidDate(end_date)) errors.push('end_date');
+    if (nightly_rate === undefined && adjustment_percent === undefined) {
+      errors.push('nightly_rate', 'adjustment_percent');
+    }
+    if (nightly_rate !== undefined && !isAmount(nightly_rate)) errors.push('nightly_rate');
+    if (adjustment_percent !== undefined && !isPercent(adjustment_percent, -100)) errors.push('adjustment_percent');
+  }
+
+  if (rule_type === PRICING_RULE_TYPES.LENGTH_OF_STAY) {
+    if (!isPositiveInt(min_nights)) errors.push('min_nights');
+    if (!isPercent(adjustment_percent, -100) || Number(adjustment_percent) >= 0) errors.push('adjustment_percent');
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Regla de precio inválida', errors);
+  }
+
+  if (rule_type === PRICING_RULE_TYPES.SEASON && end_date < start_date) {
+    throw new ValidationError('La fecha final debe ser igual o posterior a la inicial', ['end_date']);
+  }
+
+  next();
+};
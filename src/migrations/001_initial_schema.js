@@ -0,0 +1,209 @@
+// src/migrations/001_initial_schema.js
+// Esquema inicial: las tablas que antes creaba initDatabase desde cada modelo.
+// Usa CREATE TABLE IF NOT EXISTS para que las bases de datos existentes
+// puedan registrar esta migración sin perder datos.
+
+const tables = [
+  {
+    name: 'users',
+    query: `
+      CREATE TABLE IF NOT EXISTS users (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        first_name VARCHAR(50) NOT NULL,
+        last_name VARCHAR(50) NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        phone VARCHAR(20),
+        status ENUM('active', 'inactive', 'banned') DEFAULT 'active',
+        profile_image VARCHAR(255),
+        refresh_token VARCHAR(255),
+        last_login TIMESTAMP,
+        short_bio TEXT,
+        company_name VARCHAR(100),
+        address TEXT,
+        social_facebook VARCHAR(255),
+        social_linkedin VARCHAR(255),
+        social_twitter VARCHAR(255),
+        social_instagram VARCHAR(255),
+        social_pinterest VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `
+  },
+  {
+    name: 'auth_credentials',
+    query: `
+      CREATE TABLE IF NOT EXISTS auth_credentials (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL UNIQUE,
+        password VARCHAR(255) NOT NULL,
+        reset_token VARCHAR(255),
+        reset_token_expires DATETIME,
+        last_login TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `
+  },
+  {
+    name: 'properties',
+    query: `
+      CREATE TABLE IF NOT EXISTS properties (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        address VARCHAR(255) NOT NULL,
+        city VARCHAR(100) NOT NULL,
+        state VARCHAR(100),
+        zip_code VARCHAR(20),
+        price DECIMAL(10,2) NOT NULL,
+        bedrooms INT,
+        bathrooms DECIMAL(3,1),
+        square_feet DECIMAL(10,2),
+        property_type ENUM('house', 'apartment', 'room', 'office', 'commercial', 'land', 'daily-rental', 'new-building', 'parking-lot') NOT NULL,
+        status ENUM('for-rent', 'for-sale', 'unavailable') DEFAULT 'for-rent',
+        image VARCHAR(255),
+        isNew BOOLEAN DEFAULT FALSE,
+        isFeatured BOOLEAN DEFAULT FALSE,
+        isVerified BOOLEAN DEFAULT FALSE,
+        parkingSpaces INT DEFAULT 0,
+        host_id INT,
+        average_rating DECIMAL(3,2) DEFAULT 0,
+        views INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        lat DECIMAL(10,8),
+        lng DECIMAL(11,8)
+      )
+    `
+  },
+  {
+    name: 'property_amenities',
+    query: `
+      CREATE TABLE IF NOT EXISTS property_amenities (
+        property_id INT,
+        amenity VARCHAR(100),
+        PRIMARY KEY (property_id, amenity),
+        FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+      )
+    `
+  },
+  {
+    name: 'property_pets_allowed',
+    query: `
+      CREATE TABLE IF NOT EXISTS property_pets_allowed (
+        property_id INT,
+        pet_type ENUM('cats-allowed', 'dogs-allowed'),
+        PRIMARY KEY (property_id, pet_type),
+        FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+      )
+    `
+  },
+  {
+    name: 'property_images',
+    query: `
+      CREATE TABLE IF NOT EXISTS property_images (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        property_id INT,
+        image_url VARCHAR(255) NOT NULL,
+        is_primary BOOLEAN DEFAULT FALSE,
+        FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+      )
+    `
+  },
+  {
+    name: 'bookings',
+    query: `
+      CREATE TABLE IF NOT EXISTS bookings (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        property_id INT NOT NULL,
+        user_id INT,
+        guest_name VARCHAR(255) NOT NULL,
+        guest_email VARCHAR(255) NOT NULL,
+        guest_phone VARCHAR(20),
+        check_in_date DATE NOT NULL,
+        check_out_date DATE NOT NULL,
+        guests INT NOT NULL DEFAULT 1,
+        total_price DECIMAL(10,2) NOT NULL,
+        special_requests TEXT,
+        cancellation_reason TEXT,
+        status ENUM('pending', 'confirmed', 'cancelled', 'completed') DEFAULT 'pending',
+        payment_status ENUM('pending', 'completed', 'refunded', 'failed') DEFAULT 'pending',
+        payment_method VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
+        deleted_at TIMESTAMP NULL,
+        FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `
+  },
+  {
+    // Definición de booking.model.js: era la que se ejecutaba primero en initDatabase
+    name: 'payments',
+    query: `
+      CREATE TABLE IF NOT EXISTS payments (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        booking_id INT NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        currency VARCHAR(10) DEFAULT 'HNL',
+        payment_method VARCHAR(50),
+        transaction_id VARCHAR(255),
+        status ENUM('pending', 'completed', 'refunded', 'failed', 'cancelled') DEFAULT 'pending',
+        payment_date TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `
+  },
+  {
+    name: 'reviews',
+    query: `
+      CREATE TABLE IF NOT EXISTS reviews (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        property_id INT NOT NULL,
+        booking_id INT,
+        reviewer_id INT,
+        reviewer_name VARCHAR(255) NOT NULL,
+        email VARCHAR(255),
+        rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
+        comment TEXT,
+        likes INT DEFAULT 0,
+        dislikes INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+        FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE SET NULL
+        -- No agregamos FK para reviewer_id porque podría ser anónimo (valor 0)
+      )
+    `
+  },
+  {
+    name: 'favorites',
+    query: `
+      CREATE TABLE IF NOT EXISTS favorites (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        property_id INT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+        UNIQUE KEY user_property (user_id, property_id)
+      )
+    `
+  }
+];
+
+export const up = async (connection) => {
+  // Crear las tablas en orden de dependencias
+  for (const table of tables) {
+    await connection.query(table.query);
+  }
+};
+
+export const down = async (connection) => {
+  // Eliminar en orden inverso para respetar las claves foráneas
+  for (const table of [...tables].reverse()) {
+    await connection.query(`DROP TABLE IF EXISTS ${table.name}`);
+  }
+};
@@ -0,0 +1,30 @@
+// src/migrations/002_add_missing_columns.js
+// Columnas que los servicios ya usan pero que ninguna definición de tabla creaba:
+// archivado de propiedades, detalles de pago y rol de usuario.
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+export const up = async (connection) => {
+  // Archivado de propiedades (PropertyService.archiveProperty / restoreProperty)
+  await addColumnIfMissing(connection, 'properties', 'archived', 'BOOLEAN NOT NULL DEFAULT FALSE');
+  await addColumnIfMissing(connection, 'properties', 'archived_at', 'TIMESTAMP NULL');
+  await addColumnIfMissing(connection, 'properties', 'archived_reason', 'VARCHAR(255) NULL');
+
+  // Detalles del método de pago (PaymentService.createPayment)
+  await addColumnIfMissing(connection, 'payments', 'details', 'JSON NULL');
+
+  // Rol del usuario (USER_ROLES en constants.js)
+  await addColumnIfMissing(
+    connection,
+    'users',
+    'role',
+    "ENUM('guest', 'host', 'admin') NOT NULL DEFAULT 'guest' AFTER status"
+  );
+};
+
+export const down = async (connection) => {
+  await dropColumnIfExists(connection, 'users', 'role');
+  await dropColumnIfExists(connection, 'payments', 'details');
+  await dropColumnIfExists(connection, 'properties', 'archived_reason');
+  await dropColumnIfExists(connection, 'properties', 'archived_at');
+  await dropColumnIfExists(connection, 'properties', 'archived');
+};
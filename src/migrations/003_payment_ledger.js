@@ -0,0 +1,81 @@
+// src/migrations/003_payment_ledger.js
+// Unifica las dos definiciones de `payments` (booking.model con HNL y
+// payment.model con USD) en un solo libro de pagos con eventos.
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+export const up = async (connection) => {
+  // Normalizar columnas: la definición que se creó primero decide qué hay en cada base
+  await connection.query(`
+    ALTER TABLE payments
+      MODIFY currency VARCHAR(3) NOT NULL DEFAULT 'HNL',
+      MODIFY payment_method VARCHAR(50) NULL,
+      MODIFY status ENUM('pending', 'authorized', 'completed', 'failed', 'cancelled', 'refunded', 'partially_refunded')
+        NOT NULL DEFAULT 'pending',
+      MODIFY payment_date TIMESTAMP NULL
+  `);
+
+  await addColumnIfMissing(connection, 'payments', 'refunded_amount', 'DECIMAL(10,2) NOT NULL DEFAULT 0 AFTER amount');
+  await addColumnIfMissing(connection, 'payments', 'created_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+  await addColumnIfMissing(connection, 'payments', 'updated_at', 'TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP');
+
+  // Los reembolsos existentes se consideran totales
+  await connection.query(
+    "UPDATE payments SET refunded_amount = amount WHERE status = 'refunded'"
+  );
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS payment_events (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      payment_id INT NOT NULL,
+      event_type ENUM('authorize', 'capture', 'refund', 'fail', 'void') NOT NULL,
+      amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+      currency VARCHAR(3) NOT NULL DEFAULT 'HNL',
+      status_before VARCHAR(30),
+      status_after VARCHAR(30) NOT NULL,
+      reference VARCHAR(255),
+      metadata JSON NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_payment_events_payment (payment_id, created_at),
+      FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Reconstruir el historial mínimo de los pagos que ya existen
+  await connection.query(`
+    INSERT INTO payment_events (payment_id, event_type, amount, currency, status_before, status_after, reference, created_at)
+    SELECT id, 'capture', amount, currency, 'pending', 'completed', transaction_id, COALESCE(payment_date, created_at, NOW())
+    FROM payments
+    WHERE status IN ('completed', 'refunded')
+  `);
+
+  await connection.query(`
+    INSERT INTO payment_events (payment_id, event_type, amount, currency, status_before, status_after, reference, created_at)
+    SELECT id, 'refund', amount, currency, 'completed', 'refunded', transaction_id, COALESCE(updated_at, payment_date, NOW())
+    FROM payments
+    WHERE status = 'refunded'
+  `);
+
+  await connection.query(`
+    INSERT INTO payment_events (payment_id, event_type, amount, currency, status_before, status_after, reference, created_at)
+    SELECT id, 'fail', amount, currency, 'pending', 'failed', transaction_id, COALESCE(payment_date, created_at, NOW())
+    FROM payments
+    WHERE status = 'failed'
+  `);
+};
+
+export const down = async (connection) => {
+  await connection.query('DROP TABLE IF EXISTS payment_events');
+
+  // Volver a los estados de la definición original
+  await connection.query("UPDATE payments SET status = 'pending' WHERE status = 'authorized'");
+  await connection.query("UPDATE payments SET status = 'refunded' WHERE status = 'partially_refunded'");
+
+  await connection.query(`
+    ALTER TABLE payments
+      MODIFY currency VARCHAR(10) DEFAULT 'HNL',
+      MODIFY status ENUM('pending', 'completed', 'refunded', 'failed', 'cancelled') DEFAULT 'pending'
+  `);
+
+  await dropColumnIfExists(connection, 'payments', 'refunded_amount');
+};
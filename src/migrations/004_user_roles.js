@@ -0,0 +1,16 @@
+// src/migrations/004_user_roles.js
+// La columna users.role se creó en 002; aquí se asigna el rol de anfitrión
+// a los usuarios que ya publicaron propiedades.
+
+export const up = async (connection) => {
+  await connection.query(`
+    UPDATE users
+    SET role = 'host'
+    WHERE role = 'guest'
+    AND id IN (SELECT host_id FROM (SELECT DISTINCT host_id FROM properties WHERE host_id IS NOT NULL) AS hosts)
+  `);
+};
+
+export const down = async (connection) => {
+  await connection.query("UPDATE users SET role = 'guest' WHERE role = 'host'");
+};
@@ -0,0 +1,34 @@
+// src/migrations/005_user_moderation.js
+// Datos de suspensión de cuentas y bitácora de acciones de administración
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+export const up = async (connection) => {
+  await addColumnIfMissing(connection, 'users', 'banned_at', 'TIMESTAMP NULL AFTER role');
+  await addColumnIfMissing(connection, 'users', 'banned_reason', 'VARCHAR(255) NULL AFTER banned_at');
+  await addColumnIfMissing(connection, 'users', 'banned_by', 'INT NULL AFTER banned_reason');
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      admin_id INT NOT NULL,
+      action VARCHAR(50) NOT NULL,
+      target_type VARCHAR(50) NOT NULL,
+      target_id INT NULL,
+      details JSON NULL,
+      ip_address VARCHAR(45),
+      user_agent VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_admin_audit_admin (admin_id, created_at),
+      INDEX idx_admin_audit_target (target_type, target_id),
+      FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+export const down = async (connection) => {
+  await connection.query('DROP TABLE IF EXISTS admin_audit_log');
+
+  await dropColumnIfExists(connection, 'users', 'banned_by');
+  await dropColumnIfExists(connection, 'users', 'banned_reason');
+  await dropColumnIfExists(connection, 'users', 'banned_at');
+};
@@ -0,0 +1,36 @@
+// src/migrations/006_user_sessions.js
+// Sesiones por dispositivo con tokens de refresco rotativos.
+// Cada fila es un token de refresco; las filas de una misma sesión comparten family_id.
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      user_id INT NOT NULL,
+      family_id CHAR(36) NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      user_agent VARCHAR(255),
+      ip_address VARCHAR(45),
+      device_name VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP NULL,
+      expires_at TIMESTAMP NOT NULL,
+      rotated_at TIMESTAMP NULL,
+      revoked_at TIMESTAMP NULL,
+      revoked_reason VARCHAR(50),
+      UNIQUE KEY uq_user_sessions_token (token_hash),
+      INDEX idx_user_sessions_user (user_id, revoked_at),
+      INDEX idx_user_sessions_family (family_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // El token único por usuario queda reemplazado por user_sessions
+  await dropColumnIfExists(connection, 'users', 'refresh_token');
+};
+
+export const down = async (connection) => {
+  await addColumnIfMissing(connection, 'users', 'refresh_token', 'VARCHAR(255) AFTER status');
+  await connection.query('DROP TABLE IF EXISTS user_sessions');
+};
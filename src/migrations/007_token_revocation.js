@@ -0,0 +1,24 @@
+// src/migrations/007_token_revocation.js
+// Revocación de tokens de acceso: lista de jti revocados y un corte por usuario
+// (todo token emitido antes de tokens_valid_after deja de ser válido)
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS revoked_tokens (
+      jti CHAR(36) PRIMARY KEY,
+      user_id INT NULL,
+      reason VARCHAR(50),
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_revoked_tokens_expires (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await addColumnIfMissing(connection, 'users', 'tokens_valid_after', 'TIMESTAMP NULL AFTER last_login');
+};
+
+export const down = async (connection) => {
+  await dropColumnIfExists(connection, 'users', 'tokens_valid_after');
+  await connection.query('DROP TABLE IF EXISTS revoked_tokens');
+};
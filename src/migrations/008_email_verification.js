@@ -0,0 +1,16 @@
+// src/migrations/008_email_verification.js
+// Verificación de email: las cuentas nuevas empiezan sin verificar
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+export const up = async (connection) => {
+  await addColumnIfMissing(connection, 'users', 'email_verified_at', 'TIMESTAMP NULL AFTER email');
+
+  // Las cuentas existentes se consideran verificadas para no bloquearlas
+  await connection.query(
+    'UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL'
+  );
+};
+
+export const down = async (connection) => {
+  await dropColumnIfExists(connection, 'users', 'email_verified_at');
+};
@@ -0,0 +1,37 @@
+// src/migrations/009_notifications.js
+// Bandeja de notificaciones y preferencias por evento y canal
+
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      user_id INT NOT NULL,
+      type VARCHAR(50) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      body TEXT,
+      data JSON NULL,
+      read_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_notifications_user (user_id, read_at, created_at),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Sin fila para un evento se usan los valores por defecto del servicio
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      user_id INT NOT NULL,
+      event_type VARCHAR(50) NOT NULL,
+      in_app BOOLEAN NOT NULL DEFAULT TRUE,
+      email BOOLEAN NOT NULL DEFAULT FALSE,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, event_type),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+export const down = async (connection) => {
+  await connection.query('DROP TABLE IF EXISTS notification_preferences');
+  await connection.query('DROP TABLE IF EXISTS notifications');
+};
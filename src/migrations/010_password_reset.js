@@ -0,0 +1,42 @@
+// src/migrations/010_password_reset.js
+// Tokens de restablecimiento de contraseña (hasheados, de un solo uso) y cuota de solicitudes
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      user_id INT NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      requested_ip VARCHAR(45) NULL,
+      expires_at DATETIME NOT NULL,
+      used_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_password_reset_tokens_user (user_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Una fila por solicitud, exista o no el email
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS password_reset_attempts (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      email VARCHAR(255) NOT NULL,
+      ip_address VARCHAR(45) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_password_reset_attempts_email (email, created_at),
+      INDEX idx_password_reset_attempts_ip (ip_address, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Los tokens en texto plano de auth_credentials quedan sin uso
+  await dropColumnIfExists(connection, 'auth_credentials', 'reset_token');
+  await dropColumnIfExists(connection, 'auth_credentials', 'reset_token_expires');
+};
+
+export const down = async (connection) => {
+  await addColumnIfMissing(connection, 'auth_credentials', 'reset_token', 'VARCHAR(255)');
+  await addColumnIfMissing(connection, 'auth_credentials', 'reset_token_expires', 'DATETIME');
+  await connection.query('DROP TABLE IF EXISTS password_reset_attempts');
+  await connection.query('DROP TABLE IF EXISTS password_reset_tokens');
+};
@@ -0,0 +1,60 @@
+// src/migrations/011_booking_nights.js
+// Calendario de ocupación por noche: la clave primaria impide reservas solapadas
+
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS booking_nights (
+      property_id INT NOT NULL,
+      night DATE NOT NULL,
+      booking_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (property_id, night),
+      INDEX idx_booking_nights_booking (booking_id),
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Ocupar las noches de las reservas activas existentes
+  const [bookings] = await connection.query(
+    `SELECT id, property_id,
+            DATE_FORMAT(check_in_date, '%Y-%m-%d') AS check_in,
+            DATE_FORMAT(check_out_date, '%Y-%m-%d') AS check_out
+     FROM bookings
+     WHERE status != 'cancelled' AND deleted_at IS NULL
+     ORDER BY created_at ASC, id ASC`
+  );
+
+  let overlapping = 0;
+
+  for (const booking of bookings) {
+    const rows = [];
+    const current = new Date(`${booking.check_in}T00:00:00Z`);
+    const end = new Date(`${booking.check_out}T00:00:00Z`);
+
+    while (current < end) {
+      rows.push([booking.property_id, current.toISOString().substring(0, 10), booking.id]);
+      current.setUTCDate(current.getUTCDate() + 1);
+    }
+
+    if (rows.length === 0) continue;
+
+    // Reservas ya solapadas: la más antigua conserva la noche
+    const [result] = await connection.query(
+      'INSERT IGNORE INTO booking_nights (property_id, night, booking_id) VALUES ?',
+      [rows]
+    );
+
+    if (result.affectedRows < rows.length) {
+      overlapping++;
+    }
+  }
+
+  if (overlapping > 0) {
+    console.warn(`booking_nights: ${overlapping} reservas existentes se solapan con otras y requieren revisión`);
+  }
+};
+
+export const down = async (connection) => {
+  await connection.query('DROP TABLE IF EXISTS booking_nights');
+};
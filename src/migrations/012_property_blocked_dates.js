@@ -0,0 +1,25 @@
+// src/migrations/012_property_blocked_dates.js
+// Fechas bloqueadas por el anfitrión (mantenimiento, uso propio); ambas fechas son inclusivas
+
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS property_blocked_dates (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      property_id INT NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      reason VARCHAR(30) NOT NULL DEFAULT 'maintenance',
+      notes VARCHAR(255) NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_blocked_dates_property (property_id, start_date, end_date),
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+export const down = async (connection) => {
+  await connection.query('DROP TABLE IF EXISTS property_blocked_dates');
+};
@@ -0,0 +1,67 @@
+// src/migrations/013_ical_sync.js
+// Sincronización de calendarios iCalendar: feed de exportación por propiedad
+// (protegido con un token secreto) y calendarios externos importados como bloqueos
+import { addColumnIfMissing, dropColumnIfExists, indexExists } from './helpers.js';
+
+export const up = async (connection) => {
+  await addColumnIfMissing(connection, 'properties', 'ical_export_token', 'VARCHAR(64) NULL');
+
+  if (!(await indexExists(connection, 'properties', 'uq_properties_ical_export_token'))) {
+    await connection.query(
+      'ALTER TABLE properties ADD UNIQUE KEY uq_properties_ical_export_token (ical_export_token)'
+    );
+  }
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS property_ical_imports (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      property_id INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      source_type ENUM('url', 'file') NOT NULL,
+      url VARCHAR(2048) NULL,
+      event_count INT NOT NULL DEFAULT 0,
+      last_synced_at TIMESTAMP NULL,
+      last_status VARCHAR(20) NULL,
+      last_error VARCHAR(255) NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_ical_imports_property (property_id),
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Cada evento importado es un bloqueo identificado por (import_id, external_uid)
+  await addColumnIfMissing(connection, 'property_blocked_dates', 'import_id', 'INT NULL AFTER notes');
+  await addColumnIfMissing(connection, 'property_blocked_dates', 'external_uid', 'VARCHAR(255) NULL AFTER import_id');
+
+  if (!(await indexExists(connection, 'property_blocked_dates', 'uq_blocked_dates_import_uid'))) {
+    await connection.query(`
+      ALTER TABLE property_blocked_dates
+        ADD UNIQUE KEY uq_blocked_dates_import_uid (import_id, external_uid),
+        ADD CONSTRAINT fk_blocked_dates_import
+          FOREIGN KEY (import_id) REFERENCES property_ical_imports(id) ON DELETE CASCADE
+    `);
+  }
+};
+
+export const down = async (connection) => {
+  if (await indexExists(connection, 'property_blocked_dates', 'uq_blocked_dates_import_uid')) {
+    await connection.query(`
+      ALTER TABLE property_blocked_dates
+        DROP FOREIGN KEY fk_blocked_dates_import,
+        DROP INDEX uq_blocked_dates_import_uid
+    `);
+  }
+
+  await connection.query('DELETE FROM property_blocked_dates WHERE import_id IS NOT NULL');
+  await dropColumnIfExists(connection, 'property_blocked_dates', 'external_uid');
+  await dropColumnIfExists(connection, 'property_blocked_dates', 'import_id');
+  await connection.query('DROP TABLE IF EXISTS property_ical_imports');
+
+  if (await indexExists(connection, 'properties', 'uq_properties_ical_export_token')) {
+    await connection.query('ALTER TABLE properties DROP INDEX uq_properties_ical_export_token');
+  }
+  await dropColumnIfExists(connection, 'properties', 'ical_export_token');
+};
@@ -0,0 +1,57 @@
+// src/migrations/014_property_pricing.js
+// Tarifas por propiedad, reglas de temporada y de estancia larga, y cotización guardada en cada reserva
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS property_pricing (
+      property_id INT PRIMARY KEY,
+      currency CHAR(3) NOT NULL DEFAULT 'HNL',
+      nightly_rate DECIMAL(10,2) NOT NULL,
+      weekly_rate DECIMAL(10,2) NULL,
+      monthly_rate DECIMAL(10,2) NULL,
+      weekend_uplift_percent DECIMAL(5,2) NOT NULL DEFAULT 0,
+      weekend_days VARCHAR(20) NOT NULL DEFAULT '5,6',
+      cleaning_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+      service_fee_percent DECIMAL(5,2) NOT NULL DEFAULT 0,
+      isv_percent DECIMAL(5,2) NOT NULL DEFAULT 15,
+      tourism_tax_percent DECIMAL(5,2) NOT NULL DEFAULT 4,
+      min_nights INT NOT NULL DEFAULT 1,
+      max_nights INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // season: rango de fechas (inclusivo) con tarifa fija o ajuste porcentual
+  // length_of_stay: descuento a partir de un número mínimo de noches
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS property_pricing_rules (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      property_id INT NOT NULL,
+      rule_type ENUM('season', 'length_of_stay') NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      start_date DATE NULL,
+      end_date DATE NULL,
+      nightly_rate DECIMAL(10,2) NULL,
+      adjustment_percent DECIMAL(5,2) NULL,
+      min_nights INT NULL,
+      priority INT NOT NULL DEFAULT 0,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_pricing_rules_property (property_id, rule_type),
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await addColumnIfMissing(connection, 'bookings', 'price_quote', 'JSON NULL');
+};
+
+export const down = async (connection) => {
+  await dropColumnIfExists(connection, 'bookings', 'price_quote');
+  await connection.query('DROP TABLE IF EXISTS property_pricing_rules');
+  await connection.query('DROP TABLE IF EXISTS property_pricing');
+};
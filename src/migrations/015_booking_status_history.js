@@ -0,0 +1,46 @@
+// src/migrations/015_booking_status_history.js
+// Estado `expired` para las reservas pendientes que nunca se pagaron e
+// historial de cambios de estado (quién, cuándo y por qué)
+
+export const up = async (connection) => {
+  await connection.query(`
+    ALTER TABLE bookings
+      MODIFY status ENUM('pending', 'confirmed', 'cancelled', 'completed', 'expired') DEFAULT 'pending'
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS booking_status_history (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      booking_id INT NOT NULL,
+      from_status VARCHAR(20) NULL,
+      to_status VARCHAR(20) NOT NULL,
+      actor ENUM('guest', 'host', 'admin', 'system') NOT NULL,
+      changed_by INT NULL,
+      reason VARCHAR(255) NULL,
+      metadata JSON NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_booking_status_history_booking (booking_id, created_at),
+      FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+      FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Punto de partida del historial: el estado actual de cada reserva existente
+  await connection.query(`
+    INSERT INTO booking_status_history (booking_id, from_status, to_status, actor, reason, created_at)
+    SELECT b.id, NULL, b.status, 'system', 'Estado previo al historial', COALESCE(b.updated_at, b.created_at, NOW())
+    FROM bookings b
+    WHERE NOT EXISTS (SELECT 1 FROM booking_status_history h WHERE h.booking_id = b.id)
+  `);
+};
+
+export const down = async (connection) => {
+  await connection.query('DROP TABLE IF EXISTS booking_status_history');
+
+  await connection.query("UPDATE bookings SET status = 'cancelled' WHERE status = 'expired'");
+
+  await connection.query(`
+    ALTER TABLE bookings
+      MODIFY status ENUM('pending', 'confirmed', 'cancelled', 'completed') DEFAULT 'pending'
+  `);
+};
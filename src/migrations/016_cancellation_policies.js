@@ -0,0 +1,24 @@
+// src/migrations/016_cancellation_policies.js
+// Política de cancelación por propiedad y copia de la política vigente en cada reserva
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+export const up = async (connection) => {
+  await addColumnIfMissing(
+    connection,
+    'properties',
+    'cancellation_policy',
+    "ENUM('flexible', 'moderate', 'strict', 'custom') NOT NULL DEFAULT 'moderate'"
+  );
+
+  // Tramos de la política `custom`: [{ hours_before, refund_percent }]
+  await addColumnIfMissing(connection, 'properties', 'cancellation_tiers', 'JSON NULL');
+
+  // La política que aceptó el huésped al reservar, aunque el anfitrión la cambie después
+  await addColumnIfMissing(connection, 'bookings', 'cancellation_policy', 'JSON NULL');
+};
+
+export const down = async (connection) => {
+  await dropColumnIfExists(connection, 'bookings', 'cancellation_policy');
+  await dropColumnIfExists(connection, 'properties', 'cancellation_tiers');
+  await dropColumnIfExists(connection, 'properties', 'cancellation_policy');
+};
@@ -0,0 +1,46 @@
+// src/migrations/017_job_scheduler.js
+// Tareas programadas: historial de ejecuciones, bloqueos entre instancias
+// y marcas de los avisos ya enviados por reserva
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      job_name VARCHAR(100) NOT NULL,
+      status ENUM('running', 'succeeded', 'failed') NOT NULL DEFAULT 'running',
+      trigger_type ENUM('schedule', 'manual') NOT NULL DEFAULT 'schedule',
+      triggered_by INT NULL,
+      instance_id VARCHAR(150) NOT NULL,
+      started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP NULL,
+      duration_ms INT NULL,
+      result JSON NULL,
+      error TEXT NULL,
+      INDEX idx_job_runs_job (job_name, started_at),
+      INDEX idx_job_runs_status (status),
+      FOREIGN KEY (triggered_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Una fila por tarea: la instancia que la tiene tomada y hasta cuándo.
+  // Si la instancia muere, el bloqueo vence solo.
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS job_locks (
+      job_name VARCHAR(100) PRIMARY KEY,
+      locked_by VARCHAR(150) NOT NULL,
+      acquired_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      locked_until TIMESTAMP NOT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await addColumnIfMissing(connection, 'bookings', 'reminder_sent_at', 'TIMESTAMP NULL');
+  await addColumnIfMissing(connection, 'bookings', 'review_requested_at', 'TIMESTAMP NULL');
+};
+
+export const down = async (connection) => {
+  await dropColumnIfExists(connection, 'bookings', 'review_requested_at');
+  await dropColumnIfExists(connection, 'bookings', 'reminder_sent_at');
+  await connection.query('DROP TABLE IF EXISTS job_locks');
+  await connection.query('DROP TABLE IF EXISTS job_runs');
+};
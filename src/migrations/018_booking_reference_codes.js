@@ -0,0 +1,31 @@
+// src/migrations/018_booking_reference_codes.js
+// Código de referencia no adivinable por reserva para consultarla sin cuenta
+import { addColumnIfMissing, dropColumnIfExists, indexExists } from './helpers.js';
+import { generateReferenceCode } from '../utils/reference-code.js';
+
+export const up = async (connection) => {
+  await addColumnIfMissing(connection, 'bookings', 'reference_code', 'CHAR(12) NULL AFTER id');
+
+  // Asignar un código a las reservas existentes
+  const [bookings] = await connection.query('SELECT id FROM bookings WHERE reference_code IS NULL');
+  for (const { id } of bookings) {
+    await connection.query(
+      'UPDATE bookings SET reference_code = ? WHERE id = ?',
+      [generateReferenceCode(), id]
+    );
+  }
+
+  await connection.query('ALTER TABLE bookings MODIFY reference_code CHAR(12) NOT NULL');
+
+  if (!(await indexExists(connection, 'bookings', 'uq_bookings_reference_code'))) {
+    await connection.query('CREATE UNIQUE INDEX uq_bookings_reference_code ON bookings (reference_code)');
+  }
+};
+
+export const down = async (connection) => {
+  if (await indexExists(connection, 'bookings', 'uq_bookings_reference_code')) {
+    await connection.query('DROP INDEX uq_bookings_reference_code ON bookings');
+  }
+
+  await dropColumnIfExists(connection, 'bookings', 'reference_code');
+};
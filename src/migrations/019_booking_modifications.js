@@ -0,0 +1,39 @@
+// src/migrations/019_booking_modifications.js
+// Solicitudes de cambio de fechas o huéspedes: cada una guarda los valores
+// anteriores y los nuevos, la respuesta del anfitrión y cómo se saldó la diferencia
+
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS booking_modifications (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      booking_id INT NOT NULL,
+      requested_by INT NULL,
+      status ENUM('pending', 'approved', 'declined', 'withdrawn') NOT NULL DEFAULT 'pending',
+      original_check_in DATE NOT NULL,
+      original_check_out DATE NOT NULL,
+      original_guests INT NOT NULL,
+      original_total DECIMAL(10,2) NOT NULL,
+      new_check_in DATE NOT NULL,
+      new_check_out DATE NOT NULL,
+      new_guests INT NOT NULL,
+      new_total DECIMAL(10,2) NOT NULL,
+      price_difference DECIMAL(10,2) NOT NULL,
+      price_quote JSON NOT NULL,
+      reason VARCHAR(255) NULL,
+      response_note VARCHAR(255) NULL,
+      responded_by INT NULL,
+      responded_at TIMESTAMP NULL,
+      settlement JSON NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_booking_modifications_booking (booking_id, status),
+      FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+      FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (responded_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+export const down = async (connection) => {
+  await connection.query('DROP TABLE IF EXISTS booking_modifications');
+};
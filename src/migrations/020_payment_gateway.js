@@ -0,0 +1,59 @@
+// src/migrations/020_payment_gateway.js
+// Procesador que gestiona cada pago: las anulaciones y reembolsos se envían
+// al mismo procesador aunque después cambie el configurado. Se registran antes
+// de llamarlo (anulación pedida, reembolso en `processing`) y la llamada se hace
+// después del commit con una referencia fija, así que un reintento no anula ni
+// devuelve dos veces.
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+export const up = async (connection) => {
+  await addColumnIfMissing(connection, 'payments', 'gateway', 'VARCHAR(30) NULL AFTER payment_method');
+
+  // Anulación en el procesador pedida y aún no confirmada (el libro ya la tiene)
+  await addColumnIfMissing(connection, 'payments', 'void_requested_at', 'TIMESTAMP NULL');
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS refunds (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      payment_id INT NOT NULL,
+      booking_id INT NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      currency VARCHAR(3) NOT NULL DEFAULT 'HNL',
+      reason VARCHAR(50) NOT NULL,
+      status ENUM('processing', 'processed') NOT NULL DEFAULT 'processing',
+      requested_by INT NULL,
+      reference VARCHAR(255) NULL,
+      -- Datos del evento del libro de pagos que se registra al completar el reembolso
+      metadata JSON NULL,
+      processed_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_refunds_payment (payment_id, status),
+      INDEX idx_refunds_status (status, created_at),
+      FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+      FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+      FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Los reembolsos ya emitidos quedan registrados como procesados
+  await connection.query(`
+    INSERT INTO refunds (payment_id, booking_id, amount, currency, reason, status, requested_by, reference, processed_at, created_at)
+    SELECT pe.payment_id, p.booking_id, pe.amount, pe.currency,
+           CASE JSON_UNQUOTE(JSON_EXTRACT(pe.metadata, '$.reason'))
+             WHEN 'booking_cancelled' THEN 'booking_cancelled'
+             WHEN 'booking_modified' THEN 'booking_modified'
+             ELSE 'other'
+           END,
+           'processed', pe.created_by, pe.reference, pe.created_at, pe.created_at
+    FROM payment_events pe
+    JOIN payments p ON pe.payment_id = p.id
+    WHERE pe.event_type = 'refund'
+  `);
+};
+
+export const down = async (connection) => {
+  await connection.query('DROP TABLE IF EXISTS refunds');
+  await dropColumnIfExists(connection, 'payments', 'void_requested_at');
+  await dropColumnIfExists(connection, 'payments', 'gateway');
+};
@@ -0,0 +1,43 @@
+// src/migrations/021_payment_webhooks.js
+// Eventos recibidos de los procesadores de pago: se guardan tal como llegan
+// y se procesan una sola vez por (proveedor, id del evento): un proceso reclama
+// el evento pasándolo a `processing` con una actualización condicional, y los que
+// se quedan en `processing` (el proceso terminó a mitad) se pueden reclamar de
+// nuevo pasado un tiempo. Los disputes (contracargos) quedan en el libro de pagos
+// sin cambiar el estado del pago.
+
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS payment_webhook_events (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      provider VARCHAR(30) NOT NULL,
+      event_id VARCHAR(255) NOT NULL,
+      event_type VARCHAR(100) NOT NULL,
+      payment_id INT NULL,
+      payload JSON NOT NULL,
+      status ENUM('received', 'processing', 'processed', 'ignored', 'failed') NOT NULL DEFAULT 'received',
+      attempts INT NOT NULL DEFAULT 0,
+      last_error TEXT NULL,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      claimed_at TIMESTAMP NULL,
+      processed_at TIMESTAMP NULL,
+      UNIQUE KEY uq_payment_webhook_events_event (provider, event_id),
+      INDEX idx_payment_webhook_events_status (status, received_at),
+      FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await connection.query(`
+    ALTER TABLE payment_events
+      MODIFY event_type ENUM('authorize', 'capture', 'refund', 'fail', 'void', 'dispute') NOT NULL
+  `);
+};
+
+export const down = async (connection) => {
+  await connection.query("DELETE FROM payment_events WHERE event_type = 'dispute'");
+  await connection.query(`
+    ALTER TABLE payment_events
+      MODIFY event_type ENUM('authorize', 'capture', 'refund', 'fail', 'void') NOT NULL
+  `);
+  await connection.query('DROP TABLE IF EXISTS payment_webhook_events');
+};
@@ -0,0 +1,12 @@
+// src/migrations/022_payment_attempts.js
+// Intento de cobro enviado al procesador cuyo resultado aún no se conoce: mientras
+// esté marcado no se acepta otro pago de la reserva (evita cobrar dos veces)
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+export const up = async (connection) => {
+  await addColumnIfMissing(connection, 'payments', 'attempted_at', 'TIMESTAMP NULL');
+};
+
+export const down = async (connection) => {
+  await dropColumnIfExists(connection, 'payments', 'attempted_at');
+};
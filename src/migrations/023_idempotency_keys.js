@@ -0,0 +1,31 @@
+// src/migrations/023_idempotency_keys.js
+// Respuestas guardadas por Idempotency-Key: un reintento de la misma petición
+// (mismo usuario, misma clave) recibe la respuesta original sin repetir el cobro.
+// Las peticiones sin sesión se agrupan por reserva y por la prueba de acceso a
+// ella. Una clave cuya petición terminó en un error del procesador de pagos queda
+// como `failed`: el resultado no se conoce y la clave no se libera.
+
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      scope VARCHAR(100) NOT NULL,
+      idempotency_key VARCHAR(255) NOT NULL,
+      method VARCHAR(10) NOT NULL,
+      path VARCHAR(255) NOT NULL,
+      request_hash CHAR(64) NOT NULL,
+      status ENUM('processing', 'completed', 'failed') NOT NULL DEFAULT 'processing',
+      response_status INT NULL,
+      response_body JSON NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP NULL,
+      expires_at TIMESTAMP NOT NULL,
+      UNIQUE KEY uq_idempotency_keys_key (scope, idempotency_key),
+      INDEX idx_idempotency_keys_expires (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+export const down = async (connection) => {
+  await connection.query('DROP TABLE IF EXISTS idempotency_keys');
+};
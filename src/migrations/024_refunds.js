@@ -0,0 +1,82 @@
+// src/migrations/024_refunds.js
+// Solicitudes de reembolso: los reembolsos pasan a tener un flujo
+// solicitado → aprobado → procesado, con notas y la decisión de quien los aprueba.
+// El estado de pago de la reserva (bookings.payment_status) pasa a reflejar el
+// libro de pagos.
+import { addColumnIfMissing, dropColumnIfExists, indexExists } from './helpers.js';
+
+export const up = async (connection) => {
+  await connection.query(`
+    ALTER TABLE refunds
+      MODIFY status ENUM('requested', 'approved', 'processing', 'processed', 'rejected') NOT NULL DEFAULT 'requested'
+  `);
+
+  await addColumnIfMissing(connection, 'refunds', 'notes', 'VARCHAR(500) NULL AFTER reason');
+  await addColumnIfMissing(connection, 'refunds', 'approval_required', "ENUM('host', 'admin') NULL AFTER status");
+  await addColumnIfMissing(connection, 'refunds', 'decided_by', 'INT NULL AFTER requested_by');
+  await addColumnIfMissing(connection, 'refunds', 'decided_at', 'TIMESTAMP NULL AFTER decided_by');
+  await addColumnIfMissing(connection, 'refunds', 'decision_note', 'VARCHAR(500) NULL AFTER decided_at');
+
+  if (!(await indexExists(connection, 'refunds', 'fk_refunds_decided_by'))) {
+    await connection.query(`
+      ALTER TABLE refunds
+        ADD CONSTRAINT fk_refunds_decided_by
+          FOREIGN KEY (decided_by) REFERENCES users(id) ON DELETE SET NULL
+    `);
+  }
+
+  await connection.query(`
+    ALTER TABLE bookings
+      MODIFY payment_status ENUM('pending', 'completed', 'partially_refunded', 'refunded', 'failed', 'cancelled')
+        DEFAULT 'pending'
+  `);
+
+  // Mismo criterio que Payment.syncBookingStatus
+  await connection.query(`
+    UPDATE bookings b
+    JOIN (
+      SELECT booking_id,
+             SUM(CASE WHEN status IN ('completed', 'partially_refunded', 'refunded') THEN amount ELSE 0 END) AS paid_amount,
+             SUM(refunded_amount) AS refunded_amount,
+             SUM(status IN ('pending', 'authorized')) AS open_payments,
+             SUM(status = 'failed') AS failed_payments
+      FROM payments
+      GROUP BY booking_id
+    ) pay ON pay.booking_id = b.id
+    SET b.payment_status = CASE
+      WHEN pay.paid_amount > 0 AND pay.refunded_amount >= pay.paid_amount THEN 'refunded'
+      WHEN pay.paid_amount > 0 AND pay.refunded_amount > 0 THEN 'partially_refunded'
+      WHEN pay.paid_amount > 0 THEN 'completed'
+      WHEN pay.open_payments > 0 THEN 'pending'
+      WHEN pay.failed_payments > 0 THEN 'failed'
+      ELSE 'cancelled'
+    END
+  `);
+};
+
+export const down = async (connection) => {
+  await connection.query(`
+    UPDATE bookings
+    SET payment_status = CASE payment_status WHEN 'partially_refunded' THEN 'completed' ELSE 'pending' END
+    WHERE payment_status IN ('partially_refunded', 'cancelled')
+  `);
+  await connection.query(`
+    ALTER TABLE bookings
+      MODIFY payment_status ENUM('pending', 'completed', 'refunded', 'failed') DEFAULT 'pending'
+  `);
+
+  // Las solicitudes sin procesar no existían antes de esta migración
+  await connection.query("DELETE FROM refunds WHERE status IN ('requested', 'approved', 'rejected')");
+  if (await indexExists(connection, 'refunds', 'fk_refunds_decided_by')) {
+    await connection.query('ALTER TABLE refunds DROP FOREIGN KEY fk_refunds_decided_by, DROP INDEX fk_refunds_decided_by');
+  }
+  await dropColumnIfExists(connection, 'refunds', 'decision_note');
+  await dropColumnIfExists(connection, 'refunds', 'decided_at');
+  await dropColumnIfExists(connection, 'refunds', 'decided_by');
+  await dropColumnIfExists(connection, 'refunds', 'approval_required');
+  await dropColumnIfExists(connection, 'refunds', 'notes');
+  await connection.query(`
+    ALTER TABLE refunds
+      MODIFY status ENUM('processing', 'processed') NOT NULL DEFAULT 'processing'
+  `);
+};
@@ -0,0 +1,46 @@
+// src/migrations/helpers.js
+// Utilidades compartidas por los archivos de migración
+
+// Verificar si una columna existe en la base de datos actual
+export const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS total
+     FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+
+  return rows[0].total > 0;
+};
+
+// Verificar si un índice existe en una tabla
+export const indexExists = async (connection, table, index) => {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS total
+     FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+
+  return rows[0].total > 0;
+};
+
+// Añadir una columna solo si no existe (bases de datos creadas a mano pueden tenerla ya)
+export const addColumnIfMissing = async (connection, table, column, definition) => {
+  if (await columnExists(connection, table, column)) {
+    return false;
+  }
+
+  await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+};
+
+// Eliminar una columna solo si existe
+export const dropColumnIfExists = async (connection, table, column) => {
+  if (!(await columnExists(connection, table, column))) {
+    return false;
+  }
+
+  await connection.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  return true;
+};
@@ -0,0 +1,105 @@
+// src/models/mysql/booking-night.model.js
+import { mysqlPool } from '../../config/database.js';
+import { ConflictError } from '../../utils/errors/index.js';
+
+/**
+ * Normalizar una fecha a 'YYYY-MM-DD'
+ * Las cadenas del cliente se toman tal cual; los Date se interpretan en UTC
+ * (igual que new Date('YYYY-MM-DD'))
+ */
+export const toDateKey = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return value.substring(0, 10);
+  }
+
+  return new Date(value).toISOString().substring(0, 10);
+};
+
+// Sumar días a una fecha 'YYYY-MM-DD'
+export const addDays = (value, days) => {
+  const date = new Date(`${toDateKey(value)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().substring(0, 10);
+};
+
+// Noches ocupadas por una estancia: [check_in, check_out)
+export const listNights = (checkIn, checkOut) => {
+  const nights = [];
+  const current = new Date(`${toDateKey(checkIn)}T00:00:00Z`);
+  const end = new Date(`${toDateKey(checkOut)}T00:00:00Z`);
+
+  while (current < end) {
+    nights.push(current.toISOString().substring(0, 10));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return nights;
+};
+
+// Calendario de ocupación: una fila en `booking_nights` por propiedad y noche.
+// La clave primaria (property_id, night) impide que dos reservas activas
+// ocupen la misma noche. Todos los métodos aceptan una conexión opcional
+// para participar en transacciones del llamador.
+export class BookingNight {
+  /**
+   * Bloquear la fila de la propiedad hasta el fin de la transacción
+   * Serializa las reservas concurrentes de una misma propiedad
+   * @returns {Promise<Object|null>} - La propiedad, o null si no existe
+   */
+  static async lockProperty(propertyId, connection) {
+    const [rows] = await connection.query(
+      'SELECT * FROM properties WHERE id = ? FOR UPDATE',
+      [propertyId]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  // Reservas que ocupan alguna noche del rango [checkIn, checkOut)
+  static async findConflicts(propertyId, checkIn, checkOut, connection = mysqlPool) {
+    const [rows] = await connection.query(
+      `SELECT booking_id, MIN(night) AS first_night, MAX(night) AS last_night
+       FROM booking_nights
+       WHERE property_id = ? AND night >= ? AND night < ?
+       GROUP BY booking_id`,
+      [propertyId, toDateKey(checkIn), toDateKey(checkOut)]
+    );
+
+    return rows;
+  }
+
+  /**
+   * Ocupar las noches de una reserva
+   * @throws {ConflictError} - Si alguna noche ya está ocupada
+   */
+  static async reserve(propertyId, bookingId, checkIn, checkOut, connection = mysqlPool) {
+    const nights = listNights(checkIn, checkOut);
+    if (nights.length === 0) {
+      return 0;
+    }
+
+    try {
+      const [result] = await connection.query(
+        'INSERT INTO booking_nights (property_id, night, booking_id) VALUES ?',
+        [nights.map(night => [propertyId, night, bookingId])]
+      );
+
+      return result.affectedRows;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new ConflictError('La propiedad no está disponible para las fechas seleccionadas');
+      }
+      throw error;
+    }
+  }
+
+  // Liberar las noches de una reserva (cancelación, expiración o eliminación)
+  static async release(bookingId, connection = mysqlPool) {
+    const [result] = await connection.query(
+      'DELETE FROM booking_nights WHERE booking_id = ?',
+      [bookingId]
+    );
+
+    return result.affectedRows;
+  }
+}
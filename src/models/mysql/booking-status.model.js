@@ -0,0 +1,131 @@
+// src/models/mysql/booking-status.model.js
+import { mysqlPool } from '../../config/database.js';
+import { BOOKING_STATUS, BOOKING_ACTORS } from '../../config/constants.js';
+import { ConflictError, NotFoundError, AuthorizationError } from '../../utils/errors/index.js';
+import { BookingNight } from './booking-night.model.js';
+
+const { GUEST, HOST, ADMIN, SYSTEM } = BOOKING_ACTORS;
+
+// Transiciones permitidas: estado actual -> estado nuevo -> quién puede aplicarla
+// cancelled, expired y completed son estados finales
+const STATUS_TRANSITIONS = {
+  [BOOKING_STATUS.PENDING]: {
+    [BOOKING_STATUS.CONFIRMED]: [HOST, ADMIN, SYSTEM],
+    [BOOKING_STATUS.CANCELLED]: [GUEST, HOST, ADMIN, SYSTEM],
+    [BOOKING_STATUS.EXPIRED]: [SYSTEM]
+  },
+  [BOOKING_STATUS.CONFIRMED]: {
+    [BOOKING_STATUS.CANCELLED]: [GUEST, HOST, ADMIN, SYSTEM],
+    [BOOKING_STATUS.COMPLETED]: [ADMIN, SYSTEM]
+  },
+  [BOOKING_STATUS.CANCELLED]: {},
+  [BOOKING_STATUS.EXPIRED]: {},
+  [BOOKING_STATUS.COMPLETED]: {}
+};
+
+// Estados que ya no ocupan noches en el calendario
+const RELEASING_STATUSES = [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.EXPIRED];
+
+// Máquina de estados de las reservas: cada cambio de `bookings.status` pasa
+// por aquí y queda registrado en `booking_status_history`. Todos los métodos
+// aceptan una conexión opcional para participar en transacciones del llamador.
+export class BookingStatus {
+  // Estados a los que puede pasar una reserva desde `status` (opcionalmente para un actor)
+  static allowedTransitions(status, actor = null) {
+    const transitions = STATUS_TRANSITIONS[status] || {};
+
+    return Object.keys(transitions).filter(target => !actor || transitions[target].includes(actor));
+  }
+
+  static canTransition(from, to, actor) {
+    const transitions = STATUS_TRANSITIONS[from] || {};
+    return Boolean(transitions[to] && transitions[to].includes(actor));
+  }
+
+  /**
+   * Cambiar el estado de una reserva validando la transición y el actor
+   * Las reservas canceladas o expiradas liberan sus noches
+   * @param {number} bookingId - ID de la reserva
+   * @param {string} toStatus - Estado nuevo
+   * @param {Object} change - { actor, changedBy, reason, metadata }
+   * @param {Object} connection - Conexión MySQL (usar la de la transacción)
+   * @returns {Promise<Object>} - La reserva con su estado anterior en `previous_status`
+   * @throws {ConflictError} - Si la transición no existe desde el estado actual
+   * @throws {AuthorizationError} - Si el actor no puede aplicar la transición
+   */
+  static async transition(bookingId, toStatus, change, connection = mysqlPool) {
+    const { actor, changedBy = null, reason = null, metadata = null } = change;
+
+    const [rows] = await connection.query(
+      'SELECT * FROM bookings WHERE id = ? FOR UPDATE',
+      [bookingId]
+    );
+
+    if (rows.length === 0) {
+      throw new NotFoundError('Reserva no encontrada');
+    }
+
+    const booking = rows[0];
+    const targets = STATUS_TRANSITIONS[booking.status] || {};
+
+    if (!targets[toStatus]) {
+      throw new ConflictError(`No se puede pasar una reserva de "${booking.status}" a "${toStatus}"`);
+    }
+
+    if (!targets[toStatus].includes(actor)) {
+      throw new AuthorizationError(`El ${actor === SYSTEM ? 'sistema' : `rol "${actor}"`} no puede pasar la reserva a "${toStatus}"`);
+    }
+
+    await connection.query(
+      `UPDATE bookings
+       SET status = ?,
+           cancellation_reason = IF(? = 'cancelled', COALESCE(?, cancellation_reason), cancellation_reason),
+           updated_at = NOW()
+       WHERE id = ?`,
+      [toStatus, toStatus, reason, bookingId]
+    );
+
+    if (RELEASING_STATUSES.includes(toStatus)) {
+      await BookingNight.release(bookingId, connection);
+    }
+
+    await this.record(bookingId, booking.status, toStatus, { actor, changedBy, reason, metadata }, connection);
+
+    return { ...booking, status: toStatus, previous_status: booking.status };
+  }
+
+  // Registrar un cambio en el historial (también el estado inicial al crear la reserva)
+  static async record(bookingId, fromStatus, toStatus, { actor, changedBy = null, reason = null, metadata = null }, connection = mysqlPool) {
+    await connection.query(
+      `INSERT INTO booking_status_history
+       (booking_id, from_status, to_status, actor, changed_by, reason, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        bookingId,
+        fromStatus,
+        toStatus,
+        actor,
+        changedBy,
+        reason ? String(reason).substring(0, 255) : null,
+        metadata ? JSON.stringify(metadata) : null
+      ]
+    );
+  }
+
+  // Historial de una reserva, del más antiguo al más reciente
+  static async getHistory(bookingId, connection = mysqlPool) {
+    const [rows] = await connection.query(
+      `SELECT h.id, h.from_status, h.to_status, h.actor, h.changed_by, h.reason, h.metadata, h.created_at,
+              u.first_name AS changed_by_first_name, u.last_name AS changed_by_last_name
+       FROM booking_status_history h
+       LEFT JOIN users u ON h.changed_by = u.id
+       WHERE h.booking_id = ?
+       ORDER BY h.created_at ASC, h.id ASC`,
+      [bookingId]
+    );
+
+    return rows;
+  }
+}
+
+export default BookingStatus;
@@ -1,27 +1,211 @@
+// src/models/mysql/payment.model.js
 import { mysqlPool } from '../../config/database.js';
+import { PAYMENT_STATUS, PAYMENT_EVENT_TYPES } from '../../config/constants.js';
+import { ValidationError, ConflictError, NotFoundError } from '../../utils/errors/index.js';
 
-export const createPaymentTable = async () => {
-  const query = `
-    CREATE TABLE IF NOT EXISTS payments (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      booking_id INT NOT NULL,
-      amount DECIMAL(10,2) NOT NULL,
-      currency VARCHAR(3) DEFAULT 'USD',
-      payment_method ENUM('credit_card', 'debit_card', 'paypal', 'bank_transfer') NOT NULL,
-      status ENUM('pending', 'completed', 'failed', 'refunded') DEFAULT 'pending',
-      transaction_id VARCHAR(255),
-      payment_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE
-    )
-  `;
-  
-  try {
-    const connection = await mysqlPool.getConnection();
-    await connection.query(query);
-    connection.release();
-    console.log('Payments table created successfully');
-  } catch (error) {
-    console.error('Error creating payments table:', error);
-    throw error;
+// Estados desde los que se puede aplicar cada evento del libro de pagos
+const EVENT_TRANSITIONS = {
+  [PAYMENT_EVENT_TYPES.AUTHORIZE]: [PAYMENT_STATUS.PENDING],
+  [PAYMENT_EVENT_TYPES.CAPTURE]: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.AUTHORIZED],
+  [PAYMENT_EVENT_TYPES.FAIL]: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.AUTHORIZED],
+  [PAYMENT_EVENT_TYPES.VOID]: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.AUTHORIZED],
+  [PAYMENT_EVENT_TYPES.REFUND]: [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED],
+  [PAYMENT_EVENT_TYPES.DISPUTE]: [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED]
+};
+
+// Redondear montos a centavos
+const toMoney = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+const PAID_STATUSES = [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED];
+
+/**
+ * Estado de pago de una reserva a partir de sus pagos (bookings.payment_status)
+ * Mismo criterio que el panel del anfitrión: lo cobrado manda sobre los intentos abiertos o fallidos
+ * @param {Array<Object>} payments - Pagos de la reserva
+ * @returns {string} - pending, completed, partially_refunded, refunded, failed o cancelled
+ */
+export const bookingPaymentState = (payments) => {
+  const paid = payments
+    .filter(payment => PAID_STATUSES.includes(payment.status))
+    .reduce((sum, payment) => sum + toMoney(payment.amount), 0);
+  const refunded = payments.reduce((sum, payment) => sum + toMoney(payment.refunded_amount || 0), 0);
+
+  if (paid > 0 && toMoney(refunded) >= toMoney(paid)) return PAYMENT_STATUS.REFUNDED;
+  if (paid > 0 && refunded > 0) return PAYMENT_STATUS.PARTIALLY_REFUNDED;
+  if (paid > 0) return PAYMENT_STATUS.COMPLETED;
+  if (payments.length === 0 || payments.some(payment => [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.AUTHORIZED].includes(payment.status))) {
+    return PAYMENT_STATUS.PENDING;
+  }
+  if (payments.some(payment => payment.status === PAYMENT_STATUS.FAILED)) return PAYMENT_STATUS.FAILED;
+  return PAYMENT_STATUS.CANCELLED;
+};
+
+// Modelo del libro de pagos: una fila en `payments` por cobro y su
+// historial de eventos en `payment_events`. Todos los métodos aceptan una
+// conexión opcional para participar en transacciones del llamador.
+export class Payment {
+  // Crear un pago en estado pendiente
+  static async create(paymentData, connection = mysqlPool) {
+    let details = null;
+    if (paymentData.details) {
+      details = typeof paymentData.details === 'string'
+        ? paymentData.details
+        : JSON.stringify(paymentData.details);
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO payments
+       (booking_id, amount, currency, payment_method, gateway, status, transaction_id, details, payment_date)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        paymentData.booking_id,
+        toMoney(paymentData.amount),
+        paymentData.currency || 'HNL',
+        paymentData.payment_method || null,
+        paymentData.gateway || null,
+        PAYMENT_STATUS.PENDING,
+        paymentData.transaction_id || null,
+        details
+      ]
+    );
+
+    await this.syncBookingStatus(paymentData.booking_id, connection);
+
+    return result.insertId;
+  }
+
+  // Encontrar un pago por ID (FOR UPDATE cuando se va a modificar dentro de una transacción)
+  static async findById(id, connection = mysqlPool, { forUpdate = false } = {}) {
+    const [rows] = await connection.query(
+      `SELECT * FROM payments WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [id]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  // Obtener los pagos de una reserva
+  static async findByBookingId(bookingId, connection = mysqlPool) {
+    const [rows] = await connection.query(
+      'SELECT * FROM payments WHERE booking_id = ? ORDER BY created_at ASC, id ASC',
+      [bookingId]
+    );
+
+    return rows;
+  }
+
+  // Actualizar bookings.payment_status con el estado de sus pagos
+  static async syncBookingStatus(bookingId, connection = mysqlPool) {
+    const payments = await this.findByBookingId(bookingId, connection);
+
+    await connection.query(
+      'UPDATE bookings SET payment_status = ? WHERE id = ?',
+      [bookingPaymentState(payments), bookingId]
+    );
+  }
+
+  // Obtener el historial de eventos de un pago
+  static async getEvents(paymentId, connection = mysqlPool) {
+    const [rows] = await connection.query(
+      'SELECT * FROM payment_events WHERE payment_id = ? ORDER BY created_at ASC, id ASC',
+      [paymentId]
+    );
+
+    return rows;
+  }
+
+  /**
+   * Aplicar un evento al pago: valida la transición, actualiza el estado
+   * y registra el evento en payment_events
+   * @param {number} paymentId - ID del pago
+   * @param {string} eventType - authorize, capture, refund, fail, void o dispute
+   * @param {Object} eventData - { amount, reference, metadata, createdBy }
+   * @param {Object} connection - Conexión MySQL (usar la de la transacción)
+   * @returns {Promise<Object>} - El pago actualizado
+   */
+  static async applyEvent(paymentId, eventType, eventData = {}, connection = mysqlPool) {
+    const allowedFrom = EVENT_TRANSITIONS[eventType];
+    if (!allowedFrom) {
+      throw new ValidationError(`Tipo de evento de pago inválido: ${eventType}`);
+    }
+
+    const payment = await this.findById(paymentId, connection, { forUpdate: true });
+    if (!payment) {
+      throw new NotFoundError('Pago no encontrado');
+    }
+
+    if (!allowedFrom.includes(payment.status)) {
+      throw new ConflictError(`No se puede aplicar "${eventType}" a un pago en estado "${payment.status}"`);
+    }
+
+    const paymentAmount = toMoney(payment.amount);
+    const refundedAmount = toMoney(payment.refunded_amount || 0);
+    let amount = eventData.amount !== undefined ? toMoney(eventData.amount) : paymentAmount;
+    let newStatus;
+    let newRefundedAmount = refundedAmount;
+
+    switch (eventType) {
+      case PAYMENT_EVENT_TYPES.AUTHORIZE:
+        newStatus = PAYMENT_STATUS.AUTHORIZED;
+        break;
+      case PAYMENT_EVENT_TYPES.CAPTURE:
+        newStatus = PAYMENT_STATUS.COMPLETED;
+        amount = paymentAmount;
+        break;
+      case PAYMENT_EVENT_TYPES.FAIL:
+        newStatus = PAYMENT_STATUS.FAILED;
+        break;
+      case PAYMENT_EVENT_TYPES.VOID:
+        newStatus = PAYMENT_STATUS.CANCELLED;
+        break;
+      case PAYMENT_EVENT_TYPES.DISPUTE:
+        newStatus = payment.status;
+        break;
+      case PAYMENT_EVENT_TYPES.REFUND: {
+        const refundable = toMoney(paymentAmount - refundedAmount);
+        if (amount <= 0 || amount > refundable) {
+          throw new ValidationError(`El monto a reembolsar debe estar entre 0.01 y ${refundable.toFixed(2)}`);
+        }
+        newRefundedAmount = toMoney(refundedAmount + amount);
+        newStatus = newRefundedAmount >= paymentAmount
+          ? PAYMENT_STATUS.REFUNDED
+          : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+        break;
+      }
+    }
+
+    await connection.query(
+      `UPDATE payments
+       SET status = ?, refunded_amount = ?, transaction_id = COALESCE(?, transaction_id), updated_at = NOW()
+       WHERE id = ?`,
+      [newStatus, newRefundedAmount, eventType === PAYMENT_EVENT_TYPES.REFUND ? null : (eventData.reference || null), paymentId]
+    );
+
+    await connection.query(
+      `INSERT INTO payment_events
+       (payment_id, event_type, amount, currency, status_before, status_after, reference, metadata, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        paymentId,
+        eventType,
+        amount,
+        payment.currency,
+        payment.status,
+        newStatus,
+        eventData.reference || null,
+        eventData.metadata ? JSON.stringify(eventData.metadata) : null,
+        eventData.createdBy || null
+      ]
+    );
+
+    await this.syncBookingStatus(payment.booking_id, connection);
+
+    return {
+      ...payment,
+      status: newStatus,
+      refunded_amount: newRefundedAmount
+    };
   }
-};
\ No newline at end of file
+}
+
+export default Payment;
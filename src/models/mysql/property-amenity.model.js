@@ -2,28 +2,6 @@
 import { mysqlPool } from '../../config/database.js';
 
 export class PropertyAmenity {
-  // Crear la tabla de amenidades si no existe
-  static async createTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS property_amenities (
-        property_id INT,
-        amenity VARCHAR(100),
-        PRIMARY KEY (property_id, amenity),
-        FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
-      )
-    `;
-    
-    try {
-      const connection = await mysqlPool.getConnection();
-      await connection.query(query);
-      connection.release();
-      console.log('Property amenities table created successfully');
-    } catch (error) {
-      console.error('Error creating property amenities table:', error);
-      throw error;
-    }
-  }
-
   // Añadir amenidades a una propiedad
   static async addToProperty(propertyId, amenities) {
     if (!Array.isArray(amenities) || amenities.length === 0) {
@@ -74,7 +52,3 @@ export class PropertyAmenity {
     }
   }
 }
-
-export const createPropertyAmenityTable = async () => {
-  await PropertyAmenity.createTable();
-};
\ No newline at end of file
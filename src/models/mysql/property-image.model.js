@@ -2,29 +2,6 @@
 import { mysqlPool } from '../../config/database.js';
 
 export class PropertyImage {
-  // Crear la tabla de imágenes si no existe
-  static async createTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS property_images (
-        id INT PRIMARY KEY AUTO_INCREMENT,
-        property_id INT,
-        image_url VARCHAR(255) NOT NULL,
-        is_primary BOOLEAN DEFAULT FALSE,
-        FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
-      )
-    `;
-    
-    try {
-      const connection = await mysqlPool.getConnection();
-      await connection.query(query);
-      connection.release();
-      console.log('Property images table created successfully');
-    } catch (error) {
-      console.error('Error creating property images table:', error);
-      throw error;
-    }
-  }
-
   // Añadir una imagen a una propiedad
   static async addToProperty(propertyId, imageUrl, isPrimary = false) {
     try {
@@ -88,7 +65,3 @@ export class PropertyImage {
     }
   }
 }
-
-export const createPropertyImageTable = async () => {
-  await PropertyImage.createTable();
-};
\ No newline at end of file
@@ -2,28 +2,6 @@
 import { mysqlPool } from '../../config/database.js';
 
 export class PropertyPetAllowed {
-  // Crear la tabla de mascotas permitidas si no existe
-  static async createTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS property_pets_allowed (
-        property_id INT,
-        pet_type ENUM('cats-allowed', 'dogs-allowed'),
-        PRIMARY KEY (property_id, pet_type),
-        FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
-      )
-    `;
-    
-    try {
-      const connection = await mysqlPool.getConnection();
-      await connection.query(query);
-      connection.release();
-      console.log('Property pets allowed table created successfully');
-    } catch (error) {
-      console.error('Error creating property pets allowed table:', error);
-      throw error;
-    }
-  }
-
   // Añadir mascotas permitidas a una propiedad
   static async addToProperty(propertyId, petTypes) {
     if (!Array.isArray(petTypes) || petTypes.length === 0) {
@@ -74,7 +52,3 @@ export class PropertyPetAllowed {
     }
   }
 }
-
-export const createPropertyPetTable = async () => {
-  await PropertyPetAllowed.createTable();
-};
\ No newline at end of file
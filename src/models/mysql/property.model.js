@@ -1,58 +1,23 @@
 // models/mysql/property.model.js
 import { mysqlPool } from '../../config/database.js';
 
-// Función para mantener compatibilidad con el código existente
-export const createPropertyTable = async () => {
-  await createPropertyTables();
-};
+// Columnas de `properties` que se pueden devolver en una respuesta. No incluye
+// ical_export_token: da acceso al calendario exportado y solo lo recibe el
+// anfitrión desde la sincronización de calendarios.
+export const PROPERTY_COLUMNS = [
+  'id', 'title', 'description', 'address', 'city', 'state', 'zip_code', 'price',
+  'bedrooms', 'bathrooms', 'square_feet', 'property_type', 'status', 'image',
+  'isNew', 'isFeatured', 'isVerified', 'parkingSpaces', 'host_id', 'average_rating',
+  'views', 'created_at', 'updated_at', 'lat', 'lng', 'archived', 'archived_at',
+  'archived_reason', 'cancellation_policy', 'cancellation_tiers'
+];
+
+// Lista de columnas para un SELECT, con el alias de la tabla si lo hay ("p.id, p.title, ...")
+export const propertyColumns = (alias = null) =>
+  PROPERTY_COLUMNS.map(column => (alias ? `${alias}.${column}` : column)).join(', ');
 
 // Modelo principal de propiedades
 export class Property {
-  // Modificación al modelo Property para incluir el contador de vistas
-
-// En el método createTable, asegúrate de que la definición de la tabla incluya la columna views:
-static async createTable() {
-  const query = `
-    CREATE TABLE IF NOT EXISTS properties (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      title VARCHAR(255) NOT NULL,
-      description TEXT,
-      address VARCHAR(255) NOT NULL,
-      city VARCHAR(100) NOT NULL,
-      state VARCHAR(100),
-      zip_code VARCHAR(20),
-      price DECIMAL(10,2) NOT NULL,
-      bedrooms INT,
-      bathrooms DECIMAL(3,1),
-      square_feet DECIMAL(10,2),
-      property_type ENUM('house', 'apartment', 'room', 'office', 'commercial', 'land', 'daily-rental', 'new-building', 'parking-lot') NOT NULL,
-      status ENUM('for-rent', 'for-sale', 'unavailable') DEFAULT 'for-rent',
-      image VARCHAR(255),
-      isNew BOOLEAN DEFAULT FALSE,
-      isFeatured BOOLEAN DEFAULT FALSE,
-      isVerified BOOLEAN DEFAULT FALSE,
-      parkingSpaces INT DEFAULT 0,
-      host_id INT,
-      average_rating DECIMAL(3,2) DEFAULT 0,
-      views INT DEFAULT 0,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      lat DECIMAL(10,8),
-      lng DECIMAL(11,8)
-    )
-  `;
-  
-  try {
-    const connection = await mysqlPool.getConnection();
-    await connection.query(query);
-    connection.release();
-    console.log('Properties table created successfully');
-  } catch (error) {
-    console.error('Error creating properties table:', error);
-    throw error;
-  }
-}
-
 // También debes actualizar el método create para incluir views en la creación de nuevas propiedades
 static async create(propertyData) {
   try {
@@ -165,7 +130,7 @@ static async incrementViews(id) {
       const connection = await mysqlPool.getConnection();
       
       let query = `
-        SELECT p.*, 
+        SELECT ${propertyColumns('p')}, 
                GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
                GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
         FROM properties p
@@ -333,7 +298,7 @@ static async incrementViews(id) {
       
       // Obtener la propiedad con amenidades y mascotas permitidas
       const [properties] = await connection.query(
-        `SELECT p.*, 
+        `SELECT ${propertyColumns('p')}, 
                 GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
                 GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
          FROM properties p
@@ -397,7 +362,7 @@ static async incrementViews(id) {
       const connection = await mysqlPool.getConnection();
       
       let query = `
-        SELECT p.*, 
+        SELECT ${propertyColumns('p')}, 
                GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
                GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
         FROM properties p
@@ -438,7 +403,7 @@ static async incrementViews(id) {
       const connection = await mysqlPool.getConnection();
       
       let query = `
-        SELECT p.*, 
+        SELECT ${propertyColumns('p')}, 
                GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
                GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
         FROM properties p
@@ -475,28 +440,6 @@ static async incrementViews(id) {
 
 // Modelo para amenidades de propiedades
 export class PropertyAmenity {
-  // Crear la tabla de amenidades si no existe
-  static async createTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS property_amenities (
-        property_id INT,
-        amenity VARCHAR(100),
-        PRIMARY KEY (property_id, amenity),
-        FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
-      )
-    `;
-    
-    try {
-      const connection = await mysqlPool.getConnection();
-      await connection.query(query);
-      connection.release();
-      console.log('Property amenities table created successfully');
-    } catch (error) {
-      console.error('Error creating property amenities table:', error);
-      throw error;
-    }
-  }
-
   // Añadir amenidades a una propiedad
   static async addToProperty(propertyId, amenities) {
     if (!Array.isArray(amenities) || amenities.length === 0) {
@@ -550,28 +493,6 @@ export class PropertyAmenity {
 
 // Modelo para mascotas permitidas en propiedades
 export class PropertyPetAllowed {
-  // Crear la tabla de mascotas permitidas si no existe
-  static async createTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS property_pets_allowed (
-        property_id INT,
-        pet_type ENUM('cats-allowed', 'dogs-allowed'),
-        PRIMARY KEY (property_id, pet_type),
-        FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
-      )
-    `;
-    
-    try {
-      const connection = await mysqlPool.getConnection();
-      await connection.query(query);
-      connection.release();
-      console.log('Property pets allowed table created successfully');
-    } catch (error) {
-      console.error('Error creating property pets allowed table:', error);
-      throw error;
-    }
-  }
-
   // Añadir mascotas permitidas a una propiedad
   static async addToProperty(propertyId, petTypes) {
     if (!Array.isArray(petTypes) || petTypes.length === 0) {
@@ -625,29 +546,6 @@ export class PropertyPetAllowed {
 
 // Modelo para imágenes adicionales de propiedades
 export class PropertyImage {
-  // Crear la tabla de imágenes si no existe
-  static async createTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS property_images (
-        id INT PRIMARY KEY AUTO_INCREMENT,
-        property_id INT,
-        image_url VARCHAR(255) NOT NULL,
-        is_primary BOOLEAN DEFAULT FALSE,
-        FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
-      )
-    `;
-    
-    try {
-      const connection = await mysqlPool.getConnection();
-      await connection.query(query);
-      connection.release();
-      console.log('Property images table created successfully');
-    } catch (error) {
-      console.error('Error creating property images table:', error);
-      throw error;
-    }
-  }
-
   // Añadir una imagen a una propiedad
   static async addToProperty(propertyId, imageUrl, isPrimary = false) {
     try {
@@ -711,17 +609,3 @@ export class PropertyImage {
     }
   }
 }
-
-// Función para crear todas las tablas
-export const createPropertyTables = async () => {
-  try {
-    await Property.createTable();
-    await PropertyAmenity.createTable();
-    await PropertyPetAllowed.createTable();
-    await PropertyImage.createTable();
-    console.log('All property tables created successfully');
-  } catch (error) {
-    console.error('Error creating property tables:', error);
-    throw error;
-  }
-};
\ No newline at end of file
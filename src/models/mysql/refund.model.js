@@ -0,0 +1,93 @@
+// src/models/mysql/refund.model.js
+import { mysqlPool } from '../../config/database.js';
+import { REFUND_STATUS } from '../../config/constants.js';
+
+// Solicitudes de reembolso (tabla `refunds`): varias por pago, cada una con su
+// motivo y su estado. El dinero devuelto queda en el libro de pagos (evento
+// refund) cuando la solicitud se procesa. Todos los métodos aceptan una
+// conexión opcional para participar en transacciones del llamador.
+export class Refund {
+  /**
+   * Registrar una solicitud de reembolso
+   * @param {Object} data - { payment_id, booking_id, amount, currency, reason, notes, status,
+   *   approval_required, requested_by, decided_by, reference, metadata }
+   * @returns {Promise<number>} - ID del reembolso
+   */
+  static async create(data, connection = mysqlPool) {
+    const status = data.status || REFUND_STATUS.REQUESTED;
+    const decided = status !== REFUND_STATUS.REQUESTED;
+
+    const [result] = await connection.query(
+      `INSERT INTO refunds
+       (payment_id, booking_id, amount, currency, reason, notes, status, approval_required,
+        requested_by, decided_by, decided_at, reference, metadata, processed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${decided ? 'NOW()' : 'NULL'}, ?, ?, ${status === REFUND_STATUS.PROCESSED ? 'NOW()' : 'NULL'})`,
+      [
+        data.payment_id,
+        data.booking_id,
+        data.amount,
+        data.currency || 'HNL',
+        data.reason,
+        data.notes || null,
+        status,
+        data.approval_required || null,
+        data.requested_by || null,
+        data.decided_by || null,
+        data.reference || null,
+        data.metadata ? JSON.stringify(data.metadata) : null
+      ]
+    );
+
+    return result.insertId;
+  }
+
+  // Encontrar un reembolso por ID (FOR UPDATE cuando se va a modificar dentro de una transacción)
+  static async findById(id, connection = mysqlPool, { forUpdate = false } = {}) {
+    const [rows] = await connection.query(
+      `SELECT * FROM refunds WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [id]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  // Obtener los reembolsos de un pago, del más antiguo al más reciente
+  static async findByPaymentId(paymentId, connection = mysqlPool) {
+    const [rows] = await connection.query(
+      'SELECT * FROM refunds WHERE payment_id = ? ORDER BY created_at ASC, id ASC',
+      [paymentId]
+    );
+
+    return rows;
+  }
+
+  // Aprobar o rechazar una solicitud pendiente
+  static async decide(id, status, { decidedBy = null, note = null } = {}, connection = mysqlPool) {
+    await connection.query(
+      `UPDATE refunds
+       SET status = ?, decided_by = ?, decision_note = ?, decided_at = NOW()
+       WHERE id = ?`,
+      [status, decidedBy, note, id]
+    );
+  }
+
+  // Pasar una solicitud aprobada a `processing`: se completa en el procesador después del commit
+  static async markProcessing(id, metadata = null, connection = mysqlPool) {
+    await connection.query(
+      'UPDATE refunds SET status = ?, metadata = ? WHERE id = ?',
+      [REFUND_STATUS.PROCESSING, metadata ? JSON.stringify(metadata) : null, id]
+    );
+  }
+
+  // Marcar como procesado con la referencia del reembolso en el procesador
+  static async markProcessed(id, reference = null, connection = mysqlPool) {
+    await connection.query(
+      `UPDATE refunds
+       SET status = ?, reference = ?, processed_at = NOW()
+       WHERE id = ?`,
+      [REFUND_STATUS.PROCESSED, reference, id]
+    );
+  }
+}
+
+export default Refund;
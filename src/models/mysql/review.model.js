@@ -1,38 +1,6 @@
 // src/models/mysql/review.model.js
 import { mysqlPool } from '../../config/database.js';
 
-export const createReviewTable = async () => {
-  const query = `
-    CREATE TABLE IF NOT EXISTS reviews (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      property_id INT NOT NULL,
-      booking_id INT,
-      reviewer_id INT,
-      reviewer_name VARCHAR(255) NOT NULL,
-      email VARCHAR(255),
-      rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
-      comment TEXT,
-      likes INT DEFAULT 0,
-      dislikes INT DEFAULT 0,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
-      FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE SET NULL
-      -- No agregamos FK para reviewer_id porque podría ser anónimo (valor 0)
-    )
-  `;
-  
-  try {
-    const connection = await mysqlPool.getConnection();
-    await connection.query(query);
-    connection.release();
-    console.log('Reviews table created successfully');
-  } catch (error) {
-    console.error('Error creating reviews table:', error);
-    throw error;
-  }
-};
-
 // Clase para operaciones básicas del modelo
 export class Review {
   // Crear una nueva reseña
@@ -1,41 +1,6 @@
 // src/models/mysql/user.model.js
 import { mysqlPool } from '../../config/database.js';
-
-export const createUserTable = async () => {
-  const query = `
-    CREATE TABLE IF NOT EXISTS users (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      first_name VARCHAR(50) NOT NULL,
-      last_name VARCHAR(50) NOT NULL,
-      email VARCHAR(100) UNIQUE NOT NULL,
-      phone VARCHAR(20),
-      status ENUM('active', 'inactive', 'banned') DEFAULT 'active',
-      profile_image VARCHAR(255),
-      refresh_token VARCHAR(255),
-      last_login TIMESTAMP,
-      short_bio TEXT,
-      company_name VARCHAR(100),
-      address TEXT,
-      social_facebook VARCHAR(255),
-      social_linkedin VARCHAR(255),
-      social_twitter VARCHAR(255),
-      social_instagram VARCHAR(255),
-      social_pinterest VARCHAR(255),
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-    )
-  `;
-  
-  try {
-    const connection = await mysqlPool.getConnection();
-    await connection.query(query);
-    connection.release();
-    console.log('Users table created successfully');
-  } catch (error) {
-    console.error('Error creating users table:', error);
-    throw error;
-  }
-};
+import { propertyColumns } from './property.model.js';
 
 // Nueva clase User para manejar operaciones relacionadas con usuarios
 export class User {
@@ -79,7 +44,7 @@ export class User {
       const connection = await mysqlPool.getConnection();
       
       const [properties] = await connection.query(
-        'SELECT * FROM properties WHERE host_id = ? ORDER BY created_at DESC',
+        `SELECT ${propertyColumns()} FROM properties WHERE host_id = ? ORDER BY created_at DESC`,
         [userId]
       );
       
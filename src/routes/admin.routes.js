@@ -0,0 +1,33 @@
+// src/routes/admin.routes.js
+import express from 'express';
+import { AdminController } from '../controllers/admin.controller.js';
+import { UserController } from '../controllers/user.controller.js';
+import { validateModerationReason } from '../middleware/admin.middleware.js';
+import { authenticate, requirePermission } from '../middleware/auth.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const router = express.Router();
+
+// Todas las rutas de administración requieren el permiso de gestión de usuarios
+router.use(authenticate, requirePermission(PERMISSIONS.USER_MANAGE));
+
+// Usuarios: ?search=&status=&role=&created_from=&created_to=&page=&limit=
+router.get('/users', UserController.getUsers);
+router.get('/users/:id', AdminController.getUser);
+router.post('/users/:id/ban', validateModerationReason, AdminController.banUser);
+router.post('/users/:id/unban', AdminController.unbanUser);
+router.post('/users/:id/impersonate', validateModerationReason, AdminController.impersonateUser);
+
+// Bitácora de acciones de administración
+router.get('/audit-log', AdminController.getAuditLog);
+
+// Tareas programadas: estado, historial (?job=&status=&trigger=&page=&limit=) y ejecución manual
+router.get('/jobs', AdminController.getJobs);
+router.get('/jobs/runs', AdminController.getJobRuns);
+router.post('/jobs/:name/run', AdminController.runJob);
+
+// Webhooks de pago recibidos (?provider=&status=&type=&payment_id=&page=&limit=) y reprocesamiento
+router.get('/payment-webhooks', AdminController.getPaymentWebhooks);
+router.post('/payment-webhooks/:id/replay', AdminController.replayPaymentWebhook);
+
+export default router;
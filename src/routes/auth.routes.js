@@ -1,20 +1,37 @@
 // src/routes/auth.routes.js
 import express from 'express';
 import { AuthController } from '../controllers/auth.controller.js';
-import { validateRegistrationData, validateLoginData, validatePasswordChange } from '../middleware/auth.middleware.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import {
+  validateRegistrationData,
+  validateLoginData,
+  validatePasswordChange,
+  validateRefreshToken,
+  validateVerifyEmail,
+  validateResendVerification,
+  validatePasswordResetRequest,
+  validatePasswordReset
+} from '../middleware/auth.middleware.js';
+import { authenticate, optionalAuth } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', validateRegistrationData, AuthController.register);
 router.post('/login', validateLoginData, AuthController.login);
-router.post('/logout', AuthController.logout);
-router.post('/request-reset', validateLoginData, AuthController.requestPasswordReset);
-router.post('/reset-password', validatePasswordChange, AuthController.resetPassword);
+router.post('/logout', optionalAuth, AuthController.logout);
+router.post('/refresh', validateRefreshToken, AuthController.refreshToken);
+router.post('/verify-email', validateVerifyEmail, AuthController.verifyEmail);
+router.post('/resend-verification', validateResendVerification, AuthController.resendVerification);
+router.post('/request-reset', validatePasswordResetRequest, AuthController.requestPasswordReset);
+router.post('/reset-password', validatePasswordReset, AuthController.resetPassword);
 
 // Protected routes
 router.get('/me', authenticate, AuthController.getCurrentUser);
 router.post('/change-password', authenticate, validatePasswordChange, AuthController.changePassword);
 
+// Sesiones por dispositivo
+router.get('/sessions', authenticate, AuthController.getSessions);
+router.delete('/sessions', authenticate, AuthController.revokeOtherSessions);
+router.delete('/sessions/:id', authenticate, AuthController.revokeSession);
+
 export default router;
\ No newline at end of file
@@ -1,27 +1,44 @@
 // src/routes/booking.routes.js
 import express from 'express';
 import { BookingController } from '../controllers/booking.controller.js';
+import { BookingModificationController } from '../controllers/booking-modification.controller.js';
 import { 
   validateBookingData, 
   validateBookingStatus,
-  validateCancelBooking 
+  validateCancelBooking,
+  validateHostBookingsQuery,
+  validateBookingLookup,
+  validateBookingClaim,
+  validateModificationRequest,
+  validateModificationResponse
 } from '../middleware/booking.middleware.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import { authenticate, requirePermission, requireVerifiedEmail } from '../middleware/auth.middleware.js';
+import { idempotent } from '../middleware/idempotency.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
 // Rutas públicas (no requieren autenticación)
-router.get('/public/:id', BookingController.getBooking);
+// Vista reducida con el código de referencia y el email del huésped, o con el enlace enviado por email
+router.post('/lookup', validateBookingLookup, BookingController.lookupBooking);
 
 // Rutas protegidas (requieren autenticación)
 router.get('/', authenticate, BookingController.getBookings);
-router.post('/', authenticate, validateBookingData, BookingController.createBooking);
+router.post('/claim', authenticate, requireVerifiedEmail, validateBookingClaim, BookingController.claimBooking);
+router.get('/host', authenticate, requirePermission(PERMISSIONS.BOOKING_MANAGE), validateHostBookingsQuery, BookingController.getHostBookings);
+router.post('/', authenticate, requireVerifiedEmail, requirePermission(PERMISSIONS.BOOKING_CREATE), idempotent, validateBookingData, BookingController.createBooking);
 router.get('/:id', authenticate, BookingController.getBooking);
-router.put('/:id/status', authenticate, validateBookingStatus, BookingController.updateBookingStatus);
-router.patch('/:id/cancel', authenticate, validateCancelBooking, BookingController.cancelBooking);
-router.post('/batch-cancel', authenticate, BookingController.batchCancelBookings);
+router.get('/:id/history', authenticate, BookingController.getBookingHistory);
+router.get('/:id/cancellation-preview', authenticate, BookingController.getCancellationPreview);
+router.put('/:id/status', authenticate, requirePermission(PERMISSIONS.BOOKING_MANAGE), validateBookingStatus, BookingController.updateBookingStatus);
+router.patch('/:id/cancel', authenticate, requirePermission(PERMISSIONS.BOOKING_CANCEL), validateCancelBooking, BookingController.cancelBooking);
+router.post('/batch-cancel', authenticate, requirePermission(PERMISSIONS.BOOKING_CANCEL), BookingController.batchCancelBookings);
 
-// Ruta para cron job (podría protegerse con una clave API)
-router.post('/cancel-expired', BookingController.cancelExpiredBookings);
+// Solicitudes de cambio de fechas o huéspedes (las pide el huésped, responde el anfitrión)
+router.get('/:id/modifications', authenticate, BookingModificationController.getModifications);
+router.post('/:id/modifications', authenticate, requirePermission(PERMISSIONS.BOOKING_CREATE), validateModificationRequest, BookingModificationController.requestModification);
+router.post('/:id/modifications/:modificationId/approve', authenticate, requirePermission(PERMISSIONS.BOOKING_MANAGE), validateModificationResponse, BookingModificationController.approveModification);
+router.post('/:id/modifications/:modificationId/decline', authenticate, requirePermission(PERMISSIONS.BOOKING_MANAGE), validateModificationResponse, BookingModificationController.declineModification);
+router.post('/:id/modifications/:modificationId/withdraw', authenticate, BookingModificationController.withdrawModification);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+// src/routes/notification.routes.js
+import express from 'express';
+import { NotificationController } from '../controllers/notification.controller.js';
+import { validatePreferences } from '../middleware/notification.middleware.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Todas las rutas trabajan sobre las notificaciones del usuario autenticado
+router.use(authenticate);
+
+// ?unread=true&page=&limit=
+router.get('/', NotificationController.getNotifications);
+router.get('/unread-count', NotificationController.getUnreadCount);
+router.patch('/read-all', NotificationController.markAllAsRead);
+router.patch('/:id/read', NotificationController.markAsRead);
+
+// Preferencias por evento y canal (in_app, email)
+router.get('/preferences', NotificationController.getPreferences);
+router.put('/preferences', validatePreferences, NotificationController.updatePreferences);
+
+export default router;
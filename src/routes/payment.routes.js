@@ -3,23 +3,33 @@ import express from 'express';
 import { PaymentController } from '../controllers/payment.controller.js';
 import { 
   validatePaymentData,
-  validateRefundRequest 
+  validateRefundRequest,
+  validateRefundCreate,
+  validateRefundDecision
 } from '../middleware/payment.middleware.js';
-// Opcional: importar middleware de autenticación si lo tienes
-// import { authenticateUser } from '../middleware/auth.middleware.js';
+import { authenticate, optionalAuth, requirePermission } from '../middleware/auth.middleware.js';
+import { idempotent } from '../middleware/idempotency.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
 // Rutas públicas (no requieren autenticación)
-router.get('/:id', PaymentController.getPayment);
+// Webhooks de los procesadores: se autentican con la firma del cuerpo
+router.post('/webhooks/:provider', PaymentController.receiveWebhook);
 
-// Rutas protegidas (requerirían autenticación en producción)
-// Ejemplo comentado de cómo aplicaría autenticación:
-// router.post('/', authenticateUser, validatePaymentData, PaymentController.createPayment);
+// Pagar una reserva propia: con sesión, o con el código de referencia / enlace de acceso
+router.post('/', optionalAuth, idempotent, validatePaymentData, PaymentController.createPayment);
+router.get('/', authenticate, requirePermission(PERMISSIONS.PAYMENT_LIST), PaymentController.getPayments);
+// Detalle de un pago: huésped, anfitrión de la reserva o administrador
+router.get('/:id', authenticate, PaymentController.getPayment);
+// Reembolsar todo lo que queda del pago (anfitrión o administrador)
+router.post('/:id/refund', authenticate, requirePermission(PERMISSIONS.BOOKING_REFUND), idempotent, validateRefundRequest, PaymentController.refundPayment);
 
-// Sin autenticación para desarrollo
-router.post('/', validatePaymentData, PaymentController.createPayment);
-router.get('/', PaymentController.getPayments);
-router.post('/:id/refund', validateRefundRequest, PaymentController.refundPayment);
+// Reembolsos parciales: los pide el huésped, el anfitrión o un administrador;
+// por encima de los umbrales configurados los aprueba el anfitrión o un administrador
+router.get('/:id/refunds', authenticate, PaymentController.getRefunds);
+router.post('/:id/refunds', authenticate, idempotent, validateRefundCreate, PaymentController.requestRefund);
+router.post('/:id/refunds/:refundId/approve', authenticate, requirePermission(PERMISSIONS.BOOKING_REFUND), validateRefundDecision, PaymentController.approveRefund);
+router.post('/:id/refunds/:refundId/reject', authenticate, requirePermission(PERMISSIONS.BOOKING_REFUND), validateRefundDecision, PaymentController.rejectRefund);
 
 export default router;
\ No newline at end of file
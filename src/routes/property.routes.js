@@ -2,8 +2,16 @@
 import express from 'express';
 import multer from 'multer';
 import { PropertyController } from '../controllers/property.controller.js';
+import { CalendarController } from '../controllers/calendar.controller.js';
+import { CalendarSyncController } from '../controllers/calendar-sync.controller.js';
+import { PricingController } from '../controllers/pricing.controller.js';
+import { CancellationController } from '../controllers/cancellation.controller.js';
 import { validatePropertyData } from '../middleware/property.middleware.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import { validateBlockDates, validateUnblockDates, validateIcalImport } from '../middleware/calendar.middleware.js';
+import { validateQuote, validatePricing, validatePricingRule } from '../middleware/pricing.middleware.js';
+import { validateCancellationPolicy } from '../middleware/cancellation.middleware.js';
+import { authenticate, optionalAuth, requirePermission, requireVerifiedEmail } from '../middleware/auth.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
@@ -22,6 +30,19 @@ const upload = multer({
   }
 });
 
+// Archivos .ics de calendarios externos
+const icsUpload = multer({
+  storage,
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB máximo
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/calendar' || file.originalname.toLowerCase().endsWith('.ics')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Solo se permiten archivos .ics'), false);
+    }
+  }
+});
+
 // Rutas públicas
 router.get('/', PropertyController.getProperties);
 router.get('/search', PropertyController.searchProperties);
@@ -30,24 +51,53 @@ router.get('/recent', PropertyController.getRecentProperties);
 router.get('/stats', PropertyController.getPropertyStats);
 router.get('/:id', PropertyController.getProperty);
 router.post('/:id/view', PropertyController.incrementPropertyViews); // Ruta para contador de vistas
+// Calendario: ?from=YYYY-MM-DD&to=YYYY-MM-DD (el anfitrión ve además reservas y bloqueos)
+router.get('/:id/calendar', optionalAuth, CalendarController.getCalendar);
+// Feed iCalendar para otras plataformas: ?token=<token secreto>
+router.get('/:id/calendar.ics', CalendarSyncController.getFeed);
+// Cotización desglosada: { check_in_date, check_out_date, guests }
+router.post('/:id/quote', validateQuote, PricingController.getQuote);
+router.get('/:id/cancellation-policy', CancellationController.getPolicy);
 
 // Rutas protegidas
-router.post('/', authenticate, upload.fields([
+router.post('/', authenticate, requireVerifiedEmail, requirePermission(PERMISSIONS.PROPERTY_CREATE), upload.fields([
   { name: 'image', maxCount: 1 },
   { name: 'additional_images', maxCount: 10 }
 ]), validatePropertyData, PropertyController.createProperty);
-router.put('/:id', authenticate, upload.single('image'), validatePropertyData, PropertyController.updateProperty);
-router.delete('/:id', authenticate, PropertyController.deleteProperty);
+router.put('/:id', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), upload.single('image'), validatePropertyData, PropertyController.updateProperty);
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.PROPERTY_DELETE), PropertyController.deleteProperty);
 
 // Rutas para archivar/restaurar propiedades (protegidas)
-router.patch('/:id/archive', authenticate, PropertyController.archiveProperty);
-router.patch('/:id/restore', authenticate, PropertyController.restoreProperty);
-router.delete('/:id/soft', authenticate, PropertyController.softDeleteProperty);
+router.patch('/:id/archive', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), PropertyController.archiveProperty);
+router.patch('/:id/restore', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), PropertyController.restoreProperty);
+router.delete('/:id/soft', authenticate, requirePermission(PERMISSIONS.PROPERTY_DELETE), PropertyController.softDeleteProperty);
 
 // Ruta para obtener propiedades archivadas del usuario
 router.get('/user/archived', authenticate, PropertyController.getArchivedProperties);
 
+// Fechas bloqueadas por el anfitrión (fechas inclusivas)
+router.post('/:id/blocked-dates', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), validateBlockDates, CalendarController.blockDates);
+router.delete('/:id/blocked-dates', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), validateUnblockDates, CalendarController.unblockDates);
+router.delete('/:id/blocked-dates/:blockId', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), CalendarController.removeBlock);
+
+// Tarifas, temporadas y descuentos por duración
+router.get('/:id/pricing', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), PricingController.getPricing);
+router.put('/:id/pricing', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), validatePricing, PricingController.updatePricing);
+router.post('/:id/pricing/rules', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), validatePricingRule, PricingController.addRule);
+router.delete('/:id/pricing/rules/:ruleId', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), PricingController.removeRule);
+
+// Política de cancelación (flexible, moderate, strict o custom con tramos)
+router.put('/:id/cancellation-policy', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), validateCancellationPolicy, CancellationController.updatePolicy);
+
+// Sincronización con calendarios externos (iCalendar)
+router.get('/:id/ical-export', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), CalendarSyncController.getExport);
+router.post('/:id/ical-export/rotate', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), CalendarSyncController.rotateExport);
+router.get('/:id/ical-imports', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), CalendarSyncController.getImports);
+router.post('/:id/ical-imports', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), icsUpload.single('file'), validateIcalImport, CalendarSyncController.createImport);
+router.post('/:id/ical-imports/:importId/sync', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), icsUpload.single('file'), CalendarSyncController.syncImport);
+router.delete('/:id/ical-imports/:importId', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), CalendarSyncController.deleteImport);
+
 // Rutas para imágenes
-router.post('/:id/images', authenticate, upload.single('image'), PropertyController.addPropertyImage);
+router.post('/:id/images', authenticate, requirePermission(PERMISSIONS.PROPERTY_UPDATE), upload.single('image'), PropertyController.addPropertyImage);
 
 export default router;
\ No newline at end of file
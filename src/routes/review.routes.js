@@ -2,7 +2,8 @@
 import express from 'express';
 import { ReviewController } from '../controllers/review.controller.js';
 import { validateReviewData } from '../middleware/review.middleware.js';
-import { authenticate, optionalAuth } from '../middleware/auth.middleware.js';
+import { authenticate, optionalAuth, requirePermission } from '../middleware/auth.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
@@ -19,7 +20,7 @@ router.post('/:id/dislike', ReviewController.dislikeReview);
 router.post('/', optionalAuth, validateReviewData, ReviewController.createReview);
 
 // Rutas protegidas (requieren autenticación)
-router.put('/:id', authenticate, validateReviewData, ReviewController.updateReview);
-router.delete('/:id', authenticate, ReviewController.deleteReview);
+router.put('/:id', authenticate, requirePermission(PERMISSIONS.REVIEW_UPDATE), validateReviewData, ReviewController.updateReview);
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.REVIEW_DELETE), ReviewController.deleteReview);
 
 export default router;
\ No newline at end of file
@@ -3,7 +3,13 @@ import express from 'express';
 import multer from 'multer';
 
 import { validateUserData } from '../middleware/user.middleware.js';
-import { authenticate, validatePasswordChange } from '../middleware/auth.middleware.js';
+import {
+  authenticate,
+  validatePasswordChange,
+  requirePermission,
+  requireSelfOrPermission
+} from '../middleware/auth.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { UserController, updateProfileImage } from '../controllers/user.controller.js';
 
 const router = express.Router();
@@ -36,7 +42,8 @@ router.delete('/favorites/:propertyId', authenticate, UserController.removeFavor
 
 // Rutas generales de usuario - deben estar después para que no capturen /profile como :id
 router.get('/:id', authenticate, UserController.getUser);
-router.put('/:id', authenticate, validateUserData, UserController.updateUser);
-router.delete('/:id', authenticate, UserController.deleteUser);
+router.put('/:id', authenticate, requireSelfOrPermission(PERMISSIONS.USER_MANAGE), validateUserData, UserController.updateUser);
+router.delete('/:id', authenticate, requireSelfOrPermission(PERMISSIONS.USER_MANAGE), UserController.deleteUser);
+router.put('/:id/role', authenticate, requirePermission(PERMISSIONS.USER_MANAGE), UserController.updateUserRole);
 
 export default router;
\ No newline at end of file
@@ -1,128 +1,47 @@
-import express from 'express';
-import { errorMiddleware } from './middleware/error.middleware.js';
-import { authenticate } from './middleware/auth.middleware.js';
-import dotenv from 'dotenv';
-import cors from 'cors';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { mysqlPool } from './config/database.js';
+// src/server.js
+// Arranque: comprueba la configuración y el esquema, conecta MongoDB, escucha
+// en el puerto y programa las tareas
 import mongoose from 'mongoose';
+import app from './app.js';
 
-// Obtener el directorio actual
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Migraciones del esquema
+import { MigrationService } from './services/migration.service.js';
 
-// Importar los modelos
-import { createUserTable} from './models/mysql/user.model.js';
-import { createAuthTable } from './models/mysql/auth.model.js';
-import { createPropertyTable } from './models/mysql/property.model.js';
-import { createPropertyAmenityTable } from './models/mysql/property-amenity.model.js';
-import { createPropertyPetTable } from './models/mysql/property-pet.model.js';
-import { createPropertyImageTable } from './models/mysql/property-image.model.js';
-import { Booking } from './models/mysql/booking.model.js';
-import { createReviewTable } from './models/mysql/review.model.js';
-import { createPaymentTable } from './models/mysql/payment.model.js';
-import { createFavoritesTable } from './models/mysql/favorites.model.js';
+// Procesador de pagos
+import { PaymentGateway } from './services/payment-gateways/index.js';
 
-// Importar rutas
-import userRoutes from './routes/user.routes.js';
-import propertyRoutes from './routes/property.routes.js';
-import bookingRoutes from './routes/booking.routes.js';
-import reviewRoutes from './routes/review.routes.js';
-import paymentRoutes from './routes/payment.routes.js';
-import messageRoutes from './routes/message.routes.js';
-import authRoutes from './routes/auth.routes.js';
+// Tareas programadas
+import { SchedulerService } from './services/scheduler.service.js';
+import { JOBS } from './jobs/index.js';
+import jobsConfig from './config/jobs.config.js';
 
-const app = express();
-dotenv.config();
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Configurar directorio estático para servir archivos de uploads
-app.use('/uploads', express.static(path.join(__dirname, '..', 'public', 'uploads')));
-app.use(express.static(path.join(__dirname, '..', 'public')));
-
-// Función para inicializar la base de datos
+// Función para verificar que el esquema de la base de datos esté al día
+// Las tablas se crean con `npm run migrate:up`; aquí solo se comprueba
 const initDatabase = async () => {
   try {
-    // Crear las tablas en orden de dependencias
-    await createUserTable();
+    const pending = await MigrationService.getPending();
 
-    await createAuthTable();
-    
-    // Crear tablas relacionadas con propiedades
-    await createPropertyTable();
-    await createPropertyAmenityTable(); 
-    await createPropertyPetTable();     
-    await createPropertyImageTable();   
-    
-    await Booking.createTable();
-    await createReviewTable();
-    await createPaymentTable();
-    await createFavoritesTable(); 
-    
-    console.log('All tables created successfully');
+    if (pending.length > 0) {
+      console.error(`Hay ${pending.length} migraciones pendientes: ${pending.join(', ')}`);
+      console.error('Ejecute `npm run migrate:up` antes de iniciar el servidor');
+      return false;
+    }
+
+    console.log('Database schema is up to date');
+    return true;
   } catch (error) {
     console.error('Error initializing database:', error);
+    return false;
   }
 };
 
-// Test route
-app.get('/api/test', (req, res) => {
-  res.json({ 
-    success: true,
-    message: 'API is working!' 
-  });
-});
-
-// Rutas públicas (no requieren autenticación)
-app.use('/api/auth', authRoutes);
-app.use('/api/properties', propertyRoutes); 
-
-// Rutas protegidas (requieren autenticación)
-app.use('/api/users', userRoutes);
-app.use('/api/bookings', bookingRoutes);
-app.use('/api/reviews', reviewRoutes);
-app.use('/api/payments', paymentRoutes);
-app.use('/api/messages', messageRoutes);
-
-// Ruta para probar un usuario específico (solo para desarrollo)
-app.get('/api/dev/user/:id', async (req, res) => {
-  try {
-    const connection = await mysqlPool.getConnection();
-    const [users] = await connection.query('SELECT * FROM users WHERE id = ?', [req.params.id]);
-    connection.release();
-    
-    if (users.length === 0) {
-      return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
-    }
-    
-    res.json({ success: true, data: users[0] });
-  } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ success: false, message: 'Error del servidor' });
-  }
-});
-
-// 404 error handler para API
-app.use('/api/*', (req, res) => {
-  res.status(404).json({ 
-    successsuccess: false,
-    message: `Page not found: ${req.originalUrl}`
-  });
-});
-
-// Para una aplicación Vue.js con Vue Router en modo history,
-// todas las demás rutas deben redirigirse al index.html
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
-});
-
-// Middleware de manejo de errores
-app.use(errorMiddleware);
+// No arrancar en producción con el simulador de pagos (aprobaría reservas sin cobrar)
+try {
+  PaymentGateway.assertConfigured();
+} catch (error) {
+  console.error(`Server not started: ${error.message}`);
+  process.exit(1);
+}
 
 // Conectar MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/oasis')
@@ -132,9 +51,22 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/oasis')
 // Inicializar base de datos y servidor
 const PORT = process.env.PORT || 3000;
 
-initDatabase().then(() => {
+initDatabase().then((ready) => {
+  // No servir peticiones con un esquema desactualizado
+  if (!ready) {
+    console.error('Server not started: database schema is not ready');
+    process.exit(1);
+  }
+
   app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
+
+    // Las tareas se registran siempre (para ejecutarlas desde /api/admin/jobs)
+    // pero solo se programan si el planificador está habilitado en esta instancia
+    JOBS.forEach(job => SchedulerService.register(job));
+    if (jobsConfig.jobs.enabled) {
+      SchedulerService.start();
+    }
   });
 });
 
@@ -0,0 +1,308 @@
+// src/services/admin.service.js
+import { mysqlPool } from '../config/database.js';
+import {
+  ValidationError,
+  NotFoundError,
+  DatabaseError,
+  ConflictError,
+  AuthorizationError
+} from '../utils/errors/index.js';
+import { USER_ROLES, USER_STATUS } from '../config/constants.js';
+import authService from './auth.service.js';
+import { SessionService, SESSION_REVOKE_REASONS } from './session.service.js';
+import logger from '../utils/logger.js';
+
+// Acciones registradas en la bitácora de administración
+export const ADMIN_ACTIONS = {
+  USER_BAN: 'user.ban',
+  USER_UNBAN: 'user.unban',
+  USER_IMPERSONATE: 'user.impersonate',
+  JOB_RUN: 'job.run',
+  PAYMENT_WEBHOOK_REPLAY: 'payment_webhook.replay'
+};
+
+// Los tokens de suplantación son de corta duración y no se pueden refrescar
+const IMPERSONATION_EXPIRES_IN = process.env.JWT_IMPERSONATION_EXPIRES_IN || '15m';
+
+export class AdminService {
+  /**
+   * Registrar una acción en la bitácora de administración
+   * @param {number} adminId - ID del administrador
+   * @param {string} action - Acción (ver ADMIN_ACTIONS)
+   * @param {Object} target - { type, id }
+   * @param {Object} details - Datos adicionales de la acción
+   * @param {Object} context - { ipAddress, userAgent } de la petición
+   * @param {Object} connection - Conexión MySQL (para participar en transacciones)
+   */
+  static async logAction(adminId, action, target, details = {}, context = {}, connection = mysqlPool) {
+    await connection.query(
+      `INSERT INTO admin_audit_log
+       (admin_id, action, target_type, target_id, details, ip_address, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        adminId,
+        action,
+        target.type,
+        target.id || null,
+        JSON.stringify(details),
+        context.ipAddress || null,
+        context.userAgent ? context.userAgent.substring(0, 255) : null
+      ]
+    );
+  }
+
+  // Obtener un usuario sin datos sensibles
+  static async getUser(id, connection = mysqlPool) {
+    const [users] = await connection.query(
+      'SELECT * FROM users WHERE id = ?',
+      [id]
+    );
+
+    if (users.length === 0) {
+      throw new NotFoundError('Usuario no encontrado');
+    }
+
+    const { password, ...user } = users[0];
+    return user;
+  }
+
+  /**
+   * Suspender una cuenta
+   * @param {number} userId - Usuario a suspender
+   * @param {string} reason - Motivo de la suspensión
+   * @param {number} adminId - Administrador que realiza la acción
+   * @param {Object} context - { ipAddress, userAgent }
+   */
+  static async banUser(userId, reason, adminId, context = {}) {
+    if (!reason || !reason.trim()) {
+      throw new ValidationError('El motivo de la suspensión es requerido');
+    }
+
+    if (parseInt(userId) === parseInt(adminId)) {
+      throw new ValidationError('No puedes suspender tu propia cuenta');
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const user = await this.getUser(userId, connection);
+
+      if (user.role === USER_ROLES.ADMIN) {
+        throw new AuthorizationError('No se puede suspender a otro administrador');
+      }
+
+      if (user.status === USER_STATUS.BANNED) {
+        throw new ConflictError('El usuario ya está suspendido');
+      }
+
+      // Suspender e invalidar todos sus tokens y sesiones
+      await connection.query(
+        `UPDATE users
+         SET status = ?, banned_at = NOW(), banned_reason = ?, banned_by = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [USER_STATUS.BANNED, reason.trim(), adminId, userId]
+      );
+
+      await SessionService.invalidateAllTokens(userId, SESSION_REVOKE_REASONS.ACCOUNT_BANNED, connection);
+
+      await this.logAction(
+        adminId,
+        ADMIN_ACTIONS.USER_BAN,
+        { type: 'user', id: user.id },
+        { reason: reason.trim(), previous_status: user.status },
+        context,
+        connection
+      );
+
+      await connection.commit();
+
+      logger.info('User banned', { userId: user.id, adminId });
+      return this.getUser(userId);
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error banning user:', error);
+      if (error instanceof ValidationError ||
+          error instanceof NotFoundError ||
+          error instanceof ConflictError ||
+          error instanceof AuthorizationError) {
+        throw error;
+      }
+      throw new DatabaseError('Error al suspender el usuario');
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Reactivar una cuenta suspendida o desactivada
+   * @param {number} userId - Usuario a reactivar
+   * @param {string} reason - Motivo de la reactivación (opcional)
+   * @param {number} adminId - Administrador que realiza la acción
+   * @param {Object} context - { ipAddress, userAgent }
+   */
+  static async unbanUser(userId, reason, adminId, context = {}) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const user = await this.getUser(userId, connection);
+
+      if (user.status === USER_STATUS.ACTIVE) {
+        throw new ConflictError('El usuario ya está activo');
+      }
+
+      await connection.query(
+        `UPDATE users
+         SET status = ?, banned_at = NULL, banned_reason = NULL, banned_by = NULL, updated_at = NOW()
+         WHERE id = ?`,
+        [USER_STATUS.ACTIVE, userId]
+      );
+
+      await this.logAction(
+        adminId,
+        ADMIN_ACTIONS.USER_UNBAN,
+        { type: 'user', id: user.id },
+        {
+          reason: reason ? reason.trim() : null,
+          previous_status: user.status,
+          banned_reason: user.banned_reason || null
+        },
+        context,
+        connection
+      );
+
+      await connection.commit();
+
+      logger.info('User reactivated', { userId: user.id, adminId });
+      return this.getUser(userId);
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error reactivating user:', error);
+      if (error instanceof NotFoundError || error instanceof ConflictError) {
+        throw error;
+      }
+      throw new DatabaseError('Error al reactivar el usuario');
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Emitir un token de acceso para actuar como otro usuario
+   * El token lleva el claim `impersonatedBy` y queda registrado en la bitácora
+   * @param {number} userId - Usuario a suplantar
+   * @param {string} reason - Motivo (p. ej. ticket de soporte)
+   * @param {number} adminId - Administrador que solicita el token
+   * @param {Object} context - { ipAddress, userAgent }
+   */
+  static async impersonateUser(userId, reason, adminId, context = {}) {
+    if (!reason || !reason.trim()) {
+      throw new ValidationError('El motivo de la suplantación es requerido');
+    }
+
+    if (parseInt(userId) === parseInt(adminId)) {
+      throw new ValidationError('No puedes suplantar tu propia cuenta');
+    }
+
+    const user = await this.getUser(userId);
+
+    if (user.role === USER_ROLES.ADMIN) {
+      throw new AuthorizationError('No se puede suplantar a otro administrador');
+    }
+
+    if (user.status !== USER_STATUS.ACTIVE) {
+      throw new ConflictError('Solo se pueden suplantar cuentas activas');
+    }
+
+    const accessToken = authService.generateAccessToken(user, {
+      impersonatedBy: adminId,
+      expiresIn: IMPERSONATION_EXPIRES_IN
+    });
+
+    await this.logAction(
+      adminId,
+      ADMIN_ACTIONS.USER_IMPERSONATE,
+      { type: 'user', id: user.id },
+      { reason: reason.trim(), expires_in: IMPERSONATION_EXPIRES_IN },
+      context
+    ).catch(error => {
+      console.error('Error registrando suplantación:', error);
+      throw new DatabaseError('Error al registrar la suplantación');
+    });
+
+    logger.warn('Impersonation token issued', { userId: user.id, adminId });
+
+    return {
+      accessToken,
+      expiresIn: IMPERSONATION_EXPIRES_IN,
+      user
+    };
+  }
+
+  /**
+   * Consultar la bitácora de administración
+   * @param {Object} filters - { adminId, action, targetType, targetId }
+   * @param {Object} pagination - { page, limit }
+   */
+  static async getAuditLog(filters = {}, pagination = { page: 1, limit: 50 }) {
+    let whereClause = ' WHERE 1=1';
+    const params = [];
+
+    if (filters.adminId) {
+      whereClause += ' AND l.admin_id = ?';
+      params.push(filters.adminId);
+    }
+
+    if (filters.action) {
+      whereClause += ' AND l.action = ?';
+      params.push(filters.action);
+    }
+
+    if (filters.targetType) {
+      whereClause += ' AND l.target_type = ?';
+      params.push(filters.targetType);
+    }
+
+    if (filters.targetId) {
+      whereClause += ' AND l.target_id = ?';
+      params.push(filters.targetId);
+    }
+
+    const page = Math.max(parseInt(pagination.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(pagination.limit) || 50, 1), 200);
+    const offset = (page - 1) * limit;
+
+    try {
+      const [entries] = await mysqlPool.query(
+        `SELECT l.*, u.first_name AS admin_first_name, u.last_name AS admin_last_name, u.email AS admin_email
+         FROM admin_audit_log l
+         LEFT JOIN users u ON l.admin_id = u.id
+         ${whereClause}
+         ORDER BY l.created_at DESC, l.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const [countResult] = await mysqlPool.query(
+        `SELECT COUNT(*) as total FROM admin_audit_log l${whereClause}`,
+        params
+      );
+
+      const total = countResult[0].total || 0;
+
+      return {
+        entries,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      };
+    } catch (error) {
+      console.error('Error getting audit log:', error);
+      throw new DatabaseError('Error al obtener la bitácora de administración');
+    }
+  }
+}
+
+export default AdminService;
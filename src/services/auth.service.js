@@ -2,14 +2,36 @@
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
 import { mysqlPool } from '../config/database.js';
-import { ValidationError, AuthenticationError, NotFoundError, DatabaseError } from '../utils/errors/index.js';
+import {
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+  NotFoundError,
+  DatabaseError,
+  TooManyRequestsError
+} from '../utils/errors/index.js';
+import { USER_ROLES, USER_STATUS } from '../config/constants.js';
+import { SessionService, SESSION_REVOKE_REASONS } from './session.service.js';
+import emailService from './email.service.js';
+import emailConfig from '../config/email.config.js';
+import authConfig from '../config/auth.config.js';
+
+// Propósito del token de verificación (evita que se use como token de acceso)
+const EMAIL_VERIFICATION_PURPOSE = 'email-verification';
+
+// Los tokens de restablecimiento solo se guardan hasheados
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Roles que un usuario puede elegir al registrarse (admin solo se asigna desde administración)
+const SELF_ASSIGNABLE_ROLES = [USER_ROLES.GUEST, USER_ROLES.HOST];
 
 class AuthService {
   static async getUserById(userId) {
     try {
       const [users] = await mysqlPool.query(
-        `SELECT id, first_name, last_name, email, phone, status, profile_image, created_at, updated_at 
+        `SELECT id, first_name, last_name, email, email_verified_at, phone, status, role, profile_image, created_at, updated_at 
          FROM users WHERE id = ?`,
         [userId]
       );
@@ -40,6 +62,11 @@ class AuthService {
         throw new ValidationError('Email is already registered');
       }
   
+      const role = userData.role || USER_ROLES.GUEST;
+      if (!SELF_ASSIGNABLE_ROLES.includes(role)) {
+        throw new ValidationError(`Rol inválido. Valores permitidos: ${SELF_ASSIGNABLE_ROLES.join(', ')}`);
+      }
+
       // Hash password before storing
       const hashedPassword = await bcrypt.hash(userData.password, 10);
   
@@ -51,14 +78,15 @@ class AuthService {
         // Create user
         const [userResult] = await connection.query(
           `INSERT INTO users 
-           (first_name, last_name, email, phone, status, created_at, updated_at) 
-           VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
+           (first_name, last_name, email, phone, status, role, created_at, updated_at) 
+           VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
           [
             userData.first_name,
             userData.last_name,
             userData.email,
             userData.phone || null,
-            'active'
+            'active',
+            role
           ]
         );
   
@@ -86,6 +114,9 @@ class AuthService {
         
         // Remove sensitive data before returning
         delete newUser.password;
+
+        // La cuenta queda sin verificar hasta que se use el enlace enviado por email
+        await this.sendVerificationEmail(newUser);
         
         return newUser;
       } catch (error) {
@@ -105,7 +136,13 @@ class AuthService {
     }
   }
 
-  async login(email, password) {
+  /**
+   * Iniciar sesión y abrir una sesión para el dispositivo
+   * @param {string} email
+   * @param {string} password
+   * @param {Object} context - { userAgent, ipAddress, deviceName }
+   */
+  async login(email, password, context = {}) {
     try {
       console.log(`Attempting login with: ${email}`);
       
@@ -142,15 +179,19 @@ class AuthService {
         console.log('Password validation failed');
         throw new AuthenticationError('Invalid email or password');
       }
+
+      // Las cuentas suspendidas o desactivadas no pueden iniciar sesión
+      this.assertAccountActive(user);
       
       // Generate tokens
-      const accessToken = this.generateAccessToken(user);
-      const refreshToken = this.generateRefreshToken(user);
+      // Cada inicio de sesión abre una sesión independiente por dispositivo
+      const session = await SessionService.createSession(user.id, context);
+      const accessToken = this.generateAccessToken(user, { sessionId: session.sessionId });
+      const refreshToken = session.refreshToken;
 
-      // Store refresh token in database
       await mysqlPool.query(
-        'UPDATE users SET refresh_token = ?, last_login = NOW() WHERE id = ?',
-        [refreshToken, user.id]
+        'UPDATE users SET last_login = NOW() WHERE id = ?',
+        [user.id]
       );
 
       // Remove sensitive data before returning
@@ -165,7 +206,7 @@ class AuthService {
     } catch (error) {
       console.error('Login failed', { error, email });
       
-      if (error instanceof AuthenticationError) {
+      if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
         throw error;
       }
       
@@ -173,120 +214,304 @@ class AuthService {
     }
   }
  
-  async logout(userId) {
+  /**
+   * Cerrar sesión: revoca el token de acceso presentado y la sesión del dispositivo
+   * @param {string} refreshToken - Token de refresco del dispositivo (opcional)
+   * @param {Object} accessToken - Token de acceso decodificado de la petición (opcional)
+   */
+  async logout(refreshToken, accessToken = null) {
     try {
-      // Clear refresh token in database
-      await mysqlPool.query(
-        'UPDATE users SET refresh_token = NULL WHERE id = ?',
-        [userId]
-      );
-      
+      if (accessToken) {
+        await SessionService.revokeAccessToken(accessToken, SESSION_REVOKE_REASONS.LOGOUT);
+
+        if (accessToken.sid) {
+          await SessionService.revokeFamily(accessToken.sid, SESSION_REVOKE_REASONS.LOGOUT);
+        }
+      }
+
+      if (refreshToken) {
+        await SessionService.revokeByToken(refreshToken, SESSION_REVOKE_REASONS.LOGOUT);
+      }
+
       return true;
     } catch (error) {
-      console.error('Logout failed', { error, userId });
+      console.error('Logout failed', { error });
       throw new DatabaseError('Failed to process logout');
     }
   }
 
-  async refreshToken(refreshToken) {
+  /**
+   * Rotar el token de refresco y emitir un nuevo token de acceso
+   * @param {string} refreshToken - Token de refresco actual
+   * @param {Object} context - { userAgent, ipAddress }
+   */
+  async refreshToken(refreshToken, context = {}) {
+    const session = await SessionService.rotate(refreshToken, context);
+
+    const [users] = await mysqlPool.query(
+      'SELECT * FROM users WHERE id = ?',
+      [session.userId]
+    );
+
+    if (users.length === 0) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    const user = users[0];
+    this.assertAccountActive(user);
+
+    return {
+      accessToken: this.generateAccessToken(user, { sessionId: session.sessionId }),
+      refreshToken: session.refreshToken
+    };
+  }
+
+  // Generar el token firmado del enlace de verificación
+  generateEmailVerificationToken(user) {
+    return jwt.sign(
+      {
+        id: user.id,
+        email: user.email,
+        purpose: EMAIL_VERIFICATION_PURPOSE
+      },
+      process.env.JWT_SECRET || '1234',
+      {
+        expiresIn: emailConfig.verification.tokenExpiry
+      }
+    );
+  }
+
+  // Enviar el enlace de verificación; un fallo de envío no interrumpe el registro
+  async sendVerificationEmail(user) {
+    try {
+      const token = this.generateEmailVerificationToken(user);
+      await emailService.sendAccountVerificationEmail(user, token);
+      return true;
+    } catch (error) {
+      console.error('Verification email failed', { error, userId: user.id });
+      return false;
+    }
+  }
+
+  /**
+   * Verificar el email a partir del token del enlace
+   * @param {string} token - Token de verificación
+   * @returns {Promise<Object>} - El usuario verificado
+   */
+  async verifyEmail(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET || '1234');
+    } catch (error) {
+      throw new ValidationError('El enlace de verificación es inválido o ha expirado');
+    }
+
+    if (decoded.purpose !== EMAIL_VERIFICATION_PURPOSE) {
+      throw new ValidationError('El enlace de verificación es inválido o ha expirado');
+    }
+
+    const [users] = await mysqlPool.query(
+      'SELECT id, first_name, last_name, email, email_verified_at FROM users WHERE id = ?',
+      [decoded.id]
+    );
+
+    // El token deja de servir si el email de la cuenta cambió
+    if (users.length === 0 || users[0].email !== decoded.email) {
+      throw new ValidationError('El enlace de verificación es inválido o ha expirado');
+    }
+
+    const user = users[0];
+
+    if (user.email_verified_at) {
+      return user;
+    }
+
+    await mysqlPool.query(
+      'UPDATE users SET email_verified_at = NOW() WHERE id = ? AND email_verified_at IS NULL',
+      [user.id]
+    );
+
+    emailService.sendWelcomeEmail(user).catch(error => {
+      console.error('Welcome email failed', { error, userId: user.id });
+    });
+
+    return { ...user, email_verified_at: new Date() };
+  }
+
+  /**
+   * Reenviar el enlace de verificación
+   * No revela si el email existe o si ya está verificado
+   * @param {string} email
+   */
+  async resendVerification(email) {
     try {
-      // Verify refresh token
-      const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET || '1234');
-      
-      // Find user with the given refresh token
       const [users] = await mysqlPool.query(
-        'SELECT * FROM users WHERE id = ? AND refresh_token = ?',
-        [decoded.id, refreshToken]
+        'SELECT id, first_name, last_name, email, email_verified_at FROM users WHERE email = ?',
+        [email]
       );
 
-      if (users.length === 0) {
-        throw new AuthenticationError('Invalid refresh token');
+      if (users.length > 0 && !users[0].email_verified_at) {
+        await this.sendVerificationEmail(users[0]);
       }
 
-      const user = users[0];
-
-      // Generate new access token
-      const newAccessToken = this.generateAccessToken(user);
-      
-      return {
-        accessToken: newAccessToken
-      };
+      return true;
     } catch (error) {
-      console.error('Token refresh failed', { error });
-      throw new AuthenticationError('Invalid refresh token');
+      console.error('Resend verification failed', { error, email });
+      throw new DatabaseError('Failed to resend verification email');
     }
   }
 
-  async requestPasswordReset(email) {
+  /**
+   * Solicitar el restablecimiento de contraseña
+   * La respuesta es la misma exista o no la cuenta; solo se limita por cuota
+   * @param {string} email - Email de la cuenta
+   * @param {Object} context - { ipAddress }
+   */
+  async requestPasswordReset(email, context = {}) {
+    const { tokenTtlMinutes, windowMinutes, maxPerEmail, maxPerIp } = authConfig.passwordReset;
+    const normalizedEmail = String(email).trim().toLowerCase();
+    const ipAddress = context.ipAddress || null;
+
     try {
-      // Find user by email
+      // Cuota por email y por IP en la ventana configurada
+      const [[{ byEmail, byIp }]] = await mysqlPool.query(
+        `SELECT
+           SUM(email = ?) AS byEmail,
+           SUM(ip_address <=> ?) AS byIp
+         FROM password_reset_attempts
+         WHERE created_at > NOW() - INTERVAL ? MINUTE
+           AND (email = ? OR ip_address <=> ?)`,
+        [normalizedEmail, ipAddress, windowMinutes, normalizedEmail, ipAddress]
+      );
+
+      if (Number(byEmail) >= maxPerEmail || (ipAddress && Number(byIp) >= maxPerIp)) {
+        throw new TooManyRequestsError(
+          'Demasiadas solicitudes de restablecimiento. Intenta de nuevo más tarde',
+          windowMinutes * 60
+        );
+      }
+
+      await mysqlPool.query(
+        'INSERT INTO password_reset_attempts (email, ip_address) VALUES (?, ?)',
+        [normalizedEmail, ipAddress]
+      );
+
       const [users] = await mysqlPool.query(
-        'SELECT * FROM users WHERE email = ?',
-        [email]
+        'SELECT id, first_name, last_name, email, status FROM users WHERE email = ?',
+        [normalizedEmail]
       );
 
-      if (users.length === 0) {
-        // Por seguridad, no revelar que el email no existe
-        console.info('Password reset requested for non-existent email', { email });
-        throw new NotFoundError('User not found');
+      // Sin cuenta activa no se emite token, pero la respuesta no cambia
+      if (users.length === 0 || users[0].status !== USER_STATUS.ACTIVE) {
+        console.info('Password reset requested for unknown or inactive account', { email: normalizedEmail });
+        return true;
       }
 
       const user = users[0];
+      const resetToken = crypto.randomBytes(32).toString('base64url');
+      const expiresAt = new Date(Date.now() + tokenTtlMinutes * 60 * 1000);
 
-      // Generate reset token
-      const resetToken = crypto.randomBytes(32).toString('hex');
-      const resetExpires = new Date();
-      resetExpires.setHours(resetExpires.getHours() + 1); // Token valid for 1 hour
+      // Solo el último enlace solicitado es válido
+      await mysqlPool.query(
+        'DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL',
+        [user.id]
+      );
 
-      // Store reset token in database
       await mysqlPool.query(
-        'UPDATE auth_credentials SET reset_token = ?, reset_token_expires = ? WHERE user_id = ?',
-        [resetToken, resetExpires, user.id]
+        `INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, expires_at)
+         VALUES (?, ?, ?, ?)`,
+        [user.id, hashResetToken(resetToken), ipAddress, expiresAt]
       );
-      
-      // En vez de enviar email, devolvemos el token para pruebas
-      return resetToken;
+
+      // Sin await: el tiempo de respuesta no debe delatar si la cuenta existe
+      emailService.sendPasswordResetEmail(user, resetToken, `${tokenTtlMinutes} min`).catch(error => {
+        console.error('Password reset email failed', { error, userId: user.id });
+      });
+
+      return true;
     } catch (error) {
-      console.error('Password reset request failed', { error, email });
+      console.error('Password reset request failed', { error, email: normalizedEmail });
+
+      if (error instanceof TooManyRequestsError) {
+        throw error;
+      }
+
       throw new DatabaseError('Failed to process password reset request');
     }
   }
 
+  /**
+   * Restablecer la contraseña con un token de un solo uso
+   * Cierra todas las sesiones e invalida los tokens de acceso emitidos
+   * @param {string} token - Token recibido por email
+   * @param {string} newPassword - Nueva contraseña
+   */
   async resetPassword(token, newPassword) {
+    const connection = await mysqlPool.getConnection();
     try {
-      // Find user with the given reset token
-      const [credentials] = await mysqlPool.query(
-        'SELECT * FROM auth_credentials WHERE reset_token = ? AND reset_token_expires > ?',
-        [token, new Date()]
+      await connection.beginTransaction();
+
+      const [tokens] = await connection.query(
+        'SELECT * FROM password_reset_tokens WHERE token_hash = ? FOR UPDATE',
+        [hashResetToken(token)]
       );
 
-      if (credentials.length === 0) {
-        throw new ValidationError('Invalid or expired reset token');
+      if (tokens.length === 0 || tokens[0].used_at || new Date(tokens[0].expires_at) <= new Date()) {
+        throw new ValidationError('El enlace de restablecimiento es inválido o ha expirado');
       }
 
-      const credential = credentials[0];
+      const resetToken = tokens[0];
 
       // Hash new password
-      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      const hashedPassword = await bcrypt.hash(newPassword, authConfig.auth.saltRounds);
 
-      // Update user password and clear reset token
-      await mysqlPool.query(
-        'UPDATE auth_credentials SET password = ?, reset_token = NULL, reset_token_expires = NULL WHERE id = ?',
-        [hashedPassword, credential.id]
+      const [result] = await connection.query(
+        'UPDATE auth_credentials SET password = ? WHERE user_id = ?',
+        [hashedPassword, resetToken.user_id]
       );
-      
+
+      if (result.affectedRows === 0) {
+        throw new ValidationError('El enlace de restablecimiento es inválido o ha expirado');
+      }
+
+      await connection.query(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?',
+        [resetToken.id]
+      );
+
+      // Invalidar los tokens y sesiones existentes
+      await SessionService.invalidateAllTokens(resetToken.user_id, SESSION_REVOKE_REASONS.PASSWORD_RESET, connection);
+
+      await connection.commit();
       return true;
     } catch (error) {
-      console.error('Password reset failed', { error, token });
+      await connection.rollback();
+      console.error('Password reset failed', { error: error.message });
       
       if (error instanceof ValidationError) {
         throw error;
       }
       
       throw new DatabaseError('Failed to reset password');
+    } finally {
+      connection.release();
     }
   }
 
+  // Eliminar tokens vencidos o usados y solicitudes fuera de la ventana de cuota
+  async purgePasswordResetData() {
+    const [tokens] = await mysqlPool.query(
+      'DELETE FROM password_reset_tokens WHERE expires_at < NOW() OR used_at IS NOT NULL'
+    );
+
+    const [attempts] = await mysqlPool.query(
+      'DELETE FROM password_reset_attempts WHERE created_at < NOW() - INTERVAL ? MINUTE',
+      [authConfig.passwordReset.windowMinutes]
+    );
+
+    return { tokens: tokens.affectedRows, attempts: attempts.affectedRows };
+  }
+
   async changePassword(userId, currentPassword, newPassword) {
     try {
       // Find credentials by user ID
@@ -315,6 +540,9 @@ class AuthService {
         'UPDATE auth_credentials SET password = ? WHERE user_id = ?',
         [hashedPassword, userId]
       );
+
+      // Invalidar los tokens y sesiones existentes (hay que volver a iniciar sesión)
+      await SessionService.invalidateAllTokens(userId, SESSION_REVOKE_REASONS.PASSWORD_CHANGED);
       
       return true;
     } catch (error) {
@@ -329,27 +557,44 @@ class AuthService {
     }
   }
 
-  generateAccessToken(user) {
-    return jwt.sign(
-      {
-        id: user.id,
-        email: user.email
-      },
-      process.env.JWT_SECRET || '1234',
-      {
-        expiresIn: process.env.JWT_EXPIRES_IN || '1d'
-      }
-    );
+  // Verificar que la cuenta pueda usarse (no suspendida ni desactivada)
+  assertAccountActive(user) {
+    if (user.status === USER_STATUS.BANNED) {
+      throw new AuthorizationError('Esta cuenta ha sido suspendida');
+    }
+
+    if (user.status === USER_STATUS.INACTIVE) {
+      throw new AuthorizationError('Esta cuenta está desactivada');
+    }
   }
 
-  generateRefreshToken(user) {
+  /**
+   * Generar un token de acceso
+   * @param {Object} user - Usuario (id, email, role)
+   * @param {Object} options - { sessionId } de la sesión del dispositivo, o
+   *                            { impersonatedBy, expiresIn } para tokens de suplantación
+   */
+  generateAccessToken(user, options = {}) {
+    const payload = {
+      id: user.id,
+      email: user.email,
+      role: user.role || USER_ROLES.GUEST
+    };
+
+    if (options.sessionId) {
+      payload.sid = options.sessionId;
+    }
+
+    if (options.impersonatedBy) {
+      payload.impersonatedBy = options.impersonatedBy;
+    }
+
     return jwt.sign(
+      payload,
+      process.env.JWT_SECRET || '1234',
       {
-        id: user.id
-      },
-      process.env.JWT_REFRESH_SECRET || '1234',
-      {
-        expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+        expiresIn: options.expiresIn || process.env.JWT_EXPIRES_IN || '1d',
+        jwtid: uuidv4()
       }
     );
   }
@@ -0,0 +1,237 @@
+// src/services/booking-access.service.js
+import jwt from 'jsonwebtoken';
+import { mysqlPool } from '../config/database.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  AuthorizationError,
+  DatabaseError
+} from '../utils/errors/index.js';
+import { BOOKING_STATUS } from '../config/constants.js';
+import authConfig from '../config/auth.config.js';
+import { normalizeReferenceCode, formatReferenceCode } from '../utils/reference-code.js';
+import { toDateKey } from '../models/mysql/booking-night.model.js';
+import emailService from './email.service.js';
+import logger from '../utils/logger.js';
+
+// Propósito del token del enlace de acceso (evita que se use como token de sesión)
+const BOOKING_ACCESS_PURPOSE = 'booking-access';
+
+// Mismo mensaje para código inexistente y email distinto: no revela qué reservas existen
+const LOOKUP_FAILED = 'No encontramos una reserva con ese código y email';
+
+const sameEmail = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// a***@dominio.com
+const maskEmail = (email) => {
+  const [local, domain] = String(email || '').split('@');
+  if (!domain) return null;
+  return `${local.charAt(0)}***@${domain}`;
+};
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Acceso a una reserva sin iniciar sesión: código de referencia + email del
+// huésped, o el enlace firmado que se le envía por email al reservar.
+export class BookingAccessService {
+  /**
+   * Token firmado del enlace de acceso
+   * Deja de valer si cambian el código o el email de la reserva
+   */
+  static createAccessToken(booking) {
+    return jwt.sign(
+      {
+        bid: booking.id,
+        ref: booking.reference_code,
+        email: booking.guest_email,
+        purpose: BOOKING_ACCESS_PURPOSE
+      },
+      process.env.JWT_SECRET || '1234',
+      { expiresIn: authConfig.bookingAccess.tokenExpiry }
+    );
+  }
+
+  /**
+   * Enviar al huésped el código y el enlace de acceso
+   * No lanza errores: se llama después de crear la reserva
+   * @param {Object} booking - Fila de la reserva (con reference_code) y su `property`
+   */
+  static sendAccessEmail(booking) {
+    return emailService.sendBookingAccessEmail(booking, this.createAccessToken(booking)).catch(error => {
+      logger.error('Booking access email failed', { bookingId: booking.id, error: error.message });
+    });
+  }
+
+  /**
+   * Consultar una reserva con el código de referencia y el email del huésped
+   * @returns {Promise<Object>} - Vista reducida (ver redact)
+   * @throws {NotFoundError} - Si no hay una reserva con ese código y email
+   */
+  static async lookupByCode(referenceCode, email) {
+    const booking = await this.findByReferenceCode(referenceCode);
+
+    if (!booking || !sameEmail(booking.guest_email, email)) {
+      throw new NotFoundError(LOOKUP_FAILED);
+    }
+
+    return this.redact(booking);
+  }
+
+  // Consultar una reserva con el token del enlace de acceso
+  static async lookupByToken(token) {
+    return this.redact(await this.verifyAccessToken(token));
+  }
+
+  /**
+   * Validar un token de acceso y devolver la reserva
+   * @throws {ValidationError} - Si el enlace es inválido, expiró o ya no corresponde a la reserva
+   */
+  static async verifyAccessToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET || '1234');
+    } catch (error) {
+      throw new ValidationError('El enlace de la reserva es inválido o ha expirado');
+    }
+
+    if (decoded.purpose !== BOOKING_ACCESS_PURPOSE) {
+      throw new ValidationError('El enlace de la reserva es inválido o ha expirado');
+    }
+
+    const booking = await this.findByReferenceCode(decoded.ref);
+
+    if (!booking || booking.id !== decoded.bid || !sameEmail(booking.guest_email, decoded.email)) {
+      throw new ValidationError('El enlace de la reserva es inválido o ha expirado');
+    }
+
+    return booking;
+  }
+
+  /**
+   * Comprobar que quien no inició sesión tiene acceso a una reserva concreta
+   * @param {number} bookingId - Reserva sobre la que se actúa
+   * @param {Object} proof - { referenceCode, email } o { token }
+   * @returns {Promise<boolean>}
+   */
+  static async hasGuestAccess(bookingId, { referenceCode, email, token }) {
+    let booking = null;
+
+    if (token) {
+      booking = await this.verifyAccessToken(token);
+    } else if (referenceCode && email) {
+      booking = await this.findByReferenceCode(referenceCode);
+      if (booking && !sameEmail(booking.guest_email, email)) {
+        booking = null;
+      }
+    }
+
+    return Boolean(booking) && booking.id === Number(bookingId);
+  }
+
+  /**
+   * Añadir a la cuenta del usuario una reserva hecha sin cuenta
+   * Con el código, el email verificado de la cuenta debe ser el de la reserva;
+   * el enlace de acceso ya prueba que el usuario recibe los emails del huésped.
+   * @param {number} userId - Usuario que reclama la reserva
+   * @param {Object} proof - { referenceCode } o { token }
+   * @returns {Promise<Object>} - Vista reducida de la reserva
+   */
+  static async claim(userId, { referenceCode, token }) {
+    const [users] = await mysqlPool.query(
+      'SELECT id, email FROM users WHERE id = ?',
+      [userId]
+    );
+
+    if (users.length === 0) {
+      throw new NotFoundError('Usuario no encontrado');
+    }
+
+    let booking;
+    if (token) {
+      booking = await this.verifyAccessToken(token);
+    } else {
+      booking = await this.findByReferenceCode(referenceCode);
+
+      if (!booking) {
+        throw new NotFoundError('Reserva no encontrada');
+      }
+
+      if (!sameEmail(booking.guest_email, users[0].email)) {
+        throw new AuthorizationError('El email de tu cuenta no coincide con el de la reserva');
+      }
+    }
+
+    if (booking.user_id === userId) {
+      return this.redact(booking);
+    }
+
+    if (booking.user_id) {
+      throw new ConflictError('La reserva ya pertenece a otra cuenta');
+    }
+
+    try {
+      const [result] = await mysqlPool.query(
+        'UPDATE bookings SET user_id = ?, updated_at = NOW() WHERE id = ? AND user_id IS NULL',
+        [userId, booking.id]
+      );
+
+      if (result.affectedRows === 0) {
+        throw new ConflictError('La reserva ya pertenece a otra cuenta');
+      }
+    } catch (error) {
+      if (error instanceof ConflictError) throw error;
+      console.error('Error claiming booking:', error);
+      throw new DatabaseError('Error al añadir la reserva a la cuenta');
+    }
+
+    logger.info('Guest booking claimed', { bookingId: booking.id, userId });
+
+    return this.redact({ ...booking, user_id: userId });
+  }
+
+  static async findByReferenceCode(referenceCode) {
+    const [bookings] = await mysqlPool.query(
+      `SELECT b.*, p.title AS property_title, p.city AS property_city, p.address AS property_address
+       FROM bookings b
+       JOIN properties p ON b.property_id = p.id
+       WHERE b.reference_code = ? AND b.deleted_at IS NULL`,
+      [normalizeReferenceCode(referenceCode)]
+    );
+
+    return bookings[0] || null;
+  }
+
+  /**
+   * Vista de la reserva para quien no inició sesión: sin teléfono, email
+   * completo, notas ni identificadores internos. La dirección exacta solo
+   * se muestra con la reserva confirmada.
+   */
+  static redact(booking) {
+    const quote = parseJson(booking.price_quote);
+    const showAddress = [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.COMPLETED].includes(booking.status);
+
+    return {
+      reference_code: formatReferenceCode(booking.reference_code),
+      status: booking.status,
+      check_in_date: toDateKey(booking.check_in_date),
+      check_out_date: toDateKey(booking.check_out_date),
+      guests: booking.guests,
+      guest_name: booking.guest_name ? booking.guest_name.split(' ')[0] : null,
+      guest_email: maskEmail(booking.guest_email),
+      total_price: Number(booking.total_price),
+      currency: quote ? quote.currency : null,
+      cancellation_policy: parseJson(booking.cancellation_policy),
+      property: {
+        id: booking.property_id,
+        title: booking.property_title,
+        city: booking.property_city,
+        address: showAddress ? booking.property_address : null
+      },
+      claimable: !booking.user_id,
+      created_at: booking.created_at
+    };
+  }
+}
+
+export default BookingAccessService;
@@ -0,0 +1,476 @@
+// src/services/booking-modification.service.js
+import { mysqlPool } from '../config/database.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  AuthorizationError,
+  DatabaseError
+} from '../utils/errors/index.js';
+import {
+  BOOKING_STATUS,
+  BOOKING_ACTORS,
+  MODIFICATION_STATUS,
+  PAYMENT_STATUS,
+  NOTIFICATION_TYPES
+} from '../config/constants.js';
+import { Payment } from '../models/mysql/payment.model.js';
+import { BookingNight } from '../models/mysql/booking-night.model.js';
+import bookingService from './booking.service.js';
+import { CalendarService } from './calendar.service.js';
+import { PricingService } from './pricing.service.js';
+import { CancellationService } from './cancellation.service.js';
+import { PaymentService } from './payment.service.js';
+import { NotificationService } from './notification.service.js';
+import logger from '../utils/logger.js';
+
+// Solo se pueden cambiar reservas activas
+const MODIFIABLE_STATUSES = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED];
+
+const MODIFICATION_COLUMNS = `m.id, m.booking_id, m.requested_by, m.status,
+  DATE_FORMAT(m.original_check_in, '%Y-%m-%d') AS original_check_in,
+  DATE_FORMAT(m.original_check_out, '%Y-%m-%d') AS original_check_out,
+  m.original_guests, m.original_total,
+  DATE_FORMAT(m.new_check_in, '%Y-%m-%d') AS new_check_in,
+  DATE_FORMAT(m.new_check_out, '%Y-%m-%d') AS new_check_out,
+  m.new_guests, m.new_total, m.price_difference, m.price_quote, m.reason,
+  m.response_note, m.responded_by, m.responded_at, m.settlement, m.created_at, m.updated_at`;
+
+// Los cálculos de dinero se hacen en centavos
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Solicitudes de cambio de fechas o huéspedes de una reserva. El huésped las
+// pide con el precio recalculado, el anfitrión las aprueba o rechaza y, al
+// aprobarse, la diferencia se cobra o se reembolsa en el libro de pagos.
+// Cada solicitud conserva los valores anteriores de la reserva.
+export class BookingModificationService {
+  /**
+   * Solicitar un cambio de fechas y/o huéspedes
+   * @param {number} bookingId - ID de la reserva
+   * @param {Object} changes - { checkIn, checkOut, guests, reason } (lo que no se indica no cambia)
+   * @param {number} userId - Usuario que lo solicita (el huésped o un administrador)
+   * @param {string} userRole - Rol del usuario
+   * @returns {Promise<Object>} - La solicitud con la cotización nueva
+   * @throws {ConflictError} - Si ya hay una solicitud pendiente o las fechas no están disponibles
+   */
+  static async request(bookingId, changes, userId, userRole) {
+    const booking = await this.getBooking(bookingId);
+
+    // Se compara con user_id: un anfitrión que reserva su propia propiedad también es el huésped
+    const actor = bookingService.getActor(booking.user_id, booking.host_id, userId, userRole);
+    if (booking.user_id !== userId && actor !== BOOKING_ACTORS.ADMIN) {
+      throw new AuthorizationError('Solo el huésped puede solicitar cambios en la reserva');
+    }
+
+    this.assertModifiable(booking);
+
+    const checkIn = changes.checkIn || booking.check_in_key;
+    const checkOut = changes.checkOut || booking.check_out_key;
+    const guests = changes.guests !== undefined ? Number(changes.guests) : booking.guests;
+
+    if (checkIn === booking.check_in_key && checkOut === booking.check_out_key && guests === booking.guests) {
+      throw new ValidationError('La solicitud no cambia nada de la reserva');
+    }
+
+    if (checkOut <= checkIn) {
+      throw new ValidationError('La fecha de salida debe ser posterior a la de entrada', ['check_out_date']);
+    }
+
+    if (new Date() >= CancellationService.checkInTime(checkIn)) {
+      throw new ValidationError('La nueva fecha de entrada ya pasó', ['check_in_date']);
+    }
+
+    const [pending] = await mysqlPool.query(
+      'SELECT id FROM booking_modifications WHERE booking_id = ? AND status = ?',
+      [bookingId, MODIFICATION_STATUS.PENDING]
+    );
+
+    if (pending.length > 0) {
+      throw new ConflictError('La reserva ya tiene una solicitud de cambio pendiente');
+    }
+
+    if (!(await this.isAvailable(booking, checkIn, checkOut))) {
+      throw new ConflictError('La propiedad no está disponible en las nuevas fechas');
+    }
+
+    // El precio nuevo se calcula con las tarifas actuales de la propiedad
+    const quote = await PricingService.quote(booking.property_id, { checkIn, checkOut, guests });
+    const difference = fromCents(toCents(quote.total) - toCents(booking.total_price));
+
+    let modificationId;
+    try {
+      const [result] = await mysqlPool.query(
+        `INSERT INTO booking_modifications
+         (booking_id, requested_by, status, original_check_in, original_check_out, original_guests, original_total,
+          new_check_in, new_check_out, new_guests, new_total, price_difference, price_quote, reason)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          bookingId,
+          userId,
+          MODIFICATION_STATUS.PENDING,
+          booking.check_in_key,
+          booking.check_out_key,
+          booking.guests,
+          booking.total_price,
+          checkIn,
+          checkOut,
+          guests,
+          quote.total,
+          difference,
+          JSON.stringify(quote),
+          changes.reason || null
+        ]
+      );
+      modificationId = result.insertId;
+    } catch (error) {
+      console.error('Error creating booking modification:', error);
+      throw new DatabaseError('Error al crear la solicitud de cambio');
+    }
+
+    const modification = await this.getModification(bookingId, modificationId);
+
+    NotificationService.notify(booking.host_id, NOTIFICATION_TYPES.BOOKING_MODIFICATION_REQUESTED, {
+      booking,
+      modification
+    });
+
+    logger.info('Booking modification requested', { bookingId, modificationId, difference });
+
+    return modification;
+  }
+
+  /**
+   * Solicitudes de cambio de una reserva, de la más reciente a la más antigua
+   * Visible para el huésped, el anfitrión y los administradores
+   */
+  static async list(bookingId, userId, userRole) {
+    const booking = await this.getBooking(bookingId);
+
+    if (!bookingService.getActor(booking.user_id, booking.host_id, userId, userRole)) {
+      throw new AuthorizationError('No tienes permiso para ver esta reserva');
+    }
+
+    try {
+      const [rows] = await mysqlPool.query(
+        `SELECT ${MODIFICATION_COLUMNS}
+         FROM booking_modifications m
+         WHERE m.booking_id = ?
+         ORDER BY m.created_at DESC, m.id DESC`,
+        [bookingId]
+      );
+
+      return rows.map(row => this.formatModification(row));
+    } catch (error) {
+      console.error('Error listing booking modifications:', error);
+      throw new DatabaseError('Error al obtener las solicitudes de cambio');
+    }
+  }
+
+  /**
+   * Aprobar una solicitud: cambia las noches reservadas, actualiza la reserva
+   * y salda la diferencia de precio
+   * - Los pagos sin cobrar se anulan y lo que falte se deja en un pago pendiente nuevo
+   * - Si lo cobrado supera el total nuevo, se reembolsa el exceso
+   * @param {Object} options - { note } para el huésped
+   * @returns {Promise<Object>} - La solicitud aprobada con `settlement`
+   */
+  static async approve(bookingId, modificationId, userId, userRole, { note = null } = {}) {
+    const booking = await this.getBooking(bookingId);
+    this.assertResponder(booking, userId, userRole);
+
+    const connection = await mysqlPool.getConnection();
+    let settlement;
+    try {
+      await connection.beginTransaction();
+
+      // Mismo orden de bloqueo que una reserva nueva: propiedad, luego reserva
+      await BookingNight.lockProperty(booking.property_id, connection);
+      const locked = await this.getBooking(bookingId, connection, { forUpdate: true });
+      const modification = await this.getModification(bookingId, modificationId, connection, { forUpdate: true });
+
+      this.assertPending(modification);
+      this.assertModifiable(locked);
+
+      if (!(await this.isAvailable(locked, modification.new_check_in, modification.new_check_out, connection))) {
+        throw new ConflictError('La propiedad ya no está disponible en las nuevas fechas');
+      }
+
+      // Mover las noches; la clave primaria rechaza cualquier solapamiento
+      await BookingNight.release(bookingId, connection);
+      await BookingNight.reserve(locked.property_id, bookingId, modification.new_check_in, modification.new_check_out, connection);
+
+      // Con fechas nuevas el recordatorio de llegada se vuelve a enviar
+      await connection.query(
+        `UPDATE bookings
+         SET check_in_date = ?, check_out_date = ?, guests = ?, total_price = ?, price_quote = ?,
+             reminder_sent_at = IF(check_in_date = ?, reminder_sent_at, NULL), updated_at = NOW()
+         WHERE id = ?`,
+        [
+          modification.new_check_in,
+          modification.new_check_out,
+          modification.new_guests,
+          modification.new_total,
+          JSON.stringify(modification.price_quote),
+          modification.new_check_in,
+          bookingId
+        ]
+      );
+
+      settlement = await this.settle(locked, modification, userId, connection);
+
+      await connection.query(
+        `UPDATE booking_modifications
+         SET status = ?, response_note = ?, responded_by = ?, responded_at = NOW(), settlement = ?
+         WHERE id = ?`,
+        [MODIFICATION_STATUS.APPROVED, note, userId, JSON.stringify(settlement), modificationId]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      if (error instanceof ValidationError ||
+          error instanceof NotFoundError ||
+          error instanceof ConflictError) {
+        throw error;
+      }
+      console.error('Error approving booking modification:', error);
+      throw new DatabaseError('Error al aprobar la solicitud de cambio');
+    } finally {
+      connection.release();
+    }
+
+    const modification = await this.getModification(bookingId, modificationId);
+
+    if (booking.user_id) {
+      NotificationService.notify(booking.user_id, NOTIFICATION_TYPES.BOOKING_MODIFICATION_RESPONDED, {
+        booking,
+        modification
+      });
+    }
+
+    // Anular y reembolsar en el procesador ya con el cambio guardado (avisa de cada reembolso)
+    await PaymentService.settleGatewayOperations({
+      voids: settlement.voided_payment_ids,
+      refunds: settlement.refunds.map(refund => refund.refund_id)
+    });
+
+    logger.info('Booking modification approved', { bookingId, modificationId, settlement });
+
+    return modification;
+  }
+
+  /**
+   * Rechazar una solicitud pendiente (la reserva no cambia)
+   * @param {Object} options - { note } con el motivo para el huésped
+   */
+  static async decline(bookingId, modificationId, userId, userRole, { note = null } = {}) {
+    const booking = await this.getBooking(bookingId);
+    this.assertResponder(booking, userId, userRole);
+
+    const modification = await this.close(bookingId, modificationId, MODIFICATION_STATUS.DECLINED, {
+      respondedBy: userId,
+      note
+    });
+
+    if (booking.user_id) {
+      NotificationService.notify(booking.user_id, NOTIFICATION_TYPES.BOOKING_MODIFICATION_RESPONDED, {
+        booking,
+        modification
+      });
+    }
+
+    logger.info('Booking modification declined', { bookingId, modificationId });
+
+    return modification;
+  }
+
+  // Retirar una solicitud pendiente (quien la pidió o un administrador)
+  static async withdraw(bookingId, modificationId, userId, userRole) {
+    const booking = await this.getBooking(bookingId);
+    const modification = await this.getModification(bookingId, modificationId);
+
+    const actor = bookingService.getActor(booking.user_id, booking.host_id, userId, userRole);
+    if (actor !== BOOKING_ACTORS.ADMIN && modification.requested_by !== userId) {
+      throw new AuthorizationError('Solo quien pidió el cambio puede retirarlo');
+    }
+
+    return this.close(bookingId, modificationId, MODIFICATION_STATUS.WITHDRAWN, { respondedBy: userId });
+  }
+
+  /**
+   * Cerrar una solicitud pendiente sin aplicarla
+   * @throws {ConflictError} - Si la solicitud ya no está pendiente
+   */
+  static async close(bookingId, modificationId, status, { respondedBy, note = null }) {
+    const modification = await this.getModification(bookingId, modificationId);
+    this.assertPending(modification);
+
+    try {
+      // La condición de estado evita pisar una aprobación simultánea
+      const [result] = await mysqlPool.query(
+        `UPDATE booking_modifications
+         SET status = ?, response_note = ?, responded_by = ?, responded_at = NOW()
+         WHERE id = ? AND status = ?`,
+        [status, note, respondedBy, modificationId, MODIFICATION_STATUS.PENDING]
+      );
+
+      if (result.affectedRows === 0) {
+        throw new ConflictError('La solicitud de cambio ya fue respondida');
+      }
+    } catch (error) {
+      if (error instanceof ConflictError) throw error;
+      console.error('Error closing booking modification:', error);
+      throw new DatabaseError('Error al actualizar la solicitud de cambio');
+    }
+
+    return this.getModification(bookingId, modificationId);
+  }
+
+  /**
+   * Saldar la diferencia entre lo pagado y el total nuevo (dentro de la transacción)
+   * Las anulaciones y reembolsos en el procesador se completan después del commit
+   * @returns {Promise<Object>} - { paid, new_total, voided_payment_ids, charge, refunds }
+   */
+  static async settle(booking, modification, userId, connection) {
+    const payments = await Payment.findByBookingId(booking.id, connection);
+    const metadata = { reason: 'booking_modified', modification_id: modification.id };
+
+    const paidCents = await PaymentService.getPaidCents(payments, connection);
+
+    // Los pagos sin cobrar eran por el total anterior
+    const voided = [];
+    for (const payment of payments) {
+      if (payment.status === PAYMENT_STATUS.PENDING || payment.status === PAYMENT_STATUS.AUTHORIZED) {
+        await PaymentService.voidPayment(payment.id, { createdBy: userId, metadata }, connection);
+        voided.push(payment.id);
+      }
+    }
+
+    const outstandingCents = toCents(modification.new_total) - paidCents;
+    let charge = null;
+    const refunds = [];
+
+    if (outstandingCents > 0) {
+      const previous = payments[payments.length - 1];
+      const paymentId = await Payment.create({
+        booking_id: booking.id,
+        amount: fromCents(outstandingCents),
+        currency: modification.price_quote.currency,
+        payment_method: previous ? previous.payment_method : null,
+        details: metadata
+      }, connection);
+      charge = { payment_id: paymentId, amount: fromCents(outstandingCents) };
+    } else if (outstandingCents < 0) {
+      // Reembolsar el exceso empezando por los pagos más recientes
+      let remaining = -outstandingCents;
+      for (const payment of [...payments].reverse()) {
+        if (remaining === 0) break;
+        if (![PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(payment.status)) continue;
+
+        const cents = Math.min(remaining, toCents(payment.amount) - toCents(payment.refunded_amount));
+        if (cents <= 0) continue;
+
+        const refundId = await PaymentService.issueRefund(payment.id, fromCents(cents), { createdBy: userId, metadata }, connection);
+        refunds.push({ refund_id: refundId, payment_id: payment.id, amount: fromCents(cents) });
+        remaining -= cents;
+      }
+    }
+
+    return {
+      paid: fromCents(paidCents),
+      new_total: Number(modification.new_total),
+      voided_payment_ids: voided,
+      charge,
+      refunds
+    };
+  }
+
+  // Disponibilidad de las nuevas fechas sin contar las noches de la propia reserva
+  static async isAvailable(booking, checkIn, checkOut, connection = mysqlPool) {
+    const conflicts = await BookingNight.findConflicts(booking.property_id, checkIn, checkOut, connection);
+
+    if (conflicts.some(conflict => conflict.booking_id !== booking.id)) {
+      return false;
+    }
+
+    return !(await CalendarService.isBlocked(booking.property_id, checkIn, checkOut, connection));
+  }
+
+  // La reserva debe estar activa y la estancia no puede haber empezado
+  static assertModifiable(booking, now = new Date()) {
+    if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+      throw new ValidationError(`No se puede cambiar una reserva en estado "${booking.status}"`);
+    }
+
+    if (now >= CancellationService.checkInTime(booking.check_in_key)) {
+      throw new ValidationError('No se puede cambiar una reserva cuya estancia ya comenzó');
+    }
+  }
+
+  static assertPending(modification) {
+    if (modification.status !== MODIFICATION_STATUS.PENDING) {
+      throw new ConflictError('La solicitud de cambio ya fue respondida');
+    }
+  }
+
+  // Aprueba o rechaza el anfitrión de la propiedad (o un administrador)
+  static assertResponder(booking, userId, userRole) {
+    const actor = bookingService.getActor(booking.user_id, booking.host_id, userId, userRole);
+    if (actor !== BOOKING_ACTORS.HOST && actor !== BOOKING_ACTORS.ADMIN) {
+      throw new AuthorizationError('Solo el anfitrión puede responder a los cambios de la reserva');
+    }
+  }
+
+  /**
+   * Reserva con el anfitrión y las fechas como 'YYYY-MM-DD'
+   * @param {Object} options - { forUpdate } para bloquear la fila dentro de una transacción
+   */
+  static async getBooking(bookingId, connection = mysqlPool, { forUpdate = false } = {}) {
+    const [rows] = await connection.query(
+      `SELECT b.*, DATE_FORMAT(b.check_in_date, '%Y-%m-%d') AS check_in_key,
+              DATE_FORMAT(b.check_out_date, '%Y-%m-%d') AS check_out_key,
+              p.host_id, p.title AS property_title
+       FROM bookings b
+       JOIN properties p ON b.property_id = p.id
+       WHERE b.id = ? AND b.deleted_at IS NULL${forUpdate ? ' FOR UPDATE' : ''}`,
+      [bookingId]
+    );
+
+    if (rows.length === 0) {
+      throw new NotFoundError('Reserva no encontrada');
+    }
+
+    return rows[0];
+  }
+
+  static async getModification(bookingId, modificationId, connection = mysqlPool, { forUpdate = false } = {}) {
+    const [rows] = await connection.query(
+      `SELECT ${MODIFICATION_COLUMNS}
+       FROM booking_modifications m
+       WHERE m.id = ? AND m.booking_id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [modificationId, bookingId]
+    );
+
+    if (rows.length === 0) {
+      throw new NotFoundError('Solicitud de cambio no encontrada');
+    }
+
+    return this.formatModification(rows[0]);
+  }
+
+  static formatModification(row) {
+    return {
+      ...row,
+      original_total: Number(row.original_total),
+      new_total: Number(row.new_total),
+      price_difference: Number(row.price_difference),
+      price_quote: parseJson(row.price_quote),
+      settlement: row.settlement ? parseJson(row.settlement) : null
+    };
+  }
+}
+
+export default BookingModificationService;
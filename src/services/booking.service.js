@@ -5,6 +5,60 @@
 import { mysqlPool } from '../config/database.js';
 import { ValidationError, NotFoundError, ConflictError, DatabaseError, AuthorizationError } from '../utils/errors/index.js';
 import logger from '../utils/logger.js';
+import { Payment } from '../models/mysql/payment.model.js';
+import { propertyColumns } from '../models/mysql/property.model.js';
+import { BookingNight, toDateKey, addDays, listNights } from '../models/mysql/booking-night.model.js';
+import { BookingStatus } from '../models/mysql/booking-status.model.js';
+import {
+  PAYMENT_STATUS,
+  USER_ROLES,
+  NOTIFICATION_TYPES,
+  BOOKING_STATUS,
+  BOOKING_ACTORS
+} from '../config/constants.js';
+import { NotificationService } from './notification.service.js';
+import emailService from './email.service.js';
+import { CalendarService } from './calendar.service.js';
+import { PricingService } from './pricing.service.js';
+import { CancellationService } from './cancellation.service.js';
+import { PaymentService } from './payment.service.js';
+import { BookingAccessService } from './booking-access.service.js';
+import { generateReferenceCode } from '../utils/reference-code.js';
+
+// Orden del panel del anfitrión: columna y su valor en texto para el cursor
+const HOST_BOOKING_SORTS = {
+  check_in: { column: 'b.check_in_date', key: "DATE_FORMAT(b.check_in_date, '%Y-%m-%d')" },
+  created: { column: 'b.created_at', key: "DATE_FORMAT(b.created_at, '%Y-%m-%d %H:%i:%s')" },
+  amount: { column: 'b.total_price', key: 'CAST(b.total_price AS CHAR)' }
+};
+
+// Estado de pago de una reserva derivado del libro de pagos (alias `pay`)
+const PAYMENT_STATE_SQL = `CASE
+  WHEN COALESCE(pay.paid_amount, 0) > 0 AND pay.refunded_amount >= pay.paid_amount THEN 'refunded'
+  WHEN COALESCE(pay.paid_amount, 0) > 0 AND pay.refunded_amount > 0 THEN 'partially_refunded'
+  WHEN COALESCE(pay.paid_amount, 0) > 0 THEN 'completed'
+  WHEN COALESCE(pay.open_payments, 0) > 0 OR pay.payment_count IS NULL THEN 'pending'
+  WHEN pay.failed_payments > 0 THEN 'failed'
+  ELSE 'cancelled'
+END`;
+
+// El cursor es opaco para el cliente: [valor de ordenación, id] en base64url
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 2 && Number.isInteger(decoded[1])) {
+      return decoded;
+    }
+  } catch (error) {
+    // Se trata abajo como cursor inválido
+  }
+
+  throw new ValidationError('Cursor inválido', ['cursor']);
+};
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
 
 class BookingService {
   /**
@@ -36,43 +90,52 @@ class BookingService {
         throw new ValidationError('End date must be after start date');
       }
 
-      // Check if property exists
-      const [propertyRows] = await mysqlPool.query(
-        'SELECT * FROM properties WHERE id = ?',
-        [bookingData.propertyId]
-      );
-      
-      if (propertyRows.length === 0) {
-        throw new NotFoundError('Property not found');
-      }
-      
-      const property = propertyRows[0];
+      const checkInDate = toDateKey(bookingData.startDate);
+      const checkOutDate = toDateKey(bookingData.endDate);
 
       // Usamos userId si está disponible
       const finalUserId = userId;
       console.log('Final userId to be used:', finalUserId);
 
-      // Comprobar disponibilidad
-      const isAvailable = await this.checkAvailability(
-        bookingData.propertyId,
-        startDate,
-        endDate
-      );
-
-      if (!isAvailable) {
-        throw new ConflictError('Property is not available for the selected dates');
-      }
-
-      // Calculate price
-      const nights = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-      const months = Math.ceil(nights / 30);
-      const totalPrice = bookingData.totalPrice || (property.pricePerNight ? property.pricePerNight * nights : property.price * months);
-
       // Start transaction
       const connection = await mysqlPool.getConnection();
       await connection.beginTransaction();
 
       try {
+        // Bloquear la propiedad: las reservas concurrentes de la misma propiedad
+        // esperan aquí hasta que esta transacción termine
+        const property = await BookingNight.lockProperty(bookingData.propertyId, connection);
+
+        if (!property) {
+          throw new NotFoundError('Property not found');
+        }
+
+        // Comprobar disponibilidad dentro de la transacción
+        const isAvailable = await this.checkAvailability(
+          bookingData.propertyId,
+          checkInDate,
+          checkOutDate,
+          connection
+        );
+
+        if (!isAvailable) {
+          throw new ConflictError('Property is not available for the selected dates');
+        }
+
+        // El precio se calcula siempre en el servidor; el total enviado por el cliente se ignora
+        const quote = await PricingService.quote(bookingData.propertyId, {
+          checkIn: checkInDate,
+          checkOut: checkOutDate,
+          guests: bookingData.guests
+        }, connection);
+        const totalPrice = quote.total;
+
+        // La política de cancelación que acepta el huésped queda fijada en la reserva
+        const cancellationPolicy = CancellationService.snapshot(property);
+
+        // Código para consultar la reserva sin cuenta (ver BookingAccessService)
+        const referenceCode = generateReferenceCode();
+
         // Registramos lo que vamos a insertar
         console.log('Inserting booking with data:', {
           propertyId: bookingData.propertyId,
@@ -90,20 +153,23 @@ class BookingService {
           // Consulta con user_id
           insertQuery = `
             INSERT INTO bookings 
-            (property_id, user_id, guest_name, guest_email, guest_phone, check_in_date, check_out_date, 
-            guests, total_price, special_requests, status, created_at) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+            (reference_code, property_id, user_id, guest_name, guest_email, guest_phone, check_in_date, check_out_date, 
+            guests, total_price, price_quote, cancellation_policy, special_requests, status, created_at) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
           `;
           insertParams = [
+            referenceCode,
             bookingData.propertyId,
             finalUserId,
             bookingData.guestName,
             bookingData.guestEmail,
             bookingData.guestPhone || null,
-            startDate,
-            endDate,
+            checkInDate,
+            checkOutDate,
             bookingData.guests || 1,
             totalPrice,
+            JSON.stringify(quote),
+            JSON.stringify(cancellationPolicy),
             bookingData.specialRequests || null,
             'pending'
           ];
@@ -111,19 +177,22 @@ class BookingService {
           // Consulta sin user_id para permitir que sea NULL en la BD
           insertQuery = `
             INSERT INTO bookings 
-            (property_id, guest_name, guest_email, guest_phone, check_in_date, check_out_date, 
-            guests, total_price, special_requests, status, created_at) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+            (reference_code, property_id, guest_name, guest_email, guest_phone, check_in_date, check_out_date, 
+            guests, total_price, price_quote, cancellation_policy, special_requests, status, created_at) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
           `;
           insertParams = [
+            referenceCode,
             bookingData.propertyId,
             bookingData.guestName,
             bookingData.guestEmail,
             bookingData.guestPhone || null,
-            startDate,
-            endDate,
+            checkInDate,
+            checkOutDate,
             bookingData.guests || 1,
             totalPrice,
+            JSON.stringify(quote),
+            JSON.stringify(cancellationPolicy),
             bookingData.specialRequests || null,
             'pending'
           ];
@@ -134,29 +203,29 @@ class BookingService {
         const bookingId = result.insertId;
         console.log('Booking created with ID:', bookingId);
 
-        // Create initial payment record if needed
-        // Este bloque es opcional dependiendo si manejas pagos separados
-        const [paymentResult] = await connection.query(
-          `INSERT INTO payments
-           (booking_id, amount, currency, payment_method, status, payment_date)
-           VALUES (?, ?, ?, ?, ?, NOW())`,
-          [
-            bookingId,
-            totalPrice,
-            'HNL',
-            bookingData.paymentMethod || 'credit_card',
-            'pending'
-          ]
-        );
+        // Ocupar las noches; la clave primaria rechaza cualquier solapamiento
+        await BookingNight.reserve(bookingData.propertyId, bookingId, checkInDate, checkOutDate, connection);
+
+        await BookingStatus.record(bookingId, null, BOOKING_STATUS.PENDING, {
+          actor: BOOKING_ACTORS.GUEST,
+          changedBy: finalUserId
+        }, connection);
 
-        const paymentId = paymentResult.insertId;
+        // Create initial pending payment in the payment ledger
+        const paymentId = await Payment.create({
+          booking_id: bookingId,
+          amount: totalPrice,
+          currency: quote.currency,
+          payment_method: bookingData.paymentMethod || 'credit_card'
+        }, connection);
 
         // Commit transaction
         await connection.commit();
         connection.release();
 
-        return {
+        const booking = {
           id: bookingId,
+          referenceCode,
           propertyId: bookingData.propertyId,
           userId: finalUserId,
           guestName: bookingData.guestName,
@@ -164,9 +233,29 @@ class BookingService {
           checkInDate: startDate,
           checkOutDate: endDate,
           totalPrice,
+          currency: quote.currency,
+          priceQuote: quote,
           status: 'pending',
           paymentId
         };
+
+        NotificationService.notify(property.host_id, NOTIFICATION_TYPES.BOOKING_CREATED, { booking, property });
+
+        // El huésped recibe el código y el enlace de acceso a la reserva
+        BookingAccessService.sendAccessEmail({
+          id: bookingId,
+          reference_code: referenceCode,
+          guest_name: bookingData.guestName,
+          guest_email: bookingData.guestEmail,
+          check_in_date: checkInDate,
+          check_out_date: checkOutDate,
+          guests: bookingData.guests || 1,
+          total_price: totalPrice,
+          currency: quote.currency,
+          property
+        });
+
+        return booking;
       } catch (error) {
         await connection.rollback();
         connection.release();
@@ -216,7 +305,7 @@ class BookingService {
       let property = null;
       if (booking.property_id) {
         const [propertyRows] = await mysqlPool.query(
-          'SELECT * FROM properties WHERE id = ?',
+          `SELECT ${propertyColumns()} FROM properties WHERE id = ?`,
           [booking.property_id]
         );
         
@@ -260,6 +349,24 @@ class BookingService {
     }
   }
 
+  /**
+   * Reserva vista por su huésped, el anfitrión de la propiedad o un administrador
+   * A cualquier otro usuario se le responde como si no existiera. No incluye el
+   * código de referencia: es la credencial del acceso sin cuenta.
+   * @throws {NotFoundError} - Si no existe o el usuario no tiene relación con ella
+   */
+  async findForUser(id, userId, userRole) {
+    const booking = await this.findById(id);
+
+    if (!this.getActor(booking.user_id, booking.property ? booking.property.host_id : null, userId, userRole)) {
+      throw new NotFoundError(`Reserva #${id} no encontrada`);
+    }
+
+    const view = { ...booking };
+    delete view.reference_code;
+    return view;
+  }
+
   /**
    * Find bookings with filters
    * @param {Object} filters - Filter options
@@ -378,7 +485,7 @@ class BookingService {
       
       if (propertyIds.length > 0) {
         const [propertyRows] = await mysqlPool.query(
-          `SELECT * FROM properties WHERE id IN (${propertyIds.map(() => '?').join(',')})`,
+          `SELECT ${propertyColumns()} FROM properties WHERE id IN (${propertyIds.map(() => '?').join(',')})`,
           propertyIds
         );
         properties = propertyRows;
@@ -432,15 +539,18 @@ class BookingService {
 
   /**
    * Update booking status
+   * Solo se permiten las transiciones de la máquina de estados (BookingStatus)
+   * y cada una según el rol de quien la pide
    * @param {number} id - Booking ID
    * @param {string} status - New status
    * @param {number} userId - User ID performing the update
+   * @param {string} userRole - Role of the user performing the update
+   * @param {string} reason - Motivo del cambio (queda en el historial)
    * @returns {Promise<Object>} - The updated booking
    */
-  async updateStatus(id, status, userId) {
+  async updateStatus(id, status, userId, userRole, reason = null) {
     try {
-      // Valid status transitions
-      const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed'];
+      const validStatuses = Object.values(BOOKING_STATUS);
       if (!validStatuses.includes(status)) {
         throw new ValidationError(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
       }
@@ -448,38 +558,47 @@ class BookingService {
       // Get booking from database
       const booking = await this.findById(id);
       
-      // Check permissions (user must be the guest or the property owner)
-      if (booking.user_id !== userId && (!booking.property || booking.property.host_id !== userId)) {
+      // Check permissions (user must be the guest, the property owner or an admin)
+      const actor = this.getActor(booking.user_id, booking.property ? booking.property.host_id : null, userId, userRole);
+      if (!actor) {
         throw new AuthorizationError('You do not have permission to update this booking');
       }
 
-      // Additional validations based on status
-      if (status === 'cancelled') {
-        // Check cancellation policy (could be more complex based on business rules)
-        const now = new Date();
-        const startDate = new Date(booking.check_in_date);
-        const daysDifference = Math.ceil((startDate - now) / (1000 * 60 * 60 * 24));
-        
-        if (daysDifference < 1) {
-          throw new ValidationError('Cannot cancel booking less than 24 hours before check-in');
-        }
+      // Las cancelaciones siguen la política de la reserva y reembolsan lo que corresponda
+      if (status === BOOKING_STATUS.CANCELLED) {
+        await this.cancelBooking(id, userId, userRole, { reason });
+        return this.findById(id);
       }
 
       // Update booking status
-      await mysqlPool.query(
-        'UPDATE bookings SET status = ?, updated_at = NOW() WHERE id = ?',
-        [status, id]
-      );
+      const connection = await mysqlPool.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        await BookingStatus.transition(id, status, { actor, changedBy: userId, reason }, connection);
+
+        await connection.commit();
+      } catch (transactionError) {
+        await connection.rollback();
+        throw transactionError;
+      } finally {
+        connection.release();
+      }
 
       // Fetch complete booking data with related entities
       const updatedBooking = await this.findById(id);
 
+      if (status === BOOKING_STATUS.CONFIRMED) {
+        NotificationService.notify(updatedBooking.user_id, NOTIFICATION_TYPES.BOOKING_CONFIRMED, { booking: updatedBooking });
+      }
+
       // Log status update
       logger.info('Booking status updated', { 
         bookingId: id, 
         oldStatus: booking.status, 
         newStatus: status,
-        updatedBy: userId
+        updatedBy: userId,
+        actor
       });
 
       return updatedBooking;
@@ -488,7 +607,8 @@ class BookingService {
       
       if (error instanceof ValidationError || 
           error instanceof NotFoundError ||
-          error instanceof AuthorizationError) {
+          error instanceof AuthorizationError ||
+          error instanceof ConflictError) {
         throw error;
       }
       
@@ -496,68 +616,230 @@ class BookingService {
     }
   }
 
+  /**
+   * Historial de estados de una reserva (huésped, anfitrión o administrador)
+   * @returns {Promise<Array>} - Cambios del más antiguo al más reciente
+   */
+  async getStatusHistory(id, userId, userRole) {
+    const booking = await this.findById(id);
+
+    if (!this.getActor(booking.user_id, booking.property ? booking.property.host_id : null, userId, userRole)) {
+      throw new AuthorizationError('No tienes permiso para ver esta reserva');
+    }
+
+    try {
+      return await BookingStatus.getHistory(id);
+    } catch (error) {
+      console.error('Error getting booking status history:', error);
+      throw new DatabaseError('Error al obtener el historial de la reserva');
+    }
+  }
+
+  /**
+   * Rol con el que un usuario actúa sobre una reserva
+   * @returns {string|null} - admin, host, guest o null si no tiene relación con ella
+   */
+  getActor(bookingUserId, hostId, userId, userRole) {
+    if (userRole === USER_ROLES.ADMIN) return BOOKING_ACTORS.ADMIN;
+    if (hostId && hostId === userId) return BOOKING_ACTORS.HOST;
+    if (bookingUserId && bookingUserId === userId) return BOOKING_ACTORS.GUEST;
+    return null;
+  }
+
+  /**
+   * Reserva con los datos necesarios para cancelarla
+   * @param {Object} options - { forUpdate } para bloquear la fila dentro de una transacción
+   * @returns {Promise<Object>} - La reserva con host_id, property_title y su política (`policy`)
+   */
+  async getCancellationContext(bookingId, connection = mysqlPool, { forUpdate = false } = {}) {
+    const [rows] = await connection.query(
+      `SELECT b.*, DATE_FORMAT(b.check_in_date, '%Y-%m-%d') AS check_in_key,
+              p.host_id, p.title AS property_title,
+              p.cancellation_policy AS property_cancellation_policy,
+              p.cancellation_tiers AS property_cancellation_tiers
+       FROM bookings b
+       LEFT JOIN properties p ON b.property_id = p.id
+       WHERE b.id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [bookingId]
+    );
+
+    if (rows.length === 0) {
+      throw new NotFoundError('Reserva no encontrada');
+    }
+
+    const booking = rows[0];
+
+    // Reservas anteriores a las políticas: se usa la política actual de la propiedad
+    const policy = booking.cancellation_policy
+      ? CancellationService.resolvePolicy(booking.cancellation_policy.policy, booking.cancellation_policy.tiers)
+      : CancellationService.resolvePolicy(booking.property_cancellation_policy, booking.property_cancellation_tiers);
+
+    return { ...booking, policy };
+  }
+
+  /**
+   * Comprobar que la reserva se puede cancelar
+   * Huésped y anfitrión solo pueden cancelar antes de la llegada; un administrador, siempre
+   */
+  assertCancellable(booking, actor, now = new Date()) {
+    if (booking.status === BOOKING_STATUS.COMPLETED) {
+      throw new ValidationError('No se puede cancelar una reserva completada');
+    }
+
+    if (booking.status === BOOKING_STATUS.EXPIRED) {
+      throw new ValidationError('La reserva ya expiró');
+    }
+
+    if (actor !== BOOKING_ACTORS.ADMIN && now >= CancellationService.checkInTime(booking.check_in_key)) {
+      throw new ValidationError('No se puede cancelar una reserva cuya estancia ya comenzó');
+    }
+  }
+
+  /**
+   * Vista previa del reembolso si el usuario cancelara ahora (no cambia nada)
+   * @returns {Promise<Object>} - Desglose del reembolso según la política de la reserva
+   */
+  async previewCancellation(bookingId, userId, userRole) {
+    const booking = await this.getCancellationContext(bookingId);
+
+    const actor = this.getActor(booking.user_id, booking.host_id, userId, userRole);
+    if (!actor) {
+      throw new AuthorizationError('No tienes permiso para cancelar esta reserva');
+    }
+
+    if (booking.status === BOOKING_STATUS.CANCELLED) {
+      throw new ConflictError('La reserva ya está cancelada');
+    }
+
+    this.assertCancellable(booking, actor);
+
+    const payments = await Payment.findByBookingId(bookingId);
+    const refund = CancellationService.calculateRefund({ booking: { check_in_date: booking.check_in_key }, policy: booking.policy, payments, actor });
+
+    return {
+      booking_id: booking.id,
+      status: booking.status,
+      currency: payments.length > 0 ? payments[0].currency : 'HNL',
+      ...refund
+    };
+  }
+
   /**
  * Cancel a booking
+ * El reembolso se calcula con la política guardada en la reserva y se registra en el libro de pagos
  * @param {number} bookingId - Booking ID
  * @param {number} userId - User ID performing the cancellation
- * @returns {Promise<boolean>} - Success status
+ * @param {string} userRole - Role of the user performing the cancellation
+ * @param {Object} options - { reason } motivo de la cancelación
+ * @returns {Promise<Object|null>} - Desglose del reembolso, o null si ya estaba cancelada
  */
-  async cancelBooking(bookingId, userId) {
+  async cancelBooking(bookingId, userId, userRole, { reason = null } = {}) {
     try {
       // Primero check if booking exists and belongs to user or is created by user
-      const [booking] = await mysqlPool.query(
-        'SELECT b.*, p.host_id FROM bookings b LEFT JOIN properties p ON b.property_id = p.id WHERE b.id = ?',
-        [bookingId]
-      );
+      const booking = await this.getCancellationContext(bookingId);
       
-      if (booking.length === 0) {
-        throw new NotFoundError('Reserva no encontrada');
-      }
-      
-      // Verificar autorización - el usuario debe ser el huésped o el dueño de la propiedad
-      if (booking[0].user_id !== userId && booking[0].host_id !== userId) {
+      // Verificar autorización - el usuario debe ser el huésped, el dueño de la propiedad o un administrador
+      const actor = this.getActor(booking.user_id, booking.host_id, userId, userRole);
+      if (!actor) {
         throw new AuthorizationError('No tienes permiso para cancelar esta reserva');
       }
       
       // Check if booking can be cancelled
-      if (booking[0].status === 'cancelled') {
+      if (booking.status === BOOKING_STATUS.CANCELLED) {
         // No error if already cancelled, just return success
-        return true;
-      }
-      
-      if (booking[0].status === 'completed') {
-        throw new ValidationError('No se puede cancelar una reserva completada');
-      }
-      
-      // Check if it's too late to cancel (menos de 48 horas)
-      const now = new Date();
-      const checkInDate = new Date(booking[0].check_in_date);
-      const timeDifference = checkInDate.getTime() - now.getTime();
-      const hoursDifference = timeDifference / (1000 * 60 * 60);
-      
-      if (hoursDifference < 48) {
-        throw new ValidationError('No se puede cancelar una reserva con menos de 48 horas de anticipación');
+        return null;
       }
+
+      this.assertCancellable(booking, actor);
       
-      // Update booking status
-      await mysqlPool.query(
-        'UPDATE bookings SET status = "cancelled", updated_at = NOW() WHERE id = ?',
-        [bookingId]
-      );
-      
+      const connection = await mysqlPool.getConnection();
+      let refund;
+      const gatewayOperations = { voids: [], refunds: [] };
       try {
-        // Opcionalmente, actualizar el registro de pago si existe
-        // Usar 'failed' en lugar de 'cancelled' porque el ENUM no incluye 'cancelled'
-        await mysqlPool.query(
-          'UPDATE payments SET status = "failed" WHERE booking_id = ?',
-          [bookingId]
-        );
-      } catch (paymentError) {
-        console.warn('Error al actualizar el estado del pago:', paymentError);
-        // No lanzar error para continuar con la cancelación
+        await connection.beginTransaction();
+
+        // Releer la reserva bloqueada: dos cancelaciones simultáneas no reembolsan dos veces
+        const locked = await this.getCancellationContext(bookingId, connection, { forUpdate: true });
+        const payments = await Payment.findByBookingId(bookingId, connection);
+        refund = CancellationService.calculateRefund({
+          booking: { check_in_date: locked.check_in_key },
+          policy: locked.policy,
+          payments,
+          actor
+        });
+        
+        // Cambiar el estado (libera las noches para nuevas reservas)
+        await BookingStatus.transition(bookingId, BOOKING_STATUS.CANCELLED, {
+          actor,
+          changedBy: userId,
+          reason,
+          metadata: {
+            policy: refund.policy,
+            refund_percent: refund.refund_percent,
+            refund_amount: refund.refund_amount
+          }
+        }, connection);
+        
+        // Anular los pagos que aún no se han cobrado
+        for (const payment of payments) {
+          if (payment.status === PAYMENT_STATUS.PENDING || payment.status === PAYMENT_STATUS.AUTHORIZED) {
+            await PaymentService.voidPayment(payment.id, {
+              createdBy: userId,
+              metadata: { reason: 'booking_cancelled' }
+            }, connection);
+            gatewayOperations.voids.push(payment.id);
+          }
+        }
+
+        // Devolver lo cobrado según la política
+        for (const allocation of refund.allocations) {
+          const refundId = await PaymentService.issueRefund(allocation.payment_id, allocation.amount, {
+            createdBy: userId,
+            metadata: {
+              reason: 'booking_cancelled',
+              policy: refund.policy,
+              refund_percent: refund.refund_percent
+            }
+          }, connection);
+          gatewayOperations.refunds.push(refundId);
+        }
+        
+        await connection.commit();
+      } catch (transactionError) {
+        await connection.rollback();
+        throw transactionError;
+      } finally {
+        connection.release();
+      }
+
+      // Anular y reembolsar en el procesador ya con la cancelación guardada (avisa de cada reembolso)
+      await PaymentService.settleGatewayOperations(gatewayOperations);
+
+      // Avisar a la otra parte (a ambas si cancela un administrador)
+      const cancelledBy = actor;
+      const property = { id: booking.property_id, title: booking.property_title };
+      const recipients = [['guest', booking.user_id], ['host', booking.host_id]]
+        .filter(([, recipientId]) => recipientId && recipientId !== userId);
+
+      for (const [recipient, recipientId] of recipients) {
+        NotificationService.notify(recipientId, NOTIFICATION_TYPES.BOOKING_CANCELLED, {
+          booking,
+          property,
+          recipient,
+          cancelledBy,
+          reason,
+          refundAmount: refund.refund_amount
+        });
       }
+
+      logger.info('Booking cancelled', {
+        bookingId,
+        cancelledBy: actor,
+        policy: refund.policy,
+        refundAmount: refund.refund_amount
+      });
       
-      return true;
+      return refund;
     } catch (error) {
       console.error('Error cancelling booking:', error);
       
@@ -575,116 +857,239 @@ class BookingService {
 
   /**
    * Check if property is available for given date range
+   * Las noches ocupadas son [check_in, check_out): una reserva puede empezar
+   * el mismo día en que termina otra. También respeta las fechas bloqueadas
    * @param {number} propertyId - Property ID
-   * @param {Date} startDate - Start date
-   * @param {Date} endDate - End date
+   * @param {Date|string} startDate - Start date
+   * @param {Date|string} endDate - End date
+   * @param {Object} connection - Conexión MySQL (para consultar dentro de una transacción)
    * @returns {Promise<boolean>} - Whether property is available
+   * @throws {DatabaseError} - Si la consulta falla (no se asume disponibilidad ni conflicto)
    */
-  async checkAvailability(propertyId, startDate, endDate) {
+  async checkAvailability(propertyId, startDate, endDate, connection = mysqlPool) {
     try {
-      console.log(`Verificando disponibilidad para propiedad ${propertyId}`);
-      console.log(`Fechas solicitadas: ${startDate} a ${endDate}`);
-      
-      // Convertir fechas a formato de MySQL
-      const formattedStartDate = startDate instanceof Date ? 
-        startDate.toISOString().split('T')[0] : startDate;
-      
-      const formattedEndDate = endDate instanceof Date ? 
-        endDate.toISOString().split('T')[0] : endDate;
-      
-      // Consultar reservas existentes que se solapan con el período solicitado
-      const [existingBookings] = await mysqlPool.query(
-        `SELECT * FROM bookings 
-         WHERE property_id = ? 
-         AND status != 'cancelled'
-         AND deleted_at IS NULL
-         AND (
-           (check_in_date <= ? AND check_out_date >= ?) OR
-           (check_in_date <= ? AND check_out_date >= ?) OR
-           (check_in_date >= ? AND check_out_date <= ?)
-         )`,
-        [
-          propertyId,
-          formattedEndDate, formattedStartDate,   // Caso 1: Reserva existente incluye fecha inicio
-          formattedStartDate, formattedStartDate, // Caso 2: Reserva existente incluye fecha fin
-          formattedStartDate, formattedEndDate    // Caso 3: Reserva existente dentro del rango
-        ]
-      );
-      
-      // Si hay reservas existentes que se solapan, la propiedad no está disponible
-      if (existingBookings.length > 0) {
-        console.log(`La propiedad ${propertyId} no está disponible para las fechas solicitadas.`);
-        console.log(`Se encontraron ${existingBookings.length} reservas que se solapan.`);
+      const conflicts = await BookingNight.findConflicts(propertyId, startDate, endDate, connection);
+
+      if (conflicts.length > 0) {
+        logger.debug('Property unavailable: nights taken', { propertyId, conflicts: conflicts.length });
         return false;
       }
-      
-      // Si no hay reservas existentes que se solapen, la propiedad está disponible
-      console.log(`La propiedad ${propertyId} está disponible para las fechas solicitadas.`);
+
+      // Fechas bloqueadas por el anfitrión
+      if (await CalendarService.isBlocked(propertyId, startDate, endDate, connection)) {
+        logger.debug('Property unavailable: blocked dates', { propertyId });
+        return false;
+      }
+
       return true;
     } catch (error) {
       console.error('Error al verificar disponibilidad:', error);
-      // En caso de error, es más seguro devolver false
-      return false;
+      throw new DatabaseError('Error al verificar la disponibilidad de la propiedad');
     }
   }
 
-  // Este código debe añadirse o modificarse en booking.service.js
-// Modificamos el método cancelExpiredBookings para que solo cancele reservas con estado 'pending'
-// y que hayan expirado hace más de 30 minutos (no reservas válidas)
+  /**
+   * Expirar las reservas pendientes que no se pagaron a tiempo
+   * Pasan a `expired` (no a `cancelled`), liberan sus noches y anulan sus pagos pendientes.
+   * Las que tienen un cobro sin resultado esperan a que se resuelva (reconcileAttempts).
+   * @param {number} timeoutMinutes - Minutos desde la creación tras los que una reserva pendiente expira
+   * @returns {Promise<number>} - Número de reservas expiradas
+   */
+  async cancelExpiredBookings(timeoutMinutes = 30) {
+    try {
+      const [expiredBookings] = await mysqlPool.query(
+        `SELECT id
+         FROM bookings
+         WHERE status = ?
+         AND created_at < NOW() - INTERVAL ? MINUTE
+         AND deleted_at IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM payments
+           WHERE payments.booking_id = bookings.id AND payments.status = ? AND payments.attempted_at IS NOT NULL
+         )`,
+        [BOOKING_STATUS.PENDING, timeoutMinutes, PAYMENT_STATUS.PENDING]
+      );
 
-/**
- * Cancelar automáticamente reservas pendientes que han expirado
- * @param {number} timeoutMinutes - Tiempo en minutos después del cual se considera que una reserva pendiente ha expirado
- * @returns {Promise<number>} - Número de reservas canceladas
- */
-async cancelExpiredBookings(timeoutMinutes = 30) {
-  try {
-    console.log(`Buscando reservas pendientes expiradas (> ${timeoutMinutes} minutos)...`);
-    
-    // Obtener la fecha límite (ahora menos el tiempo de expiración)
-    const expirationDate = new Date();
-    expirationDate.setMinutes(expirationDate.getMinutes() - timeoutMinutes);
-    
-    // Formatear fecha para MySQL
-    const formattedExpirationDate = expirationDate.toISOString().slice(0, 19).replace('T', ' ');
-    
-    // Primero obtenemos las reservas que serán canceladas (para logging)
-    // IMPORTANTE: Solo seleccionar reservas con estado 'pending'
-    // y que su fecha de creación (no la fecha de check-in) sea anterior al límite de expiración
-    const [expiredBookings] = await mysqlPool.query(
-      `SELECT id, property_id, guest_name, created_at 
-       FROM bookings 
-       WHERE status = 'pending' 
-       AND created_at < ?
-       AND deleted_at IS NULL`,
-      [formattedExpirationDate]
+      let expired = 0;
+
+      // Una transacción por reserva: un fallo no deja a las demás sin expirar
+      for (const { id } of expiredBookings) {
+        const connection = await mysqlPool.getConnection();
+        const voids = [];
+        try {
+          await connection.beginTransaction();
+
+          await BookingStatus.transition(id, BOOKING_STATUS.EXPIRED, {
+            actor: BOOKING_ACTORS.SYSTEM,
+            reason: `Sin pago después de ${timeoutMinutes} minutos`
+          }, connection);
+
+          const payments = await Payment.findByBookingId(id, connection);
+          for (const payment of payments) {
+            if (payment.status === PAYMENT_STATUS.PENDING || payment.status === PAYMENT_STATUS.AUTHORIZED) {
+              await PaymentService.voidPayment(payment.id, {
+                metadata: { reason: 'booking_expired' }
+              }, connection);
+              voids.push(payment.id);
+            }
+          }
+
+          await connection.commit();
+          expired++;
+        } catch (error) {
+          await connection.rollback();
+          // La reserva pudo confirmarse mientras tanto
+          if (!(error instanceof ConflictError)) {
+            logger.error('Error expiring booking', { bookingId: id, error: error.message });
+          }
+        } finally {
+          connection.release();
+        }
+
+        await PaymentService.settleGatewayOperations({ voids });
+      }
+
+      if (expired > 0) {
+        logger.info('Expired pending bookings', { count: expired, timeoutMinutes });
+      }
+
+      return expired;
+    } catch (error) {
+      console.error('Error al expirar reservas pendientes:', error);
+      throw new DatabaseError('Error al expirar reservas pendientes: ' + error.message);
+    }
+  }
+
+  /**
+   * Completar las reservas confirmadas cuya fecha de salida ya pasó
+   * @returns {Promise<number>} - Número de reservas completadas
+   */
+  async completeFinishedBookings() {
+    try {
+      const [finishedBookings] = await mysqlPool.query(
+        `SELECT id
+         FROM bookings
+         WHERE status = ?
+         AND check_out_date <= CURDATE()
+         AND deleted_at IS NULL`,
+        [BOOKING_STATUS.CONFIRMED]
+      );
+
+      let completed = 0;
+
+      for (const { id } of finishedBookings) {
+        const connection = await mysqlPool.getConnection();
+        try {
+          await connection.beginTransaction();
+
+          await BookingStatus.transition(id, BOOKING_STATUS.COMPLETED, {
+            actor: BOOKING_ACTORS.SYSTEM,
+            reason: 'Estancia finalizada'
+          }, connection);
+
+          await connection.commit();
+          completed++;
+        } catch (error) {
+          await connection.rollback();
+          if (!(error instanceof ConflictError)) {
+            logger.error('Error completing booking', { bookingId: id, error: error.message });
+          }
+        } finally {
+          connection.release();
+        }
+      }
+
+      return completed;
+    } catch (error) {
+      console.error('Error al completar reservas finalizadas:', error);
+      throw new DatabaseError('Error al completar reservas finalizadas: ' + error.message);
+    }
+  }
+
+  /**
+   * Recordar la llegada a los huéspedes de reservas confirmadas que empiezan pronto
+   * @param {number} daysBefore - Días de antelación
+   * @returns {Promise<number>} - Número de recordatorios enviados
+   */
+  async sendCheckInReminders(daysBefore = 1) {
+    const [bookings] = await mysqlPool.query(
+      `SELECT b.*, p.title AS property_title, p.address AS property_address
+       FROM bookings b
+       JOIN properties p ON b.property_id = p.id
+       WHERE b.status = ?
+       AND b.check_in_date BETWEEN CURDATE() AND CURDATE() + INTERVAL ? DAY
+       AND b.reminder_sent_at IS NULL
+       AND b.deleted_at IS NULL`,
+      [BOOKING_STATUS.CONFIRMED, daysBefore]
+    );
+
+    let sent = 0;
+
+    for (const booking of bookings) {
+      if (await this.markNotified(booking.id, 'reminder_sent_at')) {
+        await this.notifyGuest(booking, NOTIFICATION_TYPES.BOOKING_REMINDER);
+        sent++;
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Pedir una reseña a los huéspedes de estancias completadas recientemente
+   * que todavía no dejaron una
+   * @param {number} windowDays - Días después de la salida en los que se pide
+   * @returns {Promise<number>} - Número de solicitudes enviadas
+   */
+  async requestReviews(windowDays = 14) {
+    const [bookings] = await mysqlPool.query(
+      `SELECT b.*, p.title AS property_title, p.address AS property_address
+       FROM bookings b
+       JOIN properties p ON b.property_id = p.id
+       WHERE b.status = ?
+       AND b.check_out_date BETWEEN CURDATE() - INTERVAL ? DAY AND CURDATE()
+       AND b.review_requested_at IS NULL
+       AND b.deleted_at IS NULL
+       AND NOT EXISTS (SELECT 1 FROM reviews r WHERE r.booking_id = b.id)`,
+      [BOOKING_STATUS.COMPLETED, windowDays]
     );
-    
-    if (expiredBookings.length === 0) {
-      console.log('No se encontraron reservas pendientes expiradas');
-      return 0;
-    }
-    
-    console.log(`Se encontraron ${expiredBookings.length} reservas pendientes expiradas`);
-    
-    // Actualizar el estado de las reservas expiradas a 'cancelled'
+
+    let sent = 0;
+
+    for (const booking of bookings) {
+      if (await this.markNotified(booking.id, 'review_requested_at')) {
+        await this.notifyGuest(booking, NOTIFICATION_TYPES.REVIEW_REQUESTED);
+        sent++;
+      }
+    }
+
+    return sent;
+  }
+
+  // Marcar un aviso como enviado; falso si otra ejecución ya lo marcó
+  async markNotified(bookingId, column) {
     const [result] = await mysqlPool.query(
-      `UPDATE bookings 
-       SET status = 'cancelled', 
-           updated_at = NOW()
-       WHERE status = 'pending' 
-       AND created_at < ?
-       AND deleted_at IS NULL`,
-      [formattedExpirationDate]
+      `UPDATE bookings SET ${column} = NOW() WHERE id = ? AND ${column} IS NULL`,
+      [bookingId]
     );
-    
-    console.log(`Se cancelaron ${result.affectedRows} reservas pendientes expiradas`);
-    return result.affectedRows;
-  } catch (error) {
-    console.error('Error al cancelar reservas pendientes expiradas:', error);
-    throw new DatabaseError('Error al cancelar reservas pendientes expiradas: ' + error.message);
+
+    return result.affectedRows === 1;
+  }
+
+  // Notificar al huésped; las reservas sin cuenta solo reciben el email
+  async notifyGuest(booking, type) {
+    if (booking.user_id) {
+      return NotificationService.notify(booking.user_id, type, { booking });
+    }
+
+    const send = type === NOTIFICATION_TYPES.BOOKING_REMINDER
+      ? emailService.sendCheckInReminderEmail(booking)
+      : emailService.sendReviewRequestEmail(booking);
+
+    return send.catch(error => {
+      logger.error('Guest email failed', { bookingId: booking.id, type, error: error.message });
+    });
   }
-}
 
   /**
    * Get guest bookings
@@ -709,123 +1114,282 @@ async cancelExpiredBookings(timeoutMinutes = 30) {
   }
 
   /**
-   * Get host bookings (bookings for properties owned by the user)
-   * @param {number} hostId - Host/Owner ID
-   * @param {Object} filters - Additional filters
-   * @param {Object} pagination - Pagination options
-   * @returns {Promise<Object>} - Bookings data and count
+   * Panel de reservas del anfitrión
+   * Filtros combinables, orden con paginación por cursor y un resumen del
+   * conjunto filtrado. Propiedades y huéspedes se cargan en una consulta cada uno.
+   * @param {number} hostId - ID del anfitrión
+   * @param {Object} filters - { propertyIds, status, from, to, search, paymentStatus }
+   *   `from`/`to` seleccionan las estancias que se solapan con [from, to)
+   * @param {Object} options - { sort: check_in|created|amount, order: asc|desc, cursor, limit }
+   * @returns {Promise<Object>} - { bookings, next_cursor, has_more, summary }
    */
-  async getHostBookings(hostId, filters = {}, pagination = { page: 1, limit: 10 }) {
+  async getHostBookings(hostId, filters = {}, { sort = 'created', order = 'desc', cursor = null, limit = 20 } = {}) {
+    const sortColumn = HOST_BOOKING_SORTS[sort];
+    if (!sortColumn) {
+      throw new ValidationError('Orden no soportado', ['sort']);
+    }
+
+    const descending = order === 'desc';
+    const scope = this.buildHostBookingScope(hostId, filters);
+    const where = [...scope.where];
+    const params = [...scope.params];
+
+    // Continuar después de la última fila de la página anterior
+    if (cursor) {
+      const [value, id] = decodeCursor(cursor);
+      const operator = descending ? '<' : '>';
+      where.push(`(${sortColumn.column} ${operator} ? OR (${sortColumn.column} = ? AND b.id ${operator} ?))`);
+      params.push(value, value, id);
+    }
+
     try {
-      // Para host bookings, necesitamos buscar propiedades del anfitrión primero
-      const [properties] = await mysqlPool.query(
-        'SELECT id FROM properties WHERE host_id = ?',
-        [hostId]
-      );
-      
-      if (properties.length === 0) {
-        return { bookings: [], total: 0 };
-      }
-      
-      const propertyIds = properties.map(p => p.id);
-      
-      // Build query for bookings of properties owned by this host
-      let queryParts = [
-        'SELECT b.* FROM bookings b',
-        'JOIN properties p ON b.property_id = p.id',
-        'WHERE p.host_id = ?',
-        'AND b.deleted_at IS NULL'
-      ];
-      let queryParams = [hostId];
-      
-      // Add status filter if provided
-      if (filters.status && filters.status.length > 0) {
-        queryParts.push(`AND b.status IN (${filters.status.map(() => '?').join(',')})`);
-        queryParams.push(...filters.status);
-      }
-      
-      // Add order and pagination
-      queryParts.push('ORDER BY b.created_at DESC');
-      queryParts.push('LIMIT ? OFFSET ?');
-      
-      const offset = (pagination.page - 1) * pagination.limit;
-      queryParams.push(pagination.limit, offset);
-      
-      // Execute query
-      const [bookingRows] = await mysqlPool.query(
-        queryParts.join(' '),
-        queryParams
-      );
-      
-      // Get count for pagination
-      const [countResult] = await mysqlPool.query(
-        'SELECT COUNT(*) as total FROM bookings b JOIN properties p ON b.property_id = p.id WHERE p.host_id = ? AND b.deleted_at IS NULL',
-        [hostId]
+      const direction = descending ? 'DESC' : 'ASC';
+      const [rows] = await mysqlPool.query(
+        `SELECT b.*, ${sortColumn.key} AS cursor_value,
+                ${PAYMENT_STATE_SQL} AS payment_state,
+                COALESCE(pay.paid_amount, 0) AS paid_amount,
+                COALESCE(pay.refunded_amount, 0) AS refunded_amount
+         ${scope.from}
+         WHERE ${where.join(' AND ')}
+         ORDER BY ${sortColumn.column} ${direction}, b.id ${direction}
+         LIMIT ?`,
+        [...params, limit + 1]
       );
-      
-      const total = countResult[0].total;
-      
-      // Load related data for bookings
-      const bookings = await Promise.all(bookingRows.map(async (booking) => {
-        // Get property data
-        const [propertyRows] = await mysqlPool.query(
-          'SELECT * FROM properties WHERE id = ?',
-          [booking.property_id]
-        );
-        
-        const property = propertyRows.length > 0 ? propertyRows[0] : null;
-        
-        // Get user data if available
-        let user = null;
-        if (booking.user_id) {
-          const [userRows] = await mysqlPool.query(
-            'SELECT id, first_name, last_name, email, phone, profile_image FROM users WHERE id = ?',[booking.user_id]
-          );
-          
-          user = userRows.length > 0 ? userRows[0] : null;
-        }
-        
-        // Format dates
-        return {
-          ...booking,
-          check_in_date: booking.check_in_date ? new Date(booking.check_in_date) : null,
-          check_out_date: booking.check_out_date ? new Date(booking.check_out_date) : null,
-          created_at: booking.created_at ? new Date(booking.created_at) : null,
-          updated_at: booking.updated_at ? new Date(booking.updated_at) : null,
-          property,
-          user
-        };
+
+      const hasMore = rows.length > limit;
+      const page = hasMore ? rows.slice(0, limit) : rows;
+
+      const [properties, users, summary] = await Promise.all([
+        this.loadByIds('properties', page.map(row => row.property_id),
+          'id, title, address, city, host_id, status'),
+        this.loadByIds('users', page.map(row => row.user_id),
+          'id, first_name, last_name, email, phone, profile_image'),
+        this.getHostBookingSummary(hostId, filters)
+      ]);
+
+      const bookings = page.map(({ cursor_value, ...booking }) => ({
+        ...booking,
+        price_quote: parseJson(booking.price_quote),
+        cancellation_policy: parseJson(booking.cancellation_policy),
+        paid_amount: Number(booking.paid_amount),
+        refunded_amount: Number(booking.refunded_amount),
+        property: properties.get(booking.property_id) || null,
+        user: users.get(booking.user_id) || null
       }));
-      
+
+      const last = page[page.length - 1];
+
       return {
         bookings,
-        total
+        next_cursor: hasMore ? encodeCursor(last.cursor_value, last.id) : null,
+        has_more: hasMore,
+        summary
       };
     } catch (error) {
       console.error('Failed to get host bookings:', error);
-      throw new DatabaseError('Failed to retrieve host bookings: ' + error.message);
+      throw new DatabaseError('Error al obtener las reservas del anfitrión: ' + error.message);
+    }
+  }
+
+  /**
+   * FROM y condiciones comunes al listado y al resumen del anfitrión
+   * @param {Object} options - { ignoreStatus } para contar por estado sin el filtro de estado
+   */
+  buildHostBookingScope(hostId, filters = {}, { ignoreStatus = false } = {}) {
+    const where = ['p.host_id = ?', 'b.deleted_at IS NULL'];
+    const params = [hostId];
+
+    if (filters.propertyIds && filters.propertyIds.length > 0) {
+      where.push(`b.property_id IN (${filters.propertyIds.map(() => '?').join(',')})`);
+      params.push(...filters.propertyIds);
+    }
+
+    if (!ignoreStatus && filters.status && filters.status.length > 0) {
+      where.push(`b.status IN (${filters.status.map(() => '?').join(',')})`);
+      params.push(...filters.status);
+    }
+
+    if (filters.from) {
+      where.push('b.check_out_date > ?');
+      params.push(filters.from);
+    }
+
+    if (filters.to) {
+      where.push('b.check_in_date < ?');
+      params.push(filters.to);
     }
+
+    if (filters.search) {
+      const term = `%${filters.search.replace(/[\\%_]/g, '\\$&')}%`;
+      where.push(`(b.guest_name LIKE ? OR b.guest_email LIKE ?
+        OR CONCAT_WS(' ', u.first_name, u.last_name) LIKE ? OR u.email LIKE ?)`);
+      params.push(term, term, term, term);
+    }
+
+    if (filters.paymentStatus && filters.paymentStatus.length > 0) {
+      where.push(`${PAYMENT_STATE_SQL} IN (${filters.paymentStatus.map(() => '?').join(',')})`);
+      params.push(...filters.paymentStatus);
+    }
+
+    // Totales de pagos por reserva, limitados a las reservas del anfitrión
+    const from = `FROM bookings b
+         JOIN properties p ON b.property_id = p.id
+         LEFT JOIN users u ON b.user_id = u.id
+         LEFT JOIN (
+           SELECT pm.booking_id,
+                  SUM(CASE WHEN pm.status IN ('completed', 'partially_refunded', 'refunded') THEN pm.amount ELSE 0 END) AS paid_amount,
+                  SUM(pm.refunded_amount) AS refunded_amount,
+                  SUM(pm.status IN ('pending', 'authorized')) AS open_payments,
+                  SUM(pm.status = 'failed') AS failed_payments,
+                  COUNT(*) AS payment_count
+           FROM payments pm
+           JOIN bookings pb ON pm.booking_id = pb.id
+           JOIN properties pp ON pb.property_id = pp.id
+           WHERE pp.host_id = ?
+           GROUP BY pm.booking_id
+         ) pay ON pay.booking_id = b.id`;
+
+    return { from, where, params: [hostId, ...params] };
+  }
+
+  /**
+   * Resumen del panel del anfitrión
+   * - by_status: reservas por estado (sin aplicar el filtro de estado)
+   * - revenue: reservado (confirmadas y completadas), cobrado neto y reembolsado
+   * - upcoming_arrivals: llegadas confirmadas de los próximos 7 días
+   * - occupancy: noches ocupadas sobre las disponibles en [from, to)
+   *   (por defecto los próximos 30 días), descontando las bloqueadas
+   */
+  async getHostBookingSummary(hostId, filters = {}) {
+    const filtered = this.buildHostBookingScope(hostId, filters);
+    const unfiltered = this.buildHostBookingScope(hostId, filters, { ignoreStatus: true });
+
+    const today = toDateKey(new Date());
+    const periodStart = filters.from || today;
+    const periodEnd = filters.to || addDays(periodStart, 30);
+    const days = listNights(periodStart, periodEnd).length;
+
+    // Propiedades del anfitrión (y del filtro) con el alias de cada consulta
+    const propertyScope = (alias) => {
+      const conditions = [`${alias}.host_id = ?`];
+      const params = [hostId];
+      if (filters.propertyIds && filters.propertyIds.length > 0) {
+        conditions.push(`${alias}.id IN (${filters.propertyIds.map(() => '?').join(',')})`);
+        params.push(...filters.propertyIds);
+      }
+      return { sql: conditions.join(' AND '), params };
+    };
+    const properties = propertyScope('p');
+
+    const [[statusRows], [[totals]], [arrivals], [[nights]]] = await Promise.all([
+      mysqlPool.query(
+        `SELECT b.status, COUNT(*) AS count
+         ${unfiltered.from}
+         WHERE ${unfiltered.where.join(' AND ')}
+         GROUP BY b.status`,
+        unfiltered.params
+      ),
+      mysqlPool.query(
+        `SELECT COUNT(*) AS total,
+                COALESCE(SUM(CASE WHEN b.status IN ('confirmed', 'completed') THEN b.total_price ELSE 0 END), 0) AS booked,
+                COALESCE(SUM(pay.paid_amount), 0) AS paid,
+                COALESCE(SUM(pay.refunded_amount), 0) AS refunded
+         ${filtered.from}
+         WHERE ${filtered.where.join(' AND ')}`,
+        filtered.params
+      ),
+      mysqlPool.query(
+        `SELECT b.id, b.property_id, p.title AS property_title, b.guest_name, b.guests,
+                DATE_FORMAT(b.check_in_date, '%Y-%m-%d') AS check_in_date,
+                DATE_FORMAT(b.check_out_date, '%Y-%m-%d') AS check_out_date
+         FROM bookings b
+         JOIN properties p ON b.property_id = p.id
+         WHERE ${properties.sql}
+         AND b.status = ?
+         AND b.check_in_date BETWEEN ? AND ?
+         AND b.deleted_at IS NULL
+         ORDER BY b.check_in_date ASC, b.id ASC`,
+        [...properties.params, BOOKING_STATUS.CONFIRMED, today, addDays(today, 7)]
+      ),
+      mysqlPool.query(
+        `SELECT
+           (SELECT COUNT(*) FROM properties p WHERE ${properties.sql}) AS properties,
+           (SELECT COUNT(*)
+            FROM booking_nights bn
+            JOIN properties p ON bn.property_id = p.id
+            WHERE ${properties.sql} AND bn.night >= ? AND bn.night < ?) AS booked,
+           (SELECT COALESCE(SUM(DATEDIFF(LEAST(bd.end_date + INTERVAL 1 DAY, ?), GREATEST(bd.start_date, ?))), 0)
+            FROM property_blocked_dates bd
+            JOIN properties p ON bd.property_id = p.id
+            WHERE ${properties.sql} AND bd.start_date < ? AND bd.end_date >= ?) AS blocked`,
+        [
+          ...properties.params,
+          ...properties.params, periodStart, periodEnd,
+          periodEnd, periodStart, ...properties.params, periodEnd, periodStart
+        ]
+      )
+    ]);
+
+    const byStatus = Object.fromEntries(Object.values(BOOKING_STATUS).map(status => [status, 0]));
+    statusRows.forEach(row => { byStatus[row.status] = Number(row.count); });
+
+    const nightsBooked = Number(nights.booked);
+    const nightsBlocked = Number(nights.blocked);
+    const nightsAvailable = Math.max(Number(nights.properties) * days - nightsBlocked, 0);
+    const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+    return {
+      total: Number(totals.total),
+      by_status: byStatus,
+      revenue: {
+        booked: round2(totals.booked),
+        collected: round2(totals.paid - totals.refunded),
+        refunded: round2(totals.refunded)
+      },
+      upcoming_arrivals: {
+        count: arrivals.length,
+        next: arrivals.slice(0, 5)
+      },
+      occupancy: {
+        from: periodStart,
+        to: periodEnd,
+        nights_available: nightsAvailable,
+        nights_booked: nightsBooked,
+        nights_blocked: nightsBlocked,
+        rate: nightsAvailable > 0 ? Math.round((nightsBooked / nightsAvailable) * 1000) / 10 : 0
+      }
+    };
+  }
+
+  // Cargar filas por ID en una sola consulta, indexadas por ID
+  async loadByIds(table, ids, columns = '*') {
+    const uniqueIds = [...new Set(ids.filter(Boolean))];
+    if (uniqueIds.length === 0) {
+      return new Map();
+    }
+
+    const [rows] = await mysqlPool.query(
+      `SELECT ${columns} FROM ${table} WHERE id IN (${uniqueIds.map(() => '?').join(',')})`,
+      uniqueIds
+    );
+
+    return new Map(rows.map(row => [row.id, row]));
   }
 
   /**
    * Delete a booking (soft delete)
    * @param {number} id - Booking ID
    * @param {number} userId - User ID performing the delete
+   * @param {string} userRole - Role of the user performing the delete
    * @returns {Promise<boolean>} - Success status
    */
-  async delete(id, userId) {
+  async delete(id, userId, userRole) {
     try {
       // Get booking from database
       const booking = await this.findById(id);
       
       // Check permissions (only admin, property owner, or the booking user can delete)
-      const [userRows] = await mysqlPool.query(
-        'SELECT role FROM users WHERE id = ?',
-        [userId]
-      );
-      
-      const user = userRows.length > 0 ? userRows[0] : null;
-      const isAdmin = user && user.role === 'admin';
+      const isAdmin = userRole === USER_ROLES.ADMIN;
       const isOwner = booking.property && booking.property.host_id === userId;
       const isBookingUser = booking.user_id === userId;
       
@@ -834,10 +1398,24 @@ async cancelExpiredBookings(timeoutMinutes = 30) {
       }
       
       // Soft delete by setting deletedAt timestamp
-      await mysqlPool.query(
-        'UPDATE bookings SET deleted_at = NOW() WHERE id = ?',
-        [id]
-      );
+      const connection = await mysqlPool.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        await connection.query(
+          'UPDATE bookings SET deleted_at = NOW() WHERE id = ?',
+          [id]
+        );
+
+        await BookingNight.release(id, connection);
+
+        await connection.commit();
+      } catch (transactionError) {
+        await connection.rollback();
+        throw transactionError;
+      } finally {
+        connection.release();
+      }
       
       // Log deletion
       logger.info('Booking deleted (soft)', { bookingId: id, deletedBy: userId });
@@ -0,0 +1,484 @@
+// src/services/calendar-sync.service.js
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import axios from 'axios';
+import { mysqlPool } from '../config/database.js';
+import { ValidationError, NotFoundError, DatabaseError } from '../utils/errors/index.js';
+import { BLOCK_REASONS } from '../config/constants.js';
+import { BookingNight, toDateKey, addDays } from '../models/mysql/booking-night.model.js';
+import { CalendarService } from './calendar.service.js';
+import { parseICS, buildICS } from '../utils/ical.js';
+import logger from '../utils/logger.js';
+
+const ICAL_FETCH_TIMEOUT_MS = parseInt(process.env.ICAL_FETCH_TIMEOUT_MS) || 10000;
+const MAX_ICS_BYTES = 2 * 1024 * 1024;
+
+// Días pasados que se siguen publicando en el feed de exportación
+const EXPORT_PAST_DAYS = 30;
+
+// Dominio de los UID de nuestro feed: si otra plataforma lo reexporta y el
+// anfitrión lo importa, esos eventos se ignoran para no duplicar reservas
+const UID_DOMAIN = 'oasis.hn';
+
+const IMPORT_STATUS = {
+  OK: 'ok',
+  ERROR: 'error'
+};
+
+// Solo calendarios públicos: nada de direcciones locales, privadas, de enlace local,
+// multicast o reservadas, ni formas IPv6 que llevan dentro una IPv4 (mapeadas
+// ::ffff:0:0/96, compatibles ::/96, NAT64 64:ff9b::/96 y 6to4 2002::/16)
+// (una lista por familia: BlockList compara las IPv4 también con las reglas IPv6 mapeadas)
+const BLOCKED_ADDRESSES = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.ipv4.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.ipv6.addSubnet(network, prefix, 'ipv6'));
+
+const LOCAL_HOSTNAME_REGEX = /(^|\.)localhost\.?$/i;
+
+// ¿Es una dirección IP de Internet pública?
+export const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  return !BLOCKED_ADDRESSES[type].check(address, type);
+};
+
+// Host de una URL (sin los corchetes de IPv6) que no es local ni una IP privada.
+// Los nombres se comprueban al conectar, con la dirección que devuelve el DNS.
+const isAllowedHost = (hostname) => {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '');
+  if (!host || LOCAL_HOSTNAME_REGEX.test(host)) return false;
+  return net.isIP(host) ? isPublicAddress(host) : true;
+};
+
+/**
+ * Normalizar la URL de un calendario externo (webcal:// pasa a https://)
+ * @throws {ValidationError} - Si la URL no es http(s) o apunta a una red privada
+ */
+export const normalizeCalendarUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value).trim().replace(/^webcal:\/\//i, 'https://'));
+  } catch (error) {
+    throw new ValidationError('La URL del calendario no es válida', ['url']);
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || !isAllowedHost(url.hostname)) {
+    throw new ValidationError('La URL del calendario no es válida', ['url']);
+  }
+
+  return url.toString();
+};
+
+/**
+ * Resolver el host del calendario y devolver una dirección pública para conectar.
+ * La conexión usa esta misma dirección (no se vuelve a resolver), así que un DNS
+ * que cambie de respuesta entre la comprobación y la descarga no sirve para
+ * llegar a la red interna.
+ * @throws {ValidationError} - Si alguna dirección del host no es pública
+ */
+const lookupPublicAddress = async (hostname) => {
+  const addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+
+  if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+    throw new ValidationError('La URL del calendario apunta a una red privada', ['url']);
+  }
+
+  return addresses[0];
+};
+
+// Cada redirección vuelve a pasar por las mismas comprobaciones que la URL original
+const assertPublicRedirect = (options) => {
+  if (!['http:', 'https:'].includes(options.protocol) || !isAllowedHost(options.hostname)) {
+    throw new ValidationError('El calendario redirige a una dirección no permitida', ['url']);
+  }
+};
+
+const generateExportToken = () => crypto.randomBytes(24).toString('base64url');
+
+// Comparación en tiempo constante del token del feed
+const tokensMatch = (expected, received) => {
+  if (!expected || typeof received !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+export class CalendarSyncService {
+  /**
+   * Feed ICS público de una propiedad (noches reservadas y bloqueos manuales)
+   * No incluye datos de los huéspedes
+   * @param {number} propertyId - ID de la propiedad
+   * @param {string} token - Token secreto del feed
+   * @returns {Promise<string>} - Contenido text/calendar
+   */
+  static async getExportFeed(propertyId, token) {
+    const [properties] = await mysqlPool.query(
+      'SELECT id, title, ical_export_token FROM properties WHERE id = ?',
+      [propertyId]
+    );
+
+    // Token inválido o propiedad inexistente responden igual
+    if (properties.length === 0 || !tokensMatch(properties[0].ical_export_token, token)) {
+      throw new NotFoundError('Calendario no encontrado');
+    }
+
+    const property = properties[0];
+    const since = addDays(toDateKey(new Date()), -EXPORT_PAST_DAYS);
+
+    const [bookings] = await mysqlPool.query(
+      `SELECT booking_id,
+              DATE_FORMAT(MIN(night), '%Y-%m-%d') AS start_date,
+              DATE_FORMAT(MAX(night) + INTERVAL 1 DAY, '%Y-%m-%d') AS end_date
+       FROM booking_nights
+       WHERE property_id = ? AND night >= ?
+       GROUP BY booking_id
+       ORDER BY start_date ASC`,
+      [property.id, since]
+    );
+
+    const [blocks] = await mysqlPool.query(
+      `SELECT id,
+              DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+              DATE_FORMAT(end_date + INTERVAL 1 DAY, '%Y-%m-%d') AS end_date
+       FROM property_blocked_dates
+       WHERE property_id = ? AND end_date >= ? AND import_id IS NULL
+       ORDER BY start_date ASC`,
+      [property.id, since]
+    );
+
+    return buildICS({
+      name: property.title,
+      events: [
+        ...bookings.map(booking => ({
+          uid: `booking-${booking.booking_id}@${UID_DOMAIN}`,
+          start: booking.start_date,
+          end: booking.end_date,
+          summary: 'Reservado'
+        })),
+        ...blocks.map(block => ({
+          uid: `block-${block.id}@${UID_DOMAIN}`,
+          start: block.start_date,
+          end: block.end_date,
+          summary: 'No disponible'
+        }))
+      ]
+    });
+  }
+
+  /**
+   * Token del feed de exportación (se genera la primera vez)
+   * @returns {Promise<string>}
+   */
+  static async getExportToken(propertyId, userId, userRole) {
+    const property = await this.getManagedProperty(propertyId, userId, userRole);
+
+    if (property.ical_export_token) {
+      return property.ical_export_token;
+    }
+
+    return this.rotateExportToken(propertyId, userId, userRole);
+  }
+
+  // Reemplazar el token: el enlace anterior deja de funcionar
+  static async rotateExportToken(propertyId, userId, userRole) {
+    await this.getManagedProperty(propertyId, userId, userRole);
+
+    const token = generateExportToken();
+    await mysqlPool.query(
+      'UPDATE properties SET ical_export_token = ? WHERE id = ?',
+      [token, propertyId]
+    );
+
+    return token;
+  }
+
+  static async listImports(propertyId, userId, userRole) {
+    await this.getManagedProperty(propertyId, userId, userRole);
+
+    const [imports] = await mysqlPool.query(
+      'SELECT * FROM property_ical_imports WHERE property_id = ? ORDER BY created_at ASC',
+      [propertyId]
+    );
+
+    return imports;
+  }
+
+  /**
+   * Registrar un calendario externo e importarlo
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Object} importData - { name, url } o { name, file } (archivo subido con multer)
+   * @returns {Promise<Object>} - { import, result }
+   */
+  static async createImport(propertyId, importData, userId, userRole) {
+    await this.getManagedProperty(propertyId, userId, userRole);
+
+    const sourceType = importData.file ? 'file' : 'url';
+
+    // Un archivo o una URL inválidos no llegan a registrarse
+    const events = sourceType === 'file' ? this.parseFile(importData.file) : null;
+    const url = sourceType === 'url' ? normalizeCalendarUrl(importData.url) : null;
+
+    const [result] = await mysqlPool.query(
+      `INSERT INTO property_ical_imports (property_id, name, source_type, url, created_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        propertyId,
+        importData.name || (sourceType === 'file' ? importData.file.originalname : new URL(url).hostname),
+        sourceType,
+        url,
+        userId
+      ]
+    );
+
+    const syncResult = await this.runSync(await this.getImport(propertyId, result.insertId), events);
+
+    return {
+      import: await this.getImport(propertyId, result.insertId),
+      result: syncResult
+    };
+  }
+
+  /**
+   * Volver a importar un calendario. Es idempotente: cada evento se identifica
+   * por su UID y los eventos que desaparecieron de la fuente se eliminan.
+   * @param {Object} file - Archivo subido (requerido para importaciones de tipo `file`)
+   */
+  static async syncImport(propertyId, importId, { file = null } = {}, userId, userRole) {
+    await this.getManagedProperty(propertyId, userId, userRole);
+    const importRow = await this.getImport(propertyId, importId);
+
+    if (importRow.source_type === 'file' && !file) {
+      throw new ValidationError('Se requiere el archivo .ics para actualizar esta importación', ['file']);
+    }
+
+    const events = importRow.source_type === 'file' ? this.parseFile(file) : null;
+    const result = await this.runSync(importRow, events);
+
+    return {
+      import: await this.getImport(propertyId, importId),
+      result
+    };
+  }
+
+  // Eliminar una importación y sus bloqueos
+  static async deleteImport(propertyId, importId, userId, userRole) {
+    await this.getManagedProperty(propertyId, userId, userRole);
+
+    const [result] = await mysqlPool.query(
+      'DELETE FROM property_ical_imports WHERE id = ? AND property_id = ?',
+      [importId, propertyId]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new NotFoundError('Importación no encontrada');
+    }
+
+    return true;
+  }
+
+  /**
+   * Sincronizar todas las importaciones por URL (tarea programada)
+   * @returns {Promise<Object>} - { synced, failed }
+   */
+  static async syncAllUrlImports() {
+    const [imports] = await mysqlPool.query(
+      "SELECT * FROM property_ical_imports WHERE source_type = 'url' ORDER BY last_synced_at ASC"
+    );
+
+    let synced = 0;
+    let failed = 0;
+
+    for (const importRow of imports) {
+      const result = await this.runSync(importRow).catch(() => null);
+      if (result && result.status === IMPORT_STATUS.OK) {
+        synced++;
+      } else {
+        failed++;
+      }
+    }
+
+    return { synced, failed };
+  }
+
+  /**
+   * Descargar (si es por URL), aplicar los eventos y registrar el resultado
+   * Los errores de descarga o de formato quedan en la importación y no se lanzan
+   * @param {Object} importRow - Fila de property_ical_imports
+   * @param {Array|null} events - Eventos ya leídos (importaciones de archivo)
+   */
+  static async runSync(importRow, events = null) {
+    try {
+      const parsedEvents = events || parseICS(await this.fetchCalendar(importRow.url));
+      const result = await this.applyEvents(importRow, parsedEvents);
+
+      await mysqlPool.query(
+        `UPDATE property_ical_imports
+         SET last_synced_at = NOW(), last_status = ?, last_error = NULL, event_count = ?
+         WHERE id = ?`,
+        [IMPORT_STATUS.OK, result.imported, importRow.id]
+      );
+
+      if (result.conflicts.length > 0) {
+        logger.warn('iCal import overlaps existing bookings', {
+          propertyId: importRow.property_id,
+          importId: importRow.id,
+          conflicts: result.conflicts
+        });
+      }
+
+      return { status: IMPORT_STATUS.OK, ...result };
+    } catch (error) {
+      logger.error('iCal import failed', { importId: importRow.id, error: error.message });
+
+      await mysqlPool.query(
+        `UPDATE property_ical_imports
+         SET last_synced_at = NOW(), last_status = ?, last_error = ?
+         WHERE id = ?`,
+        [IMPORT_STATUS.ERROR, error.message.substring(0, 255), importRow.id]
+      );
+
+      return { status: IMPORT_STATUS.ERROR, error: error.message };
+    }
+  }
+
+  /**
+   * Guardar los eventos como bloqueos (upsert por import_id + external_uid)
+   * @returns {Promise<Object>} - { imported, removed, skipped, conflicts }
+   */
+  static async applyEvents(importRow, events) {
+    const today = toDateKey(new Date());
+
+    // Solo eventos vigentes, no cancelados y que no provienen de nuestro propio feed
+    const active = events.filter(event =>
+      event.status !== 'CANCELLED' &&
+      event.end > today &&
+      !event.uid.endsWith(`@${UID_DOMAIN}`)
+    );
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // Mismo bloqueo que la creación de reservas
+      await BookingNight.lockProperty(importRow.property_id, connection);
+
+      const conflicts = [];
+
+      for (const event of active) {
+        await connection.query(
+          `INSERT INTO property_blocked_dates
+           (property_id, start_date, end_date, reason, notes, import_id, external_uid, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE
+             start_date = VALUES(start_date),
+             end_date = VALUES(end_date),
+             notes = VALUES(notes)`,
+          [
+            importRow.property_id,
+            event.start,
+            addDays(event.end, -1), // los bloqueos guardan el último día inclusive
+            BLOCK_REASONS.EXTERNAL,
+            (event.summary || importRow.name).substring(0, 255),
+            importRow.id,
+            event.uid.substring(0, 255),
+            importRow.created_by
+          ]
+        );
+
+        const overlapping = await BookingNight.findConflicts(importRow.property_id, event.start, event.end, connection);
+        if (overlapping.length > 0) {
+          conflicts.push({
+            uid: event.uid,
+            start: event.start,
+            end: event.end,
+            booking_ids: overlapping.map(conflict => conflict.booking_id)
+          });
+        }
+      }
+
+      // Eventos que ya no están en la fuente
+      let removeQuery = 'DELETE FROM property_blocked_dates WHERE import_id = ?';
+      const removeParams = [importRow.id];
+      if (active.length > 0) {
+        removeQuery += ' AND external_uid NOT IN (?)';
+        removeParams.push(active.map(event => event.uid.substring(0, 255)));
+      }
+      const [removed] = await connection.query(removeQuery, removeParams);
+
+      await connection.commit();
+
+      return {
+        imported: active.length,
+        removed: removed.affectedRows,
+        skipped: events.length - active.length,
+        conflicts
+      };
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error applying iCal events:', error);
+      throw new DatabaseError('Error al guardar los eventos del calendario');
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Descargar un calendario externo
+  static async fetchCalendar(url) {
+    const response = await axios.get(normalizeCalendarUrl(url), {
+      timeout: ICAL_FETCH_TIMEOUT_MS,
+      responseType: 'text',
+      maxContentLength: MAX_ICS_BYTES,
+      maxRedirects: 3,
+      lookup: lookupPublicAddress,
+      beforeRedirect: assertPublicRedirect,
+      headers: { Accept: 'text/calendar, text/plain;q=0.9' }
+    });
+
+    return response.data;
+  }
+
+  // Leer un archivo .ics subido
+  static parseFile(file) {
+    try {
+      return parseICS(file.buffer.toString('utf8'));
+    } catch (error) {
+      throw new ValidationError('El archivo no es un calendario iCalendar válido', ['file']);
+    }
+  }
+
+  static async getImport(propertyId, importId) {
+    const [imports] = await mysqlPool.query(
+      'SELECT * FROM property_ical_imports WHERE id = ? AND property_id = ?',
+      [importId, propertyId]
+    );
+
+    if (imports.length === 0) {
+      throw new NotFoundError('Importación no encontrada');
+    }
+
+    return imports[0];
+  }
+
+  // Propiedad que el usuario puede gestionar (anfitrión o administrador)
+  static async getManagedProperty(propertyId, userId, userRole) {
+    const [properties] = await mysqlPool.query(
+      'SELECT id, host_id, ical_export_token FROM properties WHERE id = ?',
+      [propertyId]
+    );
+
+    const property = properties[0] || null;
+    CalendarService.assertCanManage(property, userId, userRole);
+    return property;
+  }
+}
+
+export default CalendarSyncService;
@@ -0,0 +1,294 @@
+// src/services/calendar.service.js
+import { mysqlPool } from '../config/database.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  AuthorizationError,
+  DatabaseError
+} from '../utils/errors/index.js';
+import { USER_ROLES, BLOCK_REASONS, CALENDAR_DAY_STATUS } from '../config/constants.js';
+import { BookingNight, toDateKey, addDays, listNights } from '../models/mysql/booking-night.model.js';
+
+// Rango por defecto y máximo que devuelve el calendario
+const DEFAULT_CALENDAR_DAYS = 90;
+const MAX_CALENDAR_DAYS = 366;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => toDateKey(new Date());
+
+// Columnas DATE como 'YYYY-MM-DD' para no depender de la zona horaria del servidor
+const BLOCK_COLUMNS = `id, property_id,
+  DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+  DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date,
+  reason, notes, import_id, external_uid, created_by, created_at`;
+
+export class CalendarService {
+  /**
+   * Calendario de una propiedad con el estado de cada día
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Object} range - { from, to } en 'YYYY-MM-DD', ambas inclusivas
+   * @param {Object} viewer - { userId, userRole }; el anfitrión y los administradores ven reservas y bloqueos
+   * @returns {Promise<Object>} - { property_id, from, to, days, blocks }
+   */
+  static async getCalendar(propertyId, range = {}, viewer = {}) {
+    const from = range.from || today();
+    const to = range.to || addDays(from, DEFAULT_CALENDAR_DAYS - 1);
+
+    if (!DATE_REGEX.test(from) || !DATE_REGEX.test(to)) {
+      throw new ValidationError('Las fechas deben tener el formato YYYY-MM-DD', ['from', 'to']);
+    }
+
+    if (to < from) {
+      throw new ValidationError('La fecha final debe ser igual o posterior a la inicial');
+    }
+
+    const days = listNights(from, addDays(to, 1));
+    if (days.length > MAX_CALENDAR_DAYS) {
+      throw new ValidationError(`El rango máximo del calendario es de ${MAX_CALENDAR_DAYS} días`);
+    }
+
+    const property = await this.getProperty(propertyId);
+    const isManager = viewer.userRole === USER_ROLES.ADMIN || property.host_id === viewer.userId;
+
+    try {
+      const [nights] = await mysqlPool.query(
+        `SELECT DATE_FORMAT(bn.night, '%Y-%m-%d') AS night, bn.booking_id, b.status
+         FROM booking_nights bn
+         JOIN bookings b ON bn.booking_id = b.id
+         WHERE bn.property_id = ? AND bn.night BETWEEN ? AND ?`,
+        [propertyId, from, to]
+      );
+
+      const blocks = await this.findBlocks(propertyId, from, to);
+
+      const nightsByDate = Object.fromEntries(nights.map(night => [night.night, night]));
+
+      const calendar = days.map(date => {
+        const night = nightsByDate[date];
+
+        if (night) {
+          const status = night.status === 'pending' ? CALENDAR_DAY_STATUS.PENDING : CALENDAR_DAY_STATUS.BOOKED;
+          return isManager ? { date, status, booking_id: night.booking_id } : { date, status };
+        }
+
+        const block = blocks.find(item => item.start_date <= date && item.end_date >= date);
+        if (block) {
+          return isManager
+            ? { date, status: CALENDAR_DAY_STATUS.BLOCKED, block_id: block.id }
+            : { date, status: CALENDAR_DAY_STATUS.BLOCKED };
+        }
+
+        return { date, status: CALENDAR_DAY_STATUS.AVAILABLE };
+      });
+
+      const result = { property_id: property.id, from, to, days: calendar };
+      if (isManager) {
+        result.blocks = blocks;
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error getting property calendar:', error);
+      throw new DatabaseError('Error al obtener el calendario de la propiedad');
+    }
+  }
+
+  /**
+   * Bloqueos que tocan algún día del rango [from, to] (ambas inclusivas)
+   * @param {Object} options - { manualOnly } para excluir los importados de calendarios externos
+   */
+  static async findBlocks(propertyId, from, to, connection = mysqlPool, { manualOnly = false } = {}) {
+    const [blocks] = await connection.query(
+      `SELECT ${BLOCK_COLUMNS}
+       FROM property_blocked_dates
+       WHERE property_id = ? AND start_date <= ? AND end_date >= ?${manualOnly ? ' AND import_id IS NULL' : ''}
+       ORDER BY start_date ASC`,
+      [propertyId, toDateKey(to), toDateKey(from)]
+    );
+
+    return blocks;
+  }
+
+  /**
+   * Comprobar si una estancia [checkIn, checkOut) cae en fechas bloqueadas
+   * @returns {Promise<boolean>}
+   */
+  static async isBlocked(propertyId, checkIn, checkOut, connection = mysqlPool) {
+    const nights = listNights(checkIn, checkOut);
+    if (nights.length === 0) {
+      return false;
+    }
+
+    const blocks = await this.findBlocks(propertyId, nights[0], nights[nights.length - 1], connection);
+    return blocks.length > 0;
+  }
+
+  /**
+   * Bloquear un rango de fechas
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Object} blockData - { startDate, endDate, reason, notes } (fechas inclusivas)
+   * @param {number} userId - Usuario que bloquea (anfitrión o administrador)
+   * @param {string} userRole - Rol del usuario
+   */
+  static async blockDates(propertyId, blockData, userId, userRole) {
+    const { startDate, endDate } = blockData;
+    const reason = blockData.reason || BLOCK_REASONS.MAINTENANCE;
+
+    const allowedReasons = Object.values(BLOCK_REASONS).filter(value => value !== BLOCK_REASONS.EXTERNAL);
+    if (!allowedReasons.includes(reason)) {
+      throw new ValidationError(`Motivo inválido. Valores permitidos: ${allowedReasons.join(', ')}`);
+    }
+
+    if (endDate < today()) {
+      throw new ValidationError('No se pueden bloquear fechas pasadas');
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // Mismo bloqueo que la creación de reservas: ninguna puede entrar mientras tanto
+      const property = await BookingNight.lockProperty(propertyId, connection);
+      this.assertCanManage(property, userId, userRole);
+
+      const conflicts = await BookingNight.findConflicts(propertyId, startDate, addDays(endDate, 1), connection);
+      if (conflicts.length > 0) {
+        const bookingIds = conflicts.map(conflict => `#${conflict.booking_id}`).join(', ');
+        throw new ConflictError(`Las fechas se solapan con reservas existentes (${bookingIds})`);
+      }
+
+      const [result] = await connection.query(
+        `INSERT INTO property_blocked_dates (property_id, start_date, end_date, reason, notes, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [propertyId, startDate, endDate, reason, blockData.notes || null, userId]
+      );
+
+      const [blocks] = await connection.query(
+        `SELECT ${BLOCK_COLUMNS} FROM property_blocked_dates WHERE id = ?`,
+        [result.insertId]
+      );
+
+      await connection.commit();
+      return blocks[0];
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error blocking dates:', error);
+      if (error instanceof ValidationError ||
+          error instanceof NotFoundError ||
+          error instanceof ConflictError ||
+          error instanceof AuthorizationError) {
+        throw error;
+      }
+      throw new DatabaseError('Error al bloquear las fechas');
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Desbloquear un rango de fechas. Los bloqueos que lo cubren en parte se
+   * recortan y los que lo contienen se dividen en dos. Los importados de
+   * calendarios externos no se tocan: se gestionan desde su importación.
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Object} range - { startDate, endDate } (fechas inclusivas)
+   * @returns {Promise<number>} - Número de bloqueos modificados o eliminados
+   */
+  static async unblockDates(propertyId, { startDate, endDate }, userId, userRole) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const property = await BookingNight.lockProperty(propertyId, connection);
+      this.assertCanManage(property, userId, userRole);
+
+      const blocks = await this.findBlocks(propertyId, startDate, endDate, connection, { manualOnly: true });
+
+      for (const block of blocks) {
+        const keepBefore = block.start_date < startDate;
+        const keepAfter = block.end_date > endDate;
+
+        if (keepBefore && keepAfter) {
+          // El rango está dentro del bloqueo: dividirlo
+          await connection.query(
+            'UPDATE property_blocked_dates SET end_date = ? WHERE id = ?',
+            [addDays(startDate, -1), block.id]
+          );
+          await connection.query(
+            `INSERT INTO property_blocked_dates (property_id, start_date, end_date, reason, notes, created_by)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [propertyId, addDays(endDate, 1), block.end_date, block.reason, block.notes, block.created_by]
+          );
+        } else if (keepBefore) {
+          await connection.query(
+            'UPDATE property_blocked_dates SET end_date = ? WHERE id = ?',
+            [addDays(startDate, -1), block.id]
+          );
+        } else if (keepAfter) {
+          await connection.query(
+            'UPDATE property_blocked_dates SET start_date = ? WHERE id = ?',
+            [addDays(endDate, 1), block.id]
+          );
+        } else {
+          await connection.query('DELETE FROM property_blocked_dates WHERE id = ?', [block.id]);
+        }
+      }
+
+      await connection.commit();
+      return blocks.length;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error unblocking dates:', error);
+      if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+        throw error;
+      }
+      throw new DatabaseError('Error al desbloquear las fechas');
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Eliminar un bloqueo concreto
+  static async removeBlock(propertyId, blockId, userId, userRole) {
+    const property = await this.getProperty(propertyId);
+    this.assertCanManage(property, userId, userRole);
+
+    const [result] = await mysqlPool.query(
+      'DELETE FROM property_blocked_dates WHERE id = ? AND property_id = ? AND import_id IS NULL',
+      [blockId, propertyId]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new NotFoundError('Bloqueo no encontrado');
+    }
+
+    return true;
+  }
+
+  static async getProperty(propertyId) {
+    const [properties] = await mysqlPool.query(
+      'SELECT id, host_id FROM properties WHERE id = ?',
+      [propertyId]
+    );
+
+    if (properties.length === 0) {
+      throw new NotFoundError('Propiedad no encontrada');
+    }
+
+    return properties[0];
+  }
+
+  // Solo el anfitrión de la propiedad o un administrador gestionan su calendario
+  static assertCanManage(property, userId, userRole) {
+    if (!property) {
+      throw new NotFoundError('Propiedad no encontrada');
+    }
+
+    if (property.host_id !== userId && userRole !== USER_ROLES.ADMIN) {
+      throw new AuthorizationError('No autorizado para gestionar el calendario de esta propiedad');
+    }
+  }
+}
+
+export default CalendarService;
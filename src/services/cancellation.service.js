@@ -0,0 +1,177 @@
+// src/services/cancellation.service.js
+import { mysqlPool } from '../config/database.js';
+import { ValidationError, NotFoundError, AuthorizationError, DatabaseError } from '../utils/errors/index.js';
+import { USER_ROLES, CANCELLATION_POLICIES, BOOKING_ACTORS, PAYMENT_STATUS } from '../config/constants.js';
+import { toDateKey } from '../models/mysql/booking-night.model.js';
+
+// Tramos de cada política: porcentaje reembolsado si se cancela con al menos
+// `hours_before` horas de antelación a la llegada; por debajo del último tramo no hay reembolso
+const POLICY_TIERS = {
+  [CANCELLATION_POLICIES.FLEXIBLE]: [
+    { hours_before: 24, refund_percent: 100 }
+  ],
+  [CANCELLATION_POLICIES.MODERATE]: [
+    { hours_before: 5 * 24, refund_percent: 100 },
+    { hours_before: 24, refund_percent: 50 }
+  ],
+  [CANCELLATION_POLICIES.STRICT]: [
+    { hours_before: 14 * 24, refund_percent: 100 },
+    { hours_before: 7 * 24, refund_percent: 50 }
+  ]
+};
+
+const DEFAULT_POLICY = CANCELLATION_POLICIES.MODERATE;
+
+// Hora de llegada (hora de Honduras, UTC-6 sin horario de verano)
+const CHECK_IN_TIME = '15:00:00-06:00';
+
+// Pagos con dinero cobrado que aún se puede devolver
+const REFUNDABLE_PAYMENT_STATUSES = [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const sortTiers = (tiers) => [...tiers]
+  .map(tier => ({ hours_before: Number(tier.hours_before), refund_percent: Number(tier.refund_percent) }))
+  .sort((a, b) => b.hours_before - a.hours_before);
+
+export class CancellationService {
+  /**
+   * Política con sus tramos ordenados de mayor a menor antelación
+   * @param {string} policy - flexible, moderate, strict o custom
+   * @param {Array|string|null} customTiers - Tramos de la política custom
+   */
+  static resolvePolicy(policy, customTiers = null) {
+    if (policy === CANCELLATION_POLICIES.CUSTOM && customTiers) {
+      return { policy, tiers: sortTiers(parseJson(customTiers)) };
+    }
+
+    const name = POLICY_TIERS[policy] ? policy : DEFAULT_POLICY;
+    return { policy: name, tiers: sortTiers(POLICY_TIERS[name]) };
+  }
+
+  // Copia de la política de la propiedad que se guarda en la reserva
+  static snapshot(property) {
+    return this.resolvePolicy(property.cancellation_policy, property.cancellation_tiers);
+  }
+
+  // Momento de llegada de una reserva
+  static checkInTime(checkInDate) {
+    return new Date(`${toDateKey(checkInDate)}T${CHECK_IN_TIME}`);
+  }
+
+  /**
+   * Calcular el reembolso de una cancelación
+   * Las cancelaciones del anfitrión o de un administrador se reembolsan completas;
+   * las del huésped según el tramo de la política que corresponda a la antelación.
+   * @param {Object} params - { booking, policy, payments, actor, now }
+   *   `policy` es { policy, tiers } (la copia guardada en la reserva)
+   * @returns {Object} - Desglose del reembolso y su reparto entre los pagos
+   */
+  static calculateRefund({ booking, policy, payments, actor, now = new Date() }) {
+    const hoursBefore = (this.checkInTime(booking.check_in_date) - now) / (1000 * 60 * 60);
+
+    let tier = null;
+    let refundPercent;
+    if (actor === BOOKING_ACTORS.GUEST) {
+      tier = policy.tiers.find(item => hoursBefore >= item.hours_before) || null;
+      refundPercent = tier ? tier.refund_percent : 0;
+    } else {
+      refundPercent = 100;
+    }
+
+    const refundable = payments
+      .filter(payment => REFUNDABLE_PAYMENT_STATUSES.includes(payment.status))
+      .map(payment => ({
+        payment_id: payment.id,
+        available: toCents(payment.amount) - toCents(payment.refunded_amount || 0)
+      }))
+      .filter(payment => payment.available > 0);
+
+    const paid = refundable.reduce((sum, payment) => sum + payment.available, 0);
+    let remaining = Math.round(paid * refundPercent / 100);
+    const refundTotal = remaining;
+
+    // Repartir el reembolso entre los pagos en orden
+    const allocations = [];
+    for (const payment of refundable) {
+      if (remaining <= 0) break;
+      const amount = Math.min(payment.available, remaining);
+      allocations.push({ payment_id: payment.payment_id, amount: fromCents(amount) });
+      remaining -= amount;
+    }
+
+    return {
+      policy: policy.policy,
+      tiers: policy.tiers,
+      cancelled_by: actor,
+      hours_before_check_in: Math.round(hoursBefore * 10) / 10,
+      applied_tier: tier,
+      refund_percent: refundPercent,
+      paid_amount: fromCents(paid),
+      refund_amount: fromCents(refundTotal),
+      retained_amount: fromCents(paid - refundTotal),
+      allocations
+    };
+  }
+
+  // Política de cancelación de una propiedad (pública: el huésped la ve antes de reservar)
+  static async getPropertyPolicy(propertyId) {
+    const [properties] = await mysqlPool.query(
+      'SELECT id, cancellation_policy, cancellation_tiers FROM properties WHERE id = ?',
+      [propertyId]
+    );
+
+    if (properties.length === 0) {
+      throw new NotFoundError('Propiedad no encontrada');
+    }
+
+    return {
+      property_id: properties[0].id,
+      ...this.snapshot(properties[0])
+    };
+  }
+
+  /**
+   * Cambiar la política de una propiedad (solo afecta a las reservas nuevas)
+   * @param {Object} policyData - { policy, tiers } (tiers solo para custom)
+   */
+  static async updatePropertyPolicy(propertyId, { policy, tiers }, userId, userRole) {
+    const [properties] = await mysqlPool.query(
+      'SELECT id, host_id FROM properties WHERE id = ?',
+      [propertyId]
+    );
+
+    if (properties.length === 0) {
+      throw new NotFoundError('Propiedad no encontrada');
+    }
+
+    if (properties[0].host_id !== userId && userRole !== USER_ROLES.ADMIN) {
+      throw new AuthorizationError('No autorizado para cambiar la política de cancelación de esta propiedad');
+    }
+
+    if (policy === CANCELLATION_POLICIES.CUSTOM && (!Array.isArray(tiers) || tiers.length === 0)) {
+      throw new ValidationError('La política personalizada requiere al menos un tramo', ['tiers']);
+    }
+
+    try {
+      await mysqlPool.query(
+        'UPDATE properties SET cancellation_policy = ?, cancellation_tiers = ? WHERE id = ?',
+        [
+          policy,
+          policy === CANCELLATION_POLICIES.CUSTOM ? JSON.stringify(sortTiers(tiers)) : null,
+          propertyId
+        ]
+      );
+    } catch (error) {
+      console.error('Error updating cancellation policy:', error);
+      throw new DatabaseError('Error al guardar la política de cancelación');
+    }
+
+    return this.getPropertyPolicy(propertyId);
+  }
+}
+
+export default CancellationService;
@@ -0,0 +1,381 @@
+/**
+ * Email Service
+ * Sends templated transactional emails (Spanish/English) through a pluggable transport
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import nodemailer from 'nodemailer';
+import emailConfig from '../config/email.config.js';
+import { renderTemplate, EMAIL_TEMPLATES } from '../templates/email/index.js';
+import logger from '../utils/logger.js';
+import { formatReferenceCode } from '../utils/reference-code.js';
+
+/**
+ * Transport factories. Each transport exposes `send(message)` and resolves to
+ * `{ messageId, previewUrl }`. New transports can be added with `registerTransport`.
+ */
+const transportFactories = {
+  // Real delivery through an SMTP server (Ethereal accounts return a preview URL)
+  smtp: (config) => {
+    const transporter = nodemailer.createTransport(config.smtp);
+    return {
+      async send(message) {
+        const info = await transporter.sendMail(message);
+        return {
+          messageId: info.messageId,
+          previewUrl: nodemailer.getTestMessageUrl(info) || null
+        };
+      }
+    };
+  },
+
+  // Local development: write each message as a JSON file in the outbox directory
+  outbox: (config) => ({
+    async send(message) {
+      const messageId = `<${uuidv4()}@oasis.local>`;
+      const record = { messageId, ...message, createdAt: new Date().toISOString() };
+
+      await fs.mkdir(config.outboxDir, { recursive: true });
+      const filePath = path.join(config.outboxDir, `${Date.now()}-${uuidv4()}.json`);
+      await fs.writeFile(filePath, JSON.stringify(record, null, 2));
+
+      return { messageId, previewUrl: `file://${filePath}` };
+    }
+  }),
+
+  // Local development: write each message as an .eml file in the outbox directory
+  file: (config) => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    return {
+      async send(message) {
+        const info = await transporter.sendMail(message);
+        await fs.mkdir(config.outboxDir, { recursive: true });
+
+        const fileName = `${Date.now()}-${info.messageId.replace(/[<>@]/g, '').replace(/[^\w.-]/g, '_')}.eml`;
+        const filePath = path.join(config.outboxDir, fileName);
+        await fs.writeFile(filePath, info.message);
+
+        return { messageId: info.messageId, previewUrl: `file://${filePath}` };
+      }
+    };
+  },
+
+  // Tests: keep messages in memory (`transport.messages`)
+  memory: () => {
+    const messages = [];
+    return {
+      messages,
+      async send(message) {
+        const messageId = `<${uuidv4()}@oasis.local>`;
+        messages.push({ messageId, ...message, createdAt: new Date().toISOString() });
+        return { messageId, previewUrl: null };
+      },
+      clear() {
+        messages.length = 0;
+      }
+    };
+  },
+
+  // Local development: print the message to the log instead of sending it
+  console: () => ({
+    async send(message) {
+      const messageId = `<${uuidv4()}@oasis.local>`;
+      logger.info(`Email (console) to ${message.to}: ${message.subject}\n${message.text || ''}`);
+      return { messageId, previewUrl: null };
+    }
+  })
+};
+
+// Datos del destinatario a partir de un usuario (filas de MySQL o objetos camelCase)
+const toRecipient = (user = {}, defaultLanguage = 'es') => ({
+  email: user.email,
+  firstName: user.firstName || user.first_name || '',
+  lang: user.language || user.lang || defaultLanguage
+});
+
+// Normalizar una reserva (fila de MySQL, resultado de findById u objeto camelCase)
+const toBookingData = (booking = {}) => {
+  const property = booking.property || {};
+  const user = booking.user || {};
+
+  return {
+    bookingId: booking.id,
+    propertyTitle: property.title || booking.property_title || booking.title || '',
+    propertyAddress: property.address || booking.property_address || '',
+    checkIn: booking.check_in_date || booking.startDate,
+    checkOut: booking.check_out_date || booking.endDate,
+    guests: booking.guests,
+    totalPrice: booking.total_price ?? booking.totalPrice,
+    currency: booking.currency || 'HNL',
+    recipient: {
+      email: user.email || booking.guest_email,
+      first_name: user.firstName || user.first_name || booking.guest_name,
+      language: user.language || booking.language
+    }
+  };
+};
+
+class EmailService {
+  constructor(config = emailConfig) {
+    this.config = config;
+    this.transport = null;
+  }
+
+  /**
+   * Register a custom transport
+   * @param {string} name - Transport name used in EMAIL_TRANSPORT
+   * @param {Function} factory - Receives the email config and returns `{ send(message) }`
+   */
+  registerTransport(name, factory) {
+    transportFactories[name] = factory;
+  }
+
+  /**
+   * Replace the active transport (e.g. `setTransport('memory')` in tests)
+   * @param {string|Object} transport - Registered transport name or `{ send(message) }`
+   * @returns {Object} - The active transport
+   */
+  setTransport(transport) {
+    this.transport = typeof transport === 'string' ? this.createTransport(transport) : transport;
+    return this.transport;
+  }
+
+  createTransport(name) {
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown email transport: ${name}`);
+    }
+    return factory(this.config.email);
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = this.createTransport(this.config.email.transport);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send a raw email
+   * @param {Object} message - { to, subject, html, text }
+   * @returns {Promise<Object>} - { messageId, previewUrl }
+   */
+  async send({ to, subject, html, text }) {
+    if (!to) {
+      throw new Error('Email recipient is required');
+    }
+
+    const result = await this.getTransport().send({
+      from: this.config.email.from,
+      to,
+      subject,
+      html,
+      text
+    });
+
+    logger.info('Email sent', { to, subject, messageId: result.messageId });
+    return result;
+  }
+
+  /**
+   * Render a template and send it
+   * @param {string} template - Template name (see EMAIL_TEMPLATES)
+   * @param {Object} recipient - { email, firstName, lang }
+   * @param {Object} data - Template data
+   * @returns {Promise<Object>} - { messageId, previewUrl }
+   */
+  async sendTemplate(template, recipient, data = {}) {
+    const { subject, html, text } = renderTemplate(
+      template,
+      { firstName: recipient.firstName, ...data },
+      recipient.lang || this.config.email.defaultLanguage
+    );
+
+    return this.send({ to: recipient.email, subject, html, text });
+  }
+
+  async sendWelcomeEmail(user) {
+    return this.sendTemplate(
+      EMAIL_TEMPLATES.WELCOME,
+      toRecipient(user, this.config.email.defaultLanguage),
+      { appUrl: this.config.clientUrl }
+    );
+  }
+
+  /**
+   * @param {Object} user - Recipient
+   * @param {string} token - Signed verification token
+   */
+  async sendAccountVerificationEmail(user, token) {
+    return this.sendTemplate(
+      EMAIL_TEMPLATES.VERIFICATION,
+      toRecipient(user, this.config.email.defaultLanguage),
+      {
+        verifyUrl: `${this.config.clientUrl}/verify-email?token=${encodeURIComponent(token)}`,
+        expiresIn: this.config.verification.tokenExpiry
+      }
+    );
+  }
+
+  /**
+   * @param {Object} user - Recipient
+   * @param {string} token - Single-use reset token
+   * @param {string} expiresIn - Human readable validity (e.g. "30 minutos")
+   */
+  async sendPasswordResetEmail(user, token, expiresIn) {
+    return this.sendTemplate(
+      EMAIL_TEMPLATES.PASSWORD_RESET,
+      toRecipient(user, this.config.email.defaultLanguage),
+      {
+        resetUrl: `${this.config.clientUrl}/reset-password?token=${encodeURIComponent(token)}`,
+        expiresIn
+      }
+    );
+  }
+
+  /**
+   * @param {Object} booking - Booking with property and guest data
+   * @param {Object} options - { recipient } to send to someone other than the guest
+   */
+  async sendBookingConfirmationEmail(booking, { recipient: to = null } = {}) {
+    const { recipient, ...data } = toBookingData(booking);
+
+    return this.sendTemplate(
+      EMAIL_TEMPLATES.BOOKING_CONFIRMED,
+      toRecipient(to || recipient, this.config.email.defaultLanguage),
+      { ...data, bookingUrl: `${this.config.clientUrl}/bookings/${booking.id}` }
+    );
+  }
+
+  /**
+   * @param {Object} booking - Booking with property and guest data
+   * @param {Object} options - { reason, refundAmount, recipient } (recipient defaults to the guest)
+   */
+  async sendBookingCancelledEmail(booking, { reason = null, refundAmount = 0, recipient: to = null } = {}) {
+    const { recipient, ...data } = toBookingData(booking);
+
+    return this.sendTemplate(
+      EMAIL_TEMPLATES.BOOKING_CANCELLED,
+      toRecipient(to || recipient, this.config.email.defaultLanguage),
+      { ...data, reason, refundAmount }
+    );
+  }
+
+  /**
+   * @param {Object} booking - Booking with property and guest data (always sent to the guest email)
+   * @param {string} token - Signed booking access token
+   */
+  async sendBookingAccessEmail(booking, token) {
+    const { recipient, ...data } = toBookingData(booking);
+
+    return this.sendTemplate(
+      EMAIL_TEMPLATES.BOOKING_ACCESS,
+      toRecipient(recipient, this.config.email.defaultLanguage),
+      {
+        ...data,
+        referenceCode: formatReferenceCode(booking.reference_code),
+        accessUrl: `${this.config.clientUrl}/bookings/access?token=${encodeURIComponent(token)}`
+      }
+    );
+  }
+
+  /**
+   * @param {Object} booking - Booking with property and guest data
+   * @param {Object} options - { recipient } to send to someone other than the guest
+   */
+  async sendCheckInReminderEmail(booking, { recipient: to = null } = {}) {
+    const { recipient, ...data } = toBookingData(booking);
+
+    return this.sendTemplate(
+      EMAIL_TEMPLATES.CHECK_IN_REMINDER,
+      toRecipient(to || recipient, this.config.email.defaultLanguage),
+      { ...data, bookingUrl: `${this.config.clientUrl}/bookings/${booking.id}` }
+    );
+  }
+
+  /**
+   * @param {Object} booking - Completed booking with property and guest data
+   * @param {Object} options - { recipient } to send to someone other than the guest
+   */
+  async sendReviewRequestEmail(booking, { recipient: to = null } = {}) {
+    const { recipient, ...data } = toBookingData(booking);
+
+    return this.sendTemplate(
+      EMAIL_TEMPLATES.REVIEW_REQUEST,
+      toRecipient(to || recipient, this.config.email.defaultLanguage),
+      { ...data, reviewUrl: `${this.config.clientUrl}/bookings/${booking.id}/review` }
+    );
+  }
+
+  /**
+   * @param {Object} user - Recipient
+   * @param {Object} payment - Payment row
+   * @param {Object} booking - Booking (optional, for the property title)
+   */
+  async sendPaymentReceiptEmail(user, payment, booking = {}) {
+    return this.sendTemplate(
+      EMAIL_TEMPLATES.PAYMENT_RECEIPT,
+      toRecipient(user, this.config.email.defaultLanguage),
+      {
+        paymentId: payment.id,
+        bookingId: payment.booking_id,
+        propertyTitle: toBookingData(booking).propertyTitle,
+        amount: payment.amount,
+        currency: payment.currency,
+        paymentMethod: payment.payment_method,
+        paidAt: payment.payment_date || new Date(),
+        transactionId: payment.transaction_id
+      }
+    );
+  }
+
+  /**
+   * @param {Object} user - Recipient
+   * @param {Object} payment - Payment row
+   * @param {number} amount - Refunded amount
+   * @param {Object} booking - Booking (optional, for the property title)
+   */
+  async sendRefundIssuedEmail(user, payment, amount, booking = {}) {
+    return this.sendTemplate(
+      EMAIL_TEMPLATES.REFUND_ISSUED,
+      toRecipient(user, this.config.email.defaultLanguage),
+      {
+        paymentId: payment.id,
+        bookingId: payment.booking_id,
+        propertyTitle: toBookingData(booking).propertyTitle,
+        amount,
+        currency: payment.currency,
+        refundedAt: new Date()
+      }
+    );
+  }
+
+  /**
+   * @param {Object} recipient - User receiving the message
+   * @param {Object} sender - User who sent the message
+   * @param {string} content - Message content
+   */
+  async sendNewMessageEmail(recipient, sender, content) {
+    const senderName = [sender.firstName || sender.first_name, sender.lastName || sender.last_name]
+      .filter(Boolean)
+      .join(' ');
+    const preview = content.length > 140 ? `${content.substring(0, 137)}...` : content;
+
+    return this.sendTemplate(
+      EMAIL_TEMPLATES.NEW_MESSAGE,
+      toRecipient(recipient, this.config.email.defaultLanguage),
+      {
+        senderName: senderName || 'OASIS',
+        preview,
+        conversationUrl: `${this.config.clientUrl}/messages/${sender.id}`
+      }
+    );
+  }
+}
+
+// Create singleton instance of the service
+const emailService = new EmailService();
+
+export { EmailService, EMAIL_TEMPLATES };
+export default emailService;
@@ -0,0 +1,124 @@
+// src/services/idempotency.service.js
+import crypto from 'crypto';
+import { mysqlPool } from '../config/database.js';
+import { ConflictError, UnprocessableEntityError } from '../utils/errors/index.js';
+import { IDEMPOTENCY_KEY_STATUS } from '../config/constants.js';
+
+// Horas durante las que una Idempotency-Key devuelve la respuesta original
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// JSON con las claves ordenadas: el mismo cuerpo da la misma huella aunque cambie el orden
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Peticiones POST repetidas con la misma Idempotency-Key: la primera se procesa
+// y su respuesta se guarda; los reintentos reciben esa misma respuesta.
+export class IdempotencyService {
+  // Huella de la petición (método, ruta y cuerpo)
+  static fingerprint(method, path, body) {
+    return crypto
+      .createHash('sha256')
+      .update(`${method.toUpperCase()} ${path}\n${canonicalJson(body || {})}`)
+      .digest('hex');
+  }
+
+  /**
+   * Reservar la clave para procesar la petición, o recuperar la respuesta guardada
+   * @param {Object} request - { scope, key, method, path, requestHash }
+   * @returns {Promise<Object>} - { id, replay } donde replay es { status, body } si ya se respondió
+   * @throws {UnprocessableEntityError} - Si la clave ya se usó con otra petición
+   * @throws {ConflictError} - Si la petición original todavía se está procesando o su
+   *   resultado en el procesador de pagos no se conoce
+   */
+  static async begin({ scope, key, method, path, requestHash }) {
+    // Un segundo intento si la clave guardada había vencido
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const [result] = await mysqlPool.query(
+        `INSERT IGNORE INTO idempotency_keys
+         (scope, idempotency_key, method, path, request_hash, status, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, NOW() + INTERVAL ? HOUR)`,
+        [scope, key, method, path, requestHash, IDEMPOTENCY_KEY_STATUS.PROCESSING, IDEMPOTENCY_TTL_HOURS]
+      );
+
+      if (result.affectedRows === 1) {
+        return { id: result.insertId, replay: null };
+      }
+
+      const [rows] = await mysqlPool.query(
+        `SELECT id, request_hash, status, response_status, response_body, expires_at <= NOW() AS expired
+         FROM idempotency_keys
+         WHERE scope = ? AND idempotency_key = ?`,
+        [scope, key]
+      );
+
+      const stored = rows[0];
+      if (!stored) continue;
+
+      if (stored.expired) {
+        await mysqlPool.query('DELETE FROM idempotency_keys WHERE id = ? AND expires_at <= NOW()', [stored.id]);
+        continue;
+      }
+
+      if (stored.request_hash !== requestHash) {
+        throw new UnprocessableEntityError('La Idempotency-Key ya se usó con una petición distinta');
+      }
+
+      if (stored.status === IDEMPOTENCY_KEY_STATUS.PROCESSING) {
+        throw new ConflictError('La petición original con esta Idempotency-Key todavía se está procesando');
+      }
+
+      if (stored.status === IDEMPOTENCY_KEY_STATUS.FAILED) {
+        throw new ConflictError('No se sabe si la petición original con esta Idempotency-Key se completó; consulta el estado del pago antes de reintentar');
+      }
+
+      return {
+        id: stored.id,
+        replay: { status: stored.response_status, body: parseJson(stored.response_body) }
+      };
+    }
+
+    throw new ConflictError('La petición original con esta Idempotency-Key todavía se está procesando');
+  }
+
+  // Guardar la respuesta que recibirán los reintentos
+  static async complete(id, statusCode, body) {
+    await mysqlPool.query(
+      `UPDATE idempotency_keys
+       SET status = ?, response_status = ?, response_body = ?, completed_at = NOW()
+       WHERE id = ?`,
+      [IDEMPOTENCY_KEY_STATUS.COMPLETED, statusCode, JSON.stringify(body === undefined ? null : body), id]
+    );
+  }
+
+  // Dejar la clave bloqueada tras un error del procesador: repetir la petición podría cobrar dos veces
+  static async fail(id, statusCode, body) {
+    await mysqlPool.query(
+      `UPDATE idempotency_keys
+       SET status = ?, response_status = ?, response_body = ?, completed_at = NOW()
+       WHERE id = ?`,
+      [IDEMPOTENCY_KEY_STATUS.FAILED, statusCode, JSON.stringify(body === undefined ? null : body), id]
+    );
+  }
+
+  // Liberar la clave para que un reintento vuelva a procesar la petición
+  static async release(id) {
+    await mysqlPool.query('DELETE FROM idempotency_keys WHERE id = ?', [id]);
+  }
+
+  // Eliminar las claves vencidas
+  static async purgeExpired() {
+    const [result] = await mysqlPool.query('DELETE FROM idempotency_keys WHERE expires_at <= NOW()');
+    return { deleted: result.affectedRows };
+  }
+}
+
+export default IdempotencyService;
@@ -7,6 +7,8 @@ import {
   DatabaseError,
   AuthorizationError 
 } from '../utils/errors/index.js';
+import { NOTIFICATION_TYPES } from '../config/constants.js';
+import { NotificationService } from './notification.service.js';
 
 export class MessageService {
   static generateConversationId(user1Id, user2Id) {
@@ -38,9 +40,10 @@ export class MessageService {
 
     // Verificar si los usuarios existen en MySQL
     const connection = await mysqlPool.getConnection();
+    let sender;
     try {
       const [users] = await connection.query(
-        'SELECT id FROM users WHERE id IN (?, ?)',
+        'SELECT id, first_name, last_name FROM users WHERE id IN (?, ?)',
         [messageData.sender_id, messageData.receiver_id]
       ).catch(error => {
         throw new DatabaseError('Error al verificar usuarios');
@@ -49,12 +52,15 @@ export class MessageService {
       if (users.length !== 2) {
         throw new NotFoundError('Uno o ambos usuarios no existen');
       }
+
+      sender = users.find(user => String(user.id) === String(messageData.sender_id));
     } finally {
       connection.release();
     }
 
+    let message;
     try {
-      const message = new Message({
+      message = new Message({
         sender_id: messageData.sender_id,
         receiver_id: messageData.receiver_id,
         conversation_id: conversationId,
@@ -62,10 +68,17 @@ export class MessageService {
       });
 
       await message.save();
-      return message;
     } catch (error) {
       throw new DatabaseError('Error al guardar el mensaje en MongoDB');
     }
+
+    NotificationService.notify(messageData.receiver_id, NOTIFICATION_TYPES.MESSAGE_RECEIVED, {
+      sender,
+      content: messageData.content,
+      conversationId
+    });
+
+    return message;
   }
 
   static async getConversation(user1Id, user2Id) {
@@ -0,0 +1,241 @@
+// src/services/migration.service.js
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { mysqlPool } from '../config/database.js';
+import { ValidationError, DatabaseError } from '../utils/errors/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Directorio con los archivos NNN_descripcion.js
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_REGEX = /^(\d{3,})_[\w-]+\.js$/;
+
+// Nombre del lock de MySQL para que dos procesos no migren a la vez
+const MIGRATION_LOCK = 'oasis_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+export class MigrationService {
+  /**
+   * Crea la tabla de control de migraciones si no existe
+   * @param {Object} connection - Conexión MySQL
+   */
+  static async ensureMigrationsTable(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(255) NOT NULL UNIQUE,
+        batch INT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * Carga los archivos de migración ordenados por número de versión
+   * @returns {Promise<Array>} - Lista de migraciones { name, version, up, down }
+   */
+  static async loadMigrations() {
+    const files = await fs.readdir(MIGRATIONS_DIR);
+
+    const migrationFiles = files
+      .filter(file => MIGRATION_FILE_REGEX.test(file))
+      .sort();
+
+    const migrations = [];
+    for (const file of migrationFiles) {
+      const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+
+      if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+        throw new ValidationError(`La migración ${file} debe exportar las funciones up y down`);
+      }
+
+      migrations.push({
+        name: file.replace(/\.js$/, ''),
+        version: parseInt(file.match(MIGRATION_FILE_REGEX)[1]),
+        up: module.up,
+        down: module.down
+      });
+    }
+
+    // Detectar versiones duplicadas (p. ej. dos archivos 003_*)
+    const versions = migrations.map(m => m.version);
+    const duplicated = versions.find((version, index) => versions.indexOf(version) !== index);
+    if (duplicated !== undefined) {
+      throw new ValidationError(`Hay más de una migración con la versión ${duplicated}`);
+    }
+
+    return migrations;
+  }
+
+  static async getAppliedMigrations(connection) {
+    await this.ensureMigrationsTable(connection);
+
+    const [rows] = await connection.query(
+      'SELECT name, batch, applied_at FROM schema_migrations ORDER BY name ASC'
+    );
+
+    return rows;
+  }
+
+  /**
+   * Estado de todas las migraciones conocidas
+   * @returns {Promise<Array>} - [{ name, applied, batch, applied_at }]
+   */
+  static async getStatus() {
+    const connection = await mysqlPool.getConnection();
+    try {
+      const migrations = await this.loadMigrations();
+      const applied = await this.getAppliedMigrations(connection);
+      const appliedByName = new Map(applied.map(row => [row.name, row]));
+
+      const status = migrations.map(migration => {
+        const row = appliedByName.get(migration.name);
+        return {
+          name: migration.name,
+          applied: Boolean(row),
+          batch: row ? row.batch : null,
+          applied_at: row ? row.applied_at : null
+        };
+      });
+
+      // Migraciones registradas cuyo archivo ya no existe
+      const known = new Set(migrations.map(m => m.name));
+      applied
+        .filter(row => !known.has(row.name))
+        .forEach(row => status.push({
+          name: row.name,
+          applied: true,
+          batch: row.batch,
+          applied_at: row.applied_at,
+          missing: true
+        }));
+
+      return status;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Migraciones que aún no se han aplicado
+   * @returns {Promise<Array<string>>} - Nombres de las migraciones pendientes
+   */
+  static async getPending() {
+    const status = await this.getStatus();
+    return status.filter(m => !m.applied).map(m => m.name);
+  }
+
+  /**
+   * Aplica las migraciones pendientes
+   * @param {Object} options - { steps } número máximo de migraciones a aplicar
+   * @returns {Promise<Array<string>>} - Nombres de las migraciones aplicadas
+   */
+  static async up({ steps } = {}) {
+    return this.withLock(async (connection) => {
+      const migrations = await this.loadMigrations();
+      const applied = await this.getAppliedMigrations(connection);
+      const appliedNames = new Set(applied.map(row => row.name));
+
+      let pending = migrations.filter(m => !appliedNames.has(m.name));
+      if (steps) {
+        pending = pending.slice(0, steps);
+      }
+
+      if (pending.length === 0) {
+        return [];
+      }
+
+      const batch = applied.reduce((max, row) => Math.max(max, row.batch), 0) + 1;
+      const done = [];
+
+      for (const migration of pending) {
+        // El DDL de MySQL hace commit implícito, así que cada migración se
+        // registra en cuanto termina: si falla, las anteriores quedan aplicadas
+        try {
+          await migration.up(connection);
+        } catch (error) {
+          console.error(`Error aplicando la migración ${migration.name}:`, error);
+          throw new DatabaseError(`Error aplicando la migración ${migration.name}: ${error.message}`);
+        }
+
+        await connection.query(
+          'INSERT INTO schema_migrations (name, batch) VALUES (?, ?)',
+          [migration.name, batch]
+        );
+
+        console.log(`Migración aplicada: ${migration.name}`);
+        done.push(migration.name);
+      }
+
+      return done;
+    });
+  }
+
+  /**
+   * Revierte las últimas migraciones aplicadas
+   * @param {Object} options - { steps } número de migraciones a revertir (1 por defecto)
+   * @returns {Promise<Array<string>>} - Nombres de las migraciones revertidas
+   */
+  static async down({ steps = 1 } = {}) {
+    return this.withLock(async (connection) => {
+      const migrations = await this.loadMigrations();
+      const migrationsByName = new Map(migrations.map(m => [m.name, m]));
+      const applied = await this.getAppliedMigrations(connection);
+
+      const toRollback = applied.slice(-steps).reverse();
+      const done = [];
+
+      for (const row of toRollback) {
+        const migration = migrationsByName.get(row.name);
+
+        if (!migration) {
+          throw new ValidationError(`No se encontró el archivo de la migración ${row.name}`);
+        }
+
+        try {
+          await migration.down(connection);
+        } catch (error) {
+          console.error(`Error revirtiendo la migración ${migration.name}:`, error);
+          throw new DatabaseError(`Error revirtiendo la migración ${migration.name}: ${error.message}`);
+        }
+
+        await connection.query(
+          'DELETE FROM schema_migrations WHERE name = ?',
+          [migration.name]
+        );
+
+        console.log(`Migración revertida: ${migration.name}`);
+        done.push(migration.name);
+      }
+
+      return done;
+    });
+  }
+
+  // Ejecuta fn con una conexión dedicada que mantiene el lock de migraciones
+  static async withLock(fn) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [lock] = await connection.query(
+        'SELECT GET_LOCK(?, ?) AS acquired',
+        [MIGRATION_LOCK, LOCK_TIMEOUT_SECONDS]
+      );
+
+      if (lock[0].acquired !== 1) {
+        throw new DatabaseError('Otro proceso está ejecutando migraciones');
+      }
+
+      try {
+        return await fn(connection);
+      } finally {
+        await connection.query('SELECT RELEASE_LOCK(?)', [MIGRATION_LOCK]);
+      }
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+export default MigrationService;
@@ -0,0 +1,381 @@
+// src/services/notification.service.js
+import { mysqlPool } from '../config/database.js';
+import { ValidationError, NotFoundError, DatabaseError } from '../utils/errors/index.js';
+import { NOTIFICATION_TYPES } from '../config/constants.js';
+import { formatCurrency, formatDate } from '../utils/formatters.js';
+import emailService from './email.service.js';
+import logger from '../utils/logger.js';
+
+const userName = (user = {}) => [user.first_name, user.last_name].filter(Boolean).join(' ');
+
+/**
+ * Definición de cada evento: canales por defecto, contenido de la notificación
+ * en la app y, si existe plantilla, el envío por email.
+ * El contexto lo arma quien emite el evento (ver las llamadas a notify()).
+ */
+const NOTIFICATION_EVENTS = {
+  // Al anfitrión: { booking, property }
+  [NOTIFICATION_TYPES.BOOKING_CREATED]: {
+    defaults: { in_app: true, email: false },
+    build: ({ booking, property }) => ({
+      title: 'Nueva reserva',
+      body: `${booking.guestName || booking.guest_name || 'Un huésped'} reservó ${property.title} del ${formatDate(booking.checkInDate || booking.check_in_date)} al ${formatDate(booking.checkOutDate || booking.check_out_date)}`,
+      data: { booking_id: booking.id, property_id: property.id }
+    })
+  },
+
+  // Al huésped: { booking } con property (resultado de BookingService.findById)
+  [NOTIFICATION_TYPES.BOOKING_CONFIRMED]: {
+    defaults: { in_app: true, email: true },
+    build: ({ booking }) => ({
+      title: 'Reserva confirmada',
+      body: `Tu reserva en ${booking.property ? booking.property.title : 'la propiedad'} fue confirmada`,
+      data: { booking_id: booking.id, property_id: booking.property_id }
+    }),
+    email: (user, { booking }) => emailService.sendBookingConfirmationEmail(booking, { recipient: user })
+  },
+
+  // Al huésped o al anfitrión: { booking, property, recipient: 'guest'|'host', cancelledBy, reason, refundAmount }
+  [NOTIFICATION_TYPES.BOOKING_CANCELLED]: {
+    defaults: { in_app: true, email: true },
+    build: ({ booking, property, recipient, cancelledBy }) => ({
+      title: 'Reserva cancelada',
+      body: recipient === 'host'
+        ? `La reserva #${booking.id} en ${property.title} fue cancelada`
+        : `Tu reserva #${booking.id} en ${property.title} fue cancelada`,
+      data: { booking_id: booking.id, property_id: property.id, cancelled_by: cancelledBy }
+    }),
+    email: (user, { booking, property, reason, refundAmount }) => emailService.sendBookingCancelledEmail(
+      { ...booking, property },
+      { recipient: user, reason, refundAmount }
+    )
+  },
+
+  // Al huésped, antes de la llegada: { booking } con property_title y property_address
+  [NOTIFICATION_TYPES.BOOKING_REMINDER]: {
+    defaults: { in_app: true, email: true },
+    build: ({ booking }) => ({
+      title: 'Tu llegada se acerca',
+      body: `Tu estadía en ${booking.property_title || 'la propiedad'} comienza el ${formatDate(booking.check_in_date)}`,
+      data: { booking_id: booking.id, property_id: booking.property_id }
+    }),
+    email: (user, { booking }) => emailService.sendCheckInReminderEmail(booking, { recipient: user })
+  },
+
+  // Al anfitrión: { booking, modification } (booking con property_title)
+  [NOTIFICATION_TYPES.BOOKING_MODIFICATION_REQUESTED]: {
+    defaults: { in_app: true, email: false },
+    build: ({ booking, modification }) => ({
+      title: 'Solicitud de cambio de reserva',
+      body: `${booking.guest_name || 'El huésped'} pide cambiar la reserva #${booking.id} en ${booking.property_title || 'tu propiedad'} al ${formatDate(modification.new_check_in)} - ${formatDate(modification.new_check_out)} (${modification.new_guests} huéspedes)`,
+      data: { booking_id: booking.id, modification_id: modification.id }
+    })
+  },
+
+  // Al huésped: { booking, modification } con modification.status approved o declined
+  [NOTIFICATION_TYPES.BOOKING_MODIFICATION_RESPONDED]: {
+    defaults: { in_app: true, email: false },
+    build: ({ booking, modification }) => ({
+      title: modification.status === 'approved' ? 'Cambio de reserva aprobado' : 'Cambio de reserva rechazado',
+      body: modification.status === 'approved'
+        ? `Tu reserva #${booking.id} ahora es del ${formatDate(modification.new_check_in)} al ${formatDate(modification.new_check_out)}`
+        : `El anfitrión no aceptó el cambio de tu reserva #${booking.id}${modification.response_note ? `: ${modification.response_note}` : ''}`,
+      data: { booking_id: booking.id, modification_id: modification.id, status: modification.status }
+    })
+  },
+
+  // Al huésped: { payment, booking }
+  [NOTIFICATION_TYPES.PAYMENT_RECEIVED]: {
+    defaults: { in_app: true, email: true },
+    build: ({ payment }) => ({
+      title: 'Pago recibido',
+      body: `Recibimos tu pago de ${formatCurrency(payment.amount, payment.currency)} para la reserva #${payment.booking_id}`,
+      data: { payment_id: payment.id, booking_id: payment.booking_id }
+    }),
+    email: (user, { payment, booking }) => emailService.sendPaymentReceiptEmail(user, payment, booking)
+  },
+
+  // Al huésped: { payment, booking, amount }
+  [NOTIFICATION_TYPES.PAYMENT_REFUNDED]: {
+    defaults: { in_app: true, email: true },
+    build: ({ payment, amount }) => ({
+      title: 'Reembolso emitido',
+      body: `Emitimos un reembolso de ${formatCurrency(amount, payment.currency)} para la reserva #${payment.booking_id}`,
+      data: { payment_id: payment.id, booking_id: payment.booking_id, amount }
+    }),
+    email: (user, { payment, booking, amount }) => emailService.sendRefundIssuedEmail(user, payment, amount, booking)
+  },
+
+  // Al anfitrión, cuando el reembolso que pide el huésped requiere su aprobación: { refund, booking }
+  [NOTIFICATION_TYPES.REFUND_REQUESTED]: {
+    defaults: { in_app: true, email: false },
+    build: ({ refund, booking }) => ({
+      title: 'Solicitud de reembolso',
+      body: `${booking.guest_name || 'El huésped'} pide un reembolso de ${formatCurrency(refund.amount, refund.currency)} para la reserva #${booking.id}`,
+      data: { payment_id: refund.payment_id, booking_id: booking.id, refund_id: refund.id }
+    })
+  },
+
+  // A quien pidió el reembolso: { refund, booking }
+  [NOTIFICATION_TYPES.REFUND_REJECTED]: {
+    defaults: { in_app: true, email: false },
+    build: ({ refund, booking }) => ({
+      title: 'Reembolso rechazado',
+      body: `No se aprobó el reembolso de ${formatCurrency(refund.amount, refund.currency)} para la reserva #${booking.id}${refund.decision_note ? `: ${refund.decision_note}` : ''}`,
+      data: { payment_id: refund.payment_id, booking_id: booking.id, refund_id: refund.id }
+    })
+  },
+
+  // Al anfitrión: { review, property }
+  [NOTIFICATION_TYPES.REVIEW_CREATED]: {
+    defaults: { in_app: true, email: false },
+    build: ({ review, property }) => ({
+      title: 'Nueva reseña',
+      body: `${property.title} recibió una reseña de ${review.rating} estrellas`,
+      data: { review_id: review.id, property_id: property.id }
+    })
+  },
+
+  // Al huésped, después de la salida: { booking } con property_title
+  [NOTIFICATION_TYPES.REVIEW_REQUESTED]: {
+    defaults: { in_app: true, email: true },
+    build: ({ booking }) => ({
+      title: '¿Qué tal tu estadía?',
+      body: `Cuéntanos cómo te fue en ${booking.property_title || 'la propiedad'}`,
+      data: { booking_id: booking.id, property_id: booking.property_id }
+    }),
+    email: (user, { booking }) => emailService.sendReviewRequestEmail(booking, { recipient: user })
+  },
+
+  // Al destinatario: { sender, content, conversationId }
+  [NOTIFICATION_TYPES.MESSAGE_RECEIVED]: {
+    defaults: { in_app: true, email: true },
+    build: ({ sender, content, conversationId }) => ({
+      title: `Nuevo mensaje de ${userName(sender) || 'un usuario'}`,
+      body: content.length > 140 ? `${content.substring(0, 137)}...` : content,
+      data: { sender_id: sender.id, conversation_id: conversationId }
+    }),
+    email: (user, { sender, content }) => emailService.sendNewMessageEmail(user, sender, content)
+  }
+};
+
+export class NotificationService {
+  /**
+   * Emitir un evento para un usuario. No lanza errores: las notificaciones
+   * nunca deben interrumpir la operación que las origina, así que se pueden
+   * llamar sin await.
+   * @param {number} userId - Destinatario
+   * @param {string} type - Tipo de evento (NOTIFICATION_TYPES)
+   * @param {Object} context - Datos del evento (ver NOTIFICATION_EVENTS)
+   * @returns {Promise<Object|null>} - La notificación creada en la app, si corresponde
+   */
+  static notify(userId, type, context = {}) {
+    return this.deliver(userId, type, context).catch(error => {
+      logger.error('Notification delivery failed', { userId, type, error: error.message });
+      return null;
+    });
+  }
+
+  static async deliver(userId, type, context) {
+    const event = NOTIFICATION_EVENTS[type];
+    if (!event) {
+      throw new Error(`Tipo de notificación desconocido: ${type}`);
+    }
+
+    // Reservas de invitados sin cuenta: no hay a quién notificar
+    if (!userId) {
+      return null;
+    }
+
+    const preference = await this.getPreference(userId, type);
+    const content = event.build(context);
+    let notification = null;
+
+    if (preference.in_app) {
+      const [result] = await mysqlPool.query(
+        'INSERT INTO notifications (user_id, type, title, body, data) VALUES (?, ?, ?, ?, ?)',
+        [userId, type, content.title, content.body, JSON.stringify(content.data || {})]
+      );
+
+      notification = { id: result.insertId, user_id: userId, type, ...content, read_at: null };
+    }
+
+    if (preference.email && event.email) {
+      const [users] = await mysqlPool.query(
+        'SELECT id, first_name, last_name, email FROM users WHERE id = ?',
+        [userId]
+      );
+
+      if (users.length > 0) {
+        await event.email(users[0], context);
+      }
+    }
+
+    return notification;
+  }
+
+  // Preferencia efectiva de un usuario para un evento
+  static async getPreference(userId, type) {
+    const [rows] = await mysqlPool.query(
+      'SELECT in_app, email FROM notification_preferences WHERE user_id = ? AND event_type = ?',
+      [userId, type]
+    );
+
+    if (rows.length === 0) {
+      return NOTIFICATION_EVENTS[type].defaults;
+    }
+
+    return {
+      in_app: Boolean(rows[0].in_app),
+      email: Boolean(rows[0].email)
+    };
+  }
+
+  // Preferencias de todos los eventos (las no guardadas toman el valor por defecto)
+  static async getPreferences(userId) {
+    try {
+      const [rows] = await mysqlPool.query(
+        'SELECT event_type, in_app, email FROM notification_preferences WHERE user_id = ?',
+        [userId]
+      );
+
+      const saved = Object.fromEntries(rows.map(row => [row.event_type, row]));
+
+      return Object.entries(NOTIFICATION_EVENTS).map(([type, event]) => ({
+        event: type,
+        in_app: saved[type] ? Boolean(saved[type].in_app) : event.defaults.in_app,
+        email: saved[type] ? Boolean(saved[type].email) : event.defaults.email,
+        email_available: Boolean(event.email)
+      }));
+    } catch (error) {
+      console.error('Error getting notification preferences:', error);
+      throw new DatabaseError('Error al obtener las preferencias de notificación');
+    }
+  }
+
+  /**
+   * Guardar preferencias
+   * @param {number} userId
+   * @param {Array} preferences - [{ event, in_app, email }] (in_app y email en false = ninguno)
+   */
+  static async updatePreferences(userId, preferences) {
+    if (!Array.isArray(preferences) || preferences.length === 0) {
+      throw new ValidationError('Se requiere un array de preferencias');
+    }
+
+    const errors = [];
+    preferences.forEach((preference, index) => {
+      const event = NOTIFICATION_EVENTS[preference.event];
+      if (!event) {
+        errors.push(`preferences[${index}].event`);
+      } else if (preference.email && !event.email) {
+        errors.push(`preferences[${index}].email`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError('Preferencias de notificación inválidas', errors);
+    }
+
+    const current = await this.getPreferences(userId);
+    const currentByEvent = Object.fromEntries(current.map(preference => [preference.event, preference]));
+
+    try {
+      for (const preference of preferences) {
+        const existing = currentByEvent[preference.event];
+        const inApp = preference.in_app !== undefined ? Boolean(preference.in_app) : existing.in_app;
+        const email = preference.email !== undefined ? Boolean(preference.email) : existing.email;
+
+        await mysqlPool.query(
+          `INSERT INTO notification_preferences (user_id, event_type, in_app, email)
+           VALUES (?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE in_app = VALUES(in_app), email = VALUES(email)`,
+          [userId, preference.event, inApp, email]
+        );
+      }
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      throw new DatabaseError('Error al actualizar las preferencias de notificación');
+    }
+
+    return this.getPreferences(userId);
+  }
+
+  /**
+   * Listar las notificaciones del usuario, más recientes primero
+   * @param {number} userId
+   * @param {Object} filters - { unreadOnly }
+   * @param {Object} pagination - { page, limit }
+   */
+  static async getNotifications(userId, filters = {}, pagination = { page: 1, limit: 20 }) {
+    const page = Math.max(parseInt(pagination.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(pagination.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE user_id = ?';
+    const params = [userId];
+
+    if (filters.unreadOnly) {
+      whereClause += ' AND read_at IS NULL';
+    }
+
+    try {
+      const [notifications] = await mysqlPool.query(
+        `SELECT * FROM notifications ${whereClause} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const [countResult] = await mysqlPool.query(
+        `SELECT COUNT(*) as total FROM notifications ${whereClause}`,
+        params
+      );
+
+      const total = countResult[0].total || 0;
+
+      return {
+        notifications,
+        total,
+        unread: await this.getUnreadCount(userId),
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      };
+    } catch (error) {
+      console.error('Error getting notifications:', error);
+      throw new DatabaseError('Error al obtener las notificaciones');
+    }
+  }
+
+  static async getUnreadCount(userId) {
+    const [result] = await mysqlPool.query(
+      'SELECT COUNT(*) as unread FROM notifications WHERE user_id = ? AND read_at IS NULL',
+      [userId]
+    );
+
+    return result[0].unread || 0;
+  }
+
+  static async markAsRead(userId, notificationId) {
+    const [result] = await mysqlPool.query(
+      'UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = ? AND user_id = ?',
+      [notificationId, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new NotFoundError('Notificación no encontrada');
+    }
+
+    return true;
+  }
+
+  static async markAllAsRead(userId) {
+    const [result] = await mysqlPool.query(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL',
+      [userId]
+    );
+
+    return result.affectedRows;
+  }
+}
+
+export default NotificationService;
@@ -0,0 +1,134 @@
+// src/services/payment-gateways/index.js
+// Registro de procesadores de pago. Cada proveedor es un objeto con:
+//   authorize({ amount, currency, source, reference }) -> { status, transactionId, declineCode?, message?, nextAction? }
+//   capture(transactionId, { amount })                 -> { status: 'captured', transactionId }
+//   void(transactionId, { reference })                 -> { status: 'voided', transactionId }
+//   refund(transactionId, { amount, reference })       -> { status: 'refunded', transactionId, refundId, amount }
+//                                                         (un reintento con la misma referencia no repite el reembolso)
+//   retrieve(reference)                                -> la transacción autorizada con esa referencia, con la misma
+//                                                         forma que authorize (status puede ser 'captured'), o null
+//   verifyWebhook(rawBody, headers)                    -> { id, type, transactionId, amount, refundId, reference, reason, raw }
+//                                                         con `type` de WEBHOOK_EVENT_TYPES y `reference` la enviada al autorizar
+//                                                         (ValidationError si la firma no vale)
+// El código de reservas y pagos solo usa PaymentGateway; añadir un proveedor
+// real es registrar su fábrica y configurar PAYMENT_GATEWAY.
+import paymentConfig from '../../config/payment.config.js';
+import { BaseError, NotFoundError, PaymentGatewayError } from '../../utils/errors/index.js';
+import logger from '../../utils/logger.js';
+import { createSimulatorGateway } from './simulator.gateway.js';
+
+const factories = {
+  simulator: createSimulatorGateway
+};
+
+// Proveedores que no existen en producción: el simulador aprueba cualquier pago
+// y cualquiera con su clave pública de desarrollo podría firmar sus webhooks
+const DEVELOPMENT_ONLY = ['simulator'];
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// Proveedores ya creados por nombre
+const instances = new Map();
+
+export class PaymentGateway {
+  // Nombre del procesador con el que se crean los pagos nuevos
+  static get defaultName() {
+    return paymentConfig.payments.gateway;
+  }
+
+  /**
+   * Registrar un proveedor
+   * @param {string} name - Nombre usado en PAYMENT_GATEWAY y en payments.gateway
+   * @param {Function} factory - Recibe la configuración de pagos y devuelve el proveedor
+   */
+  static register(name, factory) {
+    factories[name] = factory;
+    instances.delete(name);
+  }
+
+  // Reemplazar la instancia de un proveedor (p. ej. un doble en pruebas)
+  static use(name, provider) {
+    instances.set(name, provider);
+    return provider;
+  }
+
+  /**
+   * Proveedor por nombre
+   * @throws {NotFoundError} - Si no hay un proveedor registrado con ese nombre
+   */
+  static get(name = this.defaultName) {
+    if (!instances.has(name)) {
+      const factory = factories[name];
+      if (!factory || (isProduction() && DEVELOPMENT_ONLY.includes(name))) {
+        throw new NotFoundError(`Procesador de pagos desconocido: ${name}`);
+      }
+      instances.set(name, factory({ ...paymentConfig.payments, clientUrl: paymentConfig.clientUrl }));
+    }
+
+    return instances.get(name);
+  }
+
+  /**
+   * Comprobar al arrancar que el procesador configurado se puede usar en este entorno
+   * @throws {Error} - En producción con el simulador (p. ej. si falta PAYMENT_GATEWAY)
+   */
+  static assertConfigured() {
+    if (isProduction() && DEVELOPMENT_ONLY.includes(this.defaultName)) {
+      throw new Error(`PAYMENT_GATEWAY="${this.defaultName}" no se admite en producción; configure un procesador real`);
+    }
+  }
+
+  static authorize(request, gateway = this.defaultName) {
+    return this.call(gateway, 'authorize', request);
+  }
+
+  static capture(transactionId, options = {}, gateway = this.defaultName) {
+    return this.call(gateway, 'capture', transactionId, options);
+  }
+
+  static void(transactionId, options = {}, gateway = this.defaultName) {
+    return this.call(gateway, 'void', transactionId, options);
+  }
+
+  static refund(transactionId, options, gateway = this.defaultName) {
+    return this.call(gateway, 'refund', transactionId, options);
+  }
+
+  // Consultar un cobro por la referencia enviada al autorizar (null si el procesador no lo tiene)
+  static retrieve(reference, gateway = this.defaultName) {
+    return this.call(gateway, 'retrieve', reference);
+  }
+
+  // La verificación es local (no hay llamada de red)
+  static verifyWebhook(gateway, rawBody, headers) {
+    return this.get(gateway).verifyWebhook(rawBody, headers);
+  }
+
+  /**
+   * Llamar al proveedor con tiempo máximo de espera
+   * @throws {PaymentGatewayError} - Si el proveedor falla o no responde a tiempo
+   */
+  static async call(gateway, method, ...args) {
+    const provider = this.get(gateway);
+    const { timeoutMs } = paymentConfig.payments;
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new PaymentGatewayError('El procesador de pagos no respondió a tiempo', { timeout: true }));
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([provider[method](...args), timeout]);
+    } catch (error) {
+      logger.error('Payment gateway call failed', { gateway, method, error: error.message });
+      if (error instanceof BaseError) throw error;
+      throw new PaymentGatewayError(`Error en el procesador de pagos: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default PaymentGateway;
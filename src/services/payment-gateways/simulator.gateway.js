@@ -0,0 +1,254 @@
+// src/services/payment-gateways/simulator.gateway.js
+// Procesador local para desarrollo y pruebas. No cobra nada: el resultado
+// depende solo del número de tarjeta, así que cada prueba es reproducible.
+import crypto from 'crypto';
+import { ValidationError, PaymentGatewayError } from '../../utils/errors/index.js';
+import { GATEWAY_RESULTS } from '../../config/constants.js';
+
+export const SIMULATOR_TEST_CARDS = {
+  APPROVE: '4242424242424242',
+  DECLINE: '4000000000000002',
+  THREE_D_SECURE: '4000000000003220',
+  TIMEOUT: '4000000000000119'
+};
+
+export const SIMULATOR_SIGNATURE_HEADER = 'x-simulator-signature';
+
+// Antigüedad máxima de la firma de un webhook (segundos)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref());
+
+// Dígito de control de los números de tarjeta
+const isLuhnValid = (number) => {
+  let sum = 0;
+  [...number].reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return sum % 10 === 0;
+};
+
+// Evento normalizado que PaymentGateway.verifyWebhook devuelve para cualquier proveedor
+const toEvent = (payload) => {
+  const data = payload.data || {};
+  return {
+    id: payload.id,
+    type: payload.type,
+    transactionId: data.transaction_id || null,
+    amount: data.amount ?? null,
+    refundId: data.refund_id || null,
+    reference: data.reference || null,
+    reason: data.reason || null,
+    raw: payload
+  };
+};
+
+const sign = (secret, timestamp, rawBody) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex');
+
+/**
+ * Crear el simulador
+ * @param {Object} config - Configuración de pagos (payment.config.js)
+ */
+export const createSimulatorGateway = (config) => {
+  // Transacciones de esta instancia: { id, status, amount, currency, captured, refunded }
+  const transactions = new Map();
+  // Reembolsos por la referencia con la que se pidieron
+  const refunds = new Map();
+  const secret = config.simulator.webhookSecret;
+  if (!secret) {
+    throw new Error('El simulador de pagos requiere PAYMENT_SIMULATOR_WEBHOOK_SECRET');
+  }
+
+  const getTransaction = (transactionId) => {
+    const transaction = transactions.get(transactionId);
+    // Transacciones de otra instancia o anteriores al simulador: se aceptan tal cual
+    return transaction || { id: transactionId, status: GATEWAY_RESULTS.CAPTURED, amount: null, refunded: 0 };
+  };
+
+  return {
+    name: 'simulator',
+
+    /**
+     * Autorizar un cobro
+     * @param {Object} request - { amount, currency, source: { method, cardNumber }, reference }
+     */
+    async authorize({ amount, currency, source = {}, reference = null }) {
+      // Como un procesador real, un reintento con la misma referencia no cobra otra vez
+      const previous = reference && [...transactions.values()]
+        .find(existing => existing.reference === reference
+          && [GATEWAY_RESULTS.AUTHORIZED, GATEWAY_RESULTS.CAPTURED].includes(existing.status));
+      if (previous) {
+        return { status: GATEWAY_RESULTS.AUTHORIZED, transactionId: previous.id };
+      }
+
+      const transaction = { id: newId('sim_txn'), amount, currency, reference, refunded: 0 };
+      const number = source.cardNumber ? String(source.cardNumber).replace(/\D/g, '') : null;
+
+      // Sin tarjeta (transferencia, efectivo...) siempre se aprueba
+      if (!number) {
+        transactions.set(transaction.id, { ...transaction, status: GATEWAY_RESULTS.AUTHORIZED });
+        return { status: GATEWAY_RESULTS.AUTHORIZED, transactionId: transaction.id };
+      }
+
+      if (number === SIMULATOR_TEST_CARDS.DECLINE || !isLuhnValid(number)) {
+        const declineCode = number === SIMULATOR_TEST_CARDS.DECLINE ? 'card_declined' : 'invalid_number';
+        transactions.set(transaction.id, { ...transaction, status: GATEWAY_RESULTS.DECLINED });
+        return {
+          status: GATEWAY_RESULTS.DECLINED,
+          transactionId: transaction.id,
+          declineCode,
+          message: 'La tarjeta fue rechazada'
+        };
+      }
+
+      if (number === SIMULATOR_TEST_CARDS.THREE_D_SECURE) {
+        transactions.set(transaction.id, { ...transaction, status: GATEWAY_RESULTS.REQUIRES_ACTION });
+        return {
+          status: GATEWAY_RESULTS.REQUIRES_ACTION,
+          transactionId: transaction.id,
+          nextAction: {
+            type: 'three_d_secure',
+            url: `${config.clientUrl}/payments/3ds?transaction=${transaction.id}`
+          }
+        };
+      }
+
+      transactions.set(transaction.id, { ...transaction, status: GATEWAY_RESULTS.AUTHORIZED });
+
+      if (number === SIMULATOR_TEST_CARDS.TIMEOUT) {
+        // Responde después del tiempo de espera: el cobro queda autorizado sin que lo sepamos
+        await delay(config.timeoutMs + 1000);
+      }
+
+      return { status: GATEWAY_RESULTS.AUTHORIZED, transactionId: transaction.id };
+    },
+
+    async capture(transactionId) {
+      const transaction = getTransaction(transactionId);
+
+      if (![GATEWAY_RESULTS.AUTHORIZED, GATEWAY_RESULTS.CAPTURED].includes(transaction.status)) {
+        throw new PaymentGatewayError(`No se puede capturar una transacción en estado "${transaction.status}"`);
+      }
+
+      transactions.set(transactionId, { ...transaction, status: GATEWAY_RESULTS.CAPTURED });
+      return { status: GATEWAY_RESULTS.CAPTURED, transactionId };
+    },
+
+    async void(transactionId) {
+      const transaction = getTransaction(transactionId);
+
+      if (transaction.status === GATEWAY_RESULTS.CAPTURED && transactions.has(transactionId)) {
+        throw new PaymentGatewayError('No se puede anular una transacción capturada');
+      }
+
+      transactions.set(transactionId, { ...transaction, status: GATEWAY_RESULTS.VOIDED });
+      return { status: GATEWAY_RESULTS.VOIDED, transactionId };
+    },
+
+    async refund(transactionId, { amount, reference = null }) {
+      if (reference && refunds.has(reference)) {
+        return refunds.get(reference);
+      }
+
+      const transaction = getTransaction(transactionId);
+
+      if (transaction.status !== GATEWAY_RESULTS.CAPTURED) {
+        throw new PaymentGatewayError(`No se puede reembolsar una transacción en estado "${transaction.status}"`);
+      }
+
+      if (transaction.amount !== null && transaction.refunded + amount > Number(transaction.amount) + 0.001) {
+        throw new PaymentGatewayError('El reembolso supera el monto capturado');
+      }
+
+      transactions.set(transactionId, { ...transaction, refunded: transaction.refunded + amount });
+      const result = { status: GATEWAY_RESULTS.REFUNDED, transactionId, refundId: newId('sim_ref'), amount };
+      if (reference) refunds.set(reference, result);
+      return result;
+    },
+
+    // La última transacción autorizada con esa referencia (null si no existe)
+    async retrieve(reference) {
+      const found = [...transactions.values()].filter(transaction => transaction.reference === reference).pop();
+
+      if (!found) {
+        return null;
+      }
+
+      return { status: found.status, transactionId: found.id };
+    },
+
+    /**
+     * Verificar la firma de un webhook: `t=<segundos>,v1=<hmac-sha256 de "t.cuerpo">`
+     * @param {Buffer|string} rawBody - Cuerpo tal como llegó
+     * @param {Object} headers - Cabeceras de la petición (en minúsculas)
+     * @returns {Object} - El evento normalizado { id, type, transactionId, amount, refundId, reference, reason, raw }
+     * @throws {ValidationError} - Si la firma falta, no coincide o es demasiado antigua
+     */
+    verifyWebhook(rawBody, headers = {}) {
+      const header = headers[SIMULATOR_SIGNATURE_HEADER] || '';
+      const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+      const timestamp = Number(parts.t);
+      const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+
+      if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new ValidationError('Firma de webhook inválida');
+      }
+
+      const expected = Buffer.from(sign(secret, timestamp, body), 'hex');
+      const received = Buffer.from(parts.v1, 'hex');
+
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new ValidationError('Firma de webhook inválida');
+      }
+
+      return toEvent(JSON.parse(body));
+    },
+
+    /**
+     * Firmar un evento como lo haría el simulador (para desarrollo y pruebas)
+     * @returns {Object} - { body, headers } listos para enviar al endpoint de webhooks
+     */
+    signWebhook(event) {
+      const body = JSON.stringify(event);
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      return {
+        body,
+        headers: { [SIMULATOR_SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(secret, timestamp, body)}` }
+      };
+    },
+
+    /**
+     * Resolver el desafío 3-D Secure de una transacción
+     * @returns {Object} - Evento que el procesador enviaría por webhook
+     */
+    completeChallenge(transactionId, { approved = true } = {}) {
+      const transaction = getTransaction(transactionId);
+      const status = approved ? GATEWAY_RESULTS.AUTHORIZED : GATEWAY_RESULTS.DECLINED;
+      transactions.set(transactionId, { ...transaction, status });
+
+      return {
+        id: newId('sim_evt'),
+        type: approved ? 'payment.authorized' : 'payment.failed',
+        data: {
+          transaction_id: transactionId,
+          reference: transaction.reference,
+          amount: transaction.amount,
+          currency: transaction.currency
+        }
+      };
+    }
+  };
+};
+
+export default createSimulatorGateway;
@@ -0,0 +1,471 @@
+// src/services/payment-webhook.service.js
+import { mysqlPool } from '../config/database.js';
+import { ValidationError, NotFoundError, DatabaseError } from '../utils/errors/index.js';
+import {
+  PAYMENT_STATUS,
+  PAYMENT_EVENT_TYPES,
+  NOTIFICATION_TYPES,
+  WEBHOOK_EVENT_TYPES,
+  WEBHOOK_EVENT_STATUS,
+  REFUND_STATUS,
+  REFUND_REASONS
+} from '../config/constants.js';
+import { Payment } from '../models/mysql/payment.model.js';
+import { Refund } from '../models/mysql/refund.model.js';
+import { PaymentGateway } from './payment-gateways/index.js';
+import { PaymentService } from './payment.service.js';
+import logger from '../utils/logger.js';
+
+// Intentos de un evento fallido antes de dejarlo para revisión manual
+const MAX_AUTOMATIC_ATTEMPTS = 5;
+
+// Estados de un pago autorizado que ya no se debe cobrar
+const VOIDED_STATUSES = [PAYMENT_STATUS.CANCELLED, PAYMENT_STATUS.FAILED];
+
+// Minutos tras los que un evento que se quedó en `processing` se puede volver a reclamar
+const CLAIM_TIMEOUT_MINUTES = 10;
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Webhooks de los procesadores de pago. Cada evento se guarda tal como llega
+// (normalizado por su proveedor) y se aplica una sola vez por
+// (proveedor, id del evento): quien lo procesa primero lo reclama. Además los
+// manejadores comprueban el estado del pago bajo bloqueo, así que reaplicar un
+// evento no cambia nada dos veces.
+export class PaymentWebhookService {
+  /**
+   * Recibir un webhook: verificar la firma, guardar el evento y procesarlo
+   * @param {string} provider - Procesador que lo envía (ruta /webhooks/:provider)
+   * @param {Buffer} rawBody - Cuerpo sin modificar (la firma se calcula sobre él)
+   * @param {Object} headers - Cabeceras de la petición
+   * @returns {Promise<Object>} - El evento guardado (`duplicate` si ya se había procesado)
+   * @throws {ValidationError} - Si la firma no es válida
+   * @throws El error del procesamiento: el evento queda como fallido y el procesador lo reenviará
+   */
+  static async receive(provider, rawBody, headers) {
+    if (!rawBody || rawBody.length === 0) {
+      throw new ValidationError('El webhook no tiene contenido');
+    }
+
+    const event = PaymentGateway.verifyWebhook(provider, rawBody, headers);
+
+    if (!event.id || !event.type) {
+      throw new ValidationError('Evento de webhook inválido');
+    }
+
+    await mysqlPool.query(
+      `INSERT IGNORE INTO payment_webhook_events (provider, event_id, event_type, payload, status)
+       VALUES (?, ?, ?, ?, ?)`,
+      [provider, event.id, event.type, JSON.stringify(event), WEBHOOK_EVENT_STATUS.RECEIVED]
+    );
+
+    const [rows] = await mysqlPool.query(
+      'SELECT * FROM payment_webhook_events WHERE provider = ? AND event_id = ?',
+      [provider, event.id]
+    );
+    const stored = rows[0];
+
+    if ([WEBHOOK_EVENT_STATUS.PROCESSED, WEBHOOK_EVENT_STATUS.IGNORED].includes(stored.status)) {
+      return { ...this.formatEvent(stored), duplicate: true };
+    }
+
+    return this.process(stored);
+  }
+
+  /**
+   * Aplicar un evento guardado y registrar el resultado
+   * @param {Object} stored - Fila de payment_webhook_events
+   * @returns {Promise<Object>} - El evento actualizado (`duplicate` si otro proceso ya lo tiene o lo aplicó)
+   */
+  static async process(stored) {
+    // Reclamar el evento: de dos entregas simultáneas solo una lo aplica
+    const [claim] = await mysqlPool.query(
+      `UPDATE payment_webhook_events
+       SET status = ?, claimed_at = NOW()
+       WHERE id = ?
+         AND (status IN (?, ?) OR (status = ? AND claimed_at < NOW() - INTERVAL ? MINUTE))`,
+      [
+        WEBHOOK_EVENT_STATUS.PROCESSING,
+        stored.id,
+        WEBHOOK_EVENT_STATUS.RECEIVED,
+        WEBHOOK_EVENT_STATUS.FAILED,
+        WEBHOOK_EVENT_STATUS.PROCESSING,
+        CLAIM_TIMEOUT_MINUTES
+      ]
+    );
+
+    if (claim.affectedRows === 0) {
+      return { ...(await this.getEvent(stored.id)), duplicate: true };
+    }
+
+    const event = parseJson(stored.payload);
+    let result;
+
+    try {
+      result = await this.applyEvent(stored.provider, event);
+    } catch (error) {
+      await mysqlPool.query(
+        `UPDATE payment_webhook_events
+         SET status = ?, attempts = attempts + 1, last_error = ?
+         WHERE id = ?`,
+        [WEBHOOK_EVENT_STATUS.FAILED, error.message.substring(0, 1000), stored.id]
+      );
+      logger.error('Payment webhook failed', { id: stored.id, provider: stored.provider, type: stored.event_type, error: error.message });
+      throw error;
+    }
+
+    await mysqlPool.query(
+      `UPDATE payment_webhook_events
+       SET status = ?, payment_id = ?, attempts = attempts + 1, last_error = NULL, processed_at = NOW()
+       WHERE id = ?`,
+      [result.outcome, result.paymentId, stored.id]
+    );
+
+    if (result.notify) {
+      PaymentService.notifyPaymentEvent(result.paymentId, result.notify.type, result.notify.extra);
+    }
+
+    logger.info('Payment webhook processed', { id: stored.id, provider: stored.provider, type: stored.event_type, outcome: result.outcome });
+
+    return this.getEvent(stored.id);
+  }
+
+  /**
+   * Cambiar el pago (y su reserva) según el evento
+   * @returns {Promise<Object>} - { outcome: processed|ignored, paymentId, notify }
+   * @throws {NotFoundError} - Si aún no hay un pago con esa transacción (se reintenta más tarde)
+   */
+  static async applyEvent(provider, event) {
+    if (!Object.values(WEBHOOK_EVENT_TYPES).includes(event.type)) {
+      return { outcome: WEBHOOK_EVENT_STATUS.IGNORED, paymentId: null, notify: null };
+    }
+
+    const metadata = { webhook_event_id: event.id };
+    const reference = event.transactionId;
+    let outcome = WEBHOOK_EVENT_STATUS.PROCESSED;
+    let notify = null;
+    let captureNow = false;
+    let payment;
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      payment = await this.findPayment(provider, event, connection);
+
+      switch (event.type) {
+        // Desafío 3-D Secure superado: falta capturar el cobro
+        case WEBHOOK_EVENT_TYPES.PAYMENT_AUTHORIZED:
+          if (payment.status === PAYMENT_STATUS.PENDING) {
+            await Payment.applyEvent(payment.id, PAYMENT_EVENT_TYPES.AUTHORIZE, { reference, metadata }, connection);
+          }
+          captureNow = [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.AUTHORIZED].includes(payment.status);
+          if (!captureNow) outcome = WEBHOOK_EVENT_STATUS.IGNORED;
+          break;
+
+        case WEBHOOK_EVENT_TYPES.PAYMENT_CAPTURED:
+          if (![PAYMENT_STATUS.PENDING, PAYMENT_STATUS.AUTHORIZED].includes(payment.status)) {
+            outcome = WEBHOOK_EVENT_STATUS.IGNORED;
+            break;
+          }
+          if (payment.status === PAYMENT_STATUS.PENDING) {
+            await Payment.applyEvent(payment.id, PAYMENT_EVENT_TYPES.AUTHORIZE, { reference, metadata }, connection);
+          }
+          await Payment.applyEvent(payment.id, PAYMENT_EVENT_TYPES.CAPTURE, { reference, metadata }, connection);
+          await PaymentService.confirmBooking(payment.booking_id, payment.id, connection);
+          notify = { type: NOTIFICATION_TYPES.PAYMENT_RECEIVED };
+          break;
+
+        case WEBHOOK_EVENT_TYPES.PAYMENT_FAILED:
+          if (![PAYMENT_STATUS.PENDING, PAYMENT_STATUS.AUTHORIZED].includes(payment.status)) {
+            outcome = WEBHOOK_EVENT_STATUS.IGNORED;
+            break;
+          }
+          await Payment.applyEvent(payment.id, PAYMENT_EVENT_TYPES.FAIL, {
+            reference,
+            metadata: { ...metadata, reason: event.reason }
+          }, connection);
+          break;
+
+        // Reembolsos hechos desde el panel del procesador; los nuestros ya
+        // están en el libro con el mismo id de reembolso, o llegan con su
+        // referencia (refund-<id>) antes de que settleRefund los anote
+        case WEBHOOK_EVENT_TYPES.PAYMENT_REFUNDED: {
+          const ownRefundId = Number(String(event.reference || '').replace(/^refund-/, '')) || 0;
+          const [own] = await connection.query(
+            'SELECT id FROM refunds WHERE payment_id = ? AND id = ?',
+            [payment.id, ownRefundId]
+          );
+          if (own.length > 0 && PaymentService.refundReference(own[0].id) === event.reference) {
+            const recordedNow = await PaymentService.recordRefund(own[0].id, event.refundId, connection);
+            if (recordedNow) {
+              notify = { type: NOTIFICATION_TYPES.PAYMENT_REFUNDED, extra: { amount: event.amount } };
+            } else {
+              outcome = WEBHOOK_EVENT_STATUS.IGNORED;
+            }
+            break;
+          }
+
+          const [recorded] = await connection.query(
+            'SELECT id FROM payment_events WHERE payment_id = ? AND event_type = ? AND reference = ?',
+            [payment.id, PAYMENT_EVENT_TYPES.REFUND, event.refundId]
+          );
+          if (!event.refundId || recorded.length > 0) {
+            outcome = WEBHOOK_EVENT_STATUS.IGNORED;
+            break;
+          }
+          const amount = event.amount ?? Number(payment.amount) - Number(payment.refunded_amount || 0);
+          await Payment.applyEvent(payment.id, PAYMENT_EVENT_TYPES.REFUND, {
+            amount,
+            reference: event.refundId,
+            metadata: { ...metadata, reason: event.reason }
+          }, connection);
+          await Refund.create({
+            payment_id: payment.id,
+            booking_id: payment.booking_id,
+            amount,
+            currency: payment.currency,
+            reason: REFUND_REASONS.GATEWAY,
+            notes: event.reason ? String(event.reason).slice(0, 500) : null,
+            status: REFUND_STATUS.PROCESSED,
+            reference: event.refundId
+          }, connection);
+          notify = { type: NOTIFICATION_TYPES.PAYMENT_REFUNDED, extra: { amount } };
+          break;
+        }
+
+        case WEBHOOK_EVENT_TYPES.PAYMENT_DISPUTED: {
+          // El libro guarda el id del evento como referencia del dispute
+          const [disputed] = await connection.query(
+            'SELECT id FROM payment_events WHERE payment_id = ? AND event_type = ? AND reference = ?',
+            [payment.id, PAYMENT_EVENT_TYPES.DISPUTE, event.id]
+          );
+          if (disputed.length > 0) {
+            outcome = WEBHOOK_EVENT_STATUS.IGNORED;
+            break;
+          }
+          await Payment.applyEvent(payment.id, PAYMENT_EVENT_TYPES.DISPUTE, {
+            amount: event.amount ?? payment.amount,
+            reference: event.id,
+            metadata: { ...metadata, reason: event.reason }
+          }, connection);
+          logger.warn('Payment disputed', { paymentId: payment.id, bookingId: payment.booking_id, reason: event.reason });
+          break;
+        }
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    if (captureNow) {
+      // La reserva pudo cancelarse o expirar desde el commit: entonces se anula en vez de cobrar
+      const current = await Payment.findById(payment.id);
+      if (current.status !== PAYMENT_STATUS.AUTHORIZED) {
+        if (VOIDED_STATUSES.includes(current.status)) {
+          await PaymentGateway.void(event.transactionId, { reference: PaymentService.voidReference(payment.id) }, provider);
+          await mysqlPool.query('UPDATE payments SET void_requested_at = NULL WHERE id = ?', [payment.id]);
+        }
+        return { outcome: WEBHOOK_EVENT_STATUS.IGNORED, paymentId: payment.id, notify: null };
+      }
+
+      // Si la captura falla el evento queda fallido; al reintentarlo el pago sigue autorizado
+      await PaymentGateway.capture(event.transactionId, { amount: Number(payment.amount) }, provider);
+
+      if (!(await this.recordCapture(payment, reference, metadata))) {
+        // Se anuló mientras se capturaba: la anulación ya no es posible, se devuelve el cobro
+        await PaymentGateway.refund(event.transactionId, {
+          amount: Number(payment.amount),
+          reference: PaymentService.voidReference(payment.id)
+        }, provider);
+        await mysqlPool.query('UPDATE payments SET void_requested_at = NULL WHERE id = ?', [payment.id]);
+        logger.warn('Captured payment refunded after void', { paymentId: payment.id, bookingId: payment.booking_id });
+        return { outcome: WEBHOOK_EVENT_STATUS.IGNORED, paymentId: payment.id, notify: null };
+      }
+      notify = { type: NOTIFICATION_TYPES.PAYMENT_RECEIVED };
+    }
+
+    return { outcome, paymentId: payment.id, notify };
+  }
+
+  /**
+   * Pago al que se refiere un evento, bloqueado para actualizarlo
+   * Si la autorización no llegó a registrarse (p. ej. por un tiempo de espera
+   * agotado), se encuentra por la referencia enviada al procesador
+   * @throws {NotFoundError} - Si aún no hay un pago con esa transacción
+   */
+  static async findPayment(provider, event, connection) {
+    const [payments] = await connection.query(
+      'SELECT * FROM payments WHERE gateway = ? AND transaction_id = ? FOR UPDATE',
+      [provider, event.transactionId]
+    );
+
+    if (payments.length > 0) {
+      return payments[0];
+    }
+
+    const [byReference] = await connection.query(
+      'SELECT * FROM payments WHERE gateway = ? AND id = ? AND transaction_id IS NULL FOR UPDATE',
+      [provider, Number(String(event.reference || '').replace(/^payment-/, '')) || 0]
+    );
+
+    if (byReference.length === 0 || PaymentService.gatewayReference(byReference[0].id) !== event.reference) {
+      throw new NotFoundError(`No hay un pago con la transacción ${event.transactionId}`);
+    }
+
+    await connection.query(
+      'UPDATE payments SET transaction_id = ?, attempted_at = NULL, updated_at = NOW() WHERE id = ?',
+      [event.transactionId, byReference[0].id]
+    );
+
+    return { ...byReference[0], transaction_id: event.transactionId };
+  }
+
+  /**
+   * Registrar la captura de un pago autorizado y confirmar su reserva
+   * @returns {Promise<boolean>} - false si el pago se anuló o falló entretanto
+   */
+  static async recordCapture(payment, reference, metadata) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const current = await Payment.findById(payment.id, connection, { forUpdate: true });
+      if (current.status !== PAYMENT_STATUS.AUTHORIZED) {
+        await connection.commit();
+        // Otro evento ya registró la captura, o el pago se anuló entretanto
+        return !VOIDED_STATUSES.includes(current.status);
+      }
+
+      await Payment.applyEvent(payment.id, PAYMENT_EVENT_TYPES.CAPTURE, { reference, metadata }, connection);
+      await PaymentService.confirmBooking(payment.booking_id, payment.id, connection);
+
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Reintentar los eventos fallidos (tarea programada)
+   * Los que superan los intentos automáticos quedan para reprocesarlos a mano
+   * @returns {Promise<Object>} - { retried, succeeded }
+   */
+  static async retryFailed() {
+    const [events] = await mysqlPool.query(
+      `SELECT * FROM payment_webhook_events
+       WHERE status = ? AND attempts < ?
+       ORDER BY received_at ASC
+       LIMIT 50`,
+      [WEBHOOK_EVENT_STATUS.FAILED, MAX_AUTOMATIC_ATTEMPTS]
+    );
+
+    let succeeded = 0;
+    for (const event of events) {
+      try {
+        await this.process(event);
+        succeeded++;
+      } catch (error) {
+        // Ya quedó registrado en el evento
+      }
+    }
+
+    return { retried: events.length, succeeded };
+  }
+
+  // Volver a procesar un evento guardado que falló (administración)
+  static async replay(id) {
+    const [rows] = await mysqlPool.query('SELECT * FROM payment_webhook_events WHERE id = ?', [id]);
+
+    if (rows.length === 0) {
+      throw new NotFoundError('Evento de webhook no encontrado');
+    }
+
+    return this.process(rows[0]);
+  }
+
+  /**
+   * Eventos recibidos, del más reciente al más antiguo
+   * @param {Object} filters - { provider, status, type, paymentId }
+   * @param {Object} pagination - { page, limit }
+   */
+  static async listEvents(filters = {}, pagination = { page: 1, limit: 50 }) {
+    let whereClause = ' WHERE 1=1';
+    const params = [];
+
+    if (filters.provider) {
+      whereClause += ' AND provider = ?';
+      params.push(filters.provider);
+    }
+
+    if (filters.status) {
+      whereClause += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.type) {
+      whereClause += ' AND event_type = ?';
+      params.push(filters.type);
+    }
+
+    if (filters.paymentId) {
+      whereClause += ' AND payment_id = ?';
+      params.push(filters.paymentId);
+    }
+
+    const page = Math.max(parseInt(pagination.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(pagination.limit) || 50, 1), 200);
+    const offset = (page - 1) * limit;
+
+    try {
+      const [events] = await mysqlPool.query(
+        `SELECT * FROM payment_webhook_events${whereClause}
+         ORDER BY received_at DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const [countResult] = await mysqlPool.query(
+        `SELECT COUNT(*) as total FROM payment_webhook_events${whereClause}`,
+        params
+      );
+
+      const total = countResult[0].total || 0;
+
+      return {
+        events: events.map(event => this.formatEvent(event)),
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      };
+    } catch (error) {
+      console.error('Error listing payment webhook events:', error);
+      throw new DatabaseError('Error al obtener los eventos de pago');
+    }
+  }
+
+  static async getEvent(id) {
+    const [rows] = await mysqlPool.query('SELECT * FROM payment_webhook_events WHERE id = ?', [id]);
+
+    if (rows.length === 0) {
+      throw new NotFoundError('Evento de webhook no encontrado');
+    }
+
+    return this.formatEvent(rows[0]);
+  }
+
+  static formatEvent(row) {
+    return { ...row, payload: parseJson(row.payload) };
+  }
+}
+
+export default PaymentWebhookService;
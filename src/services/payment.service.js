@@ -5,171 +5,631 @@ import {
   NotFoundError, 
   DatabaseError,
   ConflictError,
+  AuthenticationError,
   AuthorizationError 
 } from '../utils/errors/index.js';
+import { Payment } from '../models/mysql/payment.model.js';
+import { Refund } from '../models/mysql/refund.model.js';
+import { BookingStatus } from '../models/mysql/booking-status.model.js';
+import {
+  PAYMENT_STATUS,
+  PAYMENT_EVENT_TYPES,
+  NOTIFICATION_TYPES,
+  BOOKING_STATUS,
+  BOOKING_ACTORS,
+  GATEWAY_RESULTS,
+  REFUND_STATUS,
+  REFUND_REASONS
+} from '../config/constants.js';
+import { NotificationService } from './notification.service.js';
+import { PaymentGateway } from './payment-gateways/index.js';
+import { BookingAccessService } from './booking-access.service.js';
+import logger from '../utils/logger.js';
+
+// Mensaje de la respuesta de createPayment según el resultado del procesador
+const PAYMENT_RESULT_MESSAGES = {
+  [GATEWAY_RESULTS.AUTHORIZED]: 'Pago procesado exitosamente',
+  [GATEWAY_RESULTS.DECLINED]: 'El pago fue rechazado',
+  [GATEWAY_RESULTS.REQUIRES_ACTION]: 'El banco requiere verificar el pago (3-D Secure)'
+};
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
 
 export class PaymentService {
-  // Modificación para corregir el error en payment.service.js
-// Añade esta función a la clase PaymentService
-
-/**
- * Create payment for a booking
- * @param {Object} paymentData - Payment data including booking_id, amount, etc.
- * @returns {Promise<Object>} - Payment result with transaction ID
- */
-static async createPayment(paymentData) {
-  // Validar que todos los campos requeridos estén presentes
-  if (!paymentData.booking_id || !paymentData.amount || !paymentData.payment_method) {
-    console.error('Datos de pago incompletos:', paymentData);
-    throw new Error('Datos de pago incompletos');
+  /**
+   * Notificar al huésped un evento de pago (sin bloquear ni fallar la operación)
+   * @param {number} paymentId - ID del pago
+   * @param {string} type - NOTIFICATION_TYPES.PAYMENT_RECEIVED o PAYMENT_REFUNDED
+   * @param {Object} extra - Datos adicionales del evento (p. ej. { amount })
+   */
+  static notifyPaymentEvent(paymentId, type, extra = {}) {
+    return (async () => {
+      const payment = await Payment.findById(paymentId);
+      const [bookings] = await mysqlPool.query(
+        `SELECT b.*, p.title AS property_title
+         FROM bookings b
+         LEFT JOIN properties p ON b.property_id = p.id
+         WHERE b.id = ?`,
+        [payment.booking_id]
+      );
+
+      if (bookings.length === 0) {
+        return null;
+      }
+
+      return NotificationService.notify(bookings[0].user_id, type, { payment, booking: bookings[0], ...extra });
+    })().catch(error => {
+      logger.error('Payment notification failed', { paymentId, type, error: error.message });
+      return null;
+    });
   }
 
-  // Asegurarse de que booking_id sea un número
-  let bookingId;
-  
-  // Manejo de IDs temporales vs IDs numéricos
-  if (typeof paymentData.booking_id === 'string' && paymentData.booking_id.startsWith('temp-')) {
-    // Es un ID temporal
-    console.log('ID temporal detectado:', paymentData.booking_id);
-    bookingId = paymentData.booking_id;
-  } else {
-    // Intentar convertir a número
-    bookingId = parseInt(paymentData.booking_id);
-    if (isNaN(bookingId)) {
-      console.error('ID de reserva no válido:', paymentData.booking_id);
-      throw new Error('ID de reserva no válido');
+  /**
+   * Cobrar el saldo pendiente de una reserva
+   * La reserva debe pertenecer al usuario autenticado, o quien paga debe probar el
+   * acceso con el código de referencia y el email (o el enlace) si reservó sin cuenta.
+   * El monto debe coincidir con lo que falta por pagar según el total cotizado por el
+   * servidor; la reserva se confirma solo cuando el procesador captura el cobro.
+   * @param {Object} paymentData - { booking_id, amount, currency, payment_method, details, reference_code, email, token }
+   * @param {Object} payer - { userId } del usuario autenticado (null si paga sin cuenta)
+   * @returns {Promise<Object>} - { success, paymentId, transactionId, status, nextAction, declineCode, message }
+   */
+  static async createPayment(paymentData, { userId = null } = {}) {
+    const bookingId = Number(paymentData.booking_id);
+    if (!Number.isInteger(bookingId) || bookingId <= 0) {
+      throw new ValidationError('ID de reserva no válido');
     }
-  }
-  
-  const connection = await mysqlPool.getConnection();
-  try {
-    await connection.beginTransaction();
-
-    // Verificar si la reserva existe
-    let bookingExists = false;
-    let actualBookingId = bookingId;
-    
-    // Solo verificamos existencia si no es un ID temporal
-    if (!String(bookingId).startsWith('temp-')) {
-      try {
-        const [booking] = await connection.query(
-          'SELECT * FROM bookings WHERE id = ?',
-          [bookingId]
+
+    await this.assertCanPay(bookingId, paymentData, userId);
+
+    // El número completo de la tarjeta solo se envía al procesador; no se guarda
+    const { card_number: cardNumber, ...details } = parseJson(paymentData.details) || {};
+    if (cardNumber && !details.card_last_four) {
+      details.card_last_four = String(cardNumber).replace(/\D/g, '').slice(-4);
+    }
+    const gateway = PaymentGateway.defaultName;
+
+    let paymentId;
+    let amount;
+    let currency;
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [bookings] = await connection.query(
+        'SELECT id, status, total_price, price_quote FROM bookings WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
+        [bookingId]
+      );
+
+      if (bookings.length === 0) {
+        throw new NotFoundError('Reserva no encontrada');
+      }
+
+      const booking = bookings[0];
+      const payments = await Payment.findByBookingId(bookingId, connection);
+      const outstandingCents = toCents(booking.total_price) - await this.getPaidCents(payments, connection);
+
+      // Pendiente de pago, o confirmada con un cargo por una modificación aprobada
+      if (booking.status !== BOOKING_STATUS.PENDING && booking.status !== BOOKING_STATUS.CONFIRMED) {
+        throw new ConflictError(`No se puede pagar una reserva en estado ${booking.status}`);
+      }
+
+      if (outstandingCents <= 0) {
+        throw new ConflictError('La reserva ya está pagada');
+      }
+
+      // Un cobro en curso (3-D Secure, autorizado sin capturar o enviado al procesador sin
+      // respuesta) se resuelve antes de intentar otro
+      if (payments.some(payment => payment.status === PAYMENT_STATUS.AUTHORIZED
+        || (payment.status === PAYMENT_STATUS.PENDING && (payment.transaction_id || payment.attempted_at)))) {
+        throw new ConflictError('La reserva tiene un pago en proceso');
+      }
+
+      const quote = parseJson(booking.price_quote);
+      currency = (quote && quote.currency) || 'HNL';
+      if (paymentData.currency && paymentData.currency !== currency) {
+        throw new ValidationError(`La reserva se paga en ${currency}`, ['currency']);
+      }
+
+      amount = outstandingCents / 100;
+      if (Math.round(Number(paymentData.amount) * 100) !== outstandingCents) {
+        throw new ValidationError(`El monto debe ser el saldo pendiente de la reserva: ${amount.toFixed(2)} ${currency}`, ['amount']);
+      }
+
+      // Reutilizar el pago pendiente que se registró al reservar (o al modificar la reserva)
+      const open = payments.find(payment => payment.status === PAYMENT_STATUS.PENDING);
+      if (open) {
+        paymentId = open.id;
+        await connection.query(
+          `UPDATE payments
+           SET amount = ?, currency = ?, payment_method = ?, gateway = ?, details = ?, updated_at = NOW()
+           WHERE id = ?`,
+          [amount, currency, paymentData.payment_method, gateway, JSON.stringify(details), paymentId]
         );
-        
-        bookingExists = booking.length > 0;
-      } catch (error) {
-        console.error('Error verificando la reserva:', error);
-        bookingExists = false;
+      } else {
+        paymentId = await Payment.create({
+          booking_id: bookingId,
+          amount,
+          currency,
+          payment_method: paymentData.payment_method,
+          gateway,
+          details
+        }, connection);
       }
-    } else {
-      bookingExists = false;
+
+      // Marcar el intento antes de llamar al procesador: si no se sabe cómo terminó, lo
+      // resuelve un webhook o la consulta al procesador (reconcileAttempts)
+      await connection.query('UPDATE payments SET attempted_at = NOW() WHERE id = ?', [paymentId]);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
     }
-    
-    // Si la reserva no existe y es un ID temporal, la creamos
-    if (!bookingExists) {
-      console.log('Creando reserva para el pago');
-      
-      // Extraer datos de booking
-      let guestName = 'Cliente';
-      let guestEmail = 'cliente@example.com';
-      let checkInDate = new Date();
-      let checkOutDate = new Date();
-      checkOutDate.setMonth(checkOutDate.getMonth() + 6); // + 6 meses por defecto
-      
-      // Intentar obtener datos del detalle del pago
+
+    // El procesador decide el resultado; la llamada se hace fuera de la transacción
+    let authorization;
+    try {
+      authorization = await PaymentGateway.authorize({
+        amount,
+        currency,
+        source: { method: paymentData.payment_method, cardNumber },
+        reference: this.gatewayReference(paymentId)
+      }, gateway);
+    } catch (error) {
+      // Resultado desconocido: el pago queda pendiente hasta que el procesador lo confirme
+      logger.warn('Payment left pending after gateway error', { paymentId, error: error.message });
+      throw error;
+    }
+
+    let captureError = null;
+    let captured = false;
+    if (authorization.status === GATEWAY_RESULTS.AUTHORIZED) {
       try {
-        if (paymentData.details) {
-          const details = typeof paymentData.details === 'string' ? 
-                         JSON.parse(paymentData.details) : paymentData.details;
-                         
-          if (details.card_holder) {
-            guestName = details.card_holder;
-          }
-        }
-      } catch (e) {
-        console.warn('Error parseando detalles:', e);
+        await PaymentGateway.capture(authorization.transactionId, { amount }, gateway);
+        captured = true;
+      } catch (error) {
+        captureError = error;
       }
-      
-      // ID de usuario por defecto (ajustar según tu sistema)
-      const defaultUserId = 1;
-      
-      // Crear la reserva
-      const [bookingResult] = await connection.query(
-        `INSERT INTO bookings 
-         (property_id, user_id, guest_name, guest_email, check_in_date, check_out_date, 
-          guests, total_price, status, created_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
-        [
-          1, // ID de propiedad por defecto
-          defaultUserId, // Siempre asignar user_id
-          guestName,
-          guestEmail,
-          checkInDate,
-          checkOutDate,
-          1, // 1 invitado por defecto
-          paymentData.amount,
-          'confirmed'
-        ]
-      );
-      
-      // Usar el nuevo ID de reserva
-      actualBookingId = bookingResult.insertId;
-      console.log('Nueva reserva creada con ID:', actualBookingId);
     }
 
-    // Generar ID de transacción único
-    const transactionId = 'TX-' + Date.now() + '-' + Math.random().toString(36).substring(2, 7);
+    const status = await this.recordAuthorization(paymentId, authorization, { captured });
 
-    // Formatear los detalles como JSON string si no lo son ya
-    let detailsJson = '{}';
-    if (paymentData.details) {
-      if (typeof paymentData.details === 'string') {
-        detailsJson = paymentData.details;
+    if (captureError) {
+      throw captureError;
+    }
+
+    if (status === PAYMENT_STATUS.COMPLETED) {
+      this.notifyPaymentEvent(paymentId, NOTIFICATION_TYPES.PAYMENT_RECEIVED);
+    }
+
+    return {
+      success: status !== PAYMENT_STATUS.FAILED,
+      paymentId,
+      transactionId: authorization.transactionId,
+      status,
+      nextAction: authorization.nextAction || null,
+      declineCode: authorization.declineCode || null,
+      message: PAYMENT_RESULT_MESSAGES[authorization.status]
+    };
+  }
+
+  /**
+   * Verificar que quien paga tiene acceso a la reserva
+   * @throws {AuthenticationError} - Sin sesión ni código de la reserva
+   * @throws {AuthorizationError} - Si la reserva no es suya
+   */
+  static async assertCanPay(bookingId, { reference_code: referenceCode, email, token }, userId) {
+    if (userId) {
+      const [rows] = await mysqlPool.query('SELECT user_id FROM bookings WHERE id = ? AND deleted_at IS NULL', [bookingId]);
+
+      if (rows.length === 0) {
+        throw new NotFoundError('Reserva no encontrada');
+      }
+
+      if (rows[0].user_id === userId) {
+        return;
+      }
+    }
+
+    if (token || referenceCode) {
+      if (await BookingAccessService.hasGuestAccess(bookingId, { referenceCode, email, token })) {
+        return;
+      }
+      throw new AuthorizationError('No tienes permiso para pagar esta reserva');
+    }
+
+    if (!userId) {
+      throw new AuthenticationError('Inicia sesión o indica el código de referencia de la reserva');
+    }
+
+    throw new AuthorizationError('No tienes permiso para pagar esta reserva');
+  }
+
+  /**
+   * Lo pagado que cuenta para el total de la reserva, en centavos
+   * Es lo capturado menos lo devuelto porque una modificación bajó el total.
+   * Los demás reembolsos (solicitados o hechos en el procesador) no reabren el saldo.
+   * @param {Array} payments - Pagos de la reserva
+   */
+  static async getPaidCents(payments, connection = mysqlPool) {
+    const captured = payments.filter(payment => [
+      PAYMENT_STATUS.COMPLETED,
+      PAYMENT_STATUS.PARTIALLY_REFUNDED,
+      PAYMENT_STATUS.REFUNDED
+    ].includes(payment.status));
+
+    if (captured.length === 0) return 0;
+
+    const [refunds] = await connection.query(
+      `SELECT COALESCE(SUM(amount), 0) AS amount FROM refunds
+       WHERE payment_id IN (?) AND reason = ? AND status IN (?, ?)`,
+      [captured.map(payment => payment.id), REFUND_REASONS.BOOKING_MODIFIED, REFUND_STATUS.PROCESSING, REFUND_STATUS.PROCESSED]
+    );
+
+    return captured.reduce((sum, payment) => sum + toCents(payment.amount), 0) - toCents(refunds[0].amount);
+  }
+
+  /**
+   * Registrar en el libro de pagos la respuesta del procesador a una autorización
+   * Confirma la reserva pendiente solo si el cobro se capturó
+   * @param {number} paymentId - Pago pendiente
+   * @param {Object} authorization - Respuesta de PaymentGateway.authorize
+   * @param {Object} options - { captured } si el cobro también se capturó
+   * @returns {Promise<string>} - Estado resultante del pago
+   */
+  static async recordAuthorization(paymentId, authorization, { captured = false } = {}) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const reference = authorization.transactionId;
+      let status = PAYMENT_STATUS.PENDING;
+
+      // El resultado ya se conoce (el desafío 3-D Secure sigue en curso por su transacción)
+      await connection.query('UPDATE payments SET attempted_at = NULL WHERE id = ?', [paymentId]);
+
+      if (authorization.status === GATEWAY_RESULTS.DECLINED) {
+        await Payment.applyEvent(paymentId, PAYMENT_EVENT_TYPES.FAIL, {
+          reference,
+          metadata: { decline_code: authorization.declineCode, message: authorization.message }
+        }, connection);
+        status = PAYMENT_STATUS.FAILED;
+      } else if (authorization.status === GATEWAY_RESULTS.REQUIRES_ACTION) {
+        // Sigue pendiente: el resultado del desafío llega después
+        await connection.query(
+          'UPDATE payments SET transaction_id = ?, updated_at = NOW() WHERE id = ?',
+          [reference, paymentId]
+        );
       } else {
-        detailsJson = JSON.stringify(paymentData.details);
+        await Payment.applyEvent(paymentId, PAYMENT_EVENT_TYPES.AUTHORIZE, { reference }, connection);
+        status = PAYMENT_STATUS.AUTHORIZED;
+
+        if (captured) {
+          const payment = await Payment.applyEvent(paymentId, PAYMENT_EVENT_TYPES.CAPTURE, { reference }, connection);
+          status = PAYMENT_STATUS.COMPLETED;
+
+          await this.confirmBooking(payment.booking_id, paymentId, connection);
+        }
       }
+
+      await connection.commit();
+      return status;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
     }
+  }
 
-    // Insertar el pago con fecha actual
-    const [result] = await connection.query(
-      `INSERT INTO payments 
-       (booking_id, amount, currency, payment_method, status, transaction_id, details, payment_date)
-       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
-      [
-        actualBookingId,
-        paymentData.amount,
-        paymentData.currency || 'HNL',
-        paymentData.payment_method,
-        paymentData.status || 'completed',
-        transactionId,
-        detailsJson
-      ]
+  /**
+   * Resolver los intentos de cobro sin resultado: el procesador no respondió y no
+   * llegó ningún webhook. Se le consulta por la referencia del pago; si no tiene la
+   * transacción el intento se descarta y se puede volver a pagar, y si la tiene se
+   * registra su resultado (capturando el cobro autorizado).
+   * @param {number} timeoutMinutes - Antigüedad mínima del intento
+   * @returns {Promise<Object>} - { settled, released, failed }
+   */
+  static async reconcileAttempts(timeoutMinutes = 5) {
+    const [payments] = await mysqlPool.query(
+      `SELECT * FROM payments
+       WHERE status = ? AND transaction_id IS NULL AND attempted_at IS NOT NULL
+         AND attempted_at < NOW() - INTERVAL ? MINUTE
+       ORDER BY attempted_at ASC
+       LIMIT 100`,
+      [PAYMENT_STATUS.PENDING, timeoutMinutes]
     );
 
-    // Actualizar el estado de la reserva a confirmado
-    await connection.query(
-      'UPDATE bookings SET status = ? WHERE id = ?',
-      ['confirmed', actualBookingId]
+    const summary = { settled: 0, released: 0, failed: 0 };
+
+    for (const payment of payments) {
+      try {
+        const result = await PaymentGateway.retrieve(this.gatewayReference(payment.id), payment.gateway);
+
+        if (!result) {
+          await mysqlPool.query(
+            'UPDATE payments SET attempted_at = NULL WHERE id = ? AND status = ? AND transaction_id IS NULL',
+            [payment.id, PAYMENT_STATUS.PENDING]
+          );
+          summary.released += 1;
+          continue;
+        }
+
+        let captured = result.status === GATEWAY_RESULTS.CAPTURED;
+        if (result.status === GATEWAY_RESULTS.AUTHORIZED) {
+          await PaymentGateway.capture(result.transactionId, { amount: Number(payment.amount) }, payment.gateway);
+          captured = true;
+        }
+
+        const status = await this.recordAuthorization(payment.id, {
+          ...result,
+          status: captured ? GATEWAY_RESULTS.AUTHORIZED : result.status
+        }, { captured });
+
+        if (status === PAYMENT_STATUS.COMPLETED) {
+          this.notifyPaymentEvent(payment.id, NOTIFICATION_TYPES.PAYMENT_RECEIVED);
+        }
+        summary.settled += 1;
+      } catch (error) {
+        logger.error('Payment attempt reconciliation failed', { paymentId: payment.id, error: error.message });
+        summary.failed += 1;
+      }
+    }
+
+    return summary;
+  }
+
+  // Referencia del pago que se envía al procesador y vuelve en sus webhooks
+  static gatewayReference(paymentId) {
+    return `payment-${paymentId}`;
+  }
+
+  // Confirmar la reserva pendiente de un pago capturado (dentro de la transacción)
+  static async confirmBooking(bookingId, paymentId, connection) {
+    const [bookingRows] = await connection.query('SELECT status FROM bookings WHERE id = ?', [bookingId]);
+
+    if (bookingRows.length > 0 && bookingRows[0].status === BOOKING_STATUS.PENDING) {
+      await BookingStatus.transition(bookingId, BOOKING_STATUS.CONFIRMED, {
+        actor: BOOKING_ACTORS.SYSTEM,
+        reason: 'Pago recibido',
+        metadata: { payment_id: paymentId }
+      }, connection);
+    } else if (bookingRows.length > 0 && bookingRows[0].status !== BOOKING_STATUS.CONFIRMED) {
+      // Cobro que llegó después de que la reserva expiró o se canceló: requiere revisión
+      logger.warn('Payment captured for inactive booking', { bookingId, paymentId, status: bookingRows[0].status });
+    }
+  }
+
+  /**
+   * Anular un pago sin cobrar (dentro de la transacción del llamador)
+   * El libro de pagos se anula en el acto. Si el pago tiene una transacción en el
+   * procesador, la anulación allí queda pedida y la hace settleGatewayOperations
+   * después del commit: la transacción no espera a la red.
+   * @param {number} paymentId - Pago pendiente o autorizado
+   * @param {Object} eventData - { createdBy, metadata }
+   * @param {Object} connection - Conexión de la transacción del llamador
+   * @returns {Promise<Object>} - El pago actualizado
+   * @throws {ConflictError} - Si el cobro se envió al procesador y aún no se sabe si se cobró
+   */
+  static async voidPayment(paymentId, eventData = {}, connection = mysqlPool) {
+    // Sin transacción no hay nada que anular en el procesador, pero el cobro puede
+    // completarse después: se espera a su resultado (reconcileAttempts lo resuelve)
+    const current = await Payment.findById(paymentId, connection, { forUpdate: true });
+    if (current && current.status === PAYMENT_STATUS.PENDING && current.attempted_at && !current.transaction_id) {
+      throw new ConflictError('La reserva tiene un pago en proceso; inténtalo de nuevo en unos minutos');
+    }
+
+    const payment = await Payment.applyEvent(paymentId, PAYMENT_EVENT_TYPES.VOID, eventData, connection);
+
+    if (payment.gateway && payment.transaction_id) {
+      await connection.query('UPDATE payments SET void_requested_at = NOW() WHERE id = ?', [paymentId]);
+    }
+
+    return payment;
+  }
+
+  /**
+   * Registrar un reembolso de un pago cobrado (dentro de la transacción del llamador)
+   * El reembolso queda en `processing` y reserva su monto; el dinero se devuelve en
+   * el procesador con settleGatewayOperations después del commit, y entonces se
+   * anota en el libro de pagos. Con `refundId` se procesa esa solicitud aprobada; sin
+   * él (cancelaciones, modificaciones) se crea con el motivo de metadata.reason.
+   * @param {number} paymentId - Pago completado o parcialmente reembolsado
+   * @param {number} amount - Monto a devolver
+   * @param {Object} eventData - { createdBy, metadata, refundId }
+   * @param {Object} connection - Conexión de la transacción del llamador
+   * @returns {Promise<number>} - ID del reembolso
+   * @throws {ValidationError} - Si el monto supera lo que queda por reembolsar
+   */
+  static async issueRefund(paymentId, amount, { refundId = null, ...eventData } = {}, connection = mysqlPool) {
+    const payment = await Payment.findById(paymentId, connection, { forUpdate: true });
+    if (!payment) {
+      throw new NotFoundError('Pago no encontrado');
+    }
+
+    if (![PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(payment.status)) {
+      throw new ConflictError(`No se puede reembolsar un pago en estado "${payment.status}"`);
+    }
+
+    // Lo que otros reembolsos en curso ya tienen reservado no se puede volver a devolver
+    const [processing] = await connection.query(
+      'SELECT COALESCE(SUM(amount), 0) AS total FROM refunds WHERE payment_id = ? AND status = ? AND id <> ?',
+      [paymentId, REFUND_STATUS.PROCESSING, refundId || 0]
     );
+    const refundableCents = toCents(payment.amount) - toCents(payment.refunded_amount) - toCents(processing[0].total);
+    if (toCents(amount) <= 0 || toCents(amount) > refundableCents) {
+      throw new ValidationError(`El monto a reembolsar debe estar entre 0.01 y ${(refundableCents / 100).toFixed(2)}`);
+    }
 
-    await connection.commit();
-    
-    return {
-      success: true,
-      paymentId: result.insertId,
-      transactionId,
-      status: paymentData.status || 'completed',
-      message: 'Pago procesado exitosamente'
+    const metadata = { ...(eventData.metadata || {}), created_by: eventData.createdBy || null };
+
+    if (refundId) {
+      await Refund.markProcessing(refundId, metadata, connection);
+      return refundId;
+    }
+
+    const reason = eventData.metadata && eventData.metadata.reason;
+    return Refund.create({
+      payment_id: paymentId,
+      booking_id: payment.booking_id,
+      amount,
+      currency: payment.currency,
+      reason: Object.values(REFUND_REASONS).includes(reason) ? reason : REFUND_REASONS.OTHER,
+      status: REFUND_STATUS.PROCESSING,
+      requested_by: eventData.createdBy,
+      decided_by: eventData.createdBy,
+      metadata
+    }, connection);
+  }
+
+  // Referencias fijas de las operaciones en el procesador: un reintento no las repite
+  static refundReference(refundId) {
+    return `refund-${refundId}`;
+  }
+
+  static voidReference(paymentId) {
+    return `void-${paymentId}`;
+  }
+
+  /**
+   * Completar en el procesador las anulaciones y reembolsos que registró una
+   * transacción ya confirmada. Nunca lanza: lo que falle queda pendiente y lo
+   * reintenta retryGatewayOperations con la misma referencia.
+   * @param {Object} operations - { voids: [paymentId], refunds: [refundId] }
+   * @returns {Promise<Object>} - { settled, pending }
+   */
+  static async settleGatewayOperations({ voids = [], refunds = [] }) {
+    const summary = { settled: 0, pending: 0 };
+
+    const attempt = async (operation, id, settle) => {
+      try {
+        await settle();
+        summary.settled += 1;
+      } catch (error) {
+        logger.warn('Gateway operation left pending', { operation, id, error: error.message });
+        summary.pending += 1;
+      }
     };
-  } catch (error) {
-    await connection.rollback();
-    console.error('Error procesando pago:', error);
-    throw error;
-  } finally {
-    connection.release();
+
+    for (const paymentId of voids) {
+      await attempt('void', paymentId, () => this.settleVoid(paymentId));
+    }
+    for (const refundId of refunds) {
+      await attempt('refund', refundId, () => this.settleRefund(refundId));
+    }
+
+    return summary;
+  }
+
+  /**
+   * Anular en el procesador un pago ya anulado en el libro
+   * @throws {PaymentGatewayError} - Si el procesador falla (la anulación sigue pedida)
+   */
+  static async settleVoid(paymentId) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment || !payment.void_requested_at) {
+      return;
+    }
+
+    await PaymentGateway.void(payment.transaction_id, { reference: this.voidReference(paymentId) }, payment.gateway);
+    await mysqlPool.query('UPDATE payments SET void_requested_at = NULL WHERE id = ?', [paymentId]);
+  }
+
+  /**
+   * Devolver el dinero de un reembolso en `processing` y anotarlo en el libro de pagos
+   * Los pagos sin transacción en el procesador (efectivo, transferencia) solo se anotan.
+   * @throws {PaymentGatewayError} - Si el procesador falla (el reembolso sigue en processing)
+   */
+  static async settleRefund(refundId) {
+    const refund = await Refund.findById(refundId);
+    if (!refund || refund.status !== REFUND_STATUS.PROCESSING) {
+      return;
+    }
+
+    const payment = await Payment.findById(refund.payment_id);
+    let reference = null;
+    if (payment.gateway && payment.transaction_id) {
+      const result = await PaymentGateway.refund(payment.transaction_id, {
+        amount: Number(refund.amount),
+        reference: this.refundReference(refund.id)
+      }, payment.gateway);
+      reference = result.refundId;
+    }
+
+    const settled = await this.recordRefund(refund.id, reference);
+
+    if (settled) {
+      this.notifyPaymentEvent(refund.payment_id, NOTIFICATION_TYPES.PAYMENT_REFUNDED, { amount: Number(refund.amount) });
+    }
+  }
+
+  /**
+   * Anotar en el libro de pagos un reembolso devuelto por el procesador
+   * @param {Object} connection - Conexión de una transacción en curso (si no, abre una)
+   * @returns {Promise<boolean>} - false si ya estaba anotado (p. ej. por su webhook)
+   */
+  static async recordRefund(refundId, reference, connection = null) {
+    const conn = connection || await mysqlPool.getConnection();
+    try {
+      if (!connection) await conn.beginTransaction();
+
+      // Mismo orden de bloqueo que RefundService: primero el pago, después el reembolso
+      const pending = await Refund.findById(refundId, conn);
+      await Payment.findById(pending.payment_id, conn, { forUpdate: true });
+      const refund = await Refund.findById(refundId, conn, { forUpdate: true });
+
+      if (refund.status !== REFUND_STATUS.PROCESSING) {
+        if (!connection) await conn.commit();
+        return false;
+      }
+
+      const { created_by: createdBy = null, ...metadata } = parseJson(refund.metadata) || {};
+      await Payment.applyEvent(refund.payment_id, PAYMENT_EVENT_TYPES.REFUND, {
+        amount: Number(refund.amount),
+        reference,
+        createdBy,
+        metadata: { ...metadata, refund_id: refund.id }
+      }, conn);
+      await Refund.markProcessed(refund.id, reference, conn);
+
+      if (!connection) await conn.commit();
+      return true;
+    } catch (error) {
+      if (!connection) await conn.rollback();
+      throw error;
+    } finally {
+      if (!connection) conn.release();
+    }
   }
-}
+
+  /**
+   * Reintentar las anulaciones y reembolsos que quedaron pendientes en el procesador
+   * @param {number} olderThanMinutes - Antigüedad mínima (no pisar las que están en curso)
+   * @returns {Promise<Object>} - { settled, pending }
+   */
+  static async retryGatewayOperations(olderThanMinutes = 5) {
+    const [voids] = await mysqlPool.query(
+      'SELECT id FROM payments WHERE void_requested_at < NOW() - INTERVAL ? MINUTE ORDER BY void_requested_at LIMIT 100',
+      [olderThanMinutes]
+    );
+    const [refunds] = await mysqlPool.query(
+      `SELECT id FROM refunds
+       WHERE status = ? AND COALESCE(updated_at, created_at) < NOW() - INTERVAL ? MINUTE
+       ORDER BY id LIMIT 100`,
+      [REFUND_STATUS.PROCESSING, olderThanMinutes]
+    );
+
+    return this.settleGatewayOperations({
+      voids: voids.map(row => row.id),
+      refunds: refunds.map(row => row.id)
+    });
+  }
+
   static async getPayments(filters = {}) {
     const connection = await mysqlPool.getConnection();
     try {
@@ -182,7 +642,7 @@ static async createPayment(paymentData) {
       const params = [];
 
       if (filters.status) {
-        if (!['pending', 'completed', 'refunded', 'failed'].includes(filters.status)) {
+        if (!Object.values(PAYMENT_STATUS).includes(filters.status)) {
           throw new ValidationError('Estado de pago no válido');
         }
         query += ' AND p.status = ?';
@@ -233,62 +693,13 @@ static async createPayment(paymentData) {
         throw new NotFoundError('Pago no encontrado');
       }
 
-      return payment[0];
-    } finally {
-      connection.release();
-    }
-  }
-
-  static async refundPayment(id, userId) {
-    if (!id) {
-      throw new ValidationError('ID de pago es requerido');
-    }
+      // Incluir el historial del libro de pagos
+      const events = await Payment.getEvents(id, connection);
 
-    const connection = await mysqlPool.getConnection();
-    try {
-      await connection.beginTransaction();
-
-      // Verificar si el pago existe y está completado
-      const [payment] = await connection.query(
-        'SELECT * FROM payments WHERE id = ? AND status = "completed"',
-        [id]
-      );
-
-      if (payment.length === 0) {
-        throw new NotFoundError('Pago no encontrado o no está completado');
-      }
-
-      // Verificar autorización (ejemplo: solo admin o el usuario que hizo la reserva)
-      const [booking] = await connection.query(
-        'SELECT user_id FROM bookings WHERE id = ?',
-        [payment[0].booking_id]
-      );
-
-      if (booking[0].user_id !== userId && !isAdmin(userId)) {
-        throw new AuthorizationError('No autorizado para reembolsar este pago');
-      }
-
-      // Simular proceso de reembolso (aquí se integraría con un servicio real)
-      const [result] = await connection.query(
-        'UPDATE payments SET status = "refunded" WHERE id = ?',
-        [id]
-      ).catch(error => {
-        throw new DatabaseError('Error al procesar el reembolso');
-      });
-
-      // Actualizar el estado de la reserva
-      await connection.query(
-        'UPDATE bookings SET status = "cancelled" WHERE id = ?',
-        [payment[0].booking_id]
-      ).catch(error => {
-        throw new DatabaseError('Error al actualizar el estado de la reserva');
-      });
-
-      await connection.commit();
-      return true;
-    } catch (error) {
-      await connection.rollback();
-      throw error;
+      return {
+        ...payment[0],
+        events
+      };
     } finally {
       connection.release();
     }
@@ -0,0 +1,398 @@
+// src/services/pricing.service.js
+import { mysqlPool } from '../config/database.js';
+import { ValidationError, NotFoundError, AuthorizationError, DatabaseError } from '../utils/errors/index.js';
+import { USER_ROLES, PRICING_RULE_TYPES, QUOTE_LINE_TYPES } from '../config/constants.js';
+import { toDateKey, listNights } from '../models/mysql/booking-night.model.js';
+
+// Noches que cubre una unidad de tarifa semanal o mensual
+const WEEK_NIGHTS = 7;
+const MONTH_NIGHTS = 30;
+
+// Impuestos de alojamiento en Honduras: ISV 15 % y tasa turística 4 %
+const DEFAULT_PRICING = {
+  currency: 'HNL',
+  weekly_rate: null,
+  monthly_rate: null,
+  weekend_uplift_percent: 0,
+  weekend_days: '5,6', // noches de viernes y sábado (0 = domingo)
+  cleaning_fee: 0,
+  service_fee_percent: 0,
+  isv_percent: 15,
+  tourism_tax_percent: 4,
+  min_nights: 1,
+  max_nights: null
+};
+
+const PRICING_FIELDS = [
+  'currency',
+  'nightly_rate',
+  'weekly_rate',
+  'monthly_rate',
+  'weekend_uplift_percent',
+  'weekend_days',
+  'cleaning_fee',
+  'service_fee_percent',
+  'isv_percent',
+  'tourism_tax_percent',
+  'min_nights',
+  'max_nights'
+];
+
+const RULE_COLUMNS = `id, property_id, rule_type, name,
+  DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+  DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date,
+  nightly_rate, adjustment_percent, min_nights, priority, created_at`;
+
+// Los cálculos se hacen en centavos para evitar errores de redondeo
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+const percentOf = (cents, percent) => Math.round(cents * Number(percent) / 100);
+
+const weekday = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+export class PricingService {
+  /**
+   * Cotizar una estancia con el desglose de alojamiento, descuentos, cargos e impuestos
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Object} stay - { checkIn, checkOut, guests } con fechas 'YYYY-MM-DD' (checkOut exclusivo)
+   * @param {Object} connection - Conexión opcional (transacción de la reserva)
+   * @returns {Promise<Object>} - Cotización con `lines` y totales
+   */
+  static async quote(propertyId, { checkIn, checkOut, guests = 1 }, connection = mysqlPool) {
+    const nights = listNights(checkIn, checkOut);
+    if (nights.length === 0) {
+      throw new ValidationError('La fecha de salida debe ser posterior a la de entrada');
+    }
+
+    const pricing = await this.getEffectivePricing(propertyId, connection);
+
+    if (nights.length < pricing.min_nights) {
+      throw new ValidationError(`La estancia mínima en esta propiedad es de ${pricing.min_nights} noches`);
+    }
+
+    if (pricing.max_nights && nights.length > pricing.max_nights) {
+      throw new ValidationError(`La estancia máxima en esta propiedad es de ${pricing.max_nights} noches`);
+    }
+
+    const rules = await this.findRules(propertyId, connection);
+    const seasons = rules.filter(rule => rule.rule_type === PRICING_RULE_TYPES.SEASON);
+    const stayRules = rules.filter(rule => rule.rule_type === PRICING_RULE_TYPES.LENGTH_OF_STAY);
+
+    const nightly = nights.map(date => this.priceNight(date, pricing, seasons));
+    const lines = [];
+
+    // Las tarifas semanales y mensuales cubren las primeras noches de la estancia;
+    // las temporadas y el recargo de fin de semana solo afectan a las noches sueltas
+    let covered = 0;
+    for (const [rate, unitNights, code, singular, plural] of [
+      [pricing.monthly_rate, MONTH_NIGHTS, 'monthly_rate', 'mes', 'meses'],
+      [pricing.weekly_rate, WEEK_NIGHTS, 'weekly_rate', 'semana', 'semanas']
+    ]) {
+      const units = rate ? Math.floor((nights.length - covered) / unitNights) : 0;
+      if (units > 0) {
+        lines.push({
+          type: QUOTE_LINE_TYPES.ACCOMMODATION,
+          code,
+          description: `${units} ${units > 1 ? plural : singular}`,
+          quantity: units,
+          unit_amount: toCents(rate),
+          amount: units * toCents(rate)
+        });
+        covered += units * unitNights;
+      }
+    }
+
+    // Noches sueltas agrupadas por precio y motivo
+    const groups = new Map();
+    for (const night of nightly.slice(covered)) {
+      const key = `${night.amount}|${night.season || ''}|${night.weekend}`;
+      if (!groups.has(key)) {
+        groups.set(key, { ...night, quantity: 0 });
+      }
+      groups.get(key).quantity++;
+    }
+
+    for (const group of groups.values()) {
+      const details = [group.season, group.weekend ? 'fin de semana' : null].filter(Boolean);
+      lines.push({
+        type: QUOTE_LINE_TYPES.ACCOMMODATION,
+        code: 'nightly_rate',
+        description: `${group.quantity} noche${group.quantity > 1 ? 's' : ''}${details.length ? ` (${details.join(', ')})` : ''}`,
+        quantity: group.quantity,
+        unit_amount: group.amount,
+        amount: group.quantity * group.amount
+      });
+    }
+
+    const accommodation = lines.reduce((sum, line) => sum + line.amount, 0);
+
+    // Descuento por duración: la regla con el mínimo de noches más alto que se cumpla
+    const stayRule = stayRules
+      .filter(rule => rule.min_nights <= nights.length)
+      .sort((a, b) => b.min_nights - a.min_nights || a.adjustment_percent - b.adjustment_percent)[0];
+
+    let discount = 0;
+    if (stayRule) {
+      discount = percentOf(accommodation, stayRule.adjustment_percent);
+      lines.push({
+        type: QUOTE_LINE_TYPES.DISCOUNT,
+        code: 'length_of_stay',
+        description: `${stayRule.name} (${Math.abs(stayRule.adjustment_percent)} %)`,
+        rule_id: stayRule.id,
+        amount: discount
+      });
+    }
+
+    const netAccommodation = accommodation + discount;
+
+    const cleaningFee = toCents(pricing.cleaning_fee);
+    if (cleaningFee > 0) {
+      lines.push({ type: QUOTE_LINE_TYPES.FEE, code: 'cleaning_fee', description: 'Tarifa de limpieza', amount: cleaningFee });
+    }
+
+    const serviceFee = percentOf(netAccommodation, pricing.service_fee_percent);
+    if (serviceFee > 0) {
+      lines.push({
+        type: QUOTE_LINE_TYPES.FEE,
+        code: 'service_fee',
+        description: `Tarifa de servicio (${Number(pricing.service_fee_percent)} %)`,
+        amount: serviceFee
+      });
+    }
+
+    // El ISV grava el alojamiento y los cargos; la tasa turística solo el alojamiento
+    const isv = percentOf(netAccommodation + cleaningFee + serviceFee, pricing.isv_percent);
+    if (isv > 0) {
+      lines.push({ type: QUOTE_LINE_TYPES.TAX, code: 'isv', description: `ISV (${Number(pricing.isv_percent)} %)`, amount: isv });
+    }
+
+    const tourismTax = percentOf(netAccommodation, pricing.tourism_tax_percent);
+    if (tourismTax > 0) {
+      lines.push({
+        type: QUOTE_LINE_TYPES.TAX,
+        code: 'tourism_tax',
+        description: `Tasa turística (${Number(pricing.tourism_tax_percent)} %)`,
+        amount: tourismTax
+      });
+    }
+
+    const sumOf = (type) => lines.filter(line => line.type === type).reduce((sum, line) => sum + line.amount, 0);
+
+    return {
+      property_id: Number(propertyId),
+      currency: pricing.currency,
+      check_in: toDateKey(checkIn),
+      check_out: toDateKey(checkOut),
+      nights: nights.length,
+      guests: parseInt(guests) || 1,
+      nightly: nightly.map(night => ({ ...night, amount: fromCents(night.amount) })),
+      lines: lines.map(line => ({
+        ...line,
+        ...(line.unit_amount !== undefined && { unit_amount: fromCents(line.unit_amount) }),
+        amount: fromCents(line.amount)
+      })),
+      accommodation_total: fromCents(netAccommodation),
+      fees_total: fromCents(sumOf(QUOTE_LINE_TYPES.FEE)),
+      taxes_total: fromCents(sumOf(QUOTE_LINE_TYPES.TAX)),
+      total: fromCents(netAccommodation + sumOf(QUOTE_LINE_TYPES.FEE) + sumOf(QUOTE_LINE_TYPES.TAX)),
+      quoted_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Precio de una noche en centavos
+   * La temporada de mayor prioridad fija la tarifa o la ajusta; el fin de semana se aplica después
+   */
+  static priceNight(date, pricing, seasons) {
+    const season = seasons
+      .filter(rule => rule.start_date <= date && rule.end_date >= date)
+      .sort((a, b) => b.priority - a.priority || b.id - a.id)[0];
+
+    let amount = toCents(season && season.nightly_rate !== null ? season.nightly_rate : pricing.nightly_rate);
+
+    if (season && season.adjustment_percent) {
+      amount += percentOf(amount, season.adjustment_percent);
+    }
+
+    const weekend = pricing.weekendDays.includes(weekday(date));
+    if (weekend && Number(pricing.weekend_uplift_percent)) {
+      amount += percentOf(amount, pricing.weekend_uplift_percent);
+    }
+
+    return { date, amount, season: season ? season.name : null, weekend };
+  }
+
+  /**
+   * Configuración de precios de la propiedad, con valores por defecto si el anfitrión no la ha definido.
+   * Sin configuración, `properties.price` se toma como tarifa por noche en alquileres diarios
+   * y como tarifa mensual en el resto.
+   */
+  static async getEffectivePricing(propertyId, connection = mysqlPool) {
+    const [properties] = await connection.query(
+      'SELECT id, price, property_type FROM properties WHERE id = ?',
+      [propertyId]
+    );
+
+    if (properties.length === 0) {
+      throw new NotFoundError('Propiedad no encontrada');
+    }
+
+    const property = properties[0];
+    const [rows] = await connection.query('SELECT * FROM property_pricing WHERE property_id = ?', [propertyId]);
+
+    let pricing;
+    if (rows.length > 0) {
+      pricing = { ...rows[0], configured: true };
+    } else if (property.property_type === 'daily-rental') {
+      pricing = { ...DEFAULT_PRICING, property_id: property.id, nightly_rate: property.price, configured: false };
+    } else {
+      pricing = {
+        ...DEFAULT_PRICING,
+        property_id: property.id,
+        nightly_rate: fromCents(Math.round(toCents(property.price) / MONTH_NIGHTS)),
+        monthly_rate: property.price,
+        configured: false
+      };
+    }
+
+    pricing.weekendDays = String(pricing.weekend_days || '')
+      .split(',')
+      .filter(day => day !== '')
+      .map(Number);
+
+    return pricing;
+  }
+
+  static async findRules(propertyId, connection = mysqlPool) {
+    const [rules] = await connection.query(
+      `SELECT ${RULE_COLUMNS} FROM property_pricing_rules
+       WHERE property_id = ?
+       ORDER BY rule_type ASC, priority DESC, start_date ASC, min_nights ASC`,
+      [propertyId]
+    );
+
+    return rules.map(rule => ({
+      ...rule,
+      nightly_rate: rule.nightly_rate !== null ? Number(rule.nightly_rate) : null,
+      adjustment_percent: rule.adjustment_percent !== null ? Number(rule.adjustment_percent) : null
+    }));
+  }
+
+  /**
+   * Configuración y reglas de precios (anfitrión o administrador)
+   */
+  static async getPricing(propertyId, userId, userRole) {
+    await this.assertCanManage(propertyId, userId, userRole);
+
+    const { weekendDays, ...pricing } = await this.getEffectivePricing(propertyId);
+    const rules = await this.findRules(propertyId);
+
+    return { pricing, rules };
+  }
+
+  /**
+   * Guardar la configuración de precios (los campos omitidos conservan su valor)
+   * @param {Object} data - Campos de property_pricing
+   */
+  static async updatePricing(propertyId, data, userId, userRole) {
+    await this.assertCanManage(propertyId, userId, userRole);
+
+    const { weekendDays, configured, property_id, created_at, updated_at, ...current } =
+      await this.getEffectivePricing(propertyId);
+
+    const values = { ...current };
+    for (const field of PRICING_FIELDS) {
+      if (data[field] !== undefined) {
+        values[field] = data[field];
+      }
+    }
+
+    if (Array.isArray(values.weekend_days)) {
+      values.weekend_days = values.weekend_days.join(',');
+    }
+
+    try {
+      await mysqlPool.query(
+        `INSERT INTO property_pricing (property_id, ${PRICING_FIELDS.join(', ')})
+         VALUES (?, ${PRICING_FIELDS.map(() => '?').join(', ')})
+         ON DUPLICATE KEY UPDATE ${PRICING_FIELDS.map(field => `${field} = VALUES(${field})`).join(', ')}`,
+        [propertyId, ...PRICING_FIELDS.map(field => values[field] ?? null)]
+      );
+    } catch (error) {
+      console.error('Error updating property pricing:', error);
+      throw new DatabaseError('Error al guardar las tarifas de la propiedad');
+    }
+
+    return this.getPricing(propertyId, userId, userRole);
+  }
+
+  /**
+   * Añadir una regla de temporada o de duración de estancia
+   * @param {Object} ruleData - { rule_type, name, start_date, end_date, nightly_rate, adjustment_percent, min_nights, priority }
+   */
+  static async addRule(propertyId, ruleData, userId, userRole) {
+    await this.assertCanManage(propertyId, userId, userRole);
+
+    const isSeason = ruleData.rule_type === PRICING_RULE_TYPES.SEASON;
+
+    const [result] = await mysqlPool.query(
+      `INSERT INTO property_pricing_rules
+       (property_id, rule_type, name, start_date, end_date, nightly_rate, adjustment_percent, min_nights, priority, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        propertyId,
+        ruleData.rule_type,
+        ruleData.name,
+        isSeason ? ruleData.start_date : null,
+        isSeason ? ruleData.end_date : null,
+        isSeason ? ruleData.nightly_rate ?? null : null,
+        ruleData.adjustment_percent ?? null,
+        isSeason ? null : ruleData.min_nights,
+        parseInt(ruleData.priority) || 0,
+        userId
+      ]
+    );
+
+    const [rules] = await mysqlPool.query(
+      `SELECT ${RULE_COLUMNS} FROM property_pricing_rules WHERE id = ?`,
+      [result.insertId]
+    );
+
+    return rules[0];
+  }
+
+  static async removeRule(propertyId, ruleId, userId, userRole) {
+    await this.assertCanManage(propertyId, userId, userRole);
+
+    const [result] = await mysqlPool.query(
+      'DELETE FROM property_pricing_rules WHERE id = ? AND property_id = ?',
+      [ruleId, propertyId]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new NotFoundError('Regla de precio no encontrada');
+    }
+
+    return true;
+  }
+
+  // Solo el anfitrión de la propiedad o un administrador gestionan sus tarifas
+  static async assertCanManage(propertyId, userId, userRole) {
+    const [properties] = await mysqlPool.query(
+      'SELECT id, host_id FROM properties WHERE id = ?',
+      [propertyId]
+    );
+
+    if (properties.length === 0) {
+      throw new NotFoundError('Propiedad no encontrada');
+    }
+
+    if (properties[0].host_id !== userId && userRole !== USER_ROLES.ADMIN) {
+      throw new AuthorizationError('No autorizado para gestionar las tarifas de esta propiedad');
+    }
+
+    return properties[0];
+  }
+}
+
+export default PricingService;
@@ -9,7 +9,8 @@ import {
 } from '../utils/errors/index.js';
 
 // Importar el modelo Property (esto es lo que faltaba)
-import { Property } from '../models/mysql/property.model.js';
+import { Property, propertyColumns } from '../models/mysql/property.model.js';
+import { USER_ROLES } from '../config/constants.js';
 
 export class PropertyService {
   static async createProperty(propertyData, imageFile, additionalImageFiles = []) {
@@ -171,7 +172,7 @@ export class PropertyService {
     try {
       // Consulta base
       let query = `
-        SELECT p.*, 
+        SELECT ${propertyColumns('p')}, 
                GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
                GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
         FROM properties p
@@ -337,7 +338,7 @@ static async getPropertyById(id) {
   try {
     // Obtener la propiedad con amenidades, mascotas permitidas y datos básicos del anfitrión
     const [properties] = await connection.query(
-      `SELECT p.*, 
+      `SELECT ${propertyColumns('p')}, 
               GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
               GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed,
               u.first_name as host_first_name,
@@ -421,7 +422,7 @@ static async getPropertyById(id) {
   }
 }
 
-static async archiveProperty(id, archiveData = {}, userId) {
+static async archiveProperty(id, archiveData = {}, userId, userRole) {
   if (!id) {
     throw new ValidationError('ID de propiedad es requerido');
   }
@@ -438,8 +439,8 @@ static async archiveProperty(id, archiveData = {}, userId) {
       throw new NotFoundError('Propiedad no encontrada');
     }
 
-    // Verificar autorización
-    if (property[0].host_id !== userId) {
+    // Verificar autorización (el administrador puede gestionar cualquier propiedad)
+    if (property[0].host_id !== userId && userRole !== USER_ROLES.ADMIN) {
       throw new AuthorizationError('No autorizado para archivar esta propiedad');
     }
 
@@ -462,7 +463,7 @@ static async archiveProperty(id, archiveData = {}, userId) {
     connection.release();
   }
 }
-static async restoreProperty(id, status = 'for-rent', userId) {
+static async restoreProperty(id, status = 'for-rent', userId, userRole) {
   if (!id) {
     throw new ValidationError('ID de propiedad es requerido');
   }
@@ -479,8 +480,8 @@ static async restoreProperty(id, status = 'for-rent', userId) {
       throw new NotFoundError('Propiedad no encontrada');
     }
 
-    // Verificar autorización
-    if (property[0].host_id !== userId) {
+    // Verificar autorización (el administrador puede gestionar cualquier propiedad)
+    if (property[0].host_id !== userId && userRole !== USER_ROLES.ADMIN) {
       throw new AuthorizationError('No autorizado para restaurar esta propiedad');
     }
 
@@ -512,7 +513,7 @@ static async getArchivedProperties(userId, pagination = { page: 1, limit: 10 })
   try {
     // Consulta base para propiedades archivadas
     let query = `
-      SELECT p.*, 
+      SELECT ${propertyColumns('p')}, 
              GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
              GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
       FROM properties p
@@ -568,7 +569,7 @@ static async getArchivedProperties(userId, pagination = { page: 1, limit: 10 })
     connection.release();
   }
 }
-  static async updateProperty(id, propertyData, imageFile, userId) {
+  static async updateProperty(id, propertyData, imageFile, userId, userRole) {
     if (!id) {
       throw new ValidationError('ID de propiedad es requerido');
     }
@@ -587,8 +588,8 @@ static async getArchivedProperties(userId, pagination = { page: 1, limit: 10 })
         throw new NotFoundError('Propiedad no encontrada');
       }
 
-      // Verificar autorización
-      if (property[0].host_id !== userId) {
+      // Verificar autorización (el administrador puede gestionar cualquier propiedad)
+      if (property[0].host_id !== userId && userRole !== USER_ROLES.ADMIN) {
         throw new AuthorizationError('No autorizado para actualizar esta propiedad');
       }
       
@@ -691,7 +692,7 @@ static async getArchivedProperties(userId, pagination = { page: 1, limit: 10 })
     }
   }
 
-  static async deleteProperty(id, userId) {
+  static async deleteProperty(id, userId, userRole) {
     if (!id) {
       throw new ValidationError('ID de propiedad es requerido');
     }
@@ -710,8 +711,8 @@ static async getArchivedProperties(userId, pagination = { page: 1, limit: 10 })
         throw new NotFoundError('Propiedad no encontrada');
       }
 
-      // Verificar autorización
-      if (property[0].host_id !== userId) {
+      // Verificar autorización (el administrador puede gestionar cualquier propiedad)
+      if (property[0].host_id !== userId && userRole !== USER_ROLES.ADMIN) {
         throw new AuthorizationError('No autorizado para eliminar esta propiedad');
       }
 
@@ -772,7 +773,7 @@ static async getArchivedProperties(userId, pagination = { page: 1, limit: 10 })
     }
   }
 
-  static async addPropertyImage(propertyId, imageFile, isPrimary = false, userId) {
+  static async addPropertyImage(propertyId, imageFile, isPrimary = false, userId, userRole) {
     if (!propertyId || !imageFile) {
       throw new ValidationError('ID de propiedad y archivo de imagen son requeridos');
     }
@@ -789,8 +790,8 @@ static async getArchivedProperties(userId, pagination = { page: 1, limit: 10 })
         throw new NotFoundError('Propiedad no encontrada');
       }
 
-      // Verificar autorización
-      if (property[0].host_id !== userId) {
+      // Verificar autorización (el administrador puede gestionar cualquier propiedad)
+      if (property[0].host_id !== userId && userRole !== USER_ROLES.ADMIN) {
         throw new AuthorizationError('No autorizado para añadir imágenes a esta propiedad');
       }
       
@@ -846,7 +847,7 @@ static async getArchivedProperties(userId, pagination = { page: 1, limit: 10 })
       const searchPattern = `%${searchTerm}%`;
       
       const query = `
-        SELECT p.*, 
+        SELECT ${propertyColumns('p')}, 
                GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
                GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
         FROM properties p
@@ -914,7 +915,7 @@ static async getArchivedProperties(userId, pagination = { page: 1, limit: 10 })
     const connection = await mysqlPool.getConnection();
     try {
       let query = `
-        SELECT p.*, 
+        SELECT ${propertyColumns('p')}, 
                GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
                GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
         FROM properties p
@@ -953,7 +954,7 @@ static async getArchivedProperties(userId, pagination = { page: 1, limit: 10 })
     const connection = await mysqlPool.getConnection();
     try {
       let query = `
-        SELECT p.*, 
+        SELECT ${propertyColumns('p')}, 
                GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
                GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
         FROM properties p
@@ -0,0 +1,363 @@
+// src/services/refund.service.js
+import { mysqlPool } from '../config/database.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  AuthorizationError
+} from '../utils/errors/index.js';
+import {
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+  USER_ROLES,
+  NOTIFICATION_TYPES
+} from '../config/constants.js';
+import paymentConfig from '../config/payment.config.js';
+import { Payment } from '../models/mysql/payment.model.js';
+import { Refund } from '../models/mysql/refund.model.js';
+import { PaymentService } from './payment.service.js';
+import { NotificationService } from './notification.service.js';
+import logger from '../utils/logger.js';
+
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Solicitudes que todavía reservan parte del saldo reembolsable
+const OPEN_STATUSES = [REFUND_STATUS.REQUESTED, REFUND_STATUS.APPROVED, REFUND_STATUS.PROCESSING];
+
+// Reembolsos parciales con aprobación: el huésped, el anfitrión o un administrador
+// piden un monto; según los umbrales de payment.config se procesa en el acto o
+// espera a que lo apruebe el anfitrión o un administrador. El dinero se devuelve
+// con PaymentService.issueRefund (y settleGatewayOperations después del commit),
+// igual que en cancelaciones y modificaciones.
+export class RefundService {
+  /**
+   * Solicitar un reembolso de un pago cobrado
+   * @param {number} paymentId - Pago completado o parcialmente reembolsado
+   * @param {Object} data - { amount, reason, notes } (sin amount: todo lo que queda)
+   * @returns {Promise<Object>} - El reembolso (processed si no requería aprobación)
+   */
+  static async request(paymentId, { amount, reason, notes = null }, userId, userRole) {
+    const connection = await mysqlPool.getConnection();
+    let refundId;
+    let approvalRequired;
+    let booking;
+    try {
+      await connection.beginTransaction();
+
+      const payment = await Payment.findById(paymentId, connection, { forUpdate: true });
+      if (!payment) {
+        throw new NotFoundError('Pago no encontrado');
+      }
+
+      booking = await this.getBooking(payment.booking_id, connection);
+      const actor = this.getActor(booking, userId, userRole);
+      if (!actor) {
+        throw new AuthorizationError('No autorizado para reembolsar este pago');
+      }
+
+      if (![PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(payment.status)) {
+        throw new ConflictError(`No se puede reembolsar un pago en estado "${payment.status}"`);
+      }
+
+      const refunds = await Refund.findByPaymentId(paymentId, connection);
+      const openCents = refunds
+        .filter(refund => OPEN_STATUSES.includes(refund.status))
+        .reduce((sum, refund) => sum + toCents(refund.amount), 0);
+      const refundedCents = toCents(payment.refunded_amount);
+      const availableCents = toCents(payment.amount) - refundedCents - openCents;
+
+      if (availableCents <= 0) {
+        throw new ConflictError('El pago no tiene saldo por reembolsar (o ya hay solicitudes por el resto)');
+      }
+
+      const amountCents = amount === undefined || amount === null ? availableCents : toCents(amount);
+      if (amountCents <= 0 || amountCents > availableCents) {
+        throw new ValidationError(`El monto a reembolsar debe estar entre 0.01 y ${fromCents(availableCents).toFixed(2)}`, ['amount']);
+      }
+
+      approvalRequired = this.requiredApproval(actor, toCents(payment.amount), refundedCents + openCents + amountCents);
+
+      refundId = await Refund.create({
+        payment_id: payment.id,
+        booking_id: payment.booking_id,
+        amount: fromCents(amountCents),
+        currency: payment.currency,
+        reason,
+        notes,
+        status: approvalRequired ? REFUND_STATUS.REQUESTED : REFUND_STATUS.APPROVED,
+        approval_required: approvalRequired,
+        requested_by: userId,
+        decided_by: approvalRequired || actor === USER_ROLES.GUEST ? null : userId
+      }, connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    logger.info('Refund requested', { refundId, paymentId: Number(paymentId), approvalRequired });
+
+    if (!approvalRequired) {
+      return this.process(refundId, userId);
+    }
+
+    const refund = await this.getRefund(refundId);
+    if (approvalRequired === USER_ROLES.HOST) {
+      NotificationService.notify(booking.host_id, NOTIFICATION_TYPES.REFUND_REQUESTED, { refund, booking });
+    }
+
+    return refund;
+  }
+
+  /**
+   * Aprobar una solicitud y procesarla
+   * Una solicitud que quedó en processing (el procesador falló) se reintenta aprobándola de nuevo.
+   */
+  static async approve(paymentId, refundId, userId, userRole, { note = null } = {}) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const refund = await this.getPendingDecision(paymentId, refundId, userId, userRole, connection);
+
+      if (refund.status === REFUND_STATUS.REQUESTED) {
+        await Refund.decide(refund.id, REFUND_STATUS.APPROVED, { decidedBy: userId, note }, connection);
+      } else if (![REFUND_STATUS.APPROVED, REFUND_STATUS.PROCESSING].includes(refund.status)) {
+        throw new ConflictError(`La solicitud de reembolso ya está ${refund.status}`);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return this.process(refundId, userId);
+  }
+
+  // Rechazar una solicitud pendiente
+  static async reject(paymentId, refundId, userId, userRole, { note = null } = {}) {
+    const connection = await mysqlPool.getConnection();
+    let booking;
+    try {
+      await connection.beginTransaction();
+
+      const refund = await this.getPendingDecision(paymentId, refundId, userId, userRole, connection);
+      if (refund.status !== REFUND_STATUS.REQUESTED) {
+        throw new ConflictError(`La solicitud de reembolso ya está ${refund.status}`);
+      }
+
+      await Refund.decide(refund.id, REFUND_STATUS.REJECTED, { decidedBy: userId, note }, connection);
+      booking = await this.getBooking(refund.booking_id, connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const refund = await this.getRefund(refundId);
+    if (refund.requested_by && refund.requested_by !== userId) {
+      NotificationService.notify(refund.requested_by, NOTIFICATION_TYPES.REFUND_REJECTED, { refund, booking });
+    }
+
+    return refund;
+  }
+
+  /**
+   * Detalle de un pago con su historial, solo para el huésped, el anfitrión de la reserva o un administrador
+   * @throws {NotFoundError} - Si el pago no existe o el usuario no tiene relación con su reserva
+   */
+  static async getPayment(paymentId, userId, userRole) {
+    const payment = await Payment.findById(paymentId);
+    const booking = payment ? await this.getBooking(payment.booking_id) : null;
+
+    if (!payment || !this.getActor(booking, userId, userRole)) {
+      throw new NotFoundError('Pago no encontrado');
+    }
+
+    return PaymentService.getPaymentById(payment.id);
+  }
+
+  /**
+   * Reembolsos de un pago con el saldo que queda por reembolsar
+   * Los ven el huésped de la reserva, su anfitrión y los administradores
+   */
+  static async list(paymentId, userId, userRole) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw new NotFoundError('Pago no encontrado');
+    }
+
+    const booking = await this.getBooking(payment.booking_id);
+    if (!this.getActor(booking, userId, userRole)) {
+      throw new AuthorizationError('No autorizado para ver los reembolsos de este pago');
+    }
+
+    const refunds = await Refund.findByPaymentId(payment.id);
+    const openCents = refunds
+      .filter(refund => OPEN_STATUSES.includes(refund.status))
+      .reduce((sum, refund) => sum + toCents(refund.amount), 0);
+    const refundableCents = [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(payment.status)
+      ? toCents(payment.amount) - toCents(payment.refunded_amount) - openCents
+      : 0;
+
+    return {
+      payment: {
+        id: payment.id,
+        booking_id: payment.booking_id,
+        status: payment.status,
+        amount: Number(payment.amount),
+        refunded_amount: Number(payment.refunded_amount || 0),
+        refundable_amount: fromCents(Math.max(refundableCents, 0)),
+        currency: payment.currency
+      },
+      refunds: refunds.map(refund => this.formatRefund(refund))
+    };
+  }
+
+  /**
+   * Devolver el dinero de una solicitud aprobada (si ya se procesó, no hace nada)
+   * La solicitud pasa a processing en una transacción y el procesador se llama
+   * después del commit; si falla, sigue en processing y se reintenta sola.
+   */
+  static async process(refundId, userId) {
+    const pending = await Refund.findById(refundId);
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // Mismo orden de bloqueo que request(): primero el pago, después el reembolso
+      await Payment.findById(pending.payment_id, connection, { forUpdate: true });
+      const refund = await Refund.findById(refundId, connection, { forUpdate: true });
+
+      if (refund.status === REFUND_STATUS.APPROVED) {
+        await PaymentService.issueRefund(refund.payment_id, Number(refund.amount), {
+          refundId: refund.id,
+          createdBy: userId,
+          metadata: { reason: refund.reason }
+        }, connection);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      // La solicitud sigue aprobada: se puede reintentar
+      logger.warn('Approved refund not processed', { refundId, error: error.message });
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await PaymentService.settleGatewayOperations({ refunds: [refundId] });
+
+    return this.getRefund(refundId);
+  }
+
+  /**
+   * Quién debe aprobar un reembolso según los umbrales de payment.config
+   * Los umbrales se aplican a lo reembolsado en total (incluidas las solicitudes
+   * abiertas), así que partir un reembolso en varios no evita la revisión.
+   * @param {string} actor - Rol de quien lo pide en la reserva (guest, host o admin)
+   * @param {number} paymentCents - Monto cobrado del pago
+   * @param {number} totalRefundCents - Reembolsado + solicitado, incluida esta solicitud
+   * @returns {string|null} - USER_ROLES.HOST, USER_ROLES.ADMIN o null si no requiere aprobación
+   */
+  static requiredApproval(actor, paymentCents, totalRefundCents, thresholds = paymentConfig.refunds) {
+    if (actor === USER_ROLES.ADMIN) {
+      return null;
+    }
+
+    const withinPercent = (percent) => totalRefundCents * 100 <= paymentCents * percent;
+
+    if (!withinPercent(thresholds.hostApprovalPercent)) {
+      return USER_ROLES.ADMIN;
+    }
+
+    if (actor === USER_ROLES.HOST || withinPercent(thresholds.autoApprovePercent)) {
+      return null;
+    }
+
+    return USER_ROLES.HOST;
+  }
+
+  // Rol de un usuario en la reserva del pago (null si no tiene relación con ella)
+  static getActor(booking, userId, userRole) {
+    if (userRole === USER_ROLES.ADMIN) return USER_ROLES.ADMIN;
+    if (!booking) return null;
+    if (booking.host_id === userId) return USER_ROLES.HOST;
+    if (booking.user_id === userId) return USER_ROLES.GUEST;
+    return null;
+  }
+
+  // Solicitud del pago bloqueada para decidirla; solo el aprobador que corresponde
+  static async getPendingDecision(paymentId, refundId, userId, userRole, connection) {
+    const pending = await Refund.findById(refundId, connection);
+    if (!pending || pending.payment_id !== Number(paymentId)) {
+      throw new NotFoundError('Solicitud de reembolso no encontrada');
+    }
+
+    await Payment.findById(pending.payment_id, connection, { forUpdate: true });
+    const refund = await Refund.findById(refundId, connection, { forUpdate: true });
+
+    const booking = await this.getBooking(refund.booking_id, connection);
+    const actor = this.getActor(booking, userId, userRole);
+    const canDecide = actor === USER_ROLES.ADMIN
+      || (actor === USER_ROLES.HOST && refund.approval_required !== USER_ROLES.ADMIN);
+
+    if (!canDecide) {
+      throw new AuthorizationError(refund.approval_required === USER_ROLES.ADMIN
+        ? 'Este reembolso requiere la aprobación de un administrador'
+        : 'No autorizado para decidir este reembolso');
+    }
+
+    return refund;
+  }
+
+  static async getBooking(bookingId, connection = mysqlPool) {
+    const [rows] = await connection.query(
+      `SELECT b.id, b.user_id, b.guest_name, b.property_id, p.host_id, p.title AS property_title
+       FROM bookings b
+       JOIN properties p ON b.property_id = p.id
+       WHERE b.id = ?`,
+      [bookingId]
+    );
+
+    return rows[0] || null;
+  }
+
+  static async getRefund(refundId) {
+    return this.formatRefund(await Refund.findById(refundId));
+  }
+
+  static formatRefund(row) {
+    return {
+      id: row.id,
+      payment_id: row.payment_id,
+      booking_id: row.booking_id,
+      amount: Number(row.amount),
+      currency: row.currency,
+      reason: row.reason,
+      notes: row.notes,
+      status: row.status,
+      approval_required: row.approval_required,
+      requested_by: row.requested_by,
+      decided_by: row.decided_by,
+      decided_at: row.decided_at,
+      decision_note: row.decision_note,
+      reference: row.reference,
+      processed_at: row.processed_at,
+      created_at: row.created_at
+    };
+  }
+}
+
+export default RefundService;
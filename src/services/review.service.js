@@ -7,6 +7,9 @@ import {
   AuthorizationError,
   ConflictError 
 } from '../utils/errors/index.js';
+import { PERMISSIONS, hasPermission } from '../config/permissions.js';
+import { NOTIFICATION_TYPES } from '../config/constants.js';
+import { NotificationService } from './notification.service.js';
 
 export class ReviewService {
   /**
@@ -39,7 +42,7 @@ static async createReview(reviewData) {
   try {
     // Verificar si la propiedad existe
     const [property] = await connection.query(
-      'SELECT id FROM properties WHERE id = ?',
+      'SELECT id, title, host_id FROM properties WHERE id = ?',
       [reviewData.property_id]
     );
 
@@ -99,6 +102,11 @@ static async createReview(reviewData) {
     // Actualizar rating promedio de la propiedad
     await this.updatePropertyAverageRating(reviewData.property_id, connection);
 
+    NotificationService.notify(property[0].host_id, NOTIFICATION_TYPES.REVIEW_CREATED, {
+      review: { id: result.insertId, rating: reviewData.rating },
+      property: property[0]
+    });
+
     return result.insertId;
   } finally {
     connection.release();
@@ -268,9 +276,10 @@ static async createReview(reviewData) {
    * Elimina una reseña
    * @param {number} id - ID de la reseña
    * @param {number} userId - ID del usuario que realiza la eliminación
+   * @param {string} userRole - Rol del usuario (los moderadores pueden eliminar cualquier reseña)
    * @returns {Promise<boolean>} - Resultado de la operación
    */
-  static async deleteReview(id, userId) {
+  static async deleteReview(id, userId, userRole) {
     if (!id) {
       throw new ValidationError('ID de reseña es requerido');
     }
@@ -287,7 +296,8 @@ static async createReview(reviewData) {
         throw new NotFoundError('Reseña no encontrada');
       }
 
-      if (review[0].reviewer_id !== userId) {
+      const canModerate = hasPermission(userRole, PERMISSIONS.REVIEW_MODERATE);
+      if (review[0].reviewer_id !== userId && !canModerate) {
         throw new AuthorizationError('No autorizado para eliminar esta reseña');
       }
 
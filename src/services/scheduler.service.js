@@ -0,0 +1,311 @@
+// src/services/scheduler.service.js
+import os from 'os';
+import crypto from 'crypto';
+import { mysqlPool } from '../config/database.js';
+import { NotFoundError, ConflictError, DatabaseError } from '../utils/errors/index.js';
+import { JOB_RUN_STATUS, JOB_TRIGGERS } from '../config/constants.js';
+import jobsConfig from '../config/jobs.config.js';
+import logger from '../utils/logger.js';
+
+// Identificador de este proceso en job_locks y job_runs
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Tareas registradas por nombre: { name, description, intervalMinutes, run }
+const jobs = new Map();
+
+// Temporizadores y próxima ejecución de las tareas programadas en esta instancia
+const timers = new Map();
+const nextRuns = new Map();
+
+// Tareas en ejecución en esta instancia (evita solapar la misma tarea)
+const running = new Set();
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Planificador de tareas en el proceso. Varias instancias pueden programar la
+// misma tarea: el bloqueo en `job_locks` garantiza que solo una la ejecute, y
+// cada ejecución queda registrada en `job_runs`.
+export class SchedulerService {
+  static get instanceId() {
+    return INSTANCE_ID;
+  }
+
+  /**
+   * Registrar una tarea
+   * @param {Object} job - { name, description, intervalMinutes, run }
+   *   `run()` devuelve el resultado que se guarda en la ejecución
+   */
+  static register(job) {
+    if (jobs.has(job.name)) {
+      throw new Error(`La tarea ${job.name} ya está registrada`);
+    }
+
+    jobs.set(job.name, job);
+  }
+
+  /**
+   * Registrar las tareas y programarlas en esta instancia
+   * @param {Array} jobList - Definiciones de tareas (ver src/jobs/index.js)
+   */
+  static start(jobList = []) {
+    jobList.filter(job => !jobs.has(job.name)).forEach(job => this.register(job));
+
+    for (const job of jobs.values()) {
+      // Escalonar el arranque para no lanzar todas las tareas a la vez
+      const jitter = Math.floor(Math.random() * 10 * 1000);
+      this.schedule(job, jobsConfig.jobs.startupDelaySeconds * 1000 + jitter);
+    }
+
+    logger.info('Job scheduler started', { instanceId: INSTANCE_ID, jobs: [...jobs.keys()] });
+  }
+
+  static stop() {
+    for (const timer of timers.values()) {
+      clearTimeout(timer);
+    }
+
+    timers.clear();
+    nextRuns.clear();
+  }
+
+  // Programar la siguiente ejecución cuando termina la anterior (nunca se solapan)
+  static schedule(job, delay = job.intervalMinutes * 60 * 1000) {
+    const timer = setTimeout(async () => {
+      await this.runJob(job.name).catch(error => {
+        if (!(error instanceof ConflictError)) {
+          logger.error('Scheduled job failed', { job: job.name, error: error.message });
+        }
+      });
+
+      if (timers.has(job.name)) {
+        this.schedule(job);
+      }
+    }, delay);
+
+    // No mantener vivo el proceso solo por el planificador
+    timer.unref();
+
+    timers.set(job.name, timer);
+    nextRuns.set(job.name, new Date(Date.now() + delay));
+  }
+
+  /**
+   * Ejecutar una tarea si se obtiene su bloqueo
+   * @param {string} name - Nombre de la tarea
+   * @param {Object} options - { trigger: 'schedule'|'manual', triggeredBy }
+   * @returns {Promise<Object>} - La ejecución registrada
+   * @throws {NotFoundError} - Si la tarea no existe
+   * @throws {ConflictError} - Si la tarea ya se está ejecutando (aquí o en otra instancia)
+   */
+  static async runJob(name, { trigger = JOB_TRIGGERS.SCHEDULE, triggeredBy = null } = {}) {
+    const job = jobs.get(name);
+    if (!job) {
+      throw new NotFoundError(`Tarea no encontrada: ${name}`);
+    }
+
+    if (running.has(name) || !(await this.acquireLock(name))) {
+      throw new ConflictError(`La tarea ${name} ya se está ejecutando`);
+    }
+
+    running.add(name);
+    const startedAt = Date.now();
+    let runId = null;
+
+    // Renovar el bloqueo mientras la tarea siga en marcha: una ejecución larga no
+    // debe dar paso a otra instancia que la marcaría como interrumpida
+    const heartbeat = setInterval(() => {
+      this.renewLock(name).catch(error => {
+        logger.error('Error renewing job lock', { job: name, error: error.message });
+      });
+    }, jobsConfig.jobs.lockTtlSeconds * 1000 / 3);
+    heartbeat.unref();
+
+    try {
+      // Con el bloqueo tomado, las ejecuciones que sigan "running" se interrumpieron
+      await mysqlPool.query(
+        `UPDATE job_runs
+         SET status = ?, finished_at = NOW(), error = 'Ejecución interrumpida'
+         WHERE job_name = ? AND status = ?`,
+        [JOB_RUN_STATUS.FAILED, name, JOB_RUN_STATUS.RUNNING]
+      );
+
+      const [result] = await mysqlPool.query(
+        `INSERT INTO job_runs (job_name, status, trigger_type, triggered_by, instance_id)
+         VALUES (?, ?, ?, ?, ?)`,
+        [name, JOB_RUN_STATUS.RUNNING, trigger, triggeredBy, INSTANCE_ID]
+      );
+      runId = result.insertId;
+
+      let status = JOB_RUN_STATUS.SUCCEEDED;
+      let output = null;
+      let errorMessage = null;
+
+      try {
+        output = await job.run();
+      } catch (error) {
+        status = JOB_RUN_STATUS.FAILED;
+        errorMessage = error.message;
+        logger.error('Job run failed', { job: name, runId, error: error.message });
+      }
+
+      await mysqlPool.query(
+        `UPDATE job_runs
+         SET status = ?, finished_at = NOW(), duration_ms = ?, result = ?, error = ?
+         WHERE id = ?`,
+        [status, Date.now() - startedAt, output === null ? null : JSON.stringify(output), errorMessage, runId]
+      );
+
+      return this.getRun(runId);
+    } finally {
+      clearInterval(heartbeat);
+      running.delete(name);
+      await this.releaseLock(name).catch(error => {
+        logger.error('Error releasing job lock', { job: name, error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Tomar el bloqueo de una tarea si está libre o vencido
+   * El upsert es atómico: de varias instancias simultáneas solo una queda como dueña
+   * @returns {Promise<boolean>}
+   */
+  static async acquireLock(name) {
+    await mysqlPool.query(
+      `INSERT INTO job_locks (job_name, locked_by, acquired_at, locked_until)
+       VALUES (?, ?, NOW(), NOW() + INTERVAL ? SECOND)
+       ON DUPLICATE KEY UPDATE
+         locked_by = IF(locked_until < NOW(), VALUES(locked_by), locked_by),
+         acquired_at = IF(locked_until < NOW(), VALUES(acquired_at), acquired_at),
+         locked_until = IF(locked_until < NOW(), VALUES(locked_until), locked_until)`,
+      [name, INSTANCE_ID, jobsConfig.jobs.lockTtlSeconds]
+    );
+
+    const [locks] = await mysqlPool.query(
+      'SELECT locked_by FROM job_locks WHERE job_name = ?',
+      [name]
+    );
+
+    return locks.length > 0 && locks[0].locked_by === INSTANCE_ID;
+  }
+
+  // Extender la vigencia del bloqueo que tiene esta instancia
+  static async renewLock(name) {
+    await mysqlPool.query(
+      'UPDATE job_locks SET locked_until = NOW() + INTERVAL ? SECOND WHERE job_name = ? AND locked_by = ?',
+      [jobsConfig.jobs.lockTtlSeconds, name, INSTANCE_ID]
+    );
+  }
+
+  static async releaseLock(name) {
+    await mysqlPool.query(
+      'DELETE FROM job_locks WHERE job_name = ? AND locked_by = ?',
+      [name, INSTANCE_ID]
+    );
+  }
+
+  // Tareas registradas con su última ejecución y su bloqueo actual
+  static async listJobs() {
+    try {
+      const [lastRuns] = await mysqlPool.query(
+        `SELECT r.*
+         FROM job_runs r
+         JOIN (SELECT job_name, MAX(id) AS id FROM job_runs GROUP BY job_name) latest ON latest.id = r.id`
+      );
+
+      const [locks] = await mysqlPool.query(
+        'SELECT job_name, locked_by, acquired_at, locked_until FROM job_locks WHERE locked_until > NOW()'
+      );
+
+      const lastRunByJob = Object.fromEntries(lastRuns.map(run => [run.job_name, this.formatRun(run)]));
+      const lockByJob = Object.fromEntries(locks.map(lock => [lock.job_name, lock]));
+
+      return [...jobs.values()].map(job => ({
+        name: job.name,
+        description: job.description,
+        interval_minutes: job.intervalMinutes,
+        next_run_at: nextRuns.get(job.name) || null,
+        lock: lockByJob[job.name] || null,
+        last_run: lastRunByJob[job.name] || null
+      }));
+    } catch (error) {
+      console.error('Error listing jobs:', error);
+      throw new DatabaseError('Error al obtener las tareas programadas');
+    }
+  }
+
+  /**
+   * Historial de ejecuciones, de la más reciente a la más antigua
+   * @param {Object} filters - { jobName, status, trigger }
+   * @param {Object} pagination - { page, limit }
+   */
+  static async listRuns(filters = {}, pagination = { page: 1, limit: 50 }) {
+    let whereClause = ' WHERE 1=1';
+    const params = [];
+
+    if (filters.jobName) {
+      whereClause += ' AND r.job_name = ?';
+      params.push(filters.jobName);
+    }
+
+    if (filters.status) {
+      whereClause += ' AND r.status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.trigger) {
+      whereClause += ' AND r.trigger_type = ?';
+      params.push(filters.trigger);
+    }
+
+    const page = Math.max(parseInt(pagination.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(pagination.limit) || 50, 1), 200);
+    const offset = (page - 1) * limit;
+
+    try {
+      const [runs] = await mysqlPool.query(
+        `SELECT r.*, u.first_name AS triggered_by_first_name, u.last_name AS triggered_by_last_name
+         FROM job_runs r
+         LEFT JOIN users u ON r.triggered_by = u.id
+         ${whereClause}
+         ORDER BY r.started_at DESC, r.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const [countResult] = await mysqlPool.query(
+        `SELECT COUNT(*) as total FROM job_runs r${whereClause}`,
+        params
+      );
+
+      const total = countResult[0].total || 0;
+
+      return {
+        runs: runs.map(run => this.formatRun(run)),
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      };
+    } catch (error) {
+      console.error('Error listing job runs:', error);
+      throw new DatabaseError('Error al obtener el historial de tareas');
+    }
+  }
+
+  static async getRun(runId) {
+    const [runs] = await mysqlPool.query('SELECT * FROM job_runs WHERE id = ?', [runId]);
+
+    if (runs.length === 0) {
+      throw new NotFoundError('Ejecución no encontrada');
+    }
+
+    return this.formatRun(runs[0]);
+  }
+
+  static formatRun(run) {
+    return { ...run, result: run.result ? parseJson(run.result) : null };
+  }
+}
+
+export default SchedulerService;
@@ -0,0 +1,327 @@
+// src/services/session.service.js
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { mysqlPool } from '../config/database.js';
+import { AuthenticationError, NotFoundError, DatabaseError } from '../utils/errors/index.js';
+import logger from '../utils/logger.js';
+
+// Duración de una sesión sin actividad (cada rotación la renueva)
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+// Motivos de revocación registrados en user_sessions.revoked_reason
+export const SESSION_REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  USER_REVOKED: 'user_revoked',
+  REUSE_DETECTED: 'reuse_detected',
+  ACCOUNT_BANNED: 'account_banned',
+  PASSWORD_CHANGED: 'password_changed',
+  PASSWORD_RESET: 'password_reset'
+};
+
+// Solo se guarda el hash del token de refresco
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateToken = () => crypto.randomBytes(48).toString('base64url');
+
+const getExpiryDate = () => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+  return expiresAt;
+};
+
+// Nombre legible del dispositivo a partir del user-agent
+const describeDevice = (userAgent = '') => {
+  if (!userAgent) return null;
+
+  const os = [
+    ['Android', /android/i],
+    ['iOS', /iphone|ipad|ipod/i],
+    ['Windows', /windows/i],
+    ['macOS', /macintosh|mac os x/i],
+    ['Linux', /linux/i]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const browser = [
+    ['Edge', /edg\//i],
+    ['Chrome', /chrome\//i],
+    ['Firefox', /firefox\//i],
+    ['Safari', /safari\//i]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const parts = [browser && browser[0], os && os[0]].filter(Boolean);
+  return parts.length > 0 ? parts.join(' en ') : null;
+};
+
+export class SessionService {
+  /**
+   * Crear una nueva sesión (inicio de sesión en un dispositivo)
+   * @param {number} userId - ID del usuario
+   * @param {Object} context - { userAgent, ipAddress, deviceName }
+   * @returns {Promise<Object>} - { refreshToken, sessionId, expiresAt }
+   */
+  static async createSession(userId, context = {}, connection = mysqlPool) {
+    const familyId = uuidv4();
+    const refreshToken = generateToken();
+    const expiresAt = getExpiryDate();
+
+    await connection.query(
+      `INSERT INTO user_sessions
+       (user_id, family_id, token_hash, user_agent, ip_address, device_name, last_used_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW(), ?)`,
+      [
+        userId,
+        familyId,
+        hashToken(refreshToken),
+        context.userAgent ? context.userAgent.substring(0, 255) : null,
+        context.ipAddress || null,
+        (context.deviceName || describeDevice(context.userAgent) || '').substring(0, 100) || null,
+        expiresAt
+      ]
+    );
+
+    return {
+      refreshToken,
+      sessionId: familyId,
+      expiresAt
+    };
+  }
+
+  /**
+   * Rotar un token de refresco: el token presentado queda usado y se emite uno nuevo
+   * en la misma sesión. Si se presenta un token ya rotado se asume robo y se revoca
+   * la sesión completa.
+   * @param {string} refreshToken - Token de refresco presentado por el cliente
+   * @param {Object} context - { userAgent, ipAddress }
+   * @returns {Promise<Object>} - { userId, refreshToken, sessionId, expiresAt }
+   */
+  static async rotate(refreshToken, context = {}) {
+    const tokenHash = hashToken(refreshToken);
+    const connection = await mysqlPool.getConnection();
+    let reuseDetected = null;
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        'SELECT * FROM user_sessions WHERE token_hash = ? FOR UPDATE',
+        [tokenHash]
+      );
+
+      if (rows.length === 0) {
+        throw new AuthenticationError('Token de refresco inválido');
+      }
+
+      const session = rows[0];
+
+      if (session.revoked_at) {
+        throw new AuthenticationError('La sesión ha sido cerrada');
+      }
+
+      if (session.rotated_at) {
+        // Reutilización de un token ya rotado: cerrar toda la sesión
+        await this.revokeFamily(session.family_id, SESSION_REVOKE_REASONS.REUSE_DETECTED, connection);
+        await connection.commit();
+        reuseDetected = session;
+        throw new AuthenticationError('Token de refresco reutilizado; la sesión ha sido cerrada');
+      }
+
+      if (new Date(session.expires_at) <= new Date()) {
+        throw new AuthenticationError('La sesión ha expirado');
+      }
+
+      const newToken = generateToken();
+      const expiresAt = getExpiryDate();
+
+      await connection.query(
+        'UPDATE user_sessions SET rotated_at = NOW(), last_used_at = NOW() WHERE id = ?',
+        [session.id]
+      );
+
+      await connection.query(
+        `INSERT INTO user_sessions
+         (user_id, family_id, token_hash, user_agent, ip_address, device_name, last_used_at, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, NOW(), ?)`,
+        [
+          session.user_id,
+          session.family_id,
+          hashToken(newToken),
+          context.userAgent ? context.userAgent.substring(0, 255) : session.user_agent,
+          context.ipAddress || session.ip_address,
+          session.device_name,
+          expiresAt
+        ]
+      );
+
+      await connection.commit();
+
+      return {
+        userId: session.user_id,
+        refreshToken: newToken,
+        sessionId: session.family_id,
+        expiresAt
+      };
+    } catch (error) {
+      if (!reuseDetected) {
+        await connection.rollback();
+      }
+
+      if (error instanceof AuthenticationError) {
+        if (reuseDetected) {
+          logger.warn('Refresh token reuse detected, session revoked', {
+            userId: reuseDetected.user_id,
+            sessionId: reuseDetected.family_id,
+            ipAddress: context.ipAddress
+          });
+        }
+        throw error;
+      }
+
+      console.error('Error rotating refresh token:', error);
+      throw new DatabaseError('Error al renovar la sesión');
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Revocar todos los tokens de una sesión
+  static async revokeFamily(familyId, reason, connection = mysqlPool) {
+    const [result] = await connection.query(
+      `UPDATE user_sessions
+       SET revoked_at = NOW(), revoked_reason = ?
+       WHERE family_id = ? AND revoked_at IS NULL`,
+      [reason, familyId]
+    );
+
+    return result.affectedRows;
+  }
+
+  // Revocar la sesión a la que pertenece un token de refresco (cierre de sesión)
+  static async revokeByToken(refreshToken, reason = SESSION_REVOKE_REASONS.LOGOUT) {
+    const [rows] = await mysqlPool.query(
+      'SELECT family_id, user_id FROM user_sessions WHERE token_hash = ?',
+      [hashToken(refreshToken)]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    await this.revokeFamily(rows[0].family_id, reason);
+    return rows[0];
+  }
+
+  // Revocar todas las sesiones de un usuario, opcionalmente excepto una
+  static async revokeAllForUser(userId, reason, { exceptSessionId = null } = {}, connection = mysqlPool) {
+    let query = `UPDATE user_sessions
+       SET revoked_at = NOW(), revoked_reason = ?
+       WHERE user_id = ? AND revoked_at IS NULL`;
+    const params = [reason, userId];
+
+    if (exceptSessionId) {
+      query += ' AND family_id != ?';
+      params.push(exceptSessionId);
+    }
+
+    const [result] = await connection.query(query, params);
+    return result.affectedRows;
+  }
+
+  /**
+   * Revocar un token de acceso concreto (por su jti) hasta que expire
+   * @param {Object} token - Token decodificado ({ jti, id, exp })
+   * @param {string} reason - Motivo de la revocación
+   */
+  static async revokeAccessToken(token, reason = SESSION_REVOKE_REASONS.LOGOUT) {
+    if (!token || !token.jti) {
+      return false;
+    }
+
+    const expiresAt = token.exp ? new Date(token.exp * 1000) : getExpiryDate();
+
+    await mysqlPool.query(
+      `INSERT IGNORE INTO revoked_tokens (jti, user_id, reason, expires_at)
+       VALUES (?, ?, ?, ?)`,
+      [token.jti, token.id || null, reason, expiresAt]
+    );
+
+    return true;
+  }
+
+  /**
+   * Invalidar todos los tokens emitidos hasta ahora para un usuario:
+   * los de acceso (por fecha de emisión) y los de refresco (cerrando sus sesiones)
+   * @param {number} userId - ID del usuario
+   * @param {string} reason - Motivo (cambio de contraseña, reseteo, suspensión)
+   * @param {Object} connection - Conexión MySQL (para participar en transacciones)
+   */
+  static async invalidateAllTokens(userId, reason, connection = mysqlPool) {
+    await connection.query(
+      'UPDATE users SET tokens_valid_after = NOW() WHERE id = ?',
+      [userId]
+    );
+
+    return this.revokeAllForUser(userId, reason, {}, connection);
+  }
+
+  // Eliminar de la lista de revocados los tokens que ya expiraron
+  static async purgeExpiredRevocations() {
+    const [result] = await mysqlPool.query(
+      'DELETE FROM revoked_tokens WHERE expires_at < NOW()'
+    );
+
+    return result.affectedRows;
+  }
+
+  /**
+   * Listar las sesiones activas de un usuario (una por dispositivo)
+   * @param {number} userId - ID del usuario
+   * @param {string} currentSessionId - Sesión de la petición actual, para marcarla
+   */
+  static async listForUser(userId, currentSessionId = null) {
+    try {
+      const [sessions] = await mysqlPool.query(
+        `SELECT s.family_id, s.device_name, s.user_agent, s.ip_address, s.last_used_at, s.expires_at,
+                (SELECT MIN(created_at) FROM user_sessions f WHERE f.family_id = s.family_id) AS created_at
+         FROM user_sessions s
+         WHERE s.user_id = ?
+           AND s.revoked_at IS NULL
+           AND s.rotated_at IS NULL
+           AND s.expires_at > NOW()
+         ORDER BY s.last_used_at DESC`,
+        [userId]
+      );
+
+      return sessions.map(session => ({
+        id: session.family_id,
+        device_name: session.device_name,
+        user_agent: session.user_agent,
+        ip_address: session.ip_address,
+        created_at: session.created_at,
+        last_used_at: session.last_used_at,
+        expires_at: session.expires_at,
+        current: session.family_id === currentSessionId
+      }));
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      throw new DatabaseError('Error al obtener las sesiones');
+    }
+  }
+
+  // Revocar una sesión concreta del usuario
+  static async revokeForUser(userId, sessionId) {
+    const [result] = await mysqlPool.query(
+      `UPDATE user_sessions
+       SET revoked_at = NOW(), revoked_reason = ?
+       WHERE user_id = ? AND family_id = ? AND revoked_at IS NULL`,
+      [SESSION_REVOKE_REASONS.USER_REVOKED, userId, sessionId]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new NotFoundError('Sesión no encontrada');
+    }
+
+    return true;
+  }
+}
+
+export default SessionService;
@@ -11,6 +11,13 @@ import {
 
 // Importar el modelo User
 import { User } from '../models/mysql/user.model.js';
+import { propertyColumns } from '../models/mysql/property.model.js';
+import { USER_ROLES, USER_STATUS } from '../config/constants.js';
+import { SessionService, SESSION_REVOKE_REASONS } from './session.service.js';
+
+// Campos que no se pueden modificar desde la actualización general del usuario
+// (el rol y el estado solo se cambian desde las operaciones de administración)
+const PROTECTED_USER_FIELDS = ['id', 'created_at', 'updated_at', 'password', 'role', 'status'];
 
 export class UserService {
   static async createUser(userData) {
@@ -81,25 +88,53 @@ export class UserService {
     }
   }
 
-  static async getUsers(filters = {}) {
+  static async getUsers(filters = {}, pagination = { page: 1, limit: 20 }) {
     const connection = await mysqlPool.getConnection();
     try {
-      let query = 'SELECT * FROM users WHERE 1=1';
+      let whereClause = ' WHERE 1=1';
       const params = [];
 
       // Filtro por estado
       if (filters.status) {
-        const validStatuses = ['active', 'inactive', 'banned'];
+        const validStatuses = Object.values(USER_STATUS);
         if (!validStatuses.includes(filters.status)) {
           throw new ValidationError('Estado no válido');
         }
-        query += ' AND status = ?';
+        whereClause += ' AND status = ?';
         params.push(filters.status);
       }
 
+      // Filtro por rol
+      if (filters.role) {
+        const validRoles = Object.values(USER_ROLES);
+        if (!validRoles.includes(filters.role)) {
+          throw new ValidationError('Rol no válido');
+        }
+        whereClause += ' AND role = ?';
+        params.push(filters.role);
+      }
+
+      // Filtro por fecha de registro
+      if (filters.createdFrom) {
+        if (isNaN(Date.parse(filters.createdFrom))) {
+          throw new ValidationError('Fecha de inicio no válida');
+        }
+        whereClause += ' AND created_at >= ?';
+        params.push(filters.createdFrom);
+      }
+
+      if (filters.createdTo) {
+        if (isNaN(Date.parse(filters.createdTo))) {
+          throw new ValidationError('Fecha de fin no válida');
+        }
+        // Incluir todo el día indicado
+        whereClause += ' AND created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+        params.push(filters.createdTo);
+      }
+
       // Búsqueda por términos
       if (filters.search) {
-        query += ` AND (
+        whereClause += ` AND (
           first_name LIKE ? OR 
           last_name LIKE ? OR 
           email LIKE ? OR 
@@ -109,15 +144,33 @@ export class UserService {
         params.push(searchTerm, searchTerm, searchTerm, searchTerm);
       }
 
-      query += ' ORDER BY created_at DESC';
+      const page = Math.max(parseInt(pagination.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(pagination.limit) || 20, 1), 100);
+      const offset = (page - 1) * limit;
+
+      const [users] = await connection.query(
+        `SELECT * FROM users${whereClause} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const [countResult] = await connection.query(
+        `SELECT COUNT(*) as total FROM users${whereClause}`,
+        params
+      );
 
-      const [users] = await connection.query(query, params);
+      const total = countResult[0].total || 0;
 
       // Remover datos sensibles
-      return users.map(user => {
-        const { password, ...userWithoutPassword } = user;
-        return userWithoutPassword;
-      });
+      return {
+        users: users.map(user => {
+          const { password, ...userWithoutPassword } = user;
+          return userWithoutPassword;
+        }),
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      };
     } catch (error) {
       console.error('Error getting users:', error);
       if (error instanceof ValidationError) {
@@ -247,7 +300,7 @@ static async getHostAdditionalData(userId) {
     };
   }
 }
-  static async updateUser(id, userData, requestUserId) {
+  static async updateUser(id, userData, requestUserId, requestUserRole) {
     if (!id) {
       throw new ValidationError('ID de usuario es requerido');
     }
@@ -264,15 +317,11 @@ static async getHostAdditionalData(userId) {
         throw new NotFoundError('Usuario no encontrado');
       }
 
-      // Verificar autorización - solo el mismo usuario puede actualizarse
-      // Para casos de prueba, vamos a permitir la actualización sin verificar
-      // En producción, descomentar la siguiente validación:
-      /*
+      // Verificar autorización - solo el mismo usuario o un administrador
       const isSameUser = parseInt(id) === parseInt(requestUserId);
-      if (!isSameUser) {
+      if (!isSameUser && requestUserRole !== USER_ROLES.ADMIN) {
         throw new AuthorizationError('No autorizado para actualizar este usuario');
       }
-      */
 
       // Validar email si se va a actualizar
       if (userData.email) {
@@ -297,11 +346,7 @@ static async getHostAdditionalData(userId) {
       const updateValues = [];
       
       Object.entries(userData).forEach(([key, value]) => {
-        if (value !== undefined && 
-            key !== 'id' && 
-            key !== 'created_at' && 
-            key !== 'updated_at' &&
-            key !== 'password') {
+        if (value !== undefined && !PROTECTED_USER_FIELDS.includes(key)) {
           updateFields.push(`${key} = ?`);
           updateValues.push(value);
         }
@@ -326,6 +371,8 @@ static async getHostAdditionalData(userId) {
           `UPDATE auth_credentials SET password = ? WHERE user_id = ?`,
           [hashedPassword, id]
         );
+
+        await SessionService.invalidateAllTokens(id, SESSION_REVOKE_REASONS.PASSWORD_CHANGED, connection);
       }
 
       return result.affectedRows > 0;
@@ -343,17 +390,17 @@ static async getHostAdditionalData(userId) {
     }
   }
 
-  static async deleteUser(id, requestUserId) {
+  static async deleteUser(id, requestUserId, requestUserRole) {
     if (!id) {
       throw new ValidationError('ID de usuario es requerido');
     }
 
     const connection = await mysqlPool.getConnection();
     try {
-      // Verificar autorización - solo el mismo usuario puede eliminarse
+      // Verificar autorización - solo el mismo usuario o un administrador
       const isSameUser = parseInt(id) === parseInt(requestUserId);
 
-      if (!isSameUser) {
+      if (!isSameUser && requestUserRole !== USER_ROLES.ADMIN) {
         throw new AuthorizationError('No autorizado para eliminar este usuario');
       }
 
@@ -387,6 +434,37 @@ static async getHostAdditionalData(userId) {
     }
   }
 
+  // Cambiar el rol de un usuario (solo administración)
+  static async updateRole(id, role, requestUserId) {
+    if (!id) {
+      throw new ValidationError('ID de usuario es requerido');
+    }
+
+    const validRoles = Object.values(USER_ROLES);
+    if (!validRoles.includes(role)) {
+      throw new ValidationError(`Rol inválido. Valores permitidos: ${validRoles.join(', ')}`);
+    }
+
+    // Evitar que un administrador se quite a sí mismo el acceso
+    if (parseInt(id) === parseInt(requestUserId) && role !== USER_ROLES.ADMIN) {
+      throw new ValidationError('No puedes cambiar tu propio rol de administrador');
+    }
+
+    const [result] = await mysqlPool.query(
+      'UPDATE users SET role = ?, updated_at = NOW() WHERE id = ?',
+      [role, id]
+    ).catch(error => {
+      console.error('Error updating user role:', error);
+      throw new DatabaseError('Error al actualizar el rol del usuario');
+    });
+
+    if (result.affectedRows === 0) {
+      throw new NotFoundError('Usuario no encontrado');
+    }
+
+    return true;
+  }
+
   static async updatePassword(userId, currentPassword, newPassword) {
     if (!userId || !currentPassword || !newPassword) {
       throw new ValidationError('ID de usuario, contraseña actual y nueva contraseña son requeridos');
@@ -423,6 +501,9 @@ static async getHostAdditionalData(userId) {
         [hashedPassword, userId]
       );
 
+      // Invalidar los tokens y sesiones existentes
+      await SessionService.invalidateAllTokens(userId, SESSION_REVOKE_REASONS.PASSWORD_CHANGED, connection);
+
       return true;
     } catch (error) {
       console.error('Error updating password:', error);
@@ -444,7 +525,7 @@ static async getHostAdditionalData(userId) {
     const connection = await mysqlPool.getConnection();
     try {
       const [favorites] = await connection.query(
-        `SELECT p.* FROM properties p
+        `SELECT ${propertyColumns('p')} FROM properties p
          JOIN favorites f ON p.id = f.property_id
          WHERE f.user_id = ?`,
         [userId]
@@ -0,0 +1,40 @@
+// src/templates/email/booking-access.js
+// Datos: { firstName, referenceCode, propertyTitle, checkIn, checkOut, guests,
+//          totalPrice, currency, accessUrl }
+
+export default {
+  es: (data, format) => ({
+    subject: `Recibimos tu reserva en ${data.propertyTitle}`,
+    heading: 'Tu reserva está registrada',
+    paragraphs: [
+      `Hola ${data.firstName}, recibimos tu reserva en ${data.propertyTitle}.`,
+      'Con el enlace de abajo puedes consultarla en cualquier momento. También puedes buscarla con el código de referencia y tu email.',
+      'Si creas una cuenta con este mismo email, podrás añadir la reserva a tu cuenta.'
+    ],
+    details: [
+      ['Código', data.referenceCode],
+      ['Llegada', format.date(data.checkIn)],
+      ['Salida', format.date(data.checkOut)],
+      ['Huéspedes', data.guests],
+      ['Total', format.currency(data.totalPrice, data.currency)]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== ''),
+    action: { label: 'Ver mi reserva', url: data.accessUrl }
+  }),
+  en: (data, format) => ({
+    subject: `We received your booking at ${data.propertyTitle}`,
+    heading: 'Your booking is registered',
+    paragraphs: [
+      `Hi ${data.firstName}, we received your booking at ${data.propertyTitle}.`,
+      'Use the link below to view it at any time. You can also look it up with the reference code and your email.',
+      'If you sign up with this same email, you can add the booking to your account.'
+    ],
+    details: [
+      ['Code', data.referenceCode],
+      ['Check-in', format.date(data.checkIn)],
+      ['Check-out', format.date(data.checkOut)],
+      ['Guests', data.guests],
+      ['Total', format.currency(data.totalPrice, data.currency)]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== ''),
+    action: { label: 'View my booking', url: data.accessUrl }
+  })
+};
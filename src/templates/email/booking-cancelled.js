@@ -0,0 +1,35 @@
+// src/templates/email/booking-cancelled.js
+// Datos: { firstName, bookingId, propertyTitle, checkIn, checkOut, reason, refundAmount, currency }
+
+export default {
+  es: (data, format) => ({
+    subject: `Reserva cancelada: ${data.propertyTitle}`,
+    heading: 'Tu reserva fue cancelada',
+    paragraphs: [
+      `Hola ${data.firstName}, la reserva #${data.bookingId} en ${data.propertyTitle} fue cancelada.`,
+      data.refundAmount > 0
+        ? `Se reembolsarán ${format.currency(data.refundAmount, data.currency)} a tu método de pago.`
+        : 'Esta cancelación no genera reembolso.'
+    ],
+    details: [
+      ['Llegada', format.date(data.checkIn)],
+      ['Salida', format.date(data.checkOut)],
+      ['Motivo', data.reason]
+    ].filter(([, value]) => value)
+  }),
+  en: (data, format) => ({
+    subject: `Booking cancelled: ${data.propertyTitle}`,
+    heading: 'Your booking was cancelled',
+    paragraphs: [
+      `Hi ${data.firstName}, booking #${data.bookingId} at ${data.propertyTitle} was cancelled.`,
+      data.refundAmount > 0
+        ? `${format.currency(data.refundAmount, data.currency)} will be refunded to your payment method.`
+        : 'This cancellation is not eligible for a refund.'
+    ],
+    details: [
+      ['Check-in', format.date(data.checkIn)],
+      ['Check-out', format.date(data.checkOut)],
+      ['Reason', data.reason]
+    ].filter(([, value]) => value)
+  })
+};
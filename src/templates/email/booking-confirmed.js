@@ -0,0 +1,38 @@
+// src/templates/email/booking-confirmed.js
+// Datos: { firstName, bookingId, propertyTitle, propertyAddress, checkIn, checkOut,
+//          guests, totalPrice, currency, bookingUrl }
+
+export default {
+  es: (data, format) => ({
+    subject: `Reserva confirmada: ${data.propertyTitle}`,
+    heading: '¡Tu reserva está confirmada!',
+    paragraphs: [
+      `Hola ${data.firstName}, tu estadía en ${data.propertyTitle} está confirmada.`
+    ],
+    details: [
+      ['Reserva', `#${data.bookingId}`],
+      ['Dirección', data.propertyAddress],
+      ['Llegada', format.date(data.checkIn)],
+      ['Salida', format.date(data.checkOut)],
+      ['Huéspedes', data.guests],
+      ['Total', format.currency(data.totalPrice, data.currency)]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== ''),
+    action: data.bookingUrl ? { label: 'Ver mi reserva', url: data.bookingUrl } : null
+  }),
+  en: (data, format) => ({
+    subject: `Booking confirmed: ${data.propertyTitle}`,
+    heading: 'Your booking is confirmed!',
+    paragraphs: [
+      `Hi ${data.firstName}, your stay at ${data.propertyTitle} is confirmed.`
+    ],
+    details: [
+      ['Booking', `#${data.bookingId}`],
+      ['Address', data.propertyAddress],
+      ['Check-in', format.date(data.checkIn)],
+      ['Check-out', format.date(data.checkOut)],
+      ['Guests', data.guests],
+      ['Total', format.currency(data.totalPrice, data.currency)]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== ''),
+    action: data.bookingUrl ? { label: 'View my booking', url: data.bookingUrl } : null
+  })
+};
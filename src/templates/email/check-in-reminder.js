@@ -0,0 +1,38 @@
+// src/templates/email/check-in-reminder.js
+// Datos: { firstName, bookingId, propertyTitle, propertyAddress, checkIn, checkOut,
+//          guests, bookingUrl }
+
+export default {
+  es: (data, format) => ({
+    subject: `Tu llegada a ${data.propertyTitle} se acerca`,
+    heading: '¡Ya casi es hora de tu viaje!',
+    paragraphs: [
+      `Hola ${data.firstName}, te recordamos que tu estadía en ${data.propertyTitle} comienza el ${format.date(data.checkIn)}.`,
+      'Si tienes preguntas sobre la llegada, escríbele al anfitrión desde la reserva.'
+    ],
+    details: [
+      ['Reserva', `#${data.bookingId}`],
+      ['Dirección', data.propertyAddress],
+      ['Llegada', format.date(data.checkIn)],
+      ['Salida', format.date(data.checkOut)],
+      ['Huéspedes', data.guests]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== ''),
+    action: data.bookingUrl ? { label: 'Ver mi reserva', url: data.bookingUrl } : null
+  }),
+  en: (data, format) => ({
+    subject: `Your stay at ${data.propertyTitle} is coming up`,
+    heading: 'Your trip is almost here!',
+    paragraphs: [
+      `Hi ${data.firstName}, this is a reminder that your stay at ${data.propertyTitle} starts on ${format.date(data.checkIn)}.`,
+      'If you have questions about your arrival, message the host from your booking.'
+    ],
+    details: [
+      ['Booking', `#${data.bookingId}`],
+      ['Address', data.propertyAddress],
+      ['Check-in', format.date(data.checkIn)],
+      ['Check-out', format.date(data.checkOut)],
+      ['Guests', data.guests]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== ''),
+    action: data.bookingUrl ? { label: 'View my booking', url: data.bookingUrl } : null
+  })
+};
@@ -0,0 +1,67 @@
+// src/templates/email/index.js
+// Registro de plantillas de email disponibles
+import { renderEmail } from './layout.js';
+import { formatCurrency, formatDate } from '../../utils/formatters.js';
+import welcome from './welcome.js';
+import verification from './verification.js';
+import passwordReset from './password-reset.js';
+import bookingConfirmed from './booking-confirmed.js';
+import bookingCancelled from './booking-cancelled.js';
+import paymentReceipt from './payment-receipt.js';
+import refundIssued from './refund-issued.js';
+import newMessage from './new-message.js';
+import checkInReminder from './check-in-reminder.js';
+import reviewRequest from './review-request.js';
+import bookingAccess from './booking-access.js';
+
+export const EMAIL_TEMPLATES = {
+  WELCOME: 'welcome',
+  VERIFICATION: 'verification',
+  PASSWORD_RESET: 'password-reset',
+  BOOKING_CONFIRMED: 'booking-confirmed',
+  BOOKING_CANCELLED: 'booking-cancelled',
+  PAYMENT_RECEIPT: 'payment-receipt',
+  REFUND_ISSUED: 'refund-issued',
+  NEW_MESSAGE: 'new-message',
+  CHECK_IN_REMINDER: 'check-in-reminder',
+  REVIEW_REQUEST: 'review-request',
+  BOOKING_ACCESS: 'booking-access'
+};
+
+export const SUPPORTED_LANGUAGES = ['es', 'en'];
+
+const templates = {
+  [EMAIL_TEMPLATES.WELCOME]: welcome,
+  [EMAIL_TEMPLATES.VERIFICATION]: verification,
+  [EMAIL_TEMPLATES.PASSWORD_RESET]: passwordReset,
+  [EMAIL_TEMPLATES.BOOKING_CONFIRMED]: bookingConfirmed,
+  [EMAIL_TEMPLATES.BOOKING_CANCELLED]: bookingCancelled,
+  [EMAIL_TEMPLATES.PAYMENT_RECEIPT]: paymentReceipt,
+  [EMAIL_TEMPLATES.REFUND_ISSUED]: refundIssued,
+  [EMAIL_TEMPLATES.NEW_MESSAGE]: newMessage,
+  [EMAIL_TEMPLATES.CHECK_IN_REMINDER]: checkInReminder,
+  [EMAIL_TEMPLATES.REVIEW_REQUEST]: reviewRequest,
+  [EMAIL_TEMPLATES.BOOKING_ACCESS]: bookingAccess
+};
+
+/**
+ * Renderizar una plantilla en el idioma indicado (español por defecto)
+ * @param {string} name - Nombre de la plantilla (ver EMAIL_TEMPLATES)
+ * @param {Object} data - Datos de la plantilla
+ * @param {string} lang - es | en
+ * @returns {Object} - { subject, html, text }
+ */
+export const renderTemplate = (name, data = {}, lang = 'es') => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Plantilla de email desconocida: ${name}`);
+  }
+
+  const language = SUPPORTED_LANGUAGES.includes(lang) ? lang : 'es';
+  const format = {
+    currency: (amount, currency) => formatCurrency(amount, currency || 'HNL', language),
+    date: (date) => formatDate(date, language)
+  };
+
+  return renderEmail(template[language](data, format), language);
+};
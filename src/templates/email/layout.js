@@ -0,0 +1,93 @@
+// src/templates/email/layout.js
+// Convierte el contenido estructurado de una plantilla en HTML y texto plano
+import { escapeHtml } from '../../utils/formatters.js';
+
+const FOOTER = {
+  es: 'Recibes este correo porque tienes una cuenta en OASIS.',
+  en: 'You are receiving this email because you have an OASIS account.'
+};
+
+const renderHtml = (content, lang) => {
+  const paragraphs = (content.paragraphs || [])
+    .map(paragraph => `<p style="margin:0 0 16px;">${escapeHtml(paragraph)}</p>`)
+    .join('\n');
+
+  const details = content.details && content.details.length > 0
+    ? `<table role="presentation" style="width:100%;border-collapse:collapse;margin:0 0 16px;">
+        ${content.details.map(([label, value]) => `
+        <tr>
+          <td style="padding:6px 0;color:#6b7280;">${escapeHtml(label)}</td>
+          <td style="padding:6px 0;text-align:right;font-weight:600;">${escapeHtml(value)}</td>
+        </tr>`).join('')}
+      </table>`
+    : '';
+
+  const action = content.action
+    ? `<p style="margin:24px 0;text-align:center;">
+        <a href="${escapeHtml(content.action.url)}"
+           style="background:#0f766e;color:#ffffff;padding:12px 24px;border-radius:6px;text-decoration:none;display:inline-block;">
+          ${escapeHtml(content.action.label)}
+        </a>
+      </p>`
+    : '';
+
+  const note = content.note
+    ? `<p style="margin:0 0 16px;color:#6b7280;font-size:13px;">${escapeHtml(content.note)}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(content.subject)}</title>
+  </head>
+  <body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+    <div style="max-width:600px;margin:0 auto;padding:24px;">
+      <div style="background:#ffffff;border-radius:8px;padding:32px;">
+        <h1 style="margin:0 0 24px;font-size:22px;color:#0f766e;">${escapeHtml(content.heading || content.subject)}</h1>
+        ${paragraphs}
+        ${details}
+        ${action}
+        ${note}
+      </div>
+      <p style="text-align:center;color:#9ca3af;font-size:12px;margin-top:16px;">${escapeHtml(FOOTER[lang] || FOOTER.es)}</p>
+    </div>
+  </body>
+</html>`;
+};
+
+const renderText = (content, lang) => {
+  const lines = [content.heading || content.subject, ''];
+
+  (content.paragraphs || []).forEach(paragraph => {
+    lines.push(paragraph, '');
+  });
+
+  if (content.details && content.details.length > 0) {
+    content.details.forEach(([label, value]) => lines.push(`${label}: ${value}`));
+    lines.push('');
+  }
+
+  if (content.action) {
+    lines.push(`${content.action.label}: ${content.action.url}`, '');
+  }
+
+  if (content.note) {
+    lines.push(content.note, '');
+  }
+
+  lines.push('--', FOOTER[lang] || FOOTER.es);
+  return lines.join('\n');
+};
+
+/**
+ * Renderizar una plantilla
+ * @param {Object} content - { subject, heading, paragraphs, details, action, note }
+ * @param {string} lang - es | en
+ * @returns {Object} - { subject, html, text }
+ */
+export const renderEmail = (content, lang) => ({
+  subject: content.subject,
+  html: renderHtml(content, lang),
+  text: renderText(content, lang)
+});
@@ -0,0 +1,23 @@
+// src/templates/email/new-message.js
+// Datos: { firstName, senderName, preview, conversationUrl }
+
+export default {
+  es: (data) => ({
+    subject: `Nuevo mensaje de ${data.senderName}`,
+    heading: `Tienes un mensaje nuevo`,
+    paragraphs: [
+      `Hola ${data.firstName}, ${data.senderName} te escribió:`,
+      `"${data.preview}"`
+    ],
+    action: { label: 'Responder', url: data.conversationUrl }
+  }),
+  en: (data) => ({
+    subject: `New message from ${data.senderName}`,
+    heading: 'You have a new message',
+    paragraphs: [
+      `Hi ${data.firstName}, ${data.senderName} wrote:`,
+      `"${data.preview}"`
+    ],
+    action: { label: 'Reply', url: data.conversationUrl }
+  })
+};
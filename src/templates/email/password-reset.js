@@ -0,0 +1,25 @@
+// src/templates/email/password-reset.js
+// Datos: { firstName, resetUrl, expiresIn }
+
+export default {
+  es: (data) => ({
+    subject: 'Restablece tu contraseña de OASIS',
+    heading: `Hola ${data.firstName}`,
+    paragraphs: [
+      'Recibimos una solicitud para restablecer la contraseña de tu cuenta.',
+      'El enlace solo puede usarse una vez.'
+    ],
+    action: { label: 'Restablecer contraseña', url: data.resetUrl },
+    note: `El enlace vence en ${data.expiresIn}. Si no solicitaste el cambio, ignora este mensaje; tu contraseña no cambiará.`
+  }),
+  en: (data) => ({
+    subject: 'Reset your OASIS password',
+    heading: `Hi ${data.firstName}`,
+    paragraphs: [
+      'We received a request to reset your account password.',
+      'The link can only be used once.'
+    ],
+    action: { label: 'Reset password', url: data.resetUrl },
+    note: `This link expires in ${data.expiresIn}. If you did not request this, ignore this message; your password will not change.`
+  })
+};
@@ -0,0 +1,36 @@
+// src/templates/email/payment-receipt.js
+// Datos: { firstName, paymentId, bookingId, propertyTitle, amount, currency,
+//          paymentMethod, paidAt, transactionId }
+
+export default {
+  es: (data, format) => ({
+    subject: `Recibo de pago #${data.paymentId}`,
+    heading: 'Recibimos tu pago',
+    paragraphs: [
+      `Hola ${data.firstName}, este es el recibo de tu pago${data.propertyTitle ? ` por ${data.propertyTitle}` : ''}.`
+    ],
+    details: [
+      ['Pago', `#${data.paymentId}`],
+      ['Reserva', data.bookingId ? `#${data.bookingId}` : null],
+      ['Fecha', format.date(data.paidAt)],
+      ['Método', data.paymentMethod],
+      ['Referencia', data.transactionId],
+      ['Monto', format.currency(data.amount, data.currency)]
+    ].filter(([, value]) => value)
+  }),
+  en: (data, format) => ({
+    subject: `Payment receipt #${data.paymentId}`,
+    heading: 'We received your payment',
+    paragraphs: [
+      `Hi ${data.firstName}, here is the receipt for your payment${data.propertyTitle ? ` for ${data.propertyTitle}` : ''}.`
+    ],
+    details: [
+      ['Payment', `#${data.paymentId}`],
+      ['Booking', data.bookingId ? `#${data.bookingId}` : null],
+      ['Date', format.date(data.paidAt)],
+      ['Method', data.paymentMethod],
+      ['Reference', data.transactionId],
+      ['Amount', format.currency(data.amount, data.currency)]
+    ].filter(([, value]) => value)
+  })
+};
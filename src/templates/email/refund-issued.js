@@ -0,0 +1,31 @@
+// src/templates/email/refund-issued.js
+// Datos: { firstName, paymentId, bookingId, propertyTitle, amount, currency, refundedAt }
+
+export default {
+  es: (data, format) => ({
+    subject: `Reembolso emitido: ${format.currency(data.amount, data.currency)}`,
+    heading: 'Emitimos tu reembolso',
+    paragraphs: [
+      `Hola ${data.firstName}, emitimos un reembolso de ${format.currency(data.amount, data.currency)}${data.propertyTitle ? ` por tu reserva en ${data.propertyTitle}` : ''}.`,
+      'Dependiendo de tu banco, puede tardar entre 5 y 10 días hábiles en reflejarse.'
+    ],
+    details: [
+      ['Pago', `#${data.paymentId}`],
+      ['Reserva', data.bookingId ? `#${data.bookingId}` : null],
+      ['Fecha', format.date(data.refundedAt)]
+    ].filter(([, value]) => value)
+  }),
+  en: (data, format) => ({
+    subject: `Refund issued: ${format.currency(data.amount, data.currency)}`,
+    heading: 'Your refund has been issued',
+    paragraphs: [
+      `Hi ${data.firstName}, we issued a refund of ${format.currency(data.amount, data.currency)}${data.propertyTitle ? ` for your booking at ${data.propertyTitle}` : ''}.`,
+      'Depending on your bank, it may take 5 to 10 business days to appear.'
+    ],
+    details: [
+      ['Payment', `#${data.paymentId}`],
+      ['Booking', data.bookingId ? `#${data.bookingId}` : null],
+      ['Date', format.date(data.refundedAt)]
+    ].filter(([, value]) => value)
+  })
+};
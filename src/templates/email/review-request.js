@@ -0,0 +1,31 @@
+// src/templates/email/review-request.js
+// Datos: { firstName, bookingId, propertyTitle, checkOut, reviewUrl }
+
+export default {
+  es: (data, format) => ({
+    subject: `¿Qué tal tu estadía en ${data.propertyTitle}?`,
+    heading: 'Cuéntanos cómo te fue',
+    paragraphs: [
+      `Hola ${data.firstName}, esperamos que hayas disfrutado tu estadía en ${data.propertyTitle}.`,
+      'Tu reseña ayuda a otros viajeros y al anfitrión. Solo toma un minuto.'
+    ],
+    details: [
+      ['Reserva', `#${data.bookingId}`],
+      ['Salida', format.date(data.checkOut)]
+    ].filter(([, value]) => value),
+    action: data.reviewUrl ? { label: 'Escribir reseña', url: data.reviewUrl } : null
+  }),
+  en: (data, format) => ({
+    subject: `How was your stay at ${data.propertyTitle}?`,
+    heading: 'Tell us how it went',
+    paragraphs: [
+      `Hi ${data.firstName}, we hope you enjoyed your stay at ${data.propertyTitle}.`,
+      'Your review helps other travelers and the host. It only takes a minute.'
+    ],
+    details: [
+      ['Booking', `#${data.bookingId}`],
+      ['Check-out', format.date(data.checkOut)]
+    ].filter(([, value]) => value),
+    action: data.reviewUrl ? { label: 'Write a review', url: data.reviewUrl } : null
+  })
+};
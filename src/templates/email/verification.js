@@ -0,0 +1,25 @@
+// src/templates/email/verification.js
+// Datos: { firstName, verifyUrl, expiresIn }
+
+export default {
+  es: (data) => ({
+    subject: 'Verifica tu cuenta de OASIS',
+    heading: `Hola ${data.firstName}`,
+    paragraphs: [
+      'Gracias por registrarte en OASIS.',
+      'Para publicar propiedades y hacer reservas necesitas verificar tu email.'
+    ],
+    action: { label: 'Verificar mi email', url: data.verifyUrl },
+    note: `El enlace vence en ${data.expiresIn}. Si no creaste esta cuenta, ignora este mensaje.`
+  }),
+  en: (data) => ({
+    subject: 'Verify your OASIS account',
+    heading: `Hi ${data.firstName}`,
+    paragraphs: [
+      'Thanks for signing up for OASIS.',
+      'You need to verify your email before listing properties or making bookings.'
+    ],
+    action: { label: 'Verify my email', url: data.verifyUrl },
+    note: `This link expires in ${data.expiresIn}. If you did not create this account, ignore this message.`
+  })
+};
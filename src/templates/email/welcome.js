@@ -0,0 +1,23 @@
+// src/templates/email/welcome.js
+// Datos: { firstName, appUrl }
+
+export default {
+  es: (data) => ({
+    subject: 'Bienvenido a OASIS',
+    heading: `¡Bienvenido, ${data.firstName}!`,
+    paragraphs: [
+      'Tu cuenta de OASIS está lista.',
+      'Ya puedes publicar propiedades, reservar alojamientos y conversar con anfitriones y huéspedes.'
+    ],
+    action: { label: 'Ir a OASIS', url: data.appUrl }
+  }),
+  en: (data) => ({
+    subject: 'Welcome to OASIS',
+    heading: `Welcome, ${data.firstName}!`,
+    paragraphs: [
+      'Your OASIS account is ready.',
+      'You can now list properties, book stays and chat with hosts and guests.'
+    ],
+    action: { label: 'Go to OASIS', url: data.appUrl }
+  })
+};
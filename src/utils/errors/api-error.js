@@ -32,6 +32,28 @@ export class ConflictError extends BaseError {
   }
 }
 
+// La petición es válida pero no se puede procesar (p. ej. una Idempotency-Key reutilizada con otro cuerpo)
+export class UnprocessableEntityError extends BaseError {
+  constructor(message = 'No se puede procesar la solicitud') {
+    super(message, 422, 'UNPROCESSABLE_ENTITY');
+  }
+}
+
+export class TooManyRequestsError extends BaseError {
+  constructor(message = 'Demasiadas solicitudes', retryAfter = null) {
+    super(message, 429, 'TOO_MANY_REQUESTS');
+    this.retryAfter = retryAfter; // segundos
+  }
+}
+
+// El procesador de pagos falló o no respondió a tiempo (el resultado es desconocido)
+export class PaymentGatewayError extends BaseError {
+  constructor(message = 'Error en el procesador de pagos', { timeout = false } = {}) {
+    super(message, timeout ? 504 : 502, timeout ? 'PAYMENT_GATEWAY_TIMEOUT' : 'PAYMENT_GATEWAY_ERROR');
+    this.timeout = timeout;
+  }
+}
+
 export class DatabaseError extends BaseError {
   constructor(message = 'Error en la base de datos') {
     super(message, 500, 'DATABASE_ERROR', false);
@@ -14,6 +14,10 @@ export const errorMiddleware = (err, req, res, next) => {
   });
 
   if (err instanceof BaseError) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+
     return res.status(err.statusCode).json({
       status: 'error',
       errorCode: err.errorCode,
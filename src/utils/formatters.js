@@ -0,0 +1,45 @@
+// src/utils/formatters.js
+// Formato de fechas y montos para textos visibles al usuario (emails, notificaciones)
+
+const LOCALES = {
+  es: 'es-HN',
+  en: 'en-US'
+};
+
+const getLocale = (lang) => LOCALES[lang] || LOCALES.es;
+
+// Formatear un monto con su moneda (por defecto lempiras)
+export const formatCurrency = (amount, currency = 'HNL', lang = 'es') => {
+  const value = parseFloat(amount) || 0;
+  return new Intl.NumberFormat(getLocale(lang), {
+    style: 'currency',
+    currency
+  }).format(value);
+};
+
+// Formatear una fecha (acepta Date o 'YYYY-MM-DD')
+export const formatDate = (date, lang = 'es') => {
+  if (!date) return '';
+
+  // Las fechas sin hora se interpretan en UTC para que no cambien de día
+  const value = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+    ? new Date(`${date}T00:00:00Z`)
+    : new Date(date);
+
+  if (isNaN(value.getTime())) return String(date);
+
+  return new Intl.DateTimeFormat(getLocale(lang), {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  }).format(value);
+};
+
+// Escapar texto para insertarlo en HTML
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
@@ -0,0 +1,276 @@
+// src/utils/ical.js
+// Lectura y generación de calendarios iCalendar (RFC 5545) para sincronizar
+// noches ocupadas con otras plataformas. Solo se usan fechas (sin hora):
+// cada evento se reduce a un rango de noches [start, end).
+import crypto from 'crypto';
+
+// Zona horaria usada para pasar a fecha los eventos con hora en UTC
+const DEFAULT_TIME_ZONE = 'America/Tegucigalpa';
+
+const MAX_LINE_OCTETS = 75;
+
+// Sumar días a una fecha 'YYYY-MM-DD'
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().substring(0, 10);
+};
+
+// Fecha 'YYYY-MM-DD' de un instante en una zona horaria
+const dateInTimeZone = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+// Desplegar líneas continuadas (las que empiezan con espacio o tabulador)
+const unfold = (text) => text
+  .replace(/\r\n|\r/g, '\n')
+  .replace(/\n[ \t]/g, '');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Separar una línea de contenido en nombre, parámetros y valor
+ * p. ej. 'DTSTART;TZID="America/New_York":20260101T150000'
+ */
+const parseLine = (line) => {
+  let inQuotes = false;
+  let separator = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+
+  if (separator === -1) return null;
+
+  const [name, ...rawParams] = line.substring(0, separator).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.substring(separator + 1) };
+};
+
+/**
+ * Convertir un valor DATE o DATE-TIME a 'YYYY-MM-DD'
+ * Las horas locales (TZID o flotantes) conservan la fecha escrita; las horas
+ * en UTC se pasan a la zona horaria indicada.
+ * @returns {{ date: string, hasTime: boolean }|null}
+ */
+const parseDateValue = (value, timeZone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+
+  if (hours === undefined) {
+    return { date: `${year}-${month}-${day}`, hasTime: false };
+  }
+
+  if (utc) {
+    const instant = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds || 0));
+    return { date: dateInTimeZone(instant, timeZone), hasTime: true };
+  }
+
+  return { date: `${year}-${month}-${day}`, hasTime: true };
+};
+
+// Duraciones en días completos (P1D, P2W, P1DT12H cuenta como 1 día)
+const parseDurationDays = (value) => {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?/.exec(value.trim());
+  if (!match) return null;
+  return (parseInt(match[1] || 0) * 7) + parseInt(match[2] || 0);
+};
+
+/**
+ * Leer un calendario ICS
+ * @param {string} text - Contenido del archivo
+ * @param {Object} options - { timeZone }
+ * @returns {Array<Object>} - Eventos { uid, summary, description, status, start, end }
+ *   con `start` y `end` en 'YYYY-MM-DD' y `end` exclusivo (día de salida)
+ */
+export const parseICS = (text, { timeZone = DEFAULT_TIME_ZONE } = {}) => {
+  if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('El contenido no es un calendario iCalendar válido');
+  }
+
+  const events = [];
+  const stack = [];
+  let current = null;
+
+  for (const rawLine of unfold(text).split('\n')) {
+    const line = rawLine.trimEnd();
+    if (!line) continue;
+
+    const parsed = parseLine(line);
+    if (!parsed) continue;
+
+    const { name, value } = parsed;
+
+    if (name === 'BEGIN') {
+      stack.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT') {
+        current = {};
+      }
+      continue;
+    }
+
+    if (name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && current) {
+        events.push(current);
+        current = null;
+      }
+      continue;
+    }
+
+    // Propiedades de componentes anidados (VALARM) no pertenecen al evento
+    if (!current || stack[stack.length - 1] !== 'VEVENT') continue;
+
+    switch (name) {
+      case 'UID':
+        current.uid = value.trim();
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(value);
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(value);
+        break;
+      case 'STATUS':
+        current.status = value.trim().toUpperCase();
+        break;
+      case 'DTSTART':
+        current.dtstart = parseDateValue(value, timeZone);
+        break;
+      case 'DTEND':
+        current.dtend = parseDateValue(value, timeZone);
+        break;
+      case 'DURATION':
+        current.durationDays = parseDurationDays(value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return events
+    .filter(event => event.dtstart)
+    .map(event => {
+      const start = event.dtstart.date;
+      let end = null;
+
+      if (event.dtend) {
+        end = event.dtend.date;
+      } else if (event.durationDays) {
+        end = addDays(start, event.durationDays);
+      }
+
+      // Sin fin, o con hora dentro del mismo día: ocupa un solo día
+      if (!end || end <= start) {
+        end = addDays(start, 1);
+      }
+
+      return {
+        // Los eventos sin UID reciben uno estable para que reimportar no los duplique
+        uid: event.uid || `generated-${crypto
+          .createHash('sha1')
+          .update(`${start}|${end}|${event.summary || ''}`)
+          .digest('hex')}`,
+        summary: event.summary || null,
+        description: event.description || null,
+        status: event.status || 'CONFIRMED',
+        start,
+        end
+      };
+    });
+};
+
+// Formato DATE-TIME en UTC (p. ej. DTSTAMP)
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatDate = (dateKey) => dateKey.replace(/-/g, '');
+
+// Partir líneas de más de 75 octetos sin cortar caracteres multibyte
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let currentPart = '';
+  let currentBytes = 0;
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (currentBytes + bytes > limit) {
+      parts.push(currentPart);
+      currentPart = '';
+      currentBytes = 0;
+      limit = MAX_LINE_OCTETS - 1; // las continuaciones empiezan con un espacio
+    }
+    currentPart += char;
+    currentBytes += bytes;
+  }
+  parts.push(currentPart);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Generar un calendario ICS con eventos de día completo
+ * @param {Object} calendar - { prodId, name, events: [{ uid, start, end, summary, description }] }
+ *   con `start` y `end` en 'YYYY-MM-DD' y `end` exclusivo
+ * @returns {string}
+ */
+export const buildICS = ({ prodId = '-//OASIS//Calendario//ES', name = null, events = [], now = new Date() }) => {
+  const stamp = formatDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${prodId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+      `DTEND;VALUE=DATE:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary || '')}`
+    );
+
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+
+    lines.push('TRANSP:OPAQUE', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
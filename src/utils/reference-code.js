@@ -0,0 +1,23 @@
+// src/utils/reference-code.js
+// Códigos de referencia de reservas: aleatorios, sin caracteres ambiguos
+// (0/O, 1/I/L) y fáciles de dictar por teléfono
+import crypto from 'crypto';
+
+const ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+export const REFERENCE_CODE_LENGTH = 12;
+
+// 31^12 ≈ 2^59 combinaciones: no se pueden enumerar
+export const generateReferenceCode = () => Array.from(
+  { length: REFERENCE_CODE_LENGTH },
+  () => ALPHABET[crypto.randomInt(ALPHABET.length)]
+).join('');
+
+// Aceptar el código como lo escriba el huésped: minúsculas, espacios o guiones
+export const normalizeReferenceCode = (value) => String(value || '').toUpperCase().replace(/[\s-]/g, '');
+
+export const isReferenceCode = (value) => new RegExp(`^[${ALPHABET}]{${REFERENCE_CODE_LENGTH}}$`)
+  .test(normalizeReferenceCode(value));
+
+// Mostrar el código en grupos de cuatro: ABCD-EFGH-JKMN
+export const formatReferenceCode = (code) => (code ? code.match(/.{1,4}/g).join('-') : code);
@@ -1,6 +1,6 @@
 // tests/favorites.test.js
 import request from 'supertest';
-import app from '../src/server.js';
+import app from '../src/app.js';
 import { mysqlPool } from '../src/config/database.js';
 
 let authToken;
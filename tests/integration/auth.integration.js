@@ -0,0 +1,4 @@
+// tests/integration/auth.integration.js
+describe('Auth API', () => {
+  test.todo('integration tests');
+});
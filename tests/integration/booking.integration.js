@@ -0,0 +1,469 @@
+// tests/integration/booking.integration.js
+import request from 'supertest';
+import app from '../../src/app.js';
+import { mysqlPool } from '../../src/config/database.js';
+
+let authToken;
+let propertyId;
+
+// Fechas lejanas para no chocar con reservas reales ni con la regla de 48 horas
+const dateFromToday = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+const bookingPayload = (checkIn, checkOut) => ({
+  property_id: propertyId,
+  guest_name: 'Concurrency Test',
+  guest_email: 'test@example.com',
+  check_in_date: checkIn,
+  check_out_date: checkOut,
+  guests: 1,
+  total_price: 1000
+});
+
+const createBooking = (checkIn, checkOut) => request(app)
+  .post('/api/bookings')
+  .set('Authorization', `Bearer ${authToken}`)
+  .send(bookingPayload(checkIn, checkOut));
+
+beforeAll(async () => {
+  // Login to get auth token
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({
+      email: 'test@example.com',
+      password: 'password123'
+    });
+
+  authToken = response.body.data.accessToken;
+
+  // Create a test property
+  const propertyResponse = await request(app)
+    .post('/api/properties')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({
+      title: 'Booking Concurrency Property',
+      description: 'A property for testing concurrent bookings',
+      address: '123 Test St',
+      city: 'Test City',
+      state: 'Test State',
+      price: 100000,
+      property_type: 'house'
+    });
+
+  propertyId = propertyResponse.body.data.propertyId;
+});
+
+afterAll(async () => {
+  // Clean up - bookings and nights are removed with the property (ON DELETE CASCADE)
+  await mysqlPool.query('DELETE FROM properties WHERE id = ?', [propertyId]);
+
+  // Close database connection
+  await mysqlPool.end();
+});
+
+describe('Booking API - concurrent creation', () => {
+  test('Only one of several parallel requests for the same dates succeeds', async () => {
+    const checkIn = dateFromToday(400);
+    const checkOut = dateFromToday(403);
+
+    const responses = await Promise.all(
+      Array.from({ length: 8 }, () => createBooking(checkIn, checkOut))
+    );
+
+    const created = responses.filter(response => response.status === 201);
+    const conflicts = responses.filter(response => response.status === 409);
+
+    expect(created).toHaveLength(1);
+    expect(conflicts).toHaveLength(responses.length - 1);
+
+    const [nights] = await mysqlPool.query(
+      'SELECT COUNT(*) AS total FROM booking_nights WHERE property_id = ?',
+      [propertyId]
+    );
+    expect(nights[0].total).toBe(3);
+  });
+
+  test('Parallel requests for partially overlapping ranges never share a night', async () => {
+    const ranges = [
+      [dateFromToday(420), dateFromToday(425)],
+      [dateFromToday(423), dateFromToday(427)],
+      [dateFromToday(424), dateFromToday(430)]
+    ];
+
+    const responses = await Promise.all(ranges.map(([checkIn, checkOut]) => createBooking(checkIn, checkOut)));
+
+    expect(responses.every(response => [201, 409].includes(response.status))).toBe(true);
+    expect(responses.filter(response => response.status === 201).length).toBeGreaterThanOrEqual(1);
+
+    const [overlaps] = await mysqlPool.query(
+      `SELECT COUNT(*) AS total
+       FROM bookings a
+       JOIN bookings b ON a.property_id = b.property_id AND a.id < b.id
+       WHERE a.property_id = ?
+         AND a.status != 'cancelled' AND b.status != 'cancelled'
+         AND a.check_in_date < b.check_out_date AND b.check_in_date < a.check_out_date`,
+      [propertyId]
+    );
+    expect(overlaps[0].total).toBe(0);
+  });
+
+  test('A stay can start on the day another one ends', async () => {
+    const first = await createBooking(dateFromToday(440), dateFromToday(442));
+    const second = await createBooking(dateFromToday(442), dateFromToday(444));
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+  });
+
+  test('Cancelling a booking releases its nights', async () => {
+    const checkIn = dateFromToday(460);
+    const checkOut = dateFromToday(462);
+
+    const first = await createBooking(checkIn, checkOut);
+    expect(first.status).toBe(201);
+
+    const cancel = await request(app)
+      .patch(`/api/bookings/${first.body.data.bookingId}/cancel`)
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(cancel.status).toBe(200);
+
+    const second = await createBooking(checkIn, checkOut);
+    expect(second.status).toBe(201);
+  });
+});
+
+describe('Booking API - server-side pricing', () => {
+  test('The client-supplied total is ignored and the quote is stored', async () => {
+    const checkIn = dateFromToday(480);
+    const checkOut = dateFromToday(483);
+
+    const quote = await request(app)
+      .post(`/api/properties/${propertyId}/quote`)
+      .send({ check_in_date: checkIn, check_out_date: checkOut, guests: 1 });
+    expect(quote.status).toBe(200);
+    expect(quote.body.data.nights).toBe(3);
+
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ ...bookingPayload(checkIn, checkOut), total_price: 1 });
+    expect(response.status).toBe(201);
+    expect(response.body.data.totalPrice).toBe(quote.body.data.total);
+
+    const [bookings] = await mysqlPool.query(
+      'SELECT total_price, price_quote FROM bookings WHERE id = ?',
+      [response.body.data.bookingId]
+    );
+    expect(Number(bookings[0].total_price)).toBe(quote.body.data.total);
+    expect(bookings[0].price_quote.lines.length).toBeGreaterThan(0);
+  });
+});
+
+describe('Booking API - status transitions', () => {
+  test('Cancellation is recorded in the status history and is final', async () => {
+    const created = await createBooking(dateFromToday(500), dateFromToday(502));
+    expect(created.status).toBe(201);
+    const bookingId = created.body.data.bookingId;
+
+    const cancel = await request(app)
+      .patch(`/api/bookings/${bookingId}/cancel`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ reason: 'Change of plans' });
+    expect(cancel.status).toBe(200);
+
+    const reopen = await request(app)
+      .put(`/api/bookings/${bookingId}/status`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ status: 'confirmed' });
+    expect(reopen.status).toBe(409);
+
+    const history = await request(app)
+      .get(`/api/bookings/${bookingId}/history`)
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(history.status).toBe(200);
+    expect(history.body.data.map(entry => [entry.from_status, entry.to_status])).toEqual([
+      [null, 'pending'],
+      ['pending', 'cancelled']
+    ]);
+    expect(history.body.data[1].reason).toBe('Change of plans');
+  });
+});
+
+describe('Booking API - host dashboard', () => {
+  const getHostBookings = (query) => request(app)
+    .get('/api/bookings/host')
+    .query(query)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  test('Pages through filtered bookings with a cursor', async () => {
+    for (const offset of [600, 610, 620]) {
+      const created = await createBooking(dateFromToday(offset), dateFromToday(offset + 2));
+      expect(created.status).toBe(201);
+    }
+
+    const query = { property_id: propertyId, from: dateFromToday(600), sort: 'check_in', order: 'asc', limit: 2 };
+    const first = await getHostBookings(query);
+    expect(first.status).toBe(200);
+    expect(first.body.data.bookings).toHaveLength(2);
+    expect(first.body.data.has_more).toBe(true);
+    expect(first.body.data.summary.total).toBe(3);
+
+    const second = await getHostBookings({ ...query, cursor: first.body.data.next_cursor });
+    expect(second.body.data.bookings).toHaveLength(1);
+    expect(second.body.data.has_more).toBe(false);
+
+    const ids = [...first.body.data.bookings, ...second.body.data.bookings].map(booking => booking.id);
+    expect(new Set(ids).size).toBe(3);
+  });
+
+  test('Rejects unknown filters and malformed cursors', async () => {
+    expect((await getHostBookings({ status: 'archived' })).status).toBe(400);
+    expect((await getHostBookings({ cursor: 'not-a-cursor' })).status).toBe(400);
+  });
+});
+
+describe('Booking API - guest access by reference code', () => {
+  test('Returns a redacted view only with the matching code and email', async () => {
+    const created = await createBooking(dateFromToday(700), dateFromToday(702));
+    expect(created.status).toBe(201);
+    const { referenceCode } = created.body.data;
+    expect(referenceCode).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+
+    const lookup = await request(app)
+      .post('/api/bookings/lookup')
+      .send({ reference_code: referenceCode.toLowerCase(), email: 'TEST@example.com' });
+    expect(lookup.status).toBe(200);
+    expect(lookup.body.data.reference_code).toBe(referenceCode);
+    expect(lookup.body.data.guest_email).toBe('t***@example.com');
+    expect(lookup.body.data).not.toHaveProperty('guest_phone');
+    expect(lookup.body.data).not.toHaveProperty('id');
+
+    const wrongEmail = await request(app)
+      .post('/api/bookings/lookup')
+      .send({ reference_code: referenceCode, email: 'someone@example.com' });
+    expect(wrongEmail.status).toBe(404);
+  });
+
+  test('Bookings can no longer be read by numeric ID without a session', async () => {
+    const response = await request(app).get('/api/bookings/public/1');
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('Booking API - read access', () => {
+  const otherAccount = { first_name: 'Other', last_name: 'Account', email: `other-${Date.now()}@example.com`, password: 'password123' };
+
+  afterAll(async () => {
+    await mysqlPool.query('DELETE FROM users WHERE email = ?', [otherAccount.email]);
+  });
+
+  test('Only the guest, the host or an admin can read a booking by ID', async () => {
+    const created = await createBooking(dateFromToday(710), dateFromToday(712));
+    expect(created.status).toBe(201);
+    const { bookingId } = created.body.data;
+
+    const own = await request(app)
+      .get(`/api/bookings/${bookingId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(own.status).toBe(200);
+    expect(own.body.data).not.toHaveProperty('reference_code');
+    expect(own.body.data.property).not.toHaveProperty('ical_export_token');
+
+    await request(app).post('/api/auth/register').send(otherAccount);
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: otherAccount.email, password: otherAccount.password });
+
+    const other = await request(app)
+      .get(`/api/bookings/${bookingId}`)
+      .set('Authorization', `Bearer ${login.body.data.accessToken}`);
+    expect(other.status).toBe(404);
+  });
+});
+
+describe('Booking API - modification requests', () => {
+  test('A host-approved change moves the nights and re-prices the booking', async () => {
+    const created = await createBooking(dateFromToday(720), dateFromToday(722));
+    expect(created.status).toBe(201);
+    const bookingId = created.body.data.bookingId;
+
+    const requested = await request(app)
+      .post(`/api/bookings/${bookingId}/modifications`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ check_out_date: dateFromToday(723), reason: 'One more night' });
+    expect(requested.status).toBe(201);
+    expect(requested.body.data.status).toBe('pending');
+    expect(requested.body.data.original_check_out).toBe(dateFromToday(722));
+    expect(requested.body.data.price_difference).toBeGreaterThan(0);
+
+    const duplicate = await request(app)
+      .post(`/api/bookings/${bookingId}/modifications`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ guests: 2 });
+    expect(duplicate.status).toBe(409);
+
+    const approved = await request(app)
+      .post(`/api/bookings/${bookingId}/modifications/${requested.body.data.id}/approve`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ note: 'Enjoy' });
+    expect(approved.status).toBe(200);
+    expect(approved.body.data.status).toBe('approved');
+    expect(approved.body.data.settlement.voided_payment_ids).toHaveLength(1);
+    expect(approved.body.data.settlement.charge.amount).toBe(requested.body.data.new_total);
+
+    const [bookings] = await mysqlPool.query(
+      `SELECT DATE_FORMAT(check_out_date, '%Y-%m-%d') AS check_out, total_price FROM bookings WHERE id = ?`,
+      [bookingId]
+    );
+    expect(bookings[0].check_out).toBe(dateFromToday(723));
+    expect(Number(bookings[0].total_price)).toBe(requested.body.data.new_total);
+
+    // La noche añadida ya está ocupada
+    const overlapping = await createBooking(dateFromToday(722), dateFromToday(724));
+    expect(overlapping.status).toBe(409);
+  });
+});
+
+describe('Booking API - payments', () => {
+  const cardPayment = (bookingId, amount) => ({
+    booking_id: bookingId,
+    amount,
+    payment_method: 'credit_card',
+    details: { card_holder: 'Test Guest', card_number: '4242424242424242', card_expiry: '12/30' }
+  });
+
+  test('Only the owner pays the quoted balance and the booking is confirmed on capture', async () => {
+    const created = await createBooking(dateFromToday(740), dateFromToday(742));
+    expect(created.status).toBe(201);
+    const { bookingId, totalPrice } = created.body.data;
+
+    const anonymous = await request(app)
+      .post('/api/payments')
+      .send(cardPayment(bookingId, totalPrice));
+    expect(anonymous.status).toBe(401);
+
+    const wrongAmount = await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(cardPayment(bookingId, 1));
+    expect(wrongAmount.status).toBe(400);
+
+    const paid = await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(cardPayment(bookingId, totalPrice));
+    expect(paid.status).toBe(201);
+    expect(paid.body.data.status).toBe('completed');
+
+    const [bookings] = await mysqlPool.query('SELECT status FROM bookings WHERE id = ?', [bookingId]);
+    expect(bookings[0].status).toBe('confirmed');
+
+    const again = await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(cardPayment(bookingId, totalPrice));
+    expect(again.status).toBe(409);
+  });
+
+  test('A guest pays with the reference code; declined cards leave the booking pending', async () => {
+    const created = await createBooking(dateFromToday(750), dateFromToday(752));
+    const { bookingId, totalPrice, referenceCode } = created.body.data;
+
+    const declined = await request(app)
+      .post('/api/payments')
+      .send({
+        ...cardPayment(bookingId, totalPrice),
+        details: { card_holder: 'Test Guest', card_number: '4000000000000002', card_expiry: '12/30' },
+        reference_code: referenceCode,
+        email: 'test@example.com'
+      });
+    expect(declined.status).toBe(402);
+
+    const [bookings] = await mysqlPool.query('SELECT status FROM bookings WHERE id = ?', [bookingId]);
+    expect(bookings[0].status).toBe('pending');
+
+    const phantom = await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(cardPayment('temp-123', totalPrice));
+    expect(phantom.status).toBe(400);
+  });
+});
+
+describe('Booking API - idempotency keys', () => {
+  test('A retried booking returns the original response; a different body is rejected', async () => {
+    const key = `booking-${Date.now()}`;
+    const payload = bookingPayload(dateFromToday(760), dateFromToday(762));
+    const send = (body) => request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${authToken}`)
+      .set('Idempotency-Key', key)
+      .send(body);
+
+    const first = await send(payload);
+    expect(first.status).toBe(201);
+
+    const retry = await send(payload);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.data.bookingId).toBe(first.body.data.bookingId);
+
+    const [bookings] = await mysqlPool.query(
+      'SELECT COUNT(*) AS count FROM bookings WHERE property_id = ? AND check_in_date = ?',
+      [propertyId, dateFromToday(760)]
+    );
+    expect(Number(bookings[0].count)).toBe(1);
+
+    const changed = await send({ ...payload, guests: 2 });
+    expect(changed.status).toBe(422);
+  });
+});
+
+describe('Booking API - partial refunds', () => {
+  test('Several partial refunds are recorded, capped and reflected on the booking', async () => {
+    const created = await createBooking(dateFromToday(770), dateFromToday(772));
+    const { bookingId, totalPrice } = created.body.data;
+
+    const paid = await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        booking_id: bookingId,
+        amount: totalPrice,
+        payment_method: 'credit_card',
+        details: { card_holder: 'Test Guest', card_number: '4242424242424242', card_expiry: '12/30' }
+      });
+    expect(paid.status).toBe(201);
+    const paymentId = paid.body.data.paymentId;
+
+    const refundOf = (amount) => request(app)
+      .post(`/api/payments/${paymentId}/refunds`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ amount, reason: 'service_issue', notes: 'Sin agua caliente' });
+
+    // El usuario de prueba es el anfitrión de la propiedad: sus reembolsos no requieren aprobación
+    const first = await refundOf(10);
+    expect(first.status).toBe(201);
+    expect(first.body.data.status).toBe('processed');
+
+    const second = await refundOf(5.5);
+    expect(second.body.data.status).toBe('processed');
+
+    const tooMuch = await refundOf(totalPrice);
+    expect(tooMuch.status).toBe(400);
+
+    const list = await request(app)
+      .get(`/api/payments/${paymentId}/refunds`)
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(list.status).toBe(200);
+    expect(list.body.data.refunds).toHaveLength(2);
+    expect(list.body.data.payment.status).toBe('partially_refunded');
+    expect(list.body.data.payment.refundable_amount).toBeCloseTo(totalPrice - 15.5, 2);
+
+    const [bookings] = await mysqlPool.query('SELECT payment_status FROM bookings WHERE id = ?', [bookingId]);
+    expect(bookings[0].payment_status).toBe('partially_refunded');
+  });
+});
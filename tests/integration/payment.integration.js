@@ -0,0 +1,4 @@
+// tests/integration/payment.integration.js
+describe('Payment API', () => {
+  test.todo('integration tests');
+});
@@ -0,0 +1,4 @@
+// tests/integration/property.integration.js
+describe('Property API', () => {
+  test.todo('integration tests');
+});
@@ -0,0 +1,4 @@
+// tests/integration/review.integration.js
+describe('Review API', () => {
+  test.todo('integration tests');
+});
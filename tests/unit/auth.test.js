@@ -0,0 +1,4 @@
+// tests/unit/auth.test.js
+describe('Auth', () => {
+  test.todo('unit tests');
+});
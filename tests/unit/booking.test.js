@@ -0,0 +1,4 @@
+// tests/unit/booking.test.js
+describe('Booking', () => {
+  test.todo('unit tests');
+});
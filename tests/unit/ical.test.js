@@ -0,0 +1,127 @@
+// tests/unit/ical.test.js
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { parseICS, buildICS } from '../../src/utils/ical.js';
+
+const readFixture = (name) => fs.readFileSync(
+  fileURLToPath(new URL(`../fixtures/ical/${name}`, import.meta.url)),
+  'utf8'
+);
+
+describe('parseICS', () => {
+  test('Reads all-day events with exclusive end dates (Airbnb)', () => {
+    const events = parseICS(readFixture('airbnb.ics'));
+
+    expect(events).toHaveLength(2);
+    expect(events[0]).toMatchObject({
+      uid: '1418fb94e984-a1b2c3d4e5f6@airbnb.com',
+      summary: 'Reserved',
+      status: 'CONFIRMED',
+      start: '2027-01-10',
+      end: '2027-01-15'
+    });
+    expect(events[1]).toMatchObject({ start: '2027-02-01', end: '2027-02-03' });
+  });
+
+  test('Unfolds continuation lines and unescapes text', () => {
+    const [event] = parseICS(readFixture('airbnb.ics'));
+
+    expect(event.description).toBe(
+      'Reservation URL: https://www.airbnb.com/hosting/reservations/details/HMABCDEF12\nPhone Number (Last 4 Digits): 1234'
+    );
+  });
+
+  test('Handles TZID, UTC times, durations and cancelled events (Booking.com)', () => {
+    const events = parseICS(readFixture('booking-com.ics'));
+    const byUid = Object.fromEntries(events.map(event => [event.uid, event]));
+
+    expect(events).toHaveLength(4);
+
+    // Hora local con TZID: se conserva la fecha escrita
+    expect(byUid['booking-4711@booking.com']).toMatchObject({ start: '2027-03-01', end: '2027-03-04' });
+
+    // 03:00 UTC es todavía el día anterior en Tegucigalpa
+    expect(byUid['booking-4712@booking.com']).toMatchObject({
+      start: '2027-03-09',
+      end: '2027-03-12',
+      summary: 'Check-in late, guest from abroad'
+    });
+
+    expect(byUid['booking-4713@booking.com']).toMatchObject({ start: '2027-03-20', end: '2027-03-27' });
+    expect(byUid['booking-4714@booking.com'].status).toBe('CANCELLED');
+  });
+
+  test('Ignores properties of nested components such as VALARM', () => {
+    const [event] = parseICS(readFixture('booking-com.ics'));
+
+    expect(event.uid).toBe('booking-4711@booking.com');
+    expect(event.description).toBeNull();
+  });
+
+  test('Generates stable UIDs and skips events without a start date', () => {
+    const first = parseICS(readFixture('no-uid.ics'));
+    const second = parseICS(readFixture('no-uid.ics'));
+
+    expect(first).toHaveLength(2);
+    expect(first[0].uid).toMatch(/^generated-[0-9a-f]{40}$/);
+    expect(first.map(event => event.uid)).toEqual(second.map(event => event.uid));
+    expect(first[0].uid).not.toBe(first[1].uid);
+
+    // Solo DTSTART: ocupa un día
+    expect(first[1]).toMatchObject({ start: '2027-05-10', end: '2027-05-11' });
+  });
+
+  test('Rejects content that is not a calendar', () => {
+    expect(() => parseICS('<html></html>')).toThrow('El contenido no es un calendario iCalendar válido');
+    expect(() => parseICS(null)).toThrow();
+  });
+});
+
+describe('buildICS', () => {
+  const events = [
+    { uid: 'booking-1@oasis.hn', start: '2027-06-01', end: '2027-06-04', summary: 'Reservado' },
+    { uid: 'block-2@oasis.hn', start: '2027-06-10', end: '2027-06-11', summary: 'No disponible, mantenimiento' }
+  ];
+
+  test('Produces a CRLF calendar with all-day events', () => {
+    const ics = buildICS({ name: 'Casa en Roatán', events, now: new Date('2027-01-01T00:00:00Z') });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('DTSTART;VALUE=DATE:20270601\r\n');
+    expect(ics).toContain('DTEND;VALUE=DATE:20270604\r\n');
+    expect(ics).toContain('DTSTAMP:20270101T000000Z\r\n');
+    expect(ics).toContain('SUMMARY:No disponible\\, mantenimiento\r\n');
+  });
+
+  test('Folds lines longer than 75 octets', () => {
+    const ics = buildICS({ events: [{ ...events[0], description: 'á'.repeat(120) }] });
+
+    for (const line of ics.split('\r\n')) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    }
+  });
+
+  test('Round-trips through parseICS', () => {
+    const parsed = parseICS(buildICS({ events: [{ ...events[0], description: 'Línea 1\nLínea 2' }, events[1]] }));
+
+    expect(parsed).toEqual([
+      {
+        uid: 'booking-1@oasis.hn',
+        summary: 'Reservado',
+        description: 'Línea 1\nLínea 2',
+        status: 'CONFIRMED',
+        start: '2027-06-01',
+        end: '2027-06-04'
+      },
+      {
+        uid: 'block-2@oasis.hn',
+        summary: 'No disponible, mantenimiento',
+        description: null,
+        status: 'CONFIRMED',
+        start: '2027-06-10',
+        end: '2027-06-11'
+      }
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+// tests/unit/payment-gateway.test.js
+import { createSimulatorGateway, SIMULATOR_TEST_CARDS } from '../../src/services/payment-gateways/simulator.gateway.js';
+import { PaymentGateway } from '../../src/services/payment-gateways/index.js';
+
+const config = {
+  timeoutMs: 50,
+  simulator: { webhookSecret: 'test-secret' },
+  clientUrl: 'http://localhost:8080'
+};
+
+const authorizeWith = (gateway, cardNumber) => gateway.authorize({
+  amount: 100,
+  currency: 'HNL',
+  source: { method: 'credit_card', cardNumber }
+});
+
+describe('Payment simulator', () => {
+  test('Test cards approve, decline or require 3-D Secure', async () => {
+    const gateway = createSimulatorGateway(config);
+
+    expect((await authorizeWith(gateway, SIMULATOR_TEST_CARDS.APPROVE)).status).toBe('authorized');
+    expect(await authorizeWith(gateway, SIMULATOR_TEST_CARDS.DECLINE)).toMatchObject({
+      status: 'declined',
+      declineCode: 'card_declined'
+    });
+
+    const challenge = await authorizeWith(gateway, SIMULATOR_TEST_CARDS.THREE_D_SECURE);
+    expect(challenge.status).toBe('requires_action');
+    expect(challenge.nextAction.type).toBe('three_d_secure');
+    await expect(gateway.capture(challenge.transactionId)).rejects.toThrow();
+  });
+
+  test('Refunds are capped at the captured amount', async () => {
+    const gateway = createSimulatorGateway(config);
+    const { transactionId } = await authorizeWith(gateway, SIMULATOR_TEST_CARDS.APPROVE);
+
+    await gateway.capture(transactionId);
+    expect((await gateway.refund(transactionId, { amount: 60 })).status).toBe('refunded');
+    await expect(gateway.refund(transactionId, { amount: 50 })).rejects.toThrow('supera');
+  });
+
+  test('A refund retried with the same reference is returned only once', async () => {
+    const gateway = createSimulatorGateway(config);
+    const { transactionId } = await authorizeWith(gateway, SIMULATOR_TEST_CARDS.APPROVE);
+    await gateway.capture(transactionId);
+
+    const first = await gateway.refund(transactionId, { amount: 70, reference: 'refund-1' });
+    const retry = await gateway.refund(transactionId, { amount: 70, reference: 'refund-1' });
+    expect(retry.refundId).toBe(first.refundId);
+    expect((await gateway.refund(transactionId, { amount: 30, reference: 'refund-2' })).status).toBe('refunded');
+  });
+
+  test('A retry with the same reference reuses the authorization and can be looked up', async () => {
+    const gateway = createSimulatorGateway(config);
+    const request = { amount: 100, currency: 'HNL', source: { cardNumber: SIMULATOR_TEST_CARDS.APPROVE }, reference: 'payment-1' };
+
+    const first = await gateway.authorize(request);
+    const retry = await gateway.authorize(request);
+    expect(retry.transactionId).toBe(first.transactionId);
+
+    expect(await gateway.retrieve('payment-1')).toMatchObject({ status: 'authorized', transactionId: first.transactionId });
+    expect(await gateway.retrieve('payment-2')).toBeNull();
+  });
+
+  test('Webhooks are accepted only with a valid signature', () => {
+    const gateway = createSimulatorGateway(config);
+    const { body, headers } = gateway.signWebhook({ id: 'evt_1', type: 'payment.captured', data: {} });
+
+    expect(gateway.verifyWebhook(Buffer.from(body), headers)).toMatchObject({ id: 'evt_1', type: 'payment.captured' });
+    expect(() => gateway.verifyWebhook(body.replace('evt_1', 'evt_2'), headers)).toThrow('Firma');
+    expect(() => gateway.verifyWebhook(body, {})).toThrow('Firma');
+  });
+});
+
+describe('PaymentGateway', () => {
+  test('Calls that exceed the timeout fail with a 504 gateway error', async () => {
+    PaymentGateway.use('slow', { authorize: () => new Promise(() => {}) });
+
+    await expect(PaymentGateway.authorize({ amount: 1 }, 'slow')).rejects.toMatchObject({ statusCode: 504 });
+  });
+});
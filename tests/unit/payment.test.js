@@ -0,0 +1,33 @@
+// tests/unit/payment.test.js
+import { bookingPaymentState } from '../../src/models/mysql/payment.model.js';
+import { RefundService } from '../../src/services/refund.service.js';
+
+const payment = (status, amount, refundedAmount = 0) => ({ status, amount, refunded_amount: refundedAmount });
+
+describe('Booking payment state', () => {
+  test('Captured money decides the state over open or failed attempts', () => {
+    expect(bookingPaymentState([])).toBe('pending');
+    expect(bookingPaymentState([payment('failed', 100), payment('pending', 100)])).toBe('pending');
+    expect(bookingPaymentState([payment('failed', 100), payment('completed', 100)])).toBe('completed');
+    expect(bookingPaymentState([payment('partially_refunded', 100, 20)])).toBe('partially_refunded');
+    expect(bookingPaymentState([payment('refunded', 100, 100), payment('cancelled', 50)])).toBe('refunded');
+    expect(bookingPaymentState([payment('failed', 100)])).toBe('failed');
+    expect(bookingPaymentState([payment('cancelled', 100)])).toBe('cancelled');
+  });
+});
+
+describe('Refund approval thresholds', () => {
+  const thresholds = { autoApprovePercent: 10, hostApprovalPercent: 50 };
+
+  test('Guests need the host above the automatic limit and an admin above the host limit', () => {
+    expect(RefundService.requiredApproval('guest', 10000, 1000, thresholds)).toBeNull();
+    expect(RefundService.requiredApproval('guest', 10000, 1001, thresholds)).toBe('host');
+    expect(RefundService.requiredApproval('guest', 10000, 5001, thresholds)).toBe('admin');
+  });
+
+  test('Hosts refund up to their limit and admins never need approval', () => {
+    expect(RefundService.requiredApproval('host', 10000, 5000, thresholds)).toBeNull();
+    expect(RefundService.requiredApproval('host', 10000, 6000, thresholds)).toBe('admin');
+    expect(RefundService.requiredApproval('admin', 10000, 10000, thresholds)).toBeNull();
+  });
+});
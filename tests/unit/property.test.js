@@ -0,0 +1,4 @@
+// tests/unit/property.test.js
+describe('Property', () => {
+  test.todo('unit tests');
+});
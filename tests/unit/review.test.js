@@ -0,0 +1,4 @@
+// tests/unit/review.test.js
+describe('Review', () => {
+  test.todo('unit tests');
+});